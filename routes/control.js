@@ -65,6 +65,13 @@ router.get('/geofences/create', requireRole(['authority', 'admin']), (req, res)
     res.render('geofence-create', { user: req.session.user });
 });
 
+router.get('/geofences/:id/edit', requireRole(['authority', 'admin']), (req, res) => {
+    res.render('geofence-create', {
+        user: req.session.user,
+        geofenceId: req.params.id
+    });
+});
+
 // ============================================
 // Conflicts
 // ============================================
@@ -89,6 +96,34 @@ router.get('/analytics', requireRole('authority'), (req, res) => {
     res.render('analytics', { user: req.session.user });
 });
 
+// ============================================
+// Audit Log
+// ============================================
+
+router.get('/audit', requireRole(['authority', 'admin']), (req, res) => {
+    res.render('audit', { user: req.session.user });
+});
+
+// ============================================
+// Administration
+// ============================================
+
+router.get('/admin/users', requireRole(['admin']), (req, res) => {
+    res.render('admin-users', { user: req.session.user });
+});
+
+router.get('/admin/atc-policy', requireRole(['admin']), (req, res) => {
+    res.render('admin-atc-policy', { user: req.session.user });
+});
+
+// ============================================
+// Organizations
+// ============================================
+
+router.get('/organizations', (req, res) => {
+    res.render('organizations', { user: req.session.user });
+});
+
 // ============================================
 // Settings
 // ============================================
@@ -0,0 +1,201 @@
+// ATC HTTP API for the simulator: every `/v1/*` route in
+// config/atc-proxy-policy.json, answered from the simulated world.
+
+"use strict";
+
+const express = require("express");
+const { SimError } = require("./world");
+const { COMPLIANCE_LIMITS, evaluateCompliance, planRoute } = require("./planning");
+
+function queryFlag(value) {
+  return value === "true" || value === "1";
+}
+
+function createAtcApp(world, { adminToken = "" } = {}) {
+  const app = express();
+  const router = express.Router();
+  app.use(express.json({ limit: "1mb" }));
+
+  // The real ATC protects /v1/admin/* with a bearer token; enforce it only
+  // when one is configured so the default setup needs no secrets.
+  router.use("/admin", (req, res, next) => {
+    if (adminToken && req.get("Authorization") !== `Bearer ${adminToken}`) {
+      return res.status(401).json({ message: "admin token required" });
+    }
+    next();
+  });
+
+  // ---------------- Drones and traffic ----------------
+
+  router.get("/drones", (req, res) => {
+    res.json(world.listDrones({ ownerId: req.query.owner_id }));
+  });
+
+  router.post("/drones/register", (req, res) => {
+    res.status(201).json(world.registerDrone(req.body || {}));
+  });
+
+  router.get("/drones/:id", (req, res) => {
+    const drone = world.getDrone(req.params.id);
+    if (!drone) return res.status(404).json({ message: "drone_not_found" });
+    res.json(drone);
+  });
+
+  router.get("/traffic", (req, res) => {
+    res.json(world.listTraffic({
+      ownerId: req.query.owner_id,
+      includeExternal: queryFlag(req.query.include_external),
+      source: req.query.source || null,
+      externalOnly: queryFlag(req.query.external_only)
+    }));
+  });
+
+  router.post("/rid/view", (req, res) => {
+    const { min_lat: minLat, min_lon: minLon, max_lat: maxLat, max_lon: maxLon } = req.body || {};
+    const bounds = [minLat, minLon, maxLat, maxLon].map(Number);
+    if (bounds.some(value => !Number.isFinite(value))) {
+      throw new SimError(400, "min_lat, min_lon, max_lat and max_lon are required");
+    }
+    world.setRidView(bounds);
+    res.json({ view: bounds.join(",") });
+  });
+
+  // ---------------- Safety ----------------
+
+  router.get("/conflicts", (req, res) => {
+    res.json(world.listConflicts({ ownerId: req.query.owner_id }));
+  });
+
+  router.get("/conformance", (req, res) => {
+    res.json(world.listConformance({ ownerId: req.query.owner_id }));
+  });
+
+  router.get("/daa", (req, res) => {
+    res.json(world.listAdvisories({ ownerId: req.query.owner_id, activeOnly: queryFlag(req.query.active_only) }));
+  });
+
+  router.get("/compliance/limits", (req, res) => {
+    res.json(COMPLIANCE_LIMITS);
+  });
+
+  router.post("/compliance/evaluate", (req, res) => {
+    res.json(evaluateCompliance(world, req.body || {}));
+  });
+
+  router.post("/routes/plan", (req, res) => {
+    const result = planRoute(world, req.body || {});
+    res.status(result.waypoints ? 200 : 400).json(result);
+  });
+
+  // ---------------- Commands ----------------
+
+  router.get("/commands", (req, res) => {
+    res.json(world.listCommands({ droneId: req.query.drone_id }));
+  });
+
+  router.post("/commands", (req, res) => {
+    res.status(201).json(world.issueCommand(req.body || {}));
+  });
+
+  router.get("/admin/commands", (req, res) => {
+    res.json(world.listCommands({ droneId: req.query.drone_id, includeHistory: true }));
+  });
+
+  router.post("/admin/commands", (req, res) => {
+    res.status(201).json(world.issueCommand(req.body || {}));
+  });
+
+  // ---------------- Geofences ----------------
+
+  router.get("/geofences/check", (req, res) => {
+    const lat = Number(req.query.lat);
+    const lon = Number(req.query.lon);
+    if (!Number.isFinite(lat) || !Number.isFinite(lon)) throw new SimError(400, "lat and lon are required");
+    res.json(world.checkPoint(lat, lon, req.query.altitude_m));
+  });
+
+  router.post("/geofences/check-route", (req, res) => {
+    const waypoints = req.body?.waypoints;
+    if (!Array.isArray(waypoints) || waypoints.length < 2) throw new SimError(400, "At least two waypoints are required");
+    res.json(world.checkRoute(waypoints));
+  });
+
+  router.get("/geofences", (req, res) => {
+    res.json(world.listGeofences());
+  });
+
+  router.post("/geofences", (req, res) => {
+    res.status(201).json(world.createGeofence(req.body || {}));
+  });
+
+  router.get("/geofences/:id", (req, res) => {
+    const geofence = world.getGeofence(req.params.id);
+    if (!geofence) return res.status(404).json({ message: "Geofence not found" });
+    res.json(geofence);
+  });
+
+  router.put("/geofences/:id", (req, res) => {
+    res.json(world.updateGeofence(req.params.id, req.body || {}));
+  });
+
+  router.delete("/geofences/:id", (req, res) => {
+    world.deleteGeofence(req.params.id);
+    res.status(204).send();
+  });
+
+  // ---------------- Flights and operational intents ----------------
+  // Admin variants skip strategic deconfliction, as the real ATC does for
+  // authority overrides.
+
+  router.get("/flights", (req, res) => {
+    res.json(world.listPlans({ ownerId: req.query.owner_id, limit: req.query.limit, offset: req.query.offset }));
+  });
+
+  [["", false], ["/admin", true]].forEach(([prefix, force]) => {
+    router.post(`${prefix}/flights/plan`, (req, res) => {
+      res.status(201).json(world.createPlan(req.body, { force }));
+    });
+    router.post(`${prefix}/flights`, (req, res) => {
+      res.status(201).json(world.createPlan(req.body, { force }));
+    });
+    router.post(`${prefix}/operational_intents/reserve`, (req, res) => {
+      res.status(201).json(world.createPlan(req.body, { status: "reserved", force }));
+    });
+    router.post(`${prefix}/operational_intents/:id/confirm`, (req, res) => {
+      res.json(world.confirmPlan(req.params.id, { force }));
+    });
+    router.post(`${prefix}/operational_intents/:id/cancel`, (req, res) => {
+      res.json(world.cancelPlan(req.params.id));
+    });
+    router.put(`${prefix}/operational_intents/:id`, (req, res) => {
+      res.json(world.updatePlan(req.params.id, req.body, { force }));
+    });
+  });
+
+  router.post("/admin/reset", (req, res) => {
+    world.reset();
+    console.log("[Simulator] World reset");
+    res.json({ status: "reset" });
+  });
+
+  app.use("/v1", router);
+
+  app.use((req, res) => {
+    res.status(404).json({ message: "not_found" });
+  });
+
+  app.use((error, req, res, next) => {
+    if (error instanceof SimError) {
+      return res.status(error.status).json({ ...error.extra, message: error.message });
+    }
+    if (error.type === "entity.parse.failed") {
+      return res.status(400).json({ message: "invalid JSON body" });
+    }
+    console.error("[Simulator] ATC handler error:", error);
+    res.status(500).json({ message: "internal simulator error" });
+  });
+
+  return app;
+}
+
+module.exports = { createAtcApp };
@@ -0,0 +1,83 @@
+// Flight Blender HTTP API for the simulator: flight declarations, DSS RID
+// subscriptions and RID test injection. Bearer tokens are accepted without
+// verification, matching the unsigned tokens the control center mints in
+// development.
+
+"use strict";
+
+const express = require("express");
+const { SimError } = require("./world");
+
+function createBlenderApp(world) {
+  const app = express();
+  app.use(express.json({ limit: "2mb" }));
+
+  app.get("/ping", (req, res) => {
+    res.json({ message: "pong" });
+  });
+
+  // ---------------- Flight declarations ----------------
+
+  app.get("/flight_declaration_ops/flight_declaration", (req, res) => {
+    const results = world.listDeclarations({ startDate: req.query.start_date, endDate: req.query.end_date });
+    res.json({ count: results.length, next: null, previous: null, results });
+  });
+
+  app.get("/flight_declaration_ops/flight_declaration/:id", (req, res) => {
+    const declaration = world.getDeclaration(req.params.id);
+    if (!declaration) return res.status(404).json({ message: "Flight Declaration not found" });
+    res.json(declaration);
+  });
+
+  app.post("/flight_declaration_ops/set_flight_declaration", (req, res) => {
+    res.status(201).json(world.createDeclaration(req.body || {}));
+  });
+
+  app.delete("/flight_declaration_ops/flight_declaration/:id/delete", (req, res) => {
+    world.deleteDeclaration(req.params.id);
+    res.status(204).send();
+  });
+
+  // ---------------- Remote ID ----------------
+
+  app.put("/rid/create_dss_subscription", (req, res) => {
+    const { id, created_at: createdAt } = world.createSubscription(req.query.view);
+    res.status(201).json({
+      message: "DSS Subscription created",
+      id,
+      dss_subscription_response: { created_subscription: id, notification_timestamp: createdAt }
+    });
+  });
+
+  app.get("/rid/get_rid_data/:id", (req, res) => {
+    res.json(world.ridDataFor(req.params.id));
+  });
+
+  app.put("/rid/tests/:id", (req, res) => {
+    res.json(world.injectRidTest(req.params.id, req.body || {}));
+  });
+
+  app.delete("/rid/tests/:id", (req, res) => {
+    world.deleteRidTest(req.params.id);
+    res.status(204).send();
+  });
+
+  app.use((req, res) => {
+    res.status(404).json({ message: "not_found" });
+  });
+
+  app.use((error, req, res, next) => {
+    if (error instanceof SimError) {
+      return res.status(error.status).json({ ...error.extra, message: error.message });
+    }
+    if (error.type === "entity.parse.failed") {
+      return res.status(400).json({ message: "invalid JSON body" });
+    }
+    console.error("[Simulator] Blender handler error:", error);
+    res.status(500).json({ message: "internal simulator error" });
+  });
+
+  return app;
+}
+
+module.exports = { createBlenderApp };
@@ -0,0 +1,116 @@
+// Flat-earth helpers for the simulator. Everything happens within a few
+// kilometres of the scenario centre, so positions are handled as metres east
+// and north of it and only converted to lat/lon at the API boundary.
+
+"use strict";
+
+const EARTH_RADIUS_M = 6371000;
+const DEG = Math.PI / 180;
+
+function createProjection(center) {
+  const metersPerDegLat = EARTH_RADIUS_M * DEG;
+  const metersPerDegLon = metersPerDegLat * Math.cos(center.lat * DEG);
+  return {
+    center,
+    toLatLon: ([east, north]) => ({
+      lat: center.lat + north / metersPerDegLat,
+      lon: center.lon + east / metersPerDegLon
+    }),
+    toLocal: (lat, lon) => [
+      (lon - center.lon) * metersPerDegLon,
+      (lat - center.lat) * metersPerDegLat
+    ]
+  };
+}
+
+function distance2d(a, b) {
+  return Math.hypot(b[0] - a[0], b[1] - a[1]);
+}
+
+// Compass heading (0 = north, clockwise) of the vector from `a` to `b`.
+function headingDeg(a, b) {
+  const deg = Math.atan2(b[0] - a[0], b[1] - a[1]) / DEG;
+  return (deg + 360) % 360;
+}
+
+function lerp(a, b, t) {
+  return [a[0] + (b[0] - a[0]) * t, a[1] + (b[1] - a[1]) * t];
+}
+
+function polylineLength(points) {
+  let total = 0;
+  for (let i = 1; i < points.length; i += 1) total += distance2d(points[i - 1], points[i]);
+  return total;
+}
+
+// Point `s` metres along an open polyline, clamped to its ends.
+function pointAlong(points, s) {
+  if (points.length === 1 || s <= 0) return points[0];
+  let remaining = s;
+  for (let i = 1; i < points.length; i += 1) {
+    const length = distance2d(points[i - 1], points[i]);
+    if (remaining <= length) return lerp(points[i - 1], points[i], length ? remaining / length : 0);
+    remaining -= length;
+  }
+  return points[points.length - 1];
+}
+
+function pointInPolygon(point, polygon) {
+  let inside = false;
+  for (let i = 0, j = polygon.length - 1; i < polygon.length; j = i, i += 1) {
+    const [xi, yi] = polygon[i];
+    const [xj, yj] = polygon[j];
+    if ((yi > point[1]) !== (yj > point[1]) && point[0] < ((xj - xi) * (point[1] - yi)) / (yj - yi) + xi) {
+      inside = !inside;
+    }
+  }
+  return inside;
+}
+
+function distanceToSegment(point, a, b) {
+  const dx = b[0] - a[0];
+  const dy = b[1] - a[1];
+  const lengthSq = dx * dx + dy * dy;
+  const t = lengthSq ? Math.max(0, Math.min(1, ((point[0] - a[0]) * dx + (point[1] - a[1]) * dy) / lengthSq)) : 0;
+  return distance2d(point, [a[0] + dx * t, a[1] + dy * t]);
+}
+
+// Distance to the polygon edge; 0 when the point is inside.
+function distanceToPolygon(point, polygon) {
+  if (pointInPolygon(point, polygon)) return 0;
+  let best = Infinity;
+  for (let i = 1; i < polygon.length; i += 1) {
+    best = Math.min(best, distanceToSegment(point, polygon[i - 1], polygon[i]));
+  }
+  return best;
+}
+
+// Whether the segment a->b passes through the polygon, sampled every
+// `stepM` metres (geofences are small next to the sampling error).
+function segmentCrossesPolygon(a, b, polygon, stepM = 10) {
+  const steps = Math.max(1, Math.ceil(distance2d(a, b) / stepM));
+  for (let i = 0; i <= steps; i += 1) {
+    if (pointInPolygon(lerp(a, b, i / steps), polygon)) return true;
+  }
+  return false;
+}
+
+function boundingBox(polygon) {
+  const xs = polygon.map(point => point[0]);
+  const ys = polygon.map(point => point[1]);
+  return { minX: Math.min(...xs), minY: Math.min(...ys), maxX: Math.max(...xs), maxY: Math.max(...ys) };
+}
+
+module.exports = {
+  createProjection,
+  distance2d,
+  headingDeg,
+  lerp,
+  polylineLength,
+  pointAlong,
+  pointInPolygon,
+  distanceToSegment,
+  distanceToPolygon,
+  segmentCrossesPolygon,
+  boundingBox
+};
@@ -0,0 +1,128 @@
+// Local stand-in for the ATC server and Flight Blender, for demos and offline
+// development. Scripted drones fly a small airspace (scenario.json) with a
+// head-on conflict, a geofence breach, a drone that periodically loses its
+// datalink and passing Remote ID traffic; commands, geofences, flight plans
+// and declarations made through the control center act on the same world.
+//
+//   npm run simulator
+//
+// Then start the console against it (the defaults already match):
+//   ATC_SERVER_URL=http://localhost:3000 BLENDER_URL=http://localhost:8000 npm start
+//
+// Seeded users own the scripted drones: SIM-ALPHA, SIM-CHARLIE and SIM-ECHO
+// belong to `guest`, the rest to `demo-fleet`.
+//
+// Environment:
+//   SIM_ATC_PORT      ATC API and /v1/ws telemetry (default 3000)
+//   SIM_BLENDER_PORT  Flight Blender API (default 8000)
+//   SIM_SCENARIO      path to a scenario file (default ./scenario.json)
+//   SIM_CENTER        "lat,lon" to move the scenario somewhere else
+//   SIM_TICK_MS       simulation step and telemetry interval (default 1000)
+//   SIM_ADMIN_TOKEN   require this bearer token on /v1/admin/* (default: none)
+
+"use strict";
+
+const fs = require("fs");
+const http = require("http");
+const path = require("path");
+const { WebSocketServer, WebSocket } = require("ws");
+const { createWorld } = require("./world");
+const { createAtcApp } = require("./atc-api");
+const { createBlenderApp } = require("./blender-api");
+
+const ATC_PORT = Number(process.env.SIM_ATC_PORT || 3000);
+const BLENDER_PORT = Number(process.env.SIM_BLENDER_PORT || 8000);
+const SCENARIO_PATH = path.resolve(process.env.SIM_SCENARIO || path.join(__dirname, "scenario.json"));
+const TICK_MS = Math.max(100, Number(process.env.SIM_TICK_MS || 1000));
+const ADMIN_TOKEN = process.env.SIM_ADMIN_TOKEN || "";
+const STATUS_INTERVAL_MS = 60 * 1000;
+
+function loadScenario() {
+  const scenario = JSON.parse(fs.readFileSync(SCENARIO_PATH, "utf8"));
+  if (process.env.SIM_CENTER) {
+    const [lat, lon] = process.env.SIM_CENTER.split(",").map(Number);
+    if (!Number.isFinite(lat) || !Number.isFinite(lon)) throw new Error("SIM_CENTER must be \"lat,lon\"");
+    scenario.center = { lat, lon };
+  }
+  return scenario;
+}
+
+function listen(server, port, label) {
+  return new Promise((resolve, reject) => {
+    server.once("error", reject);
+    server.listen(port, () => {
+      console.log(`[Simulator] ${label} listening on http://localhost:${port}`);
+      resolve();
+    });
+  });
+}
+
+async function main() {
+  const scenario = loadScenario();
+  const world = createWorld(scenario);
+
+  const atcServer = http.createServer(createAtcApp(world, { adminToken: ADMIN_TOKEN }));
+  const blenderServer = http.createServer(createBlenderApp(world));
+
+  // Telemetry stream: one DroneState message per drone per tick, optionally
+  // narrowed with ?owner_id= or ?drone_id= like the real ATC.
+  const wss = new WebSocketServer({ noServer: true });
+  atcServer.on("upgrade", (req, socket, head) => {
+    const url = new URL(req.url, "http://localhost");
+    if (url.pathname !== "/v1/ws") {
+      socket.destroy();
+      return;
+    }
+    wss.handleUpgrade(req, socket, head, (ws) => {
+      ws.filter = {
+        ownerId: url.searchParams.get("owner_id"),
+        droneId: url.searchParams.get("drone_id")
+      };
+      wss.emit("connection", ws, req);
+    });
+  });
+
+  function broadcast() {
+    if (!wss.clients.size) return;
+    const telemetry = world.liveTelemetry().map(state => ({ state, text: JSON.stringify(state) }));
+    wss.clients.forEach((ws) => {
+      if (ws.readyState !== WebSocket.OPEN) return;
+      const { ownerId, droneId } = ws.filter;
+      telemetry.forEach(({ state, text }) => {
+        if (ownerId && state.owner_id !== ownerId) return;
+        if (droneId && state.drone_id !== droneId) return;
+        ws.send(text);
+      });
+    });
+  }
+
+  await listen(atcServer, ATC_PORT, "ATC API");
+  await listen(blenderServer, BLENDER_PORT, "Flight Blender API");
+  console.log(`[Simulator] Scenario "${scenario.name}" centred on ${scenario.center.lat}, ${scenario.center.lon}`);
+
+  const tickTimer = setInterval(() => {
+    world.tick();
+    broadcast();
+  }, TICK_MS);
+  const statusTimer = setInterval(() => {
+    const summary = world.summary();
+    console.log(`[Simulator] ${summary.airborne}/${summary.drones} airborne, ${summary.conflicts} conflict(s), `
+      + `${summary.nonconforming} nonconforming, ${summary.advisories} advisories, ${summary.plans} plan(s)`);
+  }, STATUS_INTERVAL_MS);
+
+  const shutdown = () => {
+    clearInterval(tickTimer);
+    clearInterval(statusTimer);
+    wss.clients.forEach(ws => ws.terminate());
+    atcServer.close();
+    blenderServer.close();
+    process.exit(0);
+  };
+  process.on("SIGINT", shutdown);
+  process.on("SIGTERM", shutdown);
+}
+
+main().catch((error) => {
+  console.error("[Simulator] Failed to start:", error.message);
+  process.exit(1);
+});
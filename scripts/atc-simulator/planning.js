@@ -0,0 +1,371 @@
+// Pre-flight checks for the simulator: the compliance report behind
+// POST /v1/compliance/evaluate and the obstacle/geofence-aware planner behind
+// POST /v1/routes/plan. Weather, population and obstacles come from the
+// scenario rather than live data sources, but use the same limits and report
+// shape as the real ATC so the mission planner exercises every branch.
+
+"use strict";
+
+const geo = require("./geo");
+const { BREACH_TYPES } = require("./world");
+
+const COMPLIANCE_LIMITS = {
+  maxWindMps: 12,
+  maxGustMps: 15,
+  maxPrecipMm: 2,
+  windWarnRatio: 0.8,
+  batteryWarnMarginMin: 5,
+  populationBvlosMax: 1200,
+  populationWarn: 900,
+  populationAbsoluteMax: 1500,
+  defaultClearanceM: 60
+};
+
+const OPERATION_BVLOS = 2;
+const MAX_ALTITUDE_M = 120;
+const HAZARD_SEARCH_M = 500;
+const DEFAULT_SPEED_MPS = 10;
+const DEFAULT_BATTERY_MIN = 25;
+const DEFAULT_RESERVE_MIN = 5;
+const OBSTACLE_VERTICAL_MARGIN_M = 15;
+const DETOUR_PASSES = 12;
+
+function round(value, digits = 1) {
+  const factor = 10 ** digits;
+  return Math.round(value * factor) / factor;
+}
+
+function numberOr(value, fallback) {
+  const parsed = Number(value);
+  return value !== undefined && value !== null && value !== "" && Number.isFinite(parsed) ? parsed : fallback;
+}
+
+function readWaypoints(world, waypoints) {
+  if (!Array.isArray(waypoints)) return [];
+  return waypoints
+    .map(wp => ({ lat: Number(wp.lat), lon: Number(wp.lon), alt: numberOr(wp.altitude_m ?? wp.alt, 60) }))
+    .filter(wp => Number.isFinite(wp.lat) && Number.isFinite(wp.lon))
+    .map(wp => ({ ...wp, pos: world.projection.toLocal(wp.lat, wp.lon) }));
+}
+
+function distanceToPath(point, path) {
+  if (path.length === 1) return geo.distance2d(point, path[0]);
+  let best = Infinity;
+  for (let i = 1; i < path.length; i += 1) best = Math.min(best, geo.distanceToSegment(point, path[i - 1], path[i]));
+  return best;
+}
+
+function obstaclesNear(world, path, searchM) {
+  return (world.scenario.obstacles || []).map((obstacle) => {
+    const { lat, lon } = world.projection.toLatLon(obstacle.position);
+    const distance = Math.max(0, distanceToPath(obstacle.position, path) - obstacle.radius_m);
+    return {
+      id: obstacle.id,
+      name: obstacle.name,
+      lat: round(lat, 7),
+      lon: round(lon, 7),
+      radius_m: obstacle.radius_m,
+      height_m: obstacle.height_m,
+      hazard_type: obstacle.hazard_type,
+      source: "simulator",
+      distance_m: round(distance)
+    };
+  }).filter(hazard => hazard.distance_m <= searchM)
+    .sort((a, b) => a.distance_m - b.distance_m);
+}
+
+// Wind swings sinusoidally around the scenario value so a long demo sees the
+// weather check move between pass and warn.
+function currentWeather(world, now) {
+  const weather = world.scenario.weather || {};
+  const phase = (2 * Math.PI * (now / 1000)) / numberOr(weather.period_s, 1800);
+  const swing = numberOr(weather.swing_mps, 0) * Math.sin(phase);
+  const wind = Math.max(0, numberOr(weather.wind_mps, 0) + swing);
+  const gust = Math.max(wind, numberOr(weather.gust_mps, 0) + swing);
+  return { wind: round(wind), gust: round(gust), precip: numberOr(weather.precip_mm, 0) };
+}
+
+function populationDensity(world, pos) {
+  const population = world.scenario.population || {};
+  const peak = numberOr(population.peak_per_km2, 0);
+  const falloff = numberOr(population.falloff_m, 1000);
+  return peak * Math.exp(-Math.hypot(pos[0], pos[1]) / falloff);
+}
+
+function weatherCheck(world, now) {
+  const { wind, gust, precip } = currentWeather(world, now);
+  const limits = COMPLIANCE_LIMITS;
+  let status = "pass";
+  let message = "Within limits";
+  if (wind > limits.maxWindMps || gust > limits.maxGustMps || precip > limits.maxPrecipMm) {
+    status = "fail";
+    message = `Exceeds limits (wind ${wind} m/s, gust ${gust} m/s, precipitation ${precip} mm)`;
+  } else if (wind > limits.maxWindMps * limits.windWarnRatio) {
+    status = "warn";
+    message = `Wind ${wind} m/s is close to the ${limits.maxWindMps} m/s limit`;
+  }
+  return {
+    status,
+    message,
+    wind_mps: wind,
+    gust_mps: gust,
+    precip_mm: precip,
+    max_wind_mps: limits.maxWindMps,
+    max_gust_mps: limits.maxGustMps,
+    max_precip_mm: limits.maxPrecipMm,
+    source: "simulator"
+  };
+}
+
+function batteryCheck(metadata, estimatedMinutes, speed) {
+  const capacity = numberOr(metadata.battery_capacity_min, DEFAULT_BATTERY_MIN);
+  const reserve = numberOr(metadata.battery_reserve_min, DEFAULT_RESERVE_MIN);
+  const remaining = capacity - estimatedMinutes;
+  let status = "pass";
+  let message = `${round(remaining)} min remaining on landing`;
+  if (remaining < reserve) {
+    status = "fail";
+    message = `Route needs ${round(estimatedMinutes)} min; only ${round(capacity - reserve)} min usable above the reserve`;
+  } else if (remaining < reserve + COMPLIANCE_LIMITS.batteryWarnMarginMin) {
+    status = "warn";
+    message = `Only ${round(remaining - reserve)} min above the reserve on landing`;
+  }
+  return {
+    status,
+    message,
+    estimated_minutes: round(estimatedMinutes),
+    capacity_min: capacity,
+    reserve_min: reserve,
+    remaining_min: round(remaining),
+    cruise_speed_mps: speed
+  };
+}
+
+function populationCheck(world, path, metadata) {
+  const limits = COMPLIANCE_LIMITS;
+  const samples = [];
+  for (let i = 1; i < path.length; i += 1) {
+    const steps = Math.max(1, Math.ceil(geo.distance2d(path[i - 1], path[i]) / 100));
+    for (let s = 0; s <= steps; s += 1) samples.push(geo.lerp(path[i - 1], path[i], s / steps));
+  }
+  if (!samples.length) samples.push(path[0]);
+  const density = Math.round(Math.max(...samples.map(point => populationDensity(world, point))));
+  const bvlos = Number(metadata.operation_type) === OPERATION_BVLOS;
+  // Footprint: a 200 m wide corridor along the route.
+  const areaKm2 = Math.max(0.01, (geo.polylineLength(path) * 200) / 1e6);
+  let classification = "rural";
+  if (density >= limits.populationAbsoluteMax) classification = "dense_urban";
+  else if (density >= limits.populationWarn) classification = "urban";
+  else if (density >= 200) classification = "suburban";
+
+  let status = "pass";
+  let message = `${density} people/km² along the route`;
+  if (density > limits.populationAbsoluteMax || (bvlos && density > limits.populationBvlosMax)) {
+    status = "fail";
+    message = bvlos && density <= limits.populationAbsoluteMax
+      ? `${density} people/km² exceeds the BVLOS limit of ${limits.populationBvlosMax}`
+      : `${density} people/km² exceeds the limit of ${limits.populationAbsoluteMax}`;
+  } else if (density > limits.populationWarn) {
+    status = "warn";
+    message = `${density} people/km² is above the ${limits.populationWarn} advisory level`;
+  }
+  return {
+    status,
+    message,
+    density,
+    classification,
+    building_count: Math.round(density * areaKm2 / 3),
+    estimated_population: Math.round(density * areaKm2),
+    area_km2: round(areaKm2, 3),
+    source: "simulator"
+  };
+}
+
+function obstacleCheck(world, points, metadata) {
+  const clearance = numberOr(metadata.clearance_m, COMPLIANCE_LIMITS.defaultClearanceM);
+  const path = points.map(wp => wp.pos);
+  const hazards = obstaclesNear(world, path, HAZARD_SEARCH_M);
+  const conflicts = hazards.filter((hazard) => {
+    if (hazard.distance_m >= clearance) return false;
+    const obstacle = world.scenario.obstacles.find(entry => entry.id === hazard.id);
+    // Altitude of the route where it passes the obstacle.
+    let closestAlt = points[0].alt;
+    let best = Infinity;
+    for (let i = 1; i < points.length; i += 1) {
+      const distance = geo.distanceToSegment(obstacle.position, points[i - 1].pos, points[i].pos);
+      if (distance < best) {
+        best = distance;
+        closestAlt = Math.min(points[i - 1].alt, points[i].alt);
+      }
+    }
+    return closestAlt < obstacle.height_m + OBSTACLE_VERTICAL_MARGIN_M;
+  }).map(hazard => ({
+    id: hazard.id,
+    name: hazard.name,
+    distance_m: hazard.distance_m,
+    severity: hazard.distance_m === 0 ? "critical" : "warning"
+  }));
+  let status = "pass";
+  let message = hazards.length ? `${hazards.length} obstacle(s) nearby, none within ${clearance} m` : "No obstacles nearby";
+  if (conflicts.length) {
+    status = "fail";
+    message = `${conflicts.length} obstacle(s) within ${clearance} m clearance`;
+  } else if (hazards.some(hazard => hazard.distance_m < clearance * 2)) {
+    status = "warn";
+    message = `Obstacles within ${clearance * 2} m of the route`;
+  }
+  return {
+    status,
+    message,
+    clearance_m: clearance,
+    conflicts,
+    hazards,
+    obstacle_count: hazards.length,
+    truncated: false
+  };
+}
+
+function evaluateCompliance(world, body = {}, now = Date.now()) {
+  const metadata = body.metadata || {};
+  const points = readWaypoints(world, body.waypoints);
+  const hasRoute = points.length >= 2;
+  const path = points.length ? points.map(wp => wp.pos) : [[0, 0]];
+  const distance = geo.polylineLength(path);
+  const speed = numberOr(metadata.drone_speed_mps, DEFAULT_SPEED_MPS);
+  const estimatedMinutes = distance / speed / 60;
+
+  const checks = {
+    weather: weatherCheck(world, now),
+    battery: batteryCheck(metadata, estimatedMinutes, speed),
+    population: populationCheck(world, path, metadata),
+    obstacles: obstacleCheck(world, points.length ? points : [{ pos: [0, 0], alt: 0 }], metadata)
+  };
+
+  const violations = [];
+  if (!hasRoute) violations.push({ type: "route", message: "At least two waypoints are required" });
+  points.filter(wp => wp.alt > MAX_ALTITUDE_M).forEach((wp) => {
+    violations.push({ type: "altitude", message: `Waypoint at ${wp.alt} m exceeds the ${MAX_ALTITUDE_M} m ceiling`, lat: wp.lat, lon: wp.lon });
+  });
+  if (hasRoute) {
+    world.checkRoute(points.map(wp => ({ lat: wp.lat, lon: wp.lon, altitude_m: wp.alt })), { types: BREACH_TYPES })
+      .conflicting_geofences.forEach((hit) => {
+        violations.push({ type: "geofence", message: `Leg ${hit.segment_index + 1} enters ${hit.geofence_name}`, ...hit });
+      });
+  }
+
+  const statuses = Object.values(checks).map(check => check.status);
+  const blocking = Object.entries(checks).filter(([, check]) => check.status === "fail").map(([key]) => key);
+  let overall = "pass";
+  if (blocking.length || violations.length) overall = "fail";
+  else if (statuses.includes("warn")) overall = "warn";
+
+  return {
+    ok: !blocking.length && !violations.length,
+    blocking,
+    violations,
+    report: {
+      generated_at: new Date(now).toISOString(),
+      overall_status: overall,
+      route: { distance_m: round(distance), estimated_minutes: round(estimatedMinutes, 2), has_route: hasRoute },
+      checks
+    }
+  };
+}
+
+// Shortest way around a fence's buffered bounding box: via one corner or two
+// adjacent ones, whichever clears it.
+function detourAround(a, b, polygon, buffer) {
+  const box = geo.boundingBox(polygon);
+  const corners = [
+    [box.minX - buffer, box.minY - buffer],
+    [box.maxX + buffer, box.minY - buffer],
+    [box.maxX + buffer, box.maxY + buffer],
+    [box.minX - buffer, box.maxY + buffer]
+  ];
+  const candidates = [];
+  corners.forEach((corner, i) => {
+    const next = corners[(i + 1) % 4];
+    candidates.push([corner], [corner, next], [next, corner]);
+  });
+  let best = null;
+  candidates.forEach((via) => {
+    const path = [a, ...via, b];
+    for (let i = 1; i < path.length; i += 1) {
+      if (geo.segmentCrossesPolygon(path[i - 1], path[i], polygon)) return;
+    }
+    const length = geo.polylineLength(path);
+    if (!best || length < best.length) best = { via, length };
+  });
+  return { via: best ? best.via : null, evaluated: candidates.length };
+}
+
+function planRoute(world, body = {}) {
+  const points = readWaypoints(world, body.waypoints);
+  if (points.length < 2) {
+    return { ok: false, message: "At least two waypoints are required", errors: ["At least two waypoints are required"] };
+  }
+  const buffer = numberOr(body.safety_buffer_m, 20);
+  const sampleSpacing = Math.max(5, numberOr(body.sample_spacing_m, 25));
+  const errors = [];
+  let nodesVisited = 0;
+
+  let cruise = Math.max(...points.map(wp => wp.alt));
+  const fences = world.activeGeofencesLocal().filter(fence => cruise >= fence.lower_altitude_m && cruise <= fence.upper_altitude_m + buffer);
+
+  let path = points.map(wp => wp.pos);
+  for (let pass = 0; pass < DETOUR_PASSES; pass += 1) {
+    let changed = false;
+    for (let i = 1; i < path.length && !changed; i += 1) {
+      const blocking = fences.find(fence => geo.segmentCrossesPolygon(path[i - 1], path[i], fence.local));
+      if (!blocking) continue;
+      const { via, evaluated } = detourAround(path[i - 1], path[i], blocking.local, buffer);
+      nodesVisited += evaluated;
+      if (!via) {
+        errors.push(`No detour found around ${blocking.name}`);
+        continue;
+      }
+      path = [...path.slice(0, i), ...via, ...path.slice(i)];
+      changed = true;
+    }
+    if (!changed) break;
+  }
+
+  const hazards = obstaclesNear(world, path, HAZARD_SEARCH_M);
+  hazards.filter(hazard => hazard.distance_m < buffer).forEach((hazard) => {
+    cruise = Math.max(cruise, hazard.height_m + buffer);
+  });
+  if (cruise > MAX_ALTITUDE_M) {
+    errors.push(`Obstacles need ${round(cruise)} m, above the ${MAX_ALTITUDE_M} m ceiling`);
+    cruise = MAX_ALTITUDE_M;
+  }
+
+  const toPoint = (pos, alt, phase) => {
+    const { lat, lon } = world.projection.toLatLon(pos);
+    return { lat: round(lat, 7), lon: round(lon, 7), altitude_m: round(alt), phase };
+  };
+  const last = path[path.length - 1];
+  const waypoints = [
+    toPoint(path[0], 0, "GROUND_DEPARTURE"),
+    toPoint(path[0], cruise, "CLIMB"),
+    ...path.slice(1, -1).map(pos => toPoint(pos, cruise, "CRUISE")),
+    toPoint(last, cruise, "DESCENT"),
+    toPoint(last, 0, "GROUND_ARRIVAL")
+  ];
+  const airborne = waypoints.filter(wp => !wp.phase.startsWith("GROUND"));
+  return {
+    ok: errors.length === 0,
+    waypoints,
+    stats: {
+      avg_agl: round(airborne.reduce((sum, wp) => sum + wp.altitude_m, 0) / airborne.length),
+      max_agl: round(cruise),
+      max_altitude: round(cruise)
+    },
+    nodes_visited: nodesVisited,
+    optimized_points: waypoints.length,
+    sample_points: Math.ceil(geo.polylineLength(path) / sampleSpacing) + 1,
+    hazards,
+    errors
+  };
+}
+
+module.exports = { COMPLIANCE_LIMITS, evaluateCompliance, planRoute };
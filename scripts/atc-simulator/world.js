@@ -0,0 +1,1276 @@
+// In-memory airspace for the simulator: scripted and registered drones,
+// external Remote ID tracks, commands, geofences, flight plans, Flight
+// Blender declarations and injected RID test flights. `tick()` advances it
+// and recomputes conflicts, DAA advisories and conformance from the actual
+// positions, so the UI sees the same cause and effect it would against the
+// real services.
+
+"use strict";
+
+const crypto = require("crypto");
+const geo = require("./geo");
+
+const CONFLICT_HORIZONTAL_M = 150;
+const CONFLICT_VERTICAL_M = 30;
+const CPA_LOOKAHEAD_S = 30;
+const CPA_ALERT_M = 100;
+const RID_PROXIMITY_M = 300;
+const RID_PROXIMITY_VERTICAL_M = 60;
+const GEOFENCE_PROXIMITY_M = 80;
+const STRATEGIC_HORIZONTAL_M = 60;
+const STRATEGIC_VERTICAL_M = 30;
+const STRATEGIC_SAMPLE_S = 2;
+const HISTORY_RETENTION_MS = 10 * 60 * 1000;
+const RID_TEST_LINGER_MS = 60 * 1000;
+const COMMAND_ACK_DELAY_MS = 1500;
+const CLIMB_RATE_MPS = 3;
+const LAND_RATE_MPS = 2;
+const ARRIVAL_RADIUS_M = 3;
+const DEFAULT_PLAN_SPEED_MPS = 10;
+
+const GEOFENCE_TYPES = ["no_fly_zone", "restricted_area", "temporary_restriction", "advisory"];
+// Geofence types a drone may not enter; advisories only inform.
+const BREACH_TYPES = new Set(["no_fly_zone", "restricted_area", "temporary_restriction"]);
+const PLAN_LIVE_STATUSES = new Set(["reserved", "approved", "active"]);
+// Flight Blender operation states.
+const DECLARATION_STATE = { accepted: 1, activated: 2, nonconforming: 3, ended: 5, withdrawn: 6, cancelled: 7 };
+
+class SimError extends Error {
+  constructor(status, message, extra = {}) {
+    super(message);
+    this.status = status;
+    this.extra = extra;
+  }
+}
+
+function round(value, digits = 1) {
+  const factor = 10 ** digits;
+  return Math.round(value * factor) / factor;
+}
+
+function iso(ms) {
+  return new Date(ms).toISOString();
+}
+
+function shortId() {
+  return crypto.randomUUID().slice(0, 8);
+}
+
+function finite(value, fallback) {
+  const parsed = Number(value);
+  return value !== null && value !== "" && Number.isFinite(parsed) ? parsed : fallback;
+}
+
+function isActiveWindow(event, elapsedS) {
+  if (elapsedS < event.start_s) return false;
+  const into = event.every_s ? (elapsedS - event.start_s) % event.every_s : elapsedS - event.start_s;
+  return into < event.duration_s;
+}
+
+function createWorld(scenario, { clock = Date.now } = {}) {
+  const projection = geo.createProjection(scenario.center);
+  const toLocal = (lat, lon) => projection.toLocal(Number(lat), Number(lon));
+
+  let state;
+
+  function routeGeometry(route, path) {
+    const points = route.map(point => [Number(point[0]), Number(point[1])]);
+    const closed = path === "loop" ? [...points, points[0]] : points;
+    return { points: closed, length: geo.polylineLength(closed), path: path || "once" };
+  }
+
+  function routePosition(geometry, s) {
+    const { points, length, path } = geometry;
+    if (!length) return points[0];
+    if (path === "loop") return geo.pointAlong(points, s % length);
+    if (path === "pingpong") {
+      const cycle = s % (2 * length);
+      return geo.pointAlong(points, cycle <= length ? cycle : 2 * length - cycle);
+    }
+    return geo.pointAlong(points, Math.min(s, length));
+  }
+
+  function createDrone({ droneId, ownerId, droneType = "UAV", route = null, path = null, altitude = 0, speed = DEFAULT_PLAN_SPEED_MPS, external = false }) {
+    const geometry = route && route.length > 1 ? routeGeometry(route, path) : null;
+    const home = route && route.length ? [Number(route[0][0]), Number(route[0][1])] : [0, 0];
+    const flying = Boolean(geometry) && altitude > 0;
+    const drone = {
+      id: droneId,
+      ownerId: ownerId || null,
+      droneType,
+      external,
+      home,
+      pos: home,
+      alt: flying ? altitude : 0,
+      cruiseAlt: altitude > 0 ? altitude : 50,
+      cruiseSpeed: speed,
+      velocity: [0, 0, 0],
+      heading: 0,
+      geometry,
+      routeS: 0,
+      mode: flying ? "route" : "idle",
+      holdUntil: null,
+      resumeMode: null,
+      target: null,
+      planId: null,
+      linkLost: false,
+      sessionToken: crypto.randomUUID(),
+      reported: null
+    };
+    drone.reported = snapshot(drone, clock());
+    return drone;
+  }
+
+  function reset() {
+    const startedAt = clock();
+    state = {
+      startedAt,
+      lastTickAt: startedAt,
+      droneSeq: 0,
+      adviceSeq: 0,
+      drones: new Map(),
+      external: new Map(),
+      commands: new Map(),
+      geofences: new Map(),
+      plans: new Map(),
+      declarations: new Map(),
+      subscriptions: new Map(),
+      ridTests: new Map(),
+      ridView: null,
+      conflicts: [],
+      conformance: new Map(),
+      advisories: new Map(),
+      resolvedAdvisories: [],
+      events: (scenario.events || []).map(event => ({ ...event, active: false }))
+    };
+    (scenario.drones || []).forEach((entry) => {
+      state.drones.set(entry.drone_id, createDrone({
+        droneId: entry.drone_id,
+        ownerId: entry.owner_id,
+        droneType: entry.drone_type,
+        route: entry.route,
+        path: entry.path,
+        altitude: entry.altitude_m,
+        speed: entry.speed_mps
+      }));
+    });
+    (scenario.external || []).forEach((entry) => {
+      state.external.set(entry.drone_id, createDrone({
+        droneId: entry.drone_id,
+        route: entry.route,
+        path: entry.path,
+        altitude: entry.altitude_m,
+        speed: entry.speed_mps,
+        external: true
+      }));
+    });
+    (scenario.geofences || []).forEach((entry) => {
+      const polygon = entry.polygon.map(point => projection.toLatLon(point)).map(({ lat, lon }) => [lat, lon]);
+      polygon.push(polygon[0]);
+      storeGeofence({ ...entry, polygon }, startedAt);
+    });
+  }
+
+  // ========================================
+  // Drones
+  // ========================================
+
+  function snapshot(drone, now) {
+    const { lat, lon } = projection.toLatLon(drone.pos);
+    let status = "inactive";
+    if (drone.mode === "hold") status = "holding";
+    else if (drone.mode !== "idle") status = "active";
+    return {
+      drone_id: drone.id,
+      owner_id: drone.ownerId,
+      lat: round(lat, 7),
+      lon: round(lon, 7),
+      altitude_m: round(drone.alt),
+      heading_deg: round(drone.heading),
+      speed_mps: round(Math.hypot(drone.velocity[0], drone.velocity[1])),
+      velocity_x: round(drone.velocity[0], 2),
+      velocity_y: round(drone.velocity[1], 2),
+      velocity_z: round(drone.velocity[2], 2),
+      last_update: iso(now),
+      status,
+      drone_type: drone.droneType
+    };
+  }
+
+  function moveToward(drone, target, targetAlt, dtS) {
+    const distance = geo.distance2d(drone.pos, target);
+    const step = drone.cruiseSpeed * dtS;
+    if (distance > 0.01) drone.heading = geo.headingDeg(drone.pos, target);
+    drone.pos = distance <= step ? target : geo.lerp(drone.pos, target, step / distance);
+    climbToward(drone, targetAlt, dtS);
+    return distance <= Math.max(step, ARRIVAL_RADIUS_M) && Math.abs(drone.alt - targetAlt) < 0.5;
+  }
+
+  function climbToward(drone, targetAlt, dtS) {
+    const delta = targetAlt - drone.alt;
+    const step = (delta > 0 ? CLIMB_RATE_MPS : LAND_RATE_MPS) * dtS;
+    drone.alt = Math.abs(delta) <= step ? targetAlt : drone.alt + Math.sign(delta) * step;
+  }
+
+  function holdDrone(drone, untilMs, resumeMode) {
+    drone.resumeMode = drone.mode === "hold" ? drone.resumeMode : resumeMode;
+    drone.mode = "hold";
+    drone.holdUntil = untilMs;
+  }
+
+  function resumeDrone(drone) {
+    if (drone.mode !== "hold") return;
+    drone.mode = drone.resumeMode || (drone.geometry ? "route" : "idle");
+    drone.resumeMode = null;
+    drone.holdUntil = null;
+  }
+
+  function advanceDrone(drone, dtS, now) {
+    const before = [...drone.pos];
+    const altBefore = drone.alt;
+    switch (drone.mode) {
+      case "route": {
+        drone.routeS += drone.cruiseSpeed * dtS;
+        const next = routePosition(drone.geometry, drone.routeS);
+        if (geo.distance2d(drone.pos, next) > 0.01) drone.heading = geo.headingDeg(drone.pos, next);
+        drone.pos = next;
+        climbToward(drone, drone.cruiseAlt, dtS);
+        if (drone.geometry.path === "once" && drone.routeS >= drone.geometry.length) holdDrone(drone, null, "idle");
+        break;
+      }
+      case "hold":
+        if (drone.holdUntil && now >= drone.holdUntil) resumeDrone(drone);
+        break;
+      case "goto":
+        if (moveToward(drone, drone.target.pos, drone.target.alt, dtS)) {
+          holdDrone(drone, null, drone.geometry ? "route" : "idle");
+        }
+        break;
+      case "rth":
+        if (moveToward(drone, drone.home, Math.max(drone.alt, 20), dtS)) drone.mode = "land";
+        break;
+      case "land":
+        climbToward(drone, 0, dtS);
+        if (drone.alt <= 0) drone.mode = "idle";
+        break;
+      case "plan":
+        followPlan(drone, now);
+        break;
+      default:
+        break;
+    }
+    drone.velocity = dtS > 0
+      ? [(drone.pos[0] - before[0]) / dtS, (drone.pos[1] - before[1]) / dtS, (drone.alt - altBefore) / dtS]
+      : [0, 0, 0];
+  }
+
+  function listDrones({ ownerId } = {}) {
+    return [...state.drones.values()]
+      .filter(drone => !ownerId || drone.ownerId === ownerId)
+      .map(drone => ({ ...drone.reported }));
+  }
+
+  function getDrone(droneId) {
+    const drone = state.drones.get(droneId);
+    return drone ? { ...drone.reported } : null;
+  }
+
+  function registerDrone({ drone_id: requestedId, owner_id: ownerId, drone_type: droneType } = {}) {
+    let droneId = typeof requestedId === "string" && requestedId.trim() ? requestedId.trim() : null;
+    if (!droneId) {
+      do {
+        state.droneSeq += 1;
+        droneId = `DRONE${String(state.droneSeq).padStart(4, "0")}`;
+      } while (state.drones.has(droneId));
+    }
+    const existing = state.drones.get(droneId);
+    if (existing) {
+      if (existing.ownerId && ownerId && existing.ownerId !== ownerId) {
+        throw new SimError(409, `Drone ${droneId} is registered to another owner`);
+      }
+      existing.sessionToken = crypto.randomUUID();
+      return { drone_id: droneId, session_token: existing.sessionToken };
+    }
+    // New drones wait on a pad row just south-west of the centre.
+    const slot = state.drones.size;
+    const pad = [[-120 + (slot % 8) * 30, -220 - Math.floor(slot / 8) * 30]];
+    const drone = createDrone({ droneId, ownerId, droneType: droneType || "UAV", route: pad });
+    state.drones.set(droneId, drone);
+    return { drone_id: droneId, session_token: drone.sessionToken };
+  }
+
+  // ========================================
+  // Commands
+  // ========================================
+
+  const COMMAND_TYPES = ["HOLD", "RESUME", "LAND", "RETURN_TO_HOME", "GOTO", "SPEED_CHANGE", "ALTITUDE_CHANGE", "REROUTE"];
+
+  function issueCommand(body = {}) {
+    const drone = state.drones.get(body.drone_id);
+    if (!drone) throw new SimError(404, `Unknown drone ${body.drone_id || "(none)"}`);
+    const type = String(body.type || "").toUpperCase();
+    if (!COMMAND_TYPES.includes(type)) {
+      throw new SimError(400, `Unsupported command type "${body.type}". Use one of ${COMMAND_TYPES.join(", ")}`);
+    }
+    if (type === "GOTO" && !(Number.isFinite(Number(body.lat)) && Number.isFinite(Number(body.lon)))) {
+      throw new SimError(400, "GOTO requires lat and lon");
+    }
+    if (type === "REROUTE" && !(Array.isArray(body.waypoints) && body.waypoints.length)) {
+      throw new SimError(400, "REROUTE requires waypoints");
+    }
+    const { drone_id: _droneId, owner_id: _ownerId, expires_in_secs: ttl, type: _type, ...params } = body;
+    const now = clock();
+    const command = {
+      command_id: `CMD-${shortId().toUpperCase()}`,
+      drone_id: drone.id,
+      command_type: { type, ...params },
+      issued_at: iso(now),
+      expires_at: iso(now + finite(ttl, 60) * 1000),
+      acknowledged: false,
+      status: "queued"
+    };
+    state.commands.set(command.command_id, command);
+    return { command_id: command.command_id, drone_id: drone.id, status: "queued", expires_at: command.expires_at };
+  }
+
+  function applyCommand(drone, command, now) {
+    const params = command.command_type;
+    switch (params.type) {
+      case "HOLD":
+        if (drone.mode !== "idle") {
+          const duration = finite(params.duration_secs, 0);
+          holdDrone(drone, duration > 0 ? now + duration * 1000 : null, drone.mode);
+        }
+        break;
+      case "RESUME":
+        resumeDrone(drone);
+        break;
+      case "LAND":
+        drone.mode = "land";
+        break;
+      case "RETURN_TO_HOME":
+        if (drone.mode !== "idle") drone.mode = "rth";
+        break;
+      case "GOTO":
+        drone.target = {
+          pos: toLocal(params.lat, params.lon),
+          alt: finite(params.altitude_m, drone.cruiseAlt)
+        };
+        drone.mode = "goto";
+        break;
+      case "SPEED_CHANGE":
+        drone.cruiseSpeed = Math.min(30, Math.max(1, finite(params.target_speed_mps, drone.cruiseSpeed)));
+        break;
+      case "ALTITUDE_CHANGE":
+        drone.cruiseAlt = Math.min(400, Math.max(5, finite(params.target_altitude_m, drone.cruiseAlt)));
+        if (drone.target) drone.target.alt = drone.cruiseAlt;
+        break;
+      case "REROUTE": {
+        const points = params.waypoints.map(wp => toLocal(wp.lat, wp.lon));
+        drone.geometry = routeGeometry([drone.pos, ...points], "once");
+        drone.routeS = 0;
+        const altitude = finite(params.waypoints[0]?.altitude_m, drone.cruiseAlt);
+        drone.cruiseAlt = altitude;
+        drone.mode = "route";
+        break;
+      }
+      default:
+        break;
+    }
+  }
+
+  function processCommands(now) {
+    state.commands.forEach((command, id) => {
+      const expiresAt = Date.parse(command.expires_at);
+      if (command.status === "queued") {
+        const drone = state.drones.get(command.drone_id);
+        if (now > expiresAt) {
+          command.status = "expired";
+        } else if (drone && !drone.linkLost && now - Date.parse(command.issued_at) >= COMMAND_ACK_DELAY_MS) {
+          applyCommand(drone, command, now);
+          command.acknowledged = true;
+          command.status = "acknowledged";
+          command.acknowledged_at = iso(now);
+        }
+      } else if (now - expiresAt > HISTORY_RETENTION_MS) {
+        state.commands.delete(id);
+      }
+    });
+  }
+
+  // GET /v1/commands lists the queue only; the admin view includes history.
+  function listCommands({ droneId, includeHistory = false } = {}) {
+    return [...state.commands.values()]
+      .filter(command => includeHistory || command.status === "queued")
+      .filter(command => !droneId || command.drone_id === droneId)
+      .map(command => ({ ...command, command_type: { ...command.command_type } }));
+  }
+
+  // ========================================
+  // Scripted events
+  // ========================================
+
+  function processEvents(now) {
+    const elapsedS = (now - state.startedAt) / 1000;
+    state.events.forEach((event) => {
+      const drone = state.drones.get(event.drone_id);
+      const active = isActiveWindow(event, elapsedS);
+      if (!drone || active === event.active) return;
+      event.active = active;
+      if (event.action === "lost_link") {
+        drone.linkLost = active;
+        console.log(`[Simulator] ${drone.id} ${active ? "lost its datalink" : "datalink restored"}`);
+      } else if (event.action === "hold") {
+        if (active && drone.mode === "route") holdDrone(drone, now + event.duration_s * 1000, "route");
+      }
+    });
+  }
+
+  // ========================================
+  // Geofences
+  // ========================================
+
+  function storeGeofence(entry, now) {
+    const polygon = entry.polygon.map(([lat, lon]) => [Number(lat), Number(lon)]);
+    const geofence = {
+      id: entry.id || crypto.randomUUID(),
+      name: entry.name,
+      geofence_type: entry.geofence_type,
+      polygon,
+      lower_altitude_m: finite(entry.lower_altitude_m, 0),
+      upper_altitude_m: finite(entry.upper_altitude_m, 120),
+      active: entry.active !== false,
+      created_at: entry.created_at || iso(now),
+      updated_at: iso(now)
+    };
+    Object.defineProperty(geofence, "local", {
+      value: polygon.map(([lat, lon]) => toLocal(lat, lon)),
+      enumerable: false,
+      writable: true
+    });
+    state.geofences.set(geofence.id, geofence);
+    return geofence;
+  }
+
+  function validateGeofence(body, partial) {
+    if (!partial || body.name !== undefined) {
+      if (typeof body.name !== "string" || !body.name.trim()) throw new SimError(400, "name is required");
+    }
+    if (!partial || body.geofence_type !== undefined) {
+      if (!GEOFENCE_TYPES.includes(body.geofence_type)) {
+        throw new SimError(400, `geofence_type must be one of ${GEOFENCE_TYPES.join(", ")}`);
+      }
+    }
+    if (!partial || body.polygon !== undefined) {
+      const polygon = body.polygon;
+      if (!Array.isArray(polygon) || polygon.length < 4 || polygon.some(point => !Array.isArray(point) || point.length < 2)) {
+        throw new SimError(400, "polygon needs at least 4 [lat, lon] points");
+      }
+      const [first, last] = [polygon[0], polygon[polygon.length - 1]];
+      if (Number(first[0]) !== Number(last[0]) || Number(first[1]) !== Number(last[1])) {
+        throw new SimError(400, "polygon must be closed (first point equals last)");
+      }
+    }
+    const lower = body.lower_altitude_m;
+    const upper = body.upper_altitude_m;
+    if (lower !== undefined && upper !== undefined && Number(lower) >= Number(upper)) {
+      throw new SimError(400, "lower_altitude_m must be below upper_altitude_m");
+    }
+  }
+
+  function createGeofence(body = {}) {
+    validateGeofence(body, false);
+    const { id: _id, ...fields } = body;
+    return storeGeofence({ ...fields, id: null, created_at: null }, clock());
+  }
+
+  function updateGeofence(id, body = {}) {
+    const existing = state.geofences.get(id);
+    if (!existing) throw new SimError(404, "Geofence not found");
+    validateGeofence(body, true);
+    const merged = { ...existing };
+    ["name", "geofence_type", "polygon", "lower_altitude_m", "upper_altitude_m", "active"].forEach((field) => {
+      if (body[field] !== undefined) merged[field] = body[field];
+    });
+    return storeGeofence(merged, clock());
+  }
+
+  function deleteGeofence(id) {
+    if (!state.geofences.delete(id)) throw new SimError(404, "Geofence not found");
+  }
+
+  function geofencesAt(pos, alt, { types = null, marginM = 0 } = {}) {
+    return [...state.geofences.values()].filter((geofence) => {
+      if (!geofence.active || (types && !types.has(geofence.geofence_type))) return false;
+      if (alt < geofence.lower_altitude_m || alt > geofence.upper_altitude_m) return false;
+      return marginM > 0
+        ? geo.distanceToPolygon(pos, geofence.local) <= marginM
+        : geo.pointInPolygon(pos, geofence.local);
+    });
+  }
+
+  function checkPoint(lat, lon, altitude) {
+    const hits = geofencesAt(toLocal(lat, lon), finite(altitude, 0));
+    return { inside_geofence: hits.length > 0, geofence_ids: hits.map(geofence => geofence.id) };
+  }
+
+  // Active geofences crossed by each leg of a route. Only altitude bands
+  // overlapping the leg count.
+  function checkRoute(waypoints, { types = null } = {}) {
+    const points = waypoints.map(wp => ({ pos: toLocal(wp.lat, wp.lon), alt: finite(wp.altitude_m ?? wp.alt, 0) }));
+    const conflicts = [];
+    for (let i = 1; i < points.length; i += 1) {
+      const [a, b] = [points[i - 1], points[i]];
+      const low = Math.min(a.alt, b.alt);
+      const high = Math.max(a.alt, b.alt);
+      state.geofences.forEach((geofence) => {
+        if (!geofence.active || (types && !types.has(geofence.geofence_type))) return;
+        if (high < geofence.lower_altitude_m || low > geofence.upper_altitude_m) return;
+        if (geo.segmentCrossesPolygon(a.pos, b.pos, geofence.local)) {
+          conflicts.push({ geofence_id: geofence.id, geofence_name: geofence.name, geofence_type: geofence.geofence_type, segment_index: i - 1 });
+        }
+      });
+    }
+    return { conflicts: conflicts.length > 0, conflicting_geofences: conflicts };
+  }
+
+  // ========================================
+  // Flight plans and operational intents
+  // ========================================
+
+  // Accepts both the standard request (altitude_m, time_offset_s) and the
+  // planner's compat request (alt, time_offset).
+  function normalizePlanRequest(body = {}, existing = null) {
+    const metadata = { ...(existing?.metadata || {}), ...(body.metadata || {}) };
+    const droneId = body.drone_id || metadata.drone_id || existing?.drone_id || null;
+    const readPoint = wp => ({
+      lat: Number(wp.lat),
+      lon: Number(wp.lon),
+      altitude_m: finite(wp.altitude_m ?? wp.alt, 50),
+      offset: finite(wp.time_offset_s ?? wp.time_offset, null),
+      speed: finite(wp.speed_mps, null)
+    });
+    const waypoints = (Array.isArray(body.waypoints) ? body.waypoints : existing?.waypoints || []).map(readPoint)
+      .filter(wp => Number.isFinite(wp.lat) && Number.isFinite(wp.lon));
+    if (waypoints.length < 2) throw new SimError(400, "At least two waypoints are required");
+    if (droneId && !state.drones.has(droneId)) throw new SimError(404, `Unknown drone ${droneId}`);
+
+    const trajectory = (Array.isArray(body.trajectory_log) && body.trajectory_log.length >= 2
+      ? body.trajectory_log.map(readPoint)
+      : waypoints
+    ).filter(wp => Number.isFinite(wp.lat) && Number.isFinite(wp.lon));
+    const speed = finite(metadata.drone_speed_mps, null) || waypoints.find(wp => wp.speed)?.speed || DEFAULT_PLAN_SPEED_MPS;
+    let elapsed = 0;
+    const timeline = trajectory.map((wp, index) => {
+      const pos = toLocal(wp.lat, wp.lon);
+      if (index > 0) {
+        const previous = trajectory[index - 1];
+        elapsed += geo.distance2d(toLocal(previous.lat, previous.lon), pos) / speed;
+      }
+      return { t: wp.offset ?? elapsed, pos, alt: wp.altitude_m };
+    });
+    for (let i = 1; i < timeline.length; i += 1) timeline[i].t = Math.max(timeline[i].t, timeline[i - 1].t);
+
+    const departureMs = Date.parse(body.departure_time || "") || Date.parse(existing?.departure_time || "") || clock();
+    const durationS = timeline[timeline.length - 1].t;
+    return {
+      flight_id: existing?.flight_id || (typeof body.flight_id === "string" && body.flight_id) || `flight-${shortId()}`,
+      drone_id: droneId,
+      owner_id: body.owner_id || existing?.owner_id || null,
+      waypoints: waypoints.map(wp => ({ lat: wp.lat, lon: wp.lon, altitude_m: wp.altitude_m, ...(wp.speed ? { speed_mps: wp.speed } : {}) })),
+      trajectory_log: timeline.map((point) => {
+        const { lat, lon } = projection.toLatLon(point.pos);
+        return { lat: round(lat, 7), lon: round(lon, 7), altitude_m: point.alt, time_offset_s: round(point.t, 2) };
+      }),
+      metadata,
+      departure_time: iso(departureMs),
+      arrival_time: iso(departureMs + durationS * 1000),
+      timeline
+    };
+  }
+
+  function planPositionAt(plan, offsetS) {
+    const { timeline } = plan;
+    if (offsetS <= timeline[0].t) return timeline[0];
+    for (let i = 1; i < timeline.length; i += 1) {
+      const [a, b] = [timeline[i - 1], timeline[i]];
+      if (offsetS <= b.t) {
+        const f = b.t > a.t ? (offsetS - a.t) / (b.t - a.t) : 1;
+        return { pos: geo.lerp(a.pos, b.pos, f), alt: a.alt + (b.alt - a.alt) * f };
+      }
+    }
+    return timeline[timeline.length - 1];
+  }
+
+  // 4D check against every other live plan: sampled positions closer than the
+  // strategic separation while both are airborne.
+  function findStrategicConflicts(candidate) {
+    const start = Date.parse(candidate.departure_time);
+    const end = Date.parse(candidate.arrival_time);
+    const conflicts = [];
+    state.plans.forEach((other) => {
+      if (other.flight_id === candidate.flight_id || !PLAN_LIVE_STATUSES.has(other.status)) return;
+      const from = Math.max(start, Date.parse(other.departure_time));
+      const to = Math.min(end, Date.parse(other.arrival_time));
+      if (from > to) return;
+      if (candidate.drone_id && candidate.drone_id === other.drone_id) {
+        conflicts.push({ flight_id: other.flight_id, time: iso(from), message: `Drone ${other.drone_id} is already scheduled by ${other.flight_id}` });
+        return;
+      }
+      for (let t = from; t <= to; t += STRATEGIC_SAMPLE_S * 1000) {
+        const a = planPositionAt(candidate, (t - start) / 1000);
+        const b = planPositionAt(other, (t - Date.parse(other.departure_time)) / 1000);
+        const horizontal = geo.distance2d(a.pos, b.pos);
+        if (horizontal < STRATEGIC_HORIZONTAL_M && Math.abs(a.alt - b.alt) < STRATEGIC_VERTICAL_M) {
+          conflicts.push({
+            flight_id: other.flight_id,
+            time: iso(t),
+            distance_m: round(horizontal),
+            message: `Within ${round(horizontal)} m of ${other.flight_id} at ${iso(t)}`
+          });
+          return;
+        }
+      }
+    });
+    return conflicts;
+  }
+
+  function rejectIfConflicting(plan) {
+    const violations = [
+      ...findStrategicConflicts(plan).map(conflict => ({ type: "strategic_conflict", ...conflict })),
+      ...checkRoute(plan.waypoints, { types: BREACH_TYPES }).conflicting_geofences.map(hit => ({
+        type: "geofence",
+        ...hit,
+        message: `Leg ${hit.segment_index + 1} enters ${hit.geofence_name}`
+      }))
+    ];
+    if (!violations.length) return;
+    throw new SimError(409, "Flight plan conflicts with existing operations", {
+      ...serializePlan({ ...plan, status: "rejected" }),
+      violations
+    });
+  }
+
+  function serializePlan(plan) {
+    const { timeline: _timeline, ...fields } = plan;
+    return { ...fields, metadata: { ...fields.metadata } };
+  }
+
+  function createPlan(body, { status = "approved", force = false } = {}) {
+    const now = clock();
+    const plan = { ...normalizePlanRequest(body), status, created_at: iso(now), updated_at: iso(now) };
+    if (state.plans.has(plan.flight_id)) throw new SimError(409, `Flight ${plan.flight_id} already exists`);
+    if (!force) rejectIfConflicting(plan);
+    state.plans.set(plan.flight_id, plan);
+    console.log(`[Simulator] Flight ${plan.flight_id} ${status} for ${plan.drone_id || "(no drone)"} departing ${plan.departure_time}`);
+    return serializePlan(plan);
+  }
+
+  function requirePlan(flightId) {
+    const plan = state.plans.get(flightId);
+    if (!plan) throw new SimError(404, `Flight ${flightId} not found`);
+    return plan;
+  }
+
+  function updatePlan(flightId, body, { force = false } = {}) {
+    const existing = requirePlan(flightId);
+    if (existing.status !== "reserved") throw new SimError(409, `Only reserved intents can be updated (status is ${existing.status})`);
+    const plan = { ...existing, ...normalizePlanRequest(body, existing), updated_at: iso(clock()) };
+    if (!force) rejectIfConflicting(plan);
+    state.plans.set(flightId, plan);
+    return serializePlan(plan);
+  }
+
+  function confirmPlan(flightId, { force = false } = {}) {
+    const plan = requirePlan(flightId);
+    if (plan.status !== "reserved") throw new SimError(409, `Only reserved intents can be confirmed (status is ${plan.status})`);
+    if (!force) rejectIfConflicting(plan);
+    plan.status = "approved";
+    plan.updated_at = iso(clock());
+    return serializePlan(plan);
+  }
+
+  function cancelPlan(flightId) {
+    const plan = requirePlan(flightId);
+    if (["completed", "cancelled", "rejected"].includes(plan.status)) {
+      throw new SimError(409, `Flight ${flightId} is already ${plan.status}`);
+    }
+    const drone = state.drones.get(plan.drone_id);
+    if (drone && drone.planId === flightId) {
+      drone.planId = null;
+      holdDrone(drone, null, "idle");
+    }
+    plan.status = "cancelled";
+    plan.updated_at = iso(clock());
+    return serializePlan(plan);
+  }
+
+  function listPlans({ ownerId, limit, offset } = {}) {
+    const plans = [...state.plans.values()]
+      .filter(plan => !ownerId || plan.owner_id === ownerId)
+      .sort((a, b) => Date.parse(b.created_at) - Date.parse(a.created_at));
+    const start = Math.max(0, finite(offset, 0));
+    const size = Math.max(1, Math.min(1000, finite(limit, 100)));
+    return plans.slice(start, start + size).map(serializePlan);
+  }
+
+  function followPlan(drone, now) {
+    const plan = state.plans.get(drone.planId);
+    if (!plan) {
+      drone.mode = "idle";
+      return;
+    }
+    const offsetS = (now - Date.parse(plan.departure_time)) / 1000;
+    const { pos, alt } = planPositionAt(plan, offsetS);
+    if (geo.distance2d(drone.pos, pos) > 0.01) drone.heading = geo.headingDeg(drone.pos, pos);
+    drone.pos = pos;
+    drone.alt = alt;
+  }
+
+  function processPlans(now) {
+    state.plans.forEach((plan) => {
+      const departure = Date.parse(plan.departure_time);
+      const arrival = Date.parse(plan.arrival_time);
+      const drone = state.drones.get(plan.drone_id);
+      if (plan.status === "approved" && now >= departure) {
+        plan.status = now < arrival ? "active" : "completed";
+        plan.updated_at = iso(now);
+        if (plan.status === "active" && drone) {
+          drone.planId = plan.flight_id;
+          drone.mode = "plan";
+          console.log(`[Simulator] ${drone.id} departed on ${plan.flight_id}`);
+        }
+      } else if (plan.status === "active" && now >= arrival) {
+        plan.status = "completed";
+        plan.updated_at = iso(now);
+        if (drone && drone.planId === plan.flight_id) {
+          drone.planId = null;
+          drone.mode = "land";
+          console.log(`[Simulator] ${drone.id} completed ${plan.flight_id}`);
+        }
+      }
+    });
+  }
+
+  // ========================================
+  // Flight Blender declarations
+  // ========================================
+
+  function parseGeoJson(value) {
+    if (value && typeof value === "object") return value;
+    try {
+      return JSON.parse(value);
+    } catch (error) {
+      return null;
+    }
+  }
+
+  function createDeclaration(body = {}) {
+    const geojson = parseGeoJson(body.flight_declaration_geo_json ?? body.flight_declaration_geojson);
+    if (!geojson || !Array.isArray(geojson.features) || !geojson.features.length) {
+      throw new SimError(400, "flight_declaration_geo_json must be a GeoJSON FeatureCollection with at least one feature");
+    }
+    const start = Date.parse(body.start_datetime || "");
+    const end = Date.parse(body.end_datetime || "");
+    if (!Number.isFinite(start) || !Number.isFinite(end) || end <= start) {
+      throw new SimError(400, "start_datetime and end_datetime are required and end must be after start");
+    }
+    const now = clock();
+    const declaration = {
+      id: crypto.randomUUID(),
+      originating_party: body.originating_party || "No Flight Information",
+      start_datetime: iso(start),
+      end_datetime: iso(end),
+      flight_declaration_geojson: geojson,
+      flight_declaration_raw_geojson: JSON.stringify(geojson),
+      type_of_operation: finite(body.type_of_operation, 1),
+      aircraft_id: body.aircraft_id || null,
+      submitted_by: body.submitted_by || null,
+      state: DECLARATION_STATE.accepted,
+      is_approved: true,
+      approved_by: "simulator",
+      created_at: iso(now),
+      updated_at: iso(now)
+    };
+    state.declarations.set(declaration.id, declaration);
+    return { message: "Submitted Flight Declaration", id: declaration.id, is_approved: true, state: declaration.state };
+  }
+
+  function listDeclarations({ startDate, endDate } = {}) {
+    const from = Date.parse(startDate || "");
+    const to = Date.parse(endDate || "");
+    return [...state.declarations.values()]
+      .filter(declaration => !Number.isFinite(from) || Date.parse(declaration.end_datetime) >= from)
+      .filter(declaration => !Number.isFinite(to) || Date.parse(declaration.start_datetime) <= to + 24 * 60 * 60 * 1000)
+      .sort((a, b) => Date.parse(b.start_datetime) - Date.parse(a.start_datetime));
+  }
+
+  function getDeclaration(id) {
+    return state.declarations.get(id) || null;
+  }
+
+  function deleteDeclaration(id) {
+    if (!state.declarations.delete(id)) throw new SimError(404, "Flight Declaration not found");
+  }
+
+  // Declarations follow the ATC plan that references them; without one they
+  // activate and end on their declared times.
+  function processDeclarations(now) {
+    const planByDeclaration = new Map();
+    state.plans.forEach((plan) => {
+      const declarationId = plan.metadata?.blender_declaration_id;
+      if (declarationId) planByDeclaration.set(String(declarationId), plan);
+    });
+    state.declarations.forEach((declaration) => {
+      if ([DECLARATION_STATE.withdrawn, DECLARATION_STATE.cancelled].includes(declaration.state)) return;
+      const plan = planByDeclaration.get(declaration.id);
+      let next;
+      if (plan) {
+        const drone = plan.drone_id ? state.drones.get(plan.drone_id) : null;
+        const nonconforming = drone && state.conformance.get(drone.id)?.status === "nonconforming";
+        next = {
+          active: nonconforming ? DECLARATION_STATE.nonconforming : DECLARATION_STATE.activated,
+          completed: DECLARATION_STATE.ended,
+          cancelled: DECLARATION_STATE.cancelled,
+          rejected: DECLARATION_STATE.cancelled
+        }[plan.status] || DECLARATION_STATE.accepted;
+      } else if (now >= Date.parse(declaration.end_datetime)) {
+        next = DECLARATION_STATE.ended;
+      } else if (now >= Date.parse(declaration.start_datetime)) {
+        next = DECLARATION_STATE.activated;
+      } else {
+        next = DECLARATION_STATE.accepted;
+      }
+      if (next !== declaration.state) {
+        declaration.state = next;
+        declaration.updated_at = iso(now);
+      }
+    });
+  }
+
+  // ========================================
+  // Remote ID (DSS subscriptions and injected test flights)
+  // ========================================
+
+  function setRidView(view) {
+    state.ridView = view;
+    return view;
+  }
+
+  function createSubscription(view) {
+    const parts = String(view || "").split(",").map(Number);
+    if (parts.length !== 4 || parts.some(value => !Number.isFinite(value))) {
+      throw new SimError(400, "view must be lat1,lng1,lat2,lng2");
+    }
+    const id = crypto.randomUUID();
+    const now = clock();
+    state.subscriptions.set(id, {
+      id,
+      minLat: Math.min(parts[0], parts[2]),
+      maxLat: Math.max(parts[0], parts[2]),
+      minLon: Math.min(parts[1], parts[3]),
+      maxLon: Math.max(parts[1], parts[3]),
+      createdAt: now
+    });
+    return { id, created_at: iso(now) };
+  }
+
+  function injectRidTest(testId, body = {}) {
+    const flights = Array.isArray(body.requested_flights) ? body.requested_flights : [];
+    if (!flights.length) throw new SimError(400, "requested_flights must not be empty");
+    const injected = flights.map((flight) => {
+      const telemetry = (Array.isArray(flight.telemetry) ? flight.telemetry : [])
+        .map(point => ({
+          at: Date.parse(point.timestamp || ""),
+          lat: Number(point.position?.lat),
+          lon: Number(point.position?.lng),
+          alt: finite(point.position?.alt, 0),
+          track: finite(point.track, 0),
+          speed: finite(point.speed, 0),
+          status: point.operational_status || "Airborne"
+        }))
+        .filter(point => Number.isFinite(point.at) && Number.isFinite(point.lat) && Number.isFinite(point.lon))
+        .sort((a, b) => a.at - b.at);
+      if (!telemetry.length) throw new SimError(400, `Flight ${flight.injection_id || "(unnamed)"} has no usable telemetry`);
+      const details = flight.details_responses?.[0]?.details || {};
+      return {
+        injectionId: flight.injection_id || crypto.randomUUID(),
+        trackId: details.registration_number || details.serial_number || flight.injection_id,
+        aircraftType: flight.aircraft_type || "UAS",
+        details,
+        telemetry
+      };
+    });
+    state.ridTests.set(testId, { testId, flights: injected, createdAt: clock() });
+    console.log(`[Simulator] RID test ${testId} injected ${injected.length} flight(s)`);
+    return { injected_flights: injected.map(flight => ({ injection_id: flight.injectionId })) };
+  }
+
+  function deleteRidTest(testId) {
+    if (!state.ridTests.delete(testId)) throw new SimError(404, "Test not found");
+  }
+
+  // Latest telemetry at or before `now` for each injected flight; flights
+  // stay visible for a minute after their last report.
+  function injectedRidStates(now) {
+    const states = [];
+    state.ridTests.forEach((test, testId) => {
+      let live = false;
+      test.flights.forEach((flight) => {
+        const first = flight.telemetry[0];
+        const last = flight.telemetry[flight.telemetry.length - 1];
+        if (now < first.at || now > last.at + RID_TEST_LINGER_MS) {
+          live = live || now < first.at;
+          return;
+        }
+        live = true;
+        const point = [...flight.telemetry].reverse().find(entry => entry.at <= now) || first;
+        states.push({ flight, point });
+      });
+      if (!live) state.ridTests.delete(testId);
+    });
+    return states;
+  }
+
+  function ridDataFor(subscriptionId, now) {
+    const subscription = state.subscriptions.get(subscriptionId);
+    if (!subscription) throw new SimError(404, "Subscription not found");
+    const inView = (lat, lon) => lat >= subscription.minLat && lat <= subscription.maxLat
+      && lon >= subscription.minLon && lon <= subscription.maxLon;
+    const flights = listTraffic({ includeExternal: true, externalOnly: true })
+      .filter(track => inView(track.lat, track.lon))
+      .map(track => ({
+        id: track.drone_id,
+        aircraft_type: "UAS",
+        simulated: true,
+        current_state: {
+          timestamp: track.last_update,
+          operational_status: "Airborne",
+          position: { lat: track.lat, lng: track.lon, alt: track.altitude_m },
+          track: track.heading_deg,
+          speed: track.speed_mps,
+          vertical_speed: 0
+        }
+      }));
+    return { subscription_id: subscriptionId, retrieved_at: iso(now), flights };
+  }
+
+  // ========================================
+  // Traffic
+  // ========================================
+
+  function listTraffic({ ownerId, includeExternal = false, source = null, externalOnly = false } = {}) {
+    const tracks = [];
+    if (!externalOnly && (!source || source === "local")) {
+      listDrones({ ownerId }).forEach(drone => tracks.push({ ...drone, traffic_source: "local" }));
+    }
+    if ((includeExternal || externalOnly) && source !== "local") {
+      state.external.forEach(track => tracks.push({ ...track.reported, owner_id: null, traffic_source: "rid" }));
+      injectedRidStates(clock()).forEach(({ flight, point }) => {
+        tracks.push({
+          drone_id: flight.trackId,
+          owner_id: null,
+          lat: point.lat,
+          lon: point.lon,
+          altitude_m: point.alt,
+          heading_deg: point.track,
+          speed_mps: point.speed,
+          last_update: iso(point.at),
+          status: point.status === "Ground" ? "inactive" : "active",
+          traffic_source: "rid"
+        });
+      });
+    }
+    return tracks;
+  }
+
+  // ========================================
+  // Conflicts, conformance and DAA
+  // ========================================
+
+  function airborne(drone) {
+    return !drone.linkLost && ["active", "holding"].includes(drone.reported.status) && drone.alt > 1;
+  }
+
+  function detectConflicts(now) {
+    const drones = [...state.drones.values()].filter(airborne);
+    const conflicts = [];
+    for (let i = 0; i < drones.length; i += 1) {
+      for (let j = i + 1; j < drones.length; j += 1) {
+        const [a, b] = [drones[i], drones[j]].sort((x, y) => x.id.localeCompare(y.id));
+        const r = [b.pos[0] - a.pos[0], b.pos[1] - a.pos[1], b.alt - a.alt];
+        const v = [b.velocity[0] - a.velocity[0], b.velocity[1] - a.velocity[1], b.velocity[2] - a.velocity[2]];
+        const horizontal = Math.hypot(r[0], r[1]);
+        const vv = v[0] * v[0] + v[1] * v[1];
+        const tCpa = vv > 1e-6 ? Math.max(0, Math.min(CPA_LOOKAHEAD_S, -(r[0] * v[0] + r[1] * v[1]) / vv)) : 0;
+        const rc = [r[0] + v[0] * tCpa, r[1] + v[1] * tCpa, r[2] + v[2] * tCpa];
+        const cpaHorizontal = Math.hypot(rc[0], rc[1]);
+        const current = horizontal < CONFLICT_HORIZONTAL_M && Math.abs(r[2]) < CONFLICT_VERTICAL_M;
+        const predicted = cpaHorizontal < CPA_ALERT_M && Math.abs(rc[2]) < CONFLICT_VERTICAL_M;
+        if (!current && !predicted) continue;
+        const closest = Math.min(horizontal, cpaHorizontal);
+        // A close approach that is still far off in time is one level less urgent.
+        const levels = ["info", "warning", "critical"];
+        const level = Math.max(0, (closest < 50 ? 2 : closest < 100 ? 1 : 0) - (!current && tCpa > 15 ? 1 : 0));
+        const midpoint = [
+          (a.pos[0] + a.velocity[0] * tCpa + b.pos[0] + b.velocity[0] * tCpa) / 2,
+          (a.pos[1] + a.velocity[1] * tCpa + b.pos[1] + b.velocity[1] * tCpa) / 2
+        ];
+        const cpa = projection.toLatLon(midpoint);
+        conflicts.push({
+          id: `conflict-${a.id}-${b.id}`,
+          drone1_id: a.id,
+          drone2_id: b.id,
+          distance_m: round(Math.hypot(horizontal, r[2])),
+          severity: levels[level],
+          time_to_closest: round(tCpa),
+          closest_distance_m: round(Math.hypot(cpaHorizontal, rc[2])),
+          cpa_lat: round(cpa.lat, 7),
+          cpa_lon: round(cpa.lon, 7),
+          cpa_altitude_m: round((a.alt + a.velocity[2] * tCpa + b.alt + b.velocity[2] * tCpa) / 2),
+          timestamp: now / 1000
+        });
+      }
+    }
+    state.conflicts = conflicts;
+  }
+
+  function updateConformance(now) {
+    state.drones.forEach((drone) => {
+      const status = drone.reported.status;
+      if (!drone.linkLost && !["active", "holding"].includes(status)) {
+        state.conformance.delete(drone.id);
+        return;
+      }
+      let finding;
+      if (drone.linkLost) {
+        const silentS = Math.round((now - Date.parse(drone.reported.last_update)) / 1000);
+        finding = { code: "LOST_LINK", description: `No telemetry for ${silentS}s`, eventType: "telemetry" };
+      } else {
+        const breached = geofencesAt(drone.pos, drone.alt, { types: BREACH_TYPES })[0];
+        if (breached) {
+          finding = {
+            code: "GEOFENCE_BREACH",
+            description: `Inside ${breached.geofence_type.replace(/_/g, " ")} "${breached.name}"`,
+            eventType: "geofence",
+            geofence: breached
+          };
+        }
+      }
+      const nonconforming = Boolean(finding);
+      const previous = state.conformance.get(drone.id);
+      const sameEpisode = previous && previous.status === (nonconforming ? "nonconforming" : "conforming")
+        && previous.record.conformance_state_code === (finding?.code || "CONFORMING");
+      const record = sameEpisode ? previous.record : {
+        id: `rec-${drone.id}-${now}`,
+        aircraft_id: drone.id,
+        created_at: iso(now)
+      };
+      const plan = drone.planId ? state.plans.get(drone.planId) : null;
+      Object.assign(record, {
+        flight_declaration_id: plan?.metadata?.blender_declaration_id || null,
+        conformance_state: nonconforming ? 3 : 1,
+        conformance_state_label: nonconforming ? "Nonconforming" : "Conforming",
+        conformance_state_code: finding?.code || "CONFORMING",
+        timestamp: iso(now),
+        description: finding?.description || "No issues",
+        event_type: finding?.eventType || "status",
+        geofence_breach: finding?.code === "GEOFENCE_BREACH",
+        geofence_id: finding?.geofence?.id || null,
+        resolved: !nonconforming,
+        updated_at: iso(now)
+      });
+      if (!sameEpisode && nonconforming) console.log(`[Simulator] ${drone.id} nonconforming: ${record.description}`);
+      state.conformance.set(drone.id, {
+        drone_id: drone.id,
+        owner_id: drone.ownerId,
+        status: nonconforming ? "nonconforming" : "conforming",
+        last_checked: iso(now),
+        record
+      });
+    });
+  }
+
+  function desiredAdvisories() {
+    const desired = new Map();
+    const conflictAction = { critical: ["critical", "hold"], warning: ["warning", "reroute"], info: ["advisory", "monitor"] };
+    state.conflicts.forEach((conflict) => {
+      const [severity, action] = conflictAction[conflict.severity];
+      [[conflict.drone1_id, conflict.drone2_id], [conflict.drone2_id, conflict.drone1_id]].forEach(([droneId, otherId]) => {
+        desired.set(`conflict:${droneId}:${otherId}`, {
+          drone_id: droneId,
+          source: "conflict",
+          severity,
+          action,
+          description: `Conflict with ${otherId}: ${conflict.distance_m} m now, ${conflict.closest_distance_m} m in ${conflict.time_to_closest}s`,
+          related_id: conflict.id
+        });
+      });
+    });
+    const external = listTraffic({ externalOnly: true });
+    state.drones.forEach((drone) => {
+      if (!airborne(drone)) return;
+      geofencesAt(drone.pos, drone.alt, { types: BREACH_TYPES, marginM: GEOFENCE_PROXIMITY_M }).forEach((geofence) => {
+        const inside = geo.pointInPolygon(drone.pos, geofence.local);
+        desired.set(`geofence:${drone.id}:${geofence.id}`, {
+          drone_id: drone.id,
+          source: "geofence",
+          severity: inside ? "critical" : "advisory",
+          action: inside ? "exit_geofence" : "avoid",
+          description: inside ? `Inside ${geofence.name}` : `Approaching ${geofence.name}`,
+          related_id: geofence.id
+        });
+      });
+      external.forEach((track) => {
+        const horizontal = geo.distance2d(drone.pos, toLocal(track.lat, track.lon));
+        const vertical = Math.abs(drone.alt - track.altitude_m);
+        if (horizontal > RID_PROXIMITY_M || vertical > RID_PROXIMITY_VERTICAL_M) return;
+        desired.set(`rid:${drone.id}:${track.drone_id}`, {
+          drone_id: drone.id,
+          source: "rid",
+          severity: horizontal < 150 ? "warning" : "advisory",
+          action: vertical < 30 ? (drone.alt < track.altitude_m ? "descend" : "climb") : "monitor",
+          description: `Remote ID traffic ${track.drone_id} ${Math.round(horizontal)} m away, ${Math.round(vertical)} m vertical`,
+          related_id: track.drone_id
+        });
+      });
+    });
+    return desired;
+  }
+
+  function updateAdvisories(now) {
+    const desired = desiredAdvisories();
+    desired.forEach((advice, key) => {
+      const existing = state.advisories.get(key);
+      const drone = state.drones.get(advice.drone_id);
+      if (existing) {
+        Object.assign(existing, advice, { updated_at: iso(now) });
+        return;
+      }
+      state.adviceSeq += 1;
+      state.advisories.set(key, {
+        advisory_id: `daa-${String(state.adviceSeq).padStart(4, "0")}`,
+        owner_id: drone?.ownerId || null,
+        ...advice,
+        record: null,
+        created_at: iso(now),
+        updated_at: iso(now),
+        resolved: false
+      });
+    });
+    state.advisories.forEach((advisory, key) => {
+      if (desired.has(key)) return;
+      state.advisories.delete(key);
+      state.resolvedAdvisories.push({ ...advisory, resolved: true, updated_at: iso(now) });
+    });
+    state.resolvedAdvisories = state.resolvedAdvisories.filter(advisory => now - Date.parse(advisory.updated_at) < HISTORY_RETENTION_MS);
+  }
+
+  function droneOwnedBy(droneId, ownerId) {
+    return state.drones.get(droneId)?.ownerId === ownerId;
+  }
+
+  function listConflicts({ ownerId } = {}) {
+    return state.conflicts
+      .filter(conflict => !ownerId || droneOwnedBy(conflict.drone1_id, ownerId) || droneOwnedBy(conflict.drone2_id, ownerId))
+      .map(conflict => ({ ...conflict }));
+  }
+
+  function listConformance({ ownerId } = {}) {
+    return [...state.conformance.values()]
+      .filter(entry => !ownerId || entry.owner_id === ownerId)
+      .map(entry => ({ ...entry, record: { ...entry.record } }));
+  }
+
+  function listAdvisories({ ownerId, activeOnly = false } = {}) {
+    const advisories = [...state.advisories.values(), ...(activeOnly ? [] : state.resolvedAdvisories)];
+    return advisories
+      .filter(advisory => !ownerId || advisory.owner_id === ownerId)
+      .map(advisory => ({ ...advisory }));
+  }
+
+  // ========================================
+  // Tick
+  // ========================================
+
+  function tick() {
+    const now = clock();
+    const dtS = Math.max(0, (now - state.lastTickAt) / 1000);
+    state.lastTickAt = now;
+
+    processEvents(now);
+    processCommands(now);
+    processPlans(now);
+    [...state.drones.values(), ...state.external.values()].forEach((drone) => {
+      advanceDrone(drone, dtS, now);
+      // A drone without a datalink keeps flying; we just stop hearing about it.
+      if (drone.linkLost) drone.reported = { ...drone.reported, status: "lost" };
+      else drone.reported = snapshot(drone, now);
+    });
+    detectConflicts(now);
+    updateConformance(now);
+    updateAdvisories(now);
+    processDeclarations(now);
+  }
+
+  function summary() {
+    const drones = [...state.drones.values()];
+    return {
+      drones: drones.length,
+      airborne: drones.filter(airborne).length,
+      conflicts: state.conflicts.length,
+      nonconforming: [...state.conformance.values()].filter(entry => entry.status === "nonconforming").length,
+      advisories: state.advisories.size,
+      plans: state.plans.size,
+      declarations: state.declarations.size
+    };
+  }
+
+  reset();
+
+  return {
+    projection,
+    scenario,
+    tick,
+    reset,
+    summary,
+    // Telemetry for the WebSocket stream: every drone with a working datalink.
+    liveTelemetry: () => [...state.drones.values()]
+      .filter(drone => !drone.linkLost)
+      .map(drone => ({ ...drone.reported, traffic_source: "local" })),
+    listDrones,
+    getDrone,
+    registerDrone,
+    issueCommand,
+    listCommands,
+    listGeofences: () => [...state.geofences.values()].map(geofence => ({ ...geofence })),
+    getGeofence: id => (state.geofences.has(id) ? { ...state.geofences.get(id) } : null),
+    createGeofence,
+    updateGeofence,
+    deleteGeofence,
+    checkPoint,
+    checkRoute,
+    listTraffic,
+    listConflicts,
+    listConformance,
+    listAdvisories,
+    createPlan,
+    updatePlan,
+    confirmPlan,
+    cancelPlan,
+    listPlans,
+    createDeclaration,
+    listDeclarations,
+    getDeclaration,
+    deleteDeclaration,
+    setRidView,
+    createSubscription,
+    ridDataFor: subscriptionId => ridDataFor(subscriptionId, clock()),
+    injectRidTest,
+    deleteRidTest,
+    activeGeofencesLocal: (types = BREACH_TYPES) => [...state.geofences.values()]
+      .filter(geofence => geofence.active && types.has(geofence.geofence_type))
+  };
+}
+
+module.exports = { createWorld, SimError, GEOFENCE_TYPES, BREACH_TYPES };
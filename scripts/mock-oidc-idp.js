@@ -0,0 +1,193 @@
+// Minimal OpenID Connect provider for local development and testing of the
+// SSO login. Not for production: users are fixed and there is no password.
+//
+//   npm run mock-idp
+//
+// Point the console at it with:
+//   OIDC_ISSUER_URL=http://localhost:5556 OIDC_CLIENT_ID=atc-frontend
+//   OIDC_ALLOW_INSECURE_ISSUER=1 OIDC_ADMIN_GROUPS=atc-admins
+//   OIDC_AUTHORITY_GROUPS=atc-authority OIDC_OPERATOR_GROUPS=atc-operators
+//
+// Passing `login_hint=<username>` to /authorize skips the user picker.
+
+"use strict";
+
+const crypto = require("crypto");
+const express = require("express");
+
+const PORT = Number(process.env.MOCK_IDP_PORT || 5556);
+const ISSUER = (process.env.MOCK_IDP_ISSUER || `http://localhost:${PORT}`).replace(/\/+$/, "");
+const CLIENT_ID = process.env.MOCK_IDP_CLIENT_ID || "atc-frontend";
+const CLIENT_SECRET = process.env.MOCK_IDP_CLIENT_SECRET || "";
+// Set to "userinfo" to leave groups out of the ID token, as some providers do.
+const GROUPS_IN = process.env.MOCK_IDP_GROUPS_IN || "id_token";
+const CODE_TTL_MS = 60 * 1000;
+
+const DEFAULT_USERS = [
+  { sub: "mock-alice", preferred_username: "alice", name: "Alice Admin", email: "alice@example.test", groups: ["atc-admins"] },
+  { sub: "mock-carol", preferred_username: "carol", name: "Carol Authority", email: "carol@example.test", groups: ["atc-authority"] },
+  { sub: "mock-bob", preferred_username: "bob", name: "Bob Operator", email: "bob@example.test", groups: ["atc-operators"] },
+  { sub: "mock-vic", preferred_username: "vic", name: "Vic Viewer", email: "vic@example.test", groups: ["atc-viewers"] },
+  { sub: "mock-nora", preferred_username: "nora", name: "Nora No-Groups", email: "nora@example.test", groups: [] }
+];
+
+function loadUsers() {
+  if (!process.env.MOCK_IDP_USERS) return DEFAULT_USERS;
+  const users = JSON.parse(process.env.MOCK_IDP_USERS);
+  if (!Array.isArray(users)) throw new Error("MOCK_IDP_USERS must be a JSON array");
+  return users;
+}
+
+const users = loadUsers();
+const { privateKey, publicKey } = crypto.generateKeyPairSync("rsa", { modulusLength: 2048 });
+const kid = crypto.randomBytes(8).toString("hex");
+const jwk = { ...publicKey.export({ format: "jwk" }), kid, use: "sig", alg: "RS256" };
+const codes = new Map();
+const accessTokens = new Map();
+
+function escapeHtml(value) {
+  return String(value ?? "").replace(/[&<>"']/g, char => `&#${char.charCodeAt(0)};`);
+}
+
+function signJwt(claims) {
+  const header = Buffer.from(JSON.stringify({ alg: "RS256", typ: "JWT", kid })).toString("base64url");
+  const payload = Buffer.from(JSON.stringify(claims)).toString("base64url");
+  const signature = crypto.sign("sha256", Buffer.from(`${header}.${payload}`), privateKey).toString("base64url");
+  return `${header}.${payload}.${signature}`;
+}
+
+function profileClaims(user) {
+  return {
+    sub: user.sub,
+    preferred_username: user.preferred_username,
+    name: user.name,
+    email: user.email,
+    email_verified: user.email_verified !== false
+  };
+}
+
+function issueCode(query, user, res) {
+  const code = crypto.randomBytes(24).toString("base64url");
+  codes.set(code, {
+    user,
+    clientId: query.client_id,
+    redirectUri: query.redirect_uri,
+    nonce: query.nonce,
+    codeChallenge: query.code_challenge,
+    expiresAt: Date.now() + CODE_TTL_MS
+  });
+  const target = new URL(query.redirect_uri);
+  target.searchParams.set("code", code);
+  if (query.state) target.searchParams.set("state", query.state);
+  res.redirect(target.toString());
+}
+
+function readClientCredentials(req) {
+  const header = req.get("authorization") || "";
+  if (header.startsWith("Basic ")) {
+    const [id, secret] = Buffer.from(header.slice(6), "base64").toString("utf8").split(":");
+    return { clientId: decodeURIComponent(id || ""), clientSecret: decodeURIComponent(secret || "") };
+  }
+  return { clientId: req.body.client_id, clientSecret: req.body.client_secret || "" };
+}
+
+const app = express();
+app.use(express.urlencoded({ extended: false }));
+
+app.get("/.well-known/openid-configuration", (req, res) => {
+  res.json({
+    issuer: ISSUER,
+    authorization_endpoint: `${ISSUER}/authorize`,
+    token_endpoint: `${ISSUER}/token`,
+    userinfo_endpoint: `${ISSUER}/userinfo`,
+    jwks_uri: `${ISSUER}/jwks`,
+    response_types_supported: ["code"],
+    subject_types_supported: ["public"],
+    id_token_signing_alg_values_supported: ["RS256"],
+    code_challenge_methods_supported: ["S256"],
+    scopes_supported: ["openid", "profile", "email", "groups"]
+  });
+});
+
+app.get("/jwks", (req, res) => {
+  res.json({ keys: [jwk] });
+});
+
+app.get("/authorize", (req, res) => {
+  const query = req.query;
+  if (query.client_id !== CLIENT_ID) return res.status(400).send("unknown client_id");
+  if (query.response_type !== "code") return res.status(400).send("unsupported response_type");
+  if (!query.redirect_uri) return res.status(400).send("missing redirect_uri");
+
+  const hinted = users.find(user => user.preferred_username === query.login_hint);
+  if (hinted) return issueCode(query, hinted, res);
+
+  const hidden = Object.entries(query)
+    .map(([key, value]) => `<input type="hidden" name="${escapeHtml(key)}" value="${escapeHtml(value)}">`)
+    .join("");
+  const options = users
+    .map(user => `<li><button name="user" value="${escapeHtml(user.sub)}">${escapeHtml(user.name)}</button>
+      <small>${escapeHtml(user.preferred_username)} &middot; ${escapeHtml(user.groups.join(", ") || "no groups")}</small></li>`)
+    .join("");
+  res.send(`<!DOCTYPE html><html><head><title>Mock IdP</title></head><body style="font-family: sans-serif;">
+    <h1>Mock identity provider</h1><p>Sign in to <strong>${escapeHtml(CLIENT_ID)}</strong> as:</p>
+    <form method="POST" action="/authorize">${hidden}<ul>${options}</ul></form></body></html>`);
+});
+
+app.post("/authorize", (req, res) => {
+  const user = users.find(entry => entry.sub === req.body.user);
+  if (!user || req.body.client_id !== CLIENT_ID) return res.status(400).send("invalid sign-in");
+  issueCode(req.body, user, res);
+});
+
+app.post("/token", (req, res) => {
+  const { clientId, clientSecret } = readClientCredentials(req);
+  if (clientId !== CLIENT_ID || (CLIENT_SECRET && clientSecret !== CLIENT_SECRET)) {
+    return res.status(401).json({ error: "invalid_client" });
+  }
+  if (req.body.grant_type !== "authorization_code") {
+    return res.status(400).json({ error: "unsupported_grant_type" });
+  }
+  const grant = codes.get(req.body.code);
+  codes.delete(req.body.code);
+  if (!grant || grant.expiresAt < Date.now() || grant.clientId !== clientId || grant.redirectUri !== req.body.redirect_uri) {
+    return res.status(400).json({ error: "invalid_grant" });
+  }
+  if (grant.codeChallenge) {
+    const challenge = crypto.createHash("sha256").update(String(req.body.code_verifier || "")).digest("base64url");
+    if (challenge !== grant.codeChallenge) {
+      return res.status(400).json({ error: "invalid_grant", error_description: "PKCE verification failed" });
+    }
+  }
+
+  const now = Math.floor(Date.now() / 1000);
+  const claims = {
+    iss: ISSUER,
+    aud: CLIENT_ID,
+    iat: now,
+    exp: now + 300,
+    nonce: grant.nonce,
+    ...profileClaims(grant.user)
+  };
+  if (GROUPS_IN !== "userinfo") claims.groups = grant.user.groups;
+  const accessToken = crypto.randomBytes(24).toString("base64url");
+  accessTokens.set(accessToken, grant.user);
+  res.json({
+    token_type: "Bearer",
+    access_token: accessToken,
+    expires_in: 300,
+    id_token: signJwt(claims)
+  });
+});
+
+app.get("/userinfo", (req, res) => {
+  const token = (req.get("authorization") || "").replace(/^Bearer\s+/i, "");
+  const user = accessTokens.get(token);
+  if (!user) return res.status(401).json({ error: "invalid_token" });
+  res.json({ ...profileClaims(user), groups: user.groups });
+});
+
+app.listen(PORT, () => {
+  console.log(`[MockIdP] Issuer ${ISSUER} (client_id ${CLIENT_ID})`);
+  console.log(`[MockIdP] Users: ${users.map(user => `${user.preferred_username} [${user.groups.join(",")}]`).join(", ")}`);
+});
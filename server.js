@@ -10,9 +10,37 @@
   const bcrypt = require("bcryptjs");
   const axios = require("axios");
   const https = require("https");
-  const net = require("net");
-  const tls = require("tls");
   const { initUserStore } = require("./util/user-store");
+  const { initConflictHistoryStore } = require("./util/conflict-history");
+  const { initFlightRecorder, parseTimestampMs } = require("./util/flight-recorder");
+  const { initGeofenceRevisionStore, pickRestorableFields } = require("./util/geofence-revisions");
+  const {
+    initGeofenceScheduleStore,
+    parseScheduleInput,
+    listWindows,
+    isActiveAt,
+    nextTransition
+  } = require("./util/geofence-schedules");
+  const { initMissionTemplateStore, parseTemplateInput } = require("./util/mission-templates");
+  const { initMapLayerStore, parseMapLayerInput } = require("./util/map-layers");
+  const { initMapAnnotationStore, parseAnnotationInput, canDeleteAnnotation } = require("./util/map-annotations");
+  const { loadOidcConfig, createOidcClient } = require("./util/oidc");
+  const totp = require("./util/totp");
+  const { initLoginThrottle } = require("./util/login-throttle");
+  const { initAccessTokenStore, parseTokenInput, requiredScopeFor, TOKEN_SCOPES, MAX_TOKENS_PER_USER } = require("./util/access-tokens");
+  const { initOrgStore, orgOwnerId, parseOrgName, ORG_ROLES, ORG_COMMAND_ROLES } = require("./util/organizations");
+  const { initSessionIndex } = require("./util/session-index");
+  const { createHealthMonitor } = require("./util/health-checks");
+  const { initMetrics, createMetricsGuard } = require("./util/metrics");
+  const {
+    loadAtcProxyPolicy,
+    enforceAtcProxyPolicy,
+    hasRequiredRole,
+    isOwnershipExempt
+  } = require("./util/atc-proxy-policy");
+  const QRCode = require("qrcode");
+  const { WebSocketServer } = require("ws");
+  const { createTelemetryHub } = require("./util/telemetry-hub");
   const { requireAuth, requireRole } = require("./util/auth");
   require("dotenv").config();
 
@@ -31,8 +59,22 @@
   const IS_PRODUCTION = process.env.NODE_ENV === "production";
   const DEMO_MODE = process.env.DEMO_MODE === "1";
   const LOG_REQUESTS = process.env.ATC_FRONTEND_LOG_REQUESTS === "1";
+  const CONFLICT_HISTORY_POLL_MS = Number(process.env.ATC_CONFLICT_HISTORY_POLL_MS ?? 4000);
+  const FLIGHT_RECORDER_SAMPLE_MS = Number(process.env.ATC_FLIGHT_RECORDER_SAMPLE_MS ?? 1000);
+  const FLIGHT_RECORDER_RETENTION_HOURS = Number(process.env.ATC_FLIGHT_RECORDER_RETENTION_HOURS ?? 72);
+  const FLIGHT_RECORDER_DAA_POLL_MS = Number(process.env.ATC_FLIGHT_RECORDER_DAA_POLL_MS ?? 4000);
+  const GEOFENCE_SCHEDULE_POLL_MS = Number(process.env.ATC_GEOFENCE_SCHEDULE_POLL_MS ?? 30000);
+  const GEOFENCE_SCHEDULE_DEFAULT_TZ = process.env.ATC_GEOFENCE_SCHEDULE_TZ || "UTC";
   const ATC_SERVER_CA_CERT_PATH = (process.env.ATC_SERVER_CA_CERT_PATH || "").trim();
   const PASSWORD_ALGO = "bcrypt";
+  // Accounts created by single sign-on carry no local password.
+  const SSO_PASSWORD_ALGO = "oidc";
+  const MFA_ISSUER = process.env.ATC_MFA_ISSUER || "ATC Mission Control";
+  // Express "trust proxy" setting; needed behind a reverse proxy so per-IP
+  // login throttling sees client addresses instead of the proxy's.
+  const TRUST_PROXY = (process.env.ATC_TRUST_PROXY || "").trim();
+  const ACCESS_TOKEN_MAX_DAYS = Number(process.env.ATC_PAT_MAX_DAYS || 365);
+  const SESSION_MAX_AGE_MS = 24 * 60 * 60 * 1000;
   const PASSWORD_ROUNDS = Number(process.env.PASSWORD_ROUNDS || 10);
   const ALLOW_DEFAULT_USERS = process.env.ATC_ALLOW_DEFAULT_USERS === "1";
   const CESIUM_ION_TOKEN = process.env.CESIUM_ION_TOKEN || "";
@@ -96,6 +138,9 @@
   let COMPLIANCE_LIMITS = { ...DEFAULT_COMPLIANCE_LIMITS };
   const COMPLIANCE_LIMITS_REFRESH_MS = 5 * 60 * 1000;
   let complianceLimitsLastFetched = 0;
+  // Last sync attempt and its failure (null once a sync succeeds), for the status panel.
+  let complianceLimitsLastAttempt = 0;
+  let complianceLimitsLastError = null;
 
   function toNumber(value) {
     const number = Number(value);
@@ -122,18 +167,23 @@
     if (!force && now - complianceLimitsLastFetched < COMPLIANCE_LIMITS_REFRESH_MS) {
       return COMPLIANCE_LIMITS;
     }
+    complianceLimitsLastAttempt = now;
     try {
       const response = await atcAxios.get("/v1/compliance/limits", {
         timeout: 2500
       });
-      if (response.status === 200) {
-        const normalized = normalizeComplianceLimits(response.data);
-        if (normalized) {
-          COMPLIANCE_LIMITS = normalized;
-          complianceLimitsLastFetched = now;
-        }
+      const normalized = response.status === 200 ? normalizeComplianceLimits(response.data) : null;
+      if (normalized) {
+        COMPLIANCE_LIMITS = normalized;
+        complianceLimitsLastFetched = now;
+        complianceLimitsLastError = null;
+      } else {
+        complianceLimitsLastError = response.status === 200
+          ? "ATC returned an invalid limits payload"
+          : `ATC responded with HTTP ${response.status}`;
       }
     } catch (error) {
+      complianceLimitsLastError = error.message;
       if (force) {
         console.warn("[Compliance] Failed to sync limits from ATC:", error.message);
       }
@@ -153,6 +203,7 @@
   function verifyPassword(user, password) {
     if (!user || !password) return false;
     const algo = user.passwordAlgo || "sha256";
+    if (algo === SSO_PASSWORD_ALGO) return false;
     if (algo === PASSWORD_ALGO) {
       return bcrypt.compareSync(password, user.passwordHash);
     }
@@ -318,6 +369,22 @@
   }
 
   const userStore = initUserStore();
+  const missionTemplates = initMissionTemplateStore(userStore.db);
+  const mapLayers = initMapLayerStore(userStore.db);
+  const mapAnnotations = initMapAnnotationStore(userStore.db);
+  const oidcConfig = loadOidcConfig();
+  const oidcClient = oidcConfig ? createOidcClient(oidcConfig) : null;
+  const loginThrottle = initLoginThrottle(userStore.db);
+  const accessTokens = initAccessTokenStore(userStore.db);
+  const orgStore = initOrgStore(userStore.db);
+  const sessionIndex = initSessionIndex(userStore.db, { maxAgeMs: SESSION_MAX_AGE_MS });
+  setInterval(() => loginThrottle.prune(), 60 * 60 * 1000).unref();
+  setInterval(() => sessionIndex.prune(), 60 * 60 * 1000).unref();
+  // OIDC_DISABLE_LOCAL_LOGIN turns off password login, guest login and signup.
+  const LOCAL_LOGIN_ENABLED = !(oidcClient && oidcConfig.disableLocalLogin);
+  if (oidcClient) {
+    console.log(`[AUTH] Single sign-on enabled via ${oidcConfig.issuer}`);
+  }
   await refreshComplianceLimits(true);
   setInterval(() => {
     refreshComplianceLimits().catch((error) => {
@@ -413,6 +480,10 @@
 
   let app = express();
   app.disable("x-powered-by");
+  if (TRUST_PROXY) {
+    app.set("trust proxy", /^\d+$/.test(TRUST_PROXY) ? Number(TRUST_PROXY)
+      : TRUST_PROXY === "true" ? true : TRUST_PROXY.split(",").map(entry => entry.trim()));
+  }
 
   function getOrCreateRequestId(req) {
     const existing = typeof req.get === "function" ? req.get("X-Request-ID") : "";
@@ -516,10 +587,11 @@
   const sessionSecret = rawSessionSecret || crypto.randomBytes(32).toString("hex");
 
   let sessionStore;
+  let redisClient = null;
   if (sessionRedisUrl) {
     const RedisStore = require("connect-redis").default;
     const { createClient } = require("redis");
-    const redisClient = createClient({ url: sessionRedisUrl });
+    redisClient = createClient({ url: sessionRedisUrl });
     redisClient.on("error", (err) => {
       console.error("[SESSION] Redis error:", err?.message || String(err));
     });
@@ -536,6 +608,128 @@
     console.log("[SESSION] Using file session store:", sessionPath);
   }
 
+  // Health probes. /healthz is liveness only; /readyz checks the upstreams and
+  // answers 503 while a required one (ATC, and Redis when sessions live there)
+  // is unreachable. Flight Blender and the compliance-limits sync only degrade
+  // the report. Both are registered ahead of the session middleware so probes
+  // never touch the session store.
+  const STARTED_AT = new Date().toISOString();
+  const APP_VERSION = require("./package.json").version;
+  const HEALTH_CHECK_TIMEOUT_MS = 2500;
+
+  function complianceSyncState() {
+    return {
+      lastSuccessAt: complianceLimitsLastFetched ? new Date(complianceLimitsLastFetched).toISOString() : null,
+      lastAttemptAt: complianceLimitsLastAttempt ? new Date(complianceLimitsLastAttempt).toISOString() : null,
+      lastError: complianceLimitsLastError
+    };
+  }
+
+  const healthMonitor = createHealthMonitor(() => {
+    const checks = [
+      {
+        name: "atc",
+        timeoutMs: HEALTH_CHECK_TIMEOUT_MS,
+        check: async () => {
+          const response = await atcAxios.get("/v1/compliance/limits", { timeout: HEALTH_CHECK_TIMEOUT_MS });
+          if (response.status >= 500) throw new Error(`HTTP ${response.status}`);
+          return { httpStatus: response.status };
+        }
+      },
+      {
+        name: "blender",
+        required: false,
+        timeoutMs: HEALTH_CHECK_TIMEOUT_MS,
+        check: async () => {
+          const response = await axios.get(`${BLENDER_URL}/ping`, {
+            timeout: HEALTH_CHECK_TIMEOUT_MS,
+            validateStatus: () => true
+          });
+          if (response.status >= 500) throw new Error(`HTTP ${response.status}`);
+          return { httpStatus: response.status };
+        }
+      },
+      {
+        name: "compliance_sync",
+        required: false,
+        check: () => {
+          const state = complianceSyncState();
+          if (!complianceLimitsLastFetched) {
+            return { ...state, status: "down", error: complianceLimitsLastError || "Limits have not been synced from the ATC yet" };
+          }
+          // One missed refresh is tolerated; after that the defaults may be stale.
+          const stale = Date.now() - complianceLimitsLastFetched > 2 * COMPLIANCE_LIMITS_REFRESH_MS;
+          return stale ? { ...state, status: "degraded", error: "Limits are stale" } : state;
+        }
+      }
+    ];
+    if (redisClient) {
+      checks.push({
+        name: "redis",
+        timeoutMs: HEALTH_CHECK_TIMEOUT_MS,
+        check: async () => {
+          if (!redisClient.isReady) throw new Error("Client is not connected");
+          await redisClient.ping();
+        }
+      });
+    }
+    return checks;
+  });
+
+  app.get("/healthz", (req, res) => {
+    res.set("Cache-Control", "no-store");
+    res.json({ status: "ok", version: APP_VERSION, uptimeSeconds: Math.round(process.uptime()) });
+  });
+
+  // Upstream error text stays out of this unauthenticated response; signed-in
+  // users get it from /api/system/status.
+  app.get("/readyz", async (req, res) => {
+    const report = await healthMonitor.check();
+    res.set("Cache-Control", "no-store");
+    res.status(report.status === "down" ? 503 : 200).json({
+      status: report.status,
+      checkedAt: report.checkedAt,
+      checks: report.checks.map(({ name, required, status, latencyMs }) => ({ name, required, status, latencyMs }))
+    });
+  });
+
+  const metrics = initMetrics({
+    countActiveWsConnections: () => {
+      let active = 0;
+      wsProxyConnections.forEach(connections => { active += connections.size; });
+      return active;
+    },
+    isWsUpstreamOpen: () => telemetryHub?.getStatus().state === "open"
+  });
+  const METRICS_TOKEN = cleanEnv(process.env.ATC_METRICS_TOKEN);
+  const isMetricsRequestAllowed = createMetricsGuard({
+    token: METRICS_TOKEN,
+    allow: process.env.ATC_METRICS_ALLOW,
+    safeEqual: timingSafeEqual
+  });
+
+  app.get("/metrics", async (req, res) => {
+    if (!isMetricsRequestAllowed(req)) {
+      if (METRICS_TOKEN) res.set("WWW-Authenticate", 'Bearer realm="metrics"');
+      return res.status(403).json({ message: "forbidden" });
+    }
+    res.set("Content-Type", metrics.registry.contentType);
+    res.send(await metrics.registry.metrics());
+  });
+
+  // Blender timings cover the whole proxy request; req.route is the matched
+  // Express route once the handler has run.
+  app.use(["/api/blender", "/api/rid"], (req, res, next) => {
+    const endTimer = metrics.blenderSeconds.startTimer({ method: req.method });
+    res.on("finish", () => {
+      const route = req.route?.path || "unmatched";
+      const status = String(res.statusCode);
+      endTimer({ route, status });
+      metrics.proxyResponses.inc({ proxy: "blender", route, status });
+    });
+    next();
+  });
+
   const sessionMiddleware = session({
     store: sessionStore,
     secret: sessionSecret,
@@ -545,9 +739,42 @@
       secure: process.env.NODE_ENV === "production",
       httpOnly: true,
       sameSite: "lax",
-      maxAge: 24 * 60 * 60 * 1000 // 24 hours
+      maxAge: SESSION_MAX_AGE_MS
+    }
+  });
+
+  // Personal access tokens: `Authorization: Bearer atc_pat_...` on the ATC and
+  // Blender proxies. The request gets a stand-in session for the token owner
+  // (never stored, no cookie, so express-session skips it) and then passes the
+  // same role and ownership checks as a browser session.
+  const ACCESS_TOKEN_AREAS = [
+    { prefix: `${ATC_PROXY_BASE}/`, scope: "atc" },
+    { prefix: "/api/blender/", scope: "blender" }
+  ];
+
+  app.use((req, res, next) => {
+    const match = /^Bearer\s+(\S+)$/i.exec(req.get("Authorization") || "");
+    const area = match && ACCESS_TOKEN_AREAS.find(entry => req.path.startsWith(entry.prefix));
+    if (!area) return next();
+
+    const token = accessTokens.findActiveToken(match[1]);
+    const user = token ? userStore.getUserById(token.userId) : null;
+    if (!token || !user || user.disabledAt) {
+      res.set("WWW-Authenticate", 'Bearer error="invalid_token"');
+      return res.status(401).json({ message: "invalid_token" });
     }
+    const requiredScope = requiredScopeFor(area.scope, req.method);
+    if (!token.scopes.includes(requiredScope)) {
+      res.set("WWW-Authenticate", `Bearer error="insufficient_scope", scope="${requiredScope}"`);
+      return res.status(403).json({ message: "insufficient_scope", requiredScope });
+    }
+
+    accessTokens.touchToken(token.id, req.ip);
+    req.accessToken = token;
+    req.session = { user: buildSessionUser(user) };
+    next();
   });
+
   app.use(sessionMiddleware);
 
   function timingSafeEqual(a, b) {
@@ -576,6 +803,8 @@
   function csrfProtection(req, res, next) {
     const method = req.method ? req.method.toUpperCase() : "GET";
     if (method === "GET" || method === "HEAD" || method === "OPTIONS") return next();
+    // Bearer tokens are not sent automatically by browsers, so CSRF does not apply.
+    if (req.accessToken) return next();
 
     const expected = req.session?.csrfToken;
     const provided = readCsrfToken(req);
@@ -601,15 +830,107 @@
   // Require CSRF protection for any state-changing requests.
   app.use(csrfProtection);
 
+  // Re-reads the account behind a session so role changes apply right away
+  // and sessions of disabled users, or from before a demotion or forced
+  // password reset (tracked by `session_version`), stop being accepted.
+  function resolveSessionUser(session) {
+    const sessionUser = session?.user;
+    if (!sessionUser) return null;
+    const account = userStore.getUserById(sessionUser.id);
+    if (!account || account.disabledAt || account.sessionVersion !== (sessionUser.sessionVersion || 0)) {
+      return null;
+    }
+    sessionUser.role = account.role;
+    sessionUser.name = account.name;
+    sessionUser.email = account.email;
+    sessionUser.passwordResetRequired = account.passwordResetRequired;
+    sessionUser.mfaEnrollmentRequired = isMfaEnrollmentRequired(account);
+    sessionUser.organization = resolveActiveOrganization(sessionUser.id, sessionUser.activeOrgId);
+    return sessionUser;
+  }
+
+  // The organization a session works in: new drones and flights are created
+  // for it and live views are scoped to it. `activeOrgId` is null when the
+  // user switched to their personal fleet; otherwise an unknown or missing id
+  // falls back to the first membership.
+  function resolveActiveOrganization(userId, activeOrgId) {
+    if (activeOrgId === null) return null;
+    const memberships = orgStore.listOrgsForUser(userId);
+    const org = memberships.find(entry => entry.id === activeOrgId) || memberships[0];
+    return org ? { id: org.id, name: org.name, role: org.role, ownerId: org.ownerId } : null;
+  }
+
+  // SSO accounts are exempt: their second factor is enforced by the IdP.
+  function isMfaEnrollmentRequired(user) {
+    if (user.mfaEnabled || user.passwordAlgo === SSO_PASSWORD_ALGO) return false;
+    return userStore.getMfaRequiredRoles().includes(user.role);
+  }
+
+  const PASSWORD_RESET_ALLOWED_PATHS = new Set([
+    "/control/settings",
+    "/account/change-password",
+    "/logout",
+    "/login",
+    "/csrf"
+  ]);
+  const MFA_ENROLLMENT_ALLOWED_PATHS = new Set([
+    ...PASSWORD_RESET_ALLOWED_PATHS,
+    "/account/mfa",
+    "/account/mfa/enroll",
+    "/account/mfa/confirm"
+  ]);
+
+  app.use((req, res, next) => {
+    if (!req.session?.user) return next();
+    const user = resolveSessionUser(req.session);
+    if (!user) {
+      console.log(`[AUTH] Session revoked for ${req.session.user.id}`);
+      sessionIndex.removeSession(req.sessionID);
+      delete req.session.user;
+      return next();
+    }
+    if (!req.accessToken) {
+      const indexed = sessionIndex.getSession(req.sessionID);
+      if (indexed?.revokedAt) {
+        console.log(`[AUTH] Signed-out session used by ${user.id}`);
+        delete req.session.user;
+        return next();
+      }
+      if (indexed) {
+        sessionIndex.touchSession(req.sessionID, req.ip);
+      } else {
+        // Sessions from before the index existed are adopted on first use.
+        sessionIndex.recordSession(req.sessionID, user.id, { userAgent: req.get("User-Agent"), ip: req.ip });
+      }
+    }
+    if (user.passwordResetRequired && !PASSWORD_RESET_ALLOWED_PATHS.has(req.path)) {
+      if (req.method === "GET" && !req.path.startsWith("/api/") && req.accepts(["html", "json"]) === "html") {
+        return res.redirect("/control/settings?error=password_reset_required");
+      }
+      return res.status(403).json({ message: "password_reset_required" });
+    }
+    if (user.mfaEnrollmentRequired && !MFA_ENROLLMENT_ALLOWED_PATHS.has(req.path)) {
+      if (req.method === "GET" && !req.path.startsWith("/api/") && req.accepts(["html", "json"]) === "html") {
+        return res.redirect("/control/settings?error=mfa_required");
+      }
+      return res.status(403).json({ message: "mfa_enrollment_required" });
+    }
+    next();
+  });
+
   // Make user available to all views
   app.use((req, res, next) => {
     res.locals.user = req.session.user || null;
     res.locals.csrfToken = req.session?.csrfToken || "";
+    res.locals.ssoProviderName = oidcClient ? oidcConfig.providerName : null;
+    res.locals.localLoginEnabled = LOCAL_LOGIN_ENABLED;
     res.locals.atcApiBase = ATC_PROXY_BASE;
     // Always use a same-origin WS proxy so browsers don't need Docker-internal DNS.
     res.locals.atcWsBase = ATC_PROXY_BASE;
     // Keep the server-side WS token out of the browser; the proxy injects it upstream.
     res.locals.atcWsToken = "";
+    // The browser drops its owner filter for these roles, matching the proxy's ownership checks.
+    res.locals.ownershipExemptRoles = atcProxyPolicy.ownershipExemptRoles;
     res.locals.demoMode = DEMO_MODE;
     res.locals.cesiumIonToken = CESIUM_ION_TOKEN;
     res.locals.complianceLimits = COMPLIANCE_LIMITS;
@@ -631,37 +952,192 @@
   // Auth Routes
   // ========================================
 
+  function buildSessionUser(user) {
+    return {
+      id: user.id,
+      name: user.name,
+      email: user.email,
+      role: user.role,
+      createdAt: user.createdAt,
+      sessionVersion: user.sessionVersion,
+      passwordResetRequired: user.passwordResetRequired,
+      mfaEnrollmentRequired: isMfaEnrollmentRequired(user),
+      sso: user.passwordAlgo === SSO_PASSWORD_ALGO,
+      organization: resolveActiveOrganization(user.id)
+    };
+  }
+
+  // `via` values of startUserSession as the `method` label of the login metric.
+  const LOGIN_METHOD_LABELS = { 'guest login': 'guest', signup: 'signup', SSO: 'sso' };
+
+  // Issues a fresh session id on every login so a session id planted before
+  // authentication (session fixation) is never promoted.
+  function startUserSession(req, res, user, via = "") {
+    req.session.regenerate((error) => {
+      if (error) {
+        console.error('[AUTH] Session regeneration failed:', error);
+        return res.status(500).render('login', { error: 'Sign-in failed. Please try again.' });
+      }
+      req.session.user = buildSessionUser(user);
+      sessionIndex.recordSession(req.sessionID, user.id, {
+        userAgent: req.get('User-Agent'),
+        ip: req.ip,
+        via: via || 'password'
+      });
+      userStore.touchLogin(user.id);
+      loginThrottle.recordSuccess({ account: user.id });
+      metrics.logins.inc({ result: 'success', method: LOGIN_METHOD_LABELS[via] || 'password' });
+      console.log(`[AUTH] User logged in${via ? ` via ${via}` : ''}: ${user.id} (${user.role})`);
+      if (user.passwordResetRequired) {
+        return res.redirect('/control/settings?error=password_reset_required');
+      }
+      if (req.session.user.mfaEnrollmentRequired) {
+        return res.redirect('/control/settings?error=mfa_required');
+      }
+      return res.redirect('/control');
+    });
+  }
+
+  function describeRetryAfter(retryAfterMs) {
+    const seconds = Math.ceil(retryAfterMs / 1000);
+    if (seconds >= 120) return `${Math.ceil(seconds / 60)} minutes`;
+    return seconds === 1 ? "1 second" : `${seconds} seconds`;
+  }
+
+  function throttleMessage(block) {
+    return block.locked
+      ? `Too many failed attempts. Try again in ${describeRetryAfter(block.retryAfterMs)} or contact an administrator.`
+      : `Too many failed attempts. Wait ${describeRetryAfter(block.retryAfterMs)} before trying again.`;
+  }
+
+  function renderThrottled(res, view, block) {
+    res.set('Retry-After', String(Math.ceil(block.retryAfterMs / 1000)));
+    return res.status(429).render(view, { error: throttleMessage(block) });
+  }
+
+  function recordLoginFailure(keys, label) {
+    const locked = loginThrottle.recordFailure(keys);
+    locked.forEach(({ scope, key }) => {
+      console.warn(`[AUTH] ${scope === 'ip' ? 'IP' : 'Account'} ${key} locked out after repeated ${label} failures`);
+    });
+  }
+
   // Login page
   app.get('/login', (req, res) => {
     if (req.session.user) {
       return res.redirect('/control');
     }
-    const guestLoginEnabled = !IS_PRODUCTION && Boolean(userStore.getUserById("guest"));
+    const guestLoginEnabled = !IS_PRODUCTION && LOCAL_LOGIN_ENABLED && Boolean(userStore.getUserById("guest"));
     res.render('login', { error: null, guestLoginEnabled });
   });
 
   // Login form submission
   app.post('/login', (req, res) => {
+    if (!LOCAL_LOGIN_ENABLED) {
+      return res.status(403).render('login', { error: 'Password sign-in is disabled. Use single sign-on.' });
+    }
     const { username, password } = req.body;
+    const throttleKeys = { ip: req.ip, account: username };
+    const blocked = loginThrottle.check(throttleKeys);
+    if (blocked) {
+      console.warn(`[AUTH] Login throttled for ${username || '(blank)'} from ${req.ip} (${blocked.scope})`);
+      metrics.logins.inc({ result: 'throttled', method: 'password' });
+      return renderThrottled(res, 'login', blocked);
+    }
     const user = userStore.getUserById(username);
     if (user && verifyPassword(user, password)) {
-      req.session.user = {
-        id: user.id,
-        name: user.name,
-        email: user.email,
-        role: user.role,
-        createdAt: user.createdAt
-      };
-      userStore.touchLogin(user.id);
-      console.log(`[AUTH] User logged in: ${user.id}`);
-      return res.redirect('/control');
+      if (user.disabledAt) {
+        console.warn(`[AUTH] Login refused for disabled account: ${user.id}`);
+        metrics.logins.inc({ result: 'failure', method: 'password' });
+        return res.render('login', { error: 'This account has been disabled. Contact an administrator.' });
+      }
+      if (user.mfaEnabled) {
+        req.session.mfaPending = {
+          userId: user.id,
+          sessionVersion: user.sessionVersion,
+          createdAt: Date.now(),
+          attempts: 0
+        };
+        return res.redirect('/login/2fa');
+      }
+      return startUserSession(req, res, user);
     }
 
+    recordLoginFailure(throttleKeys, 'password');
+    metrics.logins.inc({ result: 'failure', method: 'password' });
     res.render('login', { error: 'Invalid username or password' });
   });
 
+  // Second factor: a TOTP code or one unused recovery code, within a few
+  // minutes of the password step and a limited number of attempts.
+  const MFA_PENDING_TTL_MS = 5 * 60 * 1000;
+  const MFA_MAX_ATTEMPTS = 5;
+
+  function getPendingMfaUser(req) {
+    const pending = req.session.mfaPending;
+    if (!pending || Date.now() - pending.createdAt > MFA_PENDING_TTL_MS) return null;
+    const user = userStore.getUserById(pending.userId);
+    if (!user || user.disabledAt || !user.mfaEnabled || user.sessionVersion !== pending.sessionVersion) return null;
+    return user;
+  }
+
+  // Returns "totp", "recovery" or null.
+  function verifySecondFactor(user, code) {
+    if (totp.looksLikeTotpCode(code)) {
+      const step = totp.verifyCode(user.mfaSecret, code, { lastUsedStep: user.mfaLastStep });
+      return step !== null && userStore.recordMfaStep(user.id, step) ? "totp" : null;
+    }
+    return userStore.consumeRecoveryCode(user.id, totp.hashRecoveryCode(code)) ? "recovery" : null;
+  }
+
+  app.get('/login/2fa', (req, res) => {
+    if (req.session.user) {
+      return res.redirect('/control');
+    }
+    if (!getPendingMfaUser(req)) {
+      delete req.session.mfaPending;
+      return res.redirect('/login');
+    }
+    res.render('login-2fa', { error: null });
+  });
+
+  app.post('/login/2fa', (req, res) => {
+    const user = getPendingMfaUser(req);
+    if (!user) {
+      delete req.session.mfaPending;
+      return res.render('login', { error: 'Your sign-in expired. Enter your password again.' });
+    }
+
+    const throttleKeys = { ip: req.ip, account: user.id };
+    const blocked = loginThrottle.check(throttleKeys);
+    if (blocked) {
+      delete req.session.mfaPending;
+      metrics.logins.inc({ result: 'throttled', method: 'second_factor' });
+      return renderThrottled(res, 'login', blocked);
+    }
+
+    const method = verifySecondFactor(user, req.body?.code);
+    if (!method) {
+      recordLoginFailure(throttleKeys, 'second factor');
+      metrics.logins.inc({ result: 'failure', method: 'second_factor' });
+      req.session.mfaPending.attempts += 1;
+      console.warn(`[AUTH] Invalid second factor for ${user.id} (attempt ${req.session.mfaPending.attempts})`);
+      if (req.session.mfaPending.attempts >= MFA_MAX_ATTEMPTS) {
+        delete req.session.mfaPending;
+        return res.render('login', { error: 'Too many invalid codes. Enter your password again.' });
+      }
+      return res.render('login-2fa', { error: 'Invalid authentication code' });
+    }
+
+    delete req.session.mfaPending;
+    if (method === "recovery") {
+      console.log(`[AUTH] Recovery code used by ${user.id} (${userStore.countRecoveryCodes(user.id)} left)`);
+    }
+    return startUserSession(req, res, user);
+  });
+
   // Guest login (one-click)
-  if (!IS_PRODUCTION) {
+  if (!IS_PRODUCTION && LOCAL_LOGIN_ENABLED) {
     app.post('/login/guest', (req, res) => {
       const guest = userStore.getUserById('guest');
       if (!guest) {
@@ -672,16 +1148,19 @@
           guestLoginEnabled: false
         });
       }
-      req.session.user = {
-        id: guest.id,
-        name: guest.name,
-        email: guest.email,
-        role: guest.role,
-        createdAt: guest.createdAt
-      };
-      userStore.touchLogin(guest.id);
-      console.log('[AUTH] Guest user logged in');
-      res.redirect('/control');
+      if (guest.disabledAt) {
+        return res.status(403).render("login", {
+          error: "The guest account has been disabled.",
+          guestLoginEnabled: false
+        });
+      }
+      if (guest.mfaEnabled) {
+        return res.status(403).render("login", {
+          error: "The guest account uses two-factor authentication; sign in with its password.",
+          guestLoginEnabled: false
+        });
+      }
+      startUserSession(req, res, guest, 'guest login');
     });
   }
 
@@ -690,11 +1169,17 @@
     if (req.session.user) {
       return res.redirect('/control');
     }
+    if (!LOCAL_LOGIN_ENABLED) {
+      return res.redirect('/login');
+    }
     res.render('signup', { error: null, success: null });
   });
 
   // Signup form submission
   app.post('/signup', (req, res) => {
+    if (!LOCAL_LOGIN_ENABLED) {
+      return res.redirect('/login');
+    }
     const { username, email, password, confirmPassword, name } = req.body;
 
     // Validation
@@ -746,19 +1231,13 @@
     console.log(`[AUTH] New user registered: ${username}`);
 
     // Auto-login after signup
-    req.session.user = {
-      id: newUser.id,
-      name: newUser.name,
-      email: newUser.email,
-      role: newUser.role,
-      createdAt: newUser.createdAt
-    };
-    res.redirect('/control');
+    startUserSession(req, res, newUser, 'signup');
   });
 
   // Logout  
   app.get('/logout', (req, res) => {
     const userId = req.session.user?.id;
+    sessionIndex.removeSession(req.sessionID);
     req.session.destroy((err) => {
       if (err) console.error('[AUTH] Logout error:', err);
       console.log(`[AUTH] User logged out: ${userId}`);
@@ -766,6 +1245,127 @@
     });
   });
 
+  // ========================================
+  // Single sign-on (OpenID Connect)
+  // ========================================
+  if (oidcClient) {
+    function getOidcRedirectUri(req) {
+      return oidcConfig.redirectUri || `${req.protocol}://${req.get("host")}/auth/oidc/callback`;
+    }
+
+    // Local ids are derived from preferred_username and made unique.
+    function buildSsoUserId(claims) {
+      const source = claims.preferred_username || String(claims.email || "").split("@")[0] || claims.sub;
+      const base = String(source)
+        .toLowerCase()
+        .replace(/[^a-z0-9._-]+/g, "-")
+        .replace(/^[-.]+|[-.]+$/g, "")
+        .slice(0, 48) || "user";
+      let candidate = base;
+      for (let suffix = 2; userStore.getUserById(candidate); suffix += 1) {
+        candidate = `${base}-${suffix}`;
+      }
+      return candidate;
+    }
+
+    // Finds the account for a verified identity: linked identity first, then a
+    // verified email match, otherwise a new account with no local password.
+    function resolveSsoAccount(claims, role) {
+      const issuer = oidcConfig.issuer;
+      const linked = userStore.getUserByIdentity(issuer, claims.sub);
+      if (linked) return { user: linked };
+
+      const email = typeof claims.email === "string" ? claims.email.trim().toLowerCase() : "";
+      const existing = email ? userStore.getUserByEmail(email) : null;
+      if (existing) {
+        if (!oidcConfig.linkByEmail || claims.email_verified !== true) {
+          return { error: "An account with this email already exists. Ask an administrator to link it." };
+        }
+        userStore.linkIdentity(issuer, claims.sub, existing.id);
+        console.log(`[AUTH] Linked ${issuer} identity ${claims.sub} to existing user ${existing.id}`);
+        return { user: existing };
+      }
+
+      const id = buildSsoUserId(claims);
+      const user = userStore.createUser({
+        id,
+        name: claims.name || claims.preferred_username || id,
+        email: email || `${id}@sso.invalid`,
+        passwordHash: "",
+        passwordAlgo: SSO_PASSWORD_ALGO,
+        role
+      });
+      userStore.linkIdentity(issuer, claims.sub, user.id);
+      console.log(`[AUTH] Created user ${user.id} from ${issuer} identity ${claims.sub}`);
+      return { user, created: true };
+    }
+
+    // The IdP groups are authoritative for the role on every sign-in.
+    function syncSsoRole(user, role) {
+      if (user.role === role) return user;
+      if (removesLastAdmin(user, role, false)) {
+        console.warn(`[AUTH] Keeping admin role for ${user.id}: IdP groups would remove the last admin`);
+        return user;
+      }
+      const demoted = !(USER_ROLE_RANK[role] > USER_ROLE_RANK[user.role]);
+      const updated = userStore.updateRole(user.id, role, { invalidateSessions: demoted });
+      if (demoted) revokeUserAccess(user.id);
+      console.log(`[AUTH] Role for ${user.id} synced from IdP groups: ${user.role} -> ${role}`);
+      return updated;
+    }
+
+    function renderSsoError(res, status, message) {
+      metrics.logins.inc({ result: "failure", method: "sso" });
+      return res.status(status).render("login", { error: message, guestLoginEnabled: false });
+    }
+
+    app.get("/auth/oidc/login", async (req, res) => {
+      if (req.session.user) {
+        return res.redirect("/control");
+      }
+      try {
+        const { url, loginState } = await oidcClient.beginLogin(getOidcRedirectUri(req));
+        req.session.oidc = loginState;
+        res.redirect(url);
+      } catch (error) {
+        console.error("[AUTH] SSO login could not start:", error.message);
+        renderSsoError(res, 502, `${oidcConfig.providerName} is unavailable. Try again later.`);
+      }
+    });
+
+    app.get("/auth/oidc/callback", async (req, res) => {
+      const loginState = req.session.oidc;
+      delete req.session.oidc;
+
+      let claims;
+      try {
+        claims = await oidcClient.completeLogin(req.query, loginState);
+      } catch (error) {
+        console.warn("[AUTH] SSO login failed:", error.message);
+        return renderSsoError(res, 401, `Sign-in with ${oidcConfig.providerName} failed: ${error.message}`);
+      }
+
+      const role = oidcClient.mapRole(claims);
+      if (!role) {
+        console.warn(`[AUTH] SSO login refused for ${claims.sub}: no mapped group`);
+        return renderSsoError(res, 403, "Your account is not in a group that grants access to Mission Control.");
+      }
+
+      const { user: account, error } = resolveSsoAccount(claims, role);
+      if (error) {
+        return renderSsoError(res, 409, error);
+      }
+      if (account.disabledAt) {
+        console.warn(`[AUTH] SSO login refused for disabled account: ${account.id}`);
+        return renderSsoError(res, 403, "This account has been disabled. Contact an administrator.");
+      }
+
+      const user = syncSsoRole(account, role);
+      userStore.touchIdentity(oidcConfig.issuer, claims.sub);
+      startUserSession(req, res, user, "SSO");
+    });
+  }
+
   // ========================================
   // Profile update routes
   // ========================================
@@ -803,7 +1403,12 @@
       return res.redirect('/control/settings?error=user_not_found');
     }
 
+    const throttleKeys = { ip: req.ip, account: userId };
+    if (loginThrottle.check(throttleKeys)) {
+      return res.redirect('/control/settings?error=too_many_attempts');
+    }
     if (!verifyPassword(user, currentPassword)) {
+      recordLoginFailure(throttleKeys, 'password change');
       return res.redirect('/control/settings?error=wrong_password');
     }
 
@@ -816,10 +1421,262 @@
     }
 
     userStore.updatePassword(userId, hashPassword(newPassword), PASSWORD_ALGO);
+    req.session.user.passwordResetRequired = false;
     console.log(`[AUTH] Password changed: ${userId}`);
     res.redirect('/control/settings?updated=password');
   });
 
+  app.get('/account/preferences', requireAuth, (req, res) => {
+    res.json(userStore.getPreferences(req.session.user.id));
+  });
+
+  app.post('/account/preferences', requireAuth, (req, res) => {
+    const body = req.body && typeof req.body === "object" ? req.body : {};
+    const preferences = userStore.updatePreferences(req.session.user.id, body);
+    res.json(preferences);
+  });
+
+  // ========================================
+  // Two-factor authentication (TOTP)
+  // ========================================
+  const MFA_ENROLLMENT_TTL_MS = 10 * 60 * 1000;
+
+  function buildMfaStatus(user) {
+    return {
+      enabled: user.mfaEnabled,
+      enabledAt: user.mfaEnabledAt,
+      recoveryCodesRemaining: user.mfaEnabled ? userStore.countRecoveryCodes(user.id) : 0,
+      required: userStore.getMfaRequiredRoles().includes(user.role),
+      sso: user.passwordAlgo === SSO_PASSWORD_ALGO
+    };
+  }
+
+  // Code check for account changes, throttled like the login step. Sends the
+  // error response itself and returns false when the code is not accepted.
+  function confirmSecondFactor(req, res, user) {
+    const throttleKeys = { ip: req.ip, account: user.id };
+    const blocked = loginThrottle.check(throttleKeys);
+    if (blocked) {
+      res.set("Retry-After", String(Math.ceil(blocked.retryAfterMs / 1000)));
+      res.status(429).json({ message: throttleMessage(blocked) });
+      return false;
+    }
+    if (!verifySecondFactor(user, req.body?.code)) {
+      recordLoginFailure(throttleKeys, "second factor");
+      res.status(400).json({ message: "Invalid authentication code" });
+      return false;
+    }
+    return true;
+  }
+
+  function issueRecoveryCodes() {
+    const codes = totp.generateRecoveryCodes();
+    return { codes, hashes: codes.map(totp.hashRecoveryCode) };
+  }
+
+  app.get('/account/mfa', requireAuth, (req, res) => {
+    const user = userStore.getUserById(req.session.user.id);
+    if (!user) {
+      return res.status(404).json({ message: "user_not_found" });
+    }
+    res.json(buildMfaStatus(user));
+  });
+
+  // Starts enrollment; the secret stays in the session until a code confirms it.
+  app.post('/account/mfa/enroll', requireAuth, async (req, res) => {
+    const user = userStore.getUserById(req.session.user.id);
+    if (!user) {
+      return res.status(404).json({ message: "user_not_found" });
+    }
+    if (user.mfaEnabled) {
+      return res.status(409).json({ message: "Two-factor authentication is already enabled" });
+    }
+    if (user.passwordAlgo === SSO_PASSWORD_ALGO) {
+      return res.status(400).json({ message: "Single sign-on accounts use the identity provider's second factor" });
+    }
+    const secret = totp.generateSecret();
+    const otpauthUri = totp.buildOtpauthUri(secret, user.id, MFA_ISSUER);
+    try {
+      const qrSvg = await QRCode.toString(otpauthUri, { type: "svg", margin: 1, errorCorrectionLevel: "M" });
+      req.session.mfaEnrollment = { secret, createdAt: Date.now() };
+      res.json({ secret, otpauthUri, qrSvg });
+    } catch (error) {
+      console.error("[MFA] QR code generation failed:", error.message);
+      res.status(500).json({ message: "Failed to generate QR code" });
+    }
+  });
+
+  app.post('/account/mfa/confirm', requireAuth, (req, res) => {
+    const enrollment = req.session.mfaEnrollment;
+    if (!enrollment || Date.now() - enrollment.createdAt > MFA_ENROLLMENT_TTL_MS) {
+      delete req.session.mfaEnrollment;
+      return res.status(400).json({ message: "Enrollment expired; start again" });
+    }
+    // Throttled like confirmSecondFactor, so the enrollment window cannot be brute-forced.
+    const throttleKeys = { ip: req.ip, account: req.session.user.id };
+    const blocked = loginThrottle.check(throttleKeys);
+    if (blocked) {
+      res.set("Retry-After", String(Math.ceil(blocked.retryAfterMs / 1000)));
+      return res.status(429).json({ message: throttleMessage(blocked) });
+    }
+    const step = totp.verifyCode(enrollment.secret, req.body?.code);
+    if (step === null) {
+      recordLoginFailure(throttleKeys, "second factor enrollment");
+      return res.status(400).json({ message: "Invalid authentication code" });
+    }
+    const { codes, hashes } = issueRecoveryCodes();
+    const user = userStore.enableMfa(req.session.user.id, enrollment.secret, step, hashes);
+    delete req.session.mfaEnrollment;
+    req.session.user.mfaEnrollmentRequired = false;
+    console.log(`[MFA] Two-factor authentication enabled: ${user.id}`);
+    res.json({ ...buildMfaStatus(user), recoveryCodes: codes });
+  });
+
+  app.post('/account/mfa/recovery-codes', requireAuth, (req, res) => {
+    const user = userStore.getUserById(req.session.user.id);
+    if (!user?.mfaEnabled) {
+      return res.status(400).json({ message: "Two-factor authentication is not enabled" });
+    }
+    if (!confirmSecondFactor(req, res, user)) return;
+    const { codes, hashes } = issueRecoveryCodes();
+    userStore.replaceRecoveryCodes(user.id, hashes);
+    console.log(`[MFA] Recovery codes regenerated: ${user.id}`);
+    res.json({ ...buildMfaStatus(user), recoveryCodesRemaining: codes.length, recoveryCodes: codes });
+  });
+
+  app.post('/account/mfa/disable', requireAuth, (req, res) => {
+    const user = userStore.getUserById(req.session.user.id);
+    if (!user?.mfaEnabled) {
+      return res.status(400).json({ message: "Two-factor authentication is not enabled" });
+    }
+    if (userStore.getMfaRequiredRoles().includes(user.role)) {
+      return res.status(409).json({ message: "Two-factor authentication is required for your role" });
+    }
+    if (!confirmSecondFactor(req, res, user)) return;
+    const updated = userStore.disableMfa(user.id);
+    console.log(`[MFA] Two-factor authentication disabled: ${user.id}`);
+    res.json(buildMfaStatus(updated));
+  });
+
+  // ========================================
+  // Personal access tokens
+  // ========================================
+  app.get('/account/tokens', requireAuth, (req, res) => {
+    res.json({
+      tokens: accessTokens.listTokens(req.session.user.id),
+      scopes: TOKEN_SCOPES,
+      maxLifetimeDays: ACCESS_TOKEN_MAX_DAYS
+    });
+  });
+
+  // The plaintext token is only returned here; it cannot be retrieved later.
+  app.post('/account/tokens', requireAuth, (req, res) => {
+    const { token: input, error } = parseTokenInput(req.body, ACCESS_TOKEN_MAX_DAYS);
+    if (error) {
+      return res.status(400).json({ message: error });
+    }
+    const created = accessTokens.createToken(req.session.user.id, input);
+    if (!created) {
+      return res.status(409).json({ message: `You can have at most ${MAX_TOKENS_PER_USER} active tokens` });
+    }
+    console.log(`[AUTH] Access token ${created.token.prefix}... created by ${req.session.user.id} (${input.scopes.join(", ")})`);
+    res.status(201).json(created);
+  });
+
+  app.delete('/account/tokens/:id', requireAuth, (req, res) => {
+    if (!accessTokens.revokeToken(req.session.user.id, req.params.id)) {
+      return res.status(404).json({ message: "token_not_found" });
+    }
+    console.log(`[AUTH] Access token ${req.params.id} revoked by ${req.session.user.id}`);
+    res.json({ ok: true });
+  });
+
+  // Switches the organization this session works in; null selects the
+  // personal fleet.
+  app.put('/account/organization', requireAuth, (req, res) => {
+    const orgId = req.body?.orgId ?? null;
+    if (orgId !== null && !orgStore.getMembershipRole(orgId, req.session.user.id)) {
+      return res.status(404).json({ message: "organization_not_found" });
+    }
+    req.session.user.activeOrgId = orgId;
+    req.session.user.organization = resolveActiveOrganization(req.session.user.id, orgId);
+    res.json({ organization: req.session.user.organization });
+  });
+
+  // ========================================
+  // Active sessions
+  // ========================================
+
+  function sessionStillStored(sessionId) {
+    return new Promise((resolve) => {
+      sessionStore.get(sessionId, (error, data) => resolve(!error && Boolean(data?.user)));
+    });
+  }
+
+  // Signs one session out: drops it from the session store, marks it revoked in
+  // the index and closes its live WebSocket connections. Returns the number of
+  // connections closed.
+  function revokeSession(session) {
+    sessionIndex.markRevoked(session.sessionId);
+    sessionStore.destroy(session.sessionId, (error) => {
+      if (error) console.error("[AUTH] Failed to destroy session:", error.message || error);
+    });
+    return closeWsProxyConnectionsForSession(session.userId, session.sessionId);
+  }
+
+  function revokeUserSessions(userId, { except = null } = {}) {
+    const sessions = sessionIndex.listSessions(userId).filter(session => session.sessionId !== except);
+    sessions.forEach(revokeSession);
+    return sessions.length;
+  }
+
+  // Sessions that expired in the store (idle timeout) are dropped from the index here.
+  async function listLiveSessions(userId) {
+    const sessions = sessionIndex.listSessions(userId);
+    const stored = await Promise.all(sessions.map(session => sessionStillStored(session.sessionId)));
+    return sessions.filter((session, index) => {
+      if (!stored[index]) sessionIndex.removeSession(session.sessionId);
+      return stored[index];
+    });
+  }
+
+  function toSessionView(session, currentSessionId = null) {
+    return {
+      id: session.handle,
+      device: session.device,
+      userAgent: session.userAgent,
+      ip: session.ip,
+      via: session.via,
+      createdAt: session.createdAt,
+      lastSeenAt: session.lastSeenAt,
+      current: session.sessionId === currentSessionId
+    };
+  }
+
+  app.get('/account/sessions', requireAuth, async (req, res) => {
+    const sessions = await listLiveSessions(req.session.user.id);
+    res.json({ sessions: sessions.map(session => toSessionView(session, req.sessionID)) });
+  });
+
+  app.delete('/account/sessions/:id', requireAuth, (req, res) => {
+    const session = sessionIndex.getSessionByHandle(req.session.user.id, req.params.id);
+    if (!session || session.revokedAt) {
+      return res.status(404).json({ message: "session_not_found" });
+    }
+    if (session.sessionId === req.sessionID) {
+      return res.status(400).json({ message: "Use Logout to end the current session" });
+    }
+    const closed = revokeSession(session);
+    console.log(`[AUTH] ${req.session.user.id} signed out a session (${session.device}, ${session.ip || "unknown IP"})`);
+    res.json({ ok: true, closedConnections: closed });
+  });
+
+  app.post('/account/sessions/revoke-others', requireAuth, (req, res) => {
+    const revoked = revokeUserSessions(req.session.user.id, { except: req.sessionID });
+    console.log(`[AUTH] ${req.session.user.id} signed out ${revoked} other session(s)`);
+    res.json({ revoked });
+  });
+
   app.post('/account/delete', requireAuth, (req, res) => {
     const userId = req.session.user.id;
 
@@ -828,6 +1685,13 @@
     }
 
     userStore.deleteUser(userId);
+    missionTemplates.removeTemplatesForUser(userId);
+    mapLayers.removeLayersForUser(userId);
+    mapAnnotations.removeAnnotationsForUser(userId);
+    accessTokens.removeTokensForUser(userId);
+    orgStore.removeUserMemberships(userId);
+    revokeUserSessions(userId, { except: req.sessionID });
+    sessionIndex.removeSessionsForUser(userId);
     console.log(`[AUTH] Account deleted: ${userId}`);
 
     req.session.destroy(() => {
@@ -861,24 +1725,57 @@
     return headers;
   }
 
-  async function getOwnedDroneIds(userId, requestId = "") {
-    if (!userId) return new Set();
-    try {
-      const response = await atcAxios.get("/v1/drones", {
-        params: { owner_id: userId },
-        headers: atcAdminHeaders(requestId),
-        timeout: 8000
-      });
-      if (!response || response.status >= 400) {
-        return new Set();
-      }
-      return new Set((response.data || []).map(drone => drone.drone_id));
-    } catch (error) {
-      console.error("[ATC Proxy] Owned drone lookup failed:", error.message);
-      return new Set();
-    }
-  }
+  // Owner ids a user can see (their own and every organization they belong
+  // to) and command (their own and organizations where their org role allows
+  // it). `viewOwnerId` scopes live views; `createOwnerId` is stamped on new
+  // drones, flights and intents.
+  function getOwnerScope(user) {
+    if (!user?.id) {
+      return { viewOwnerId: null, createOwnerId: null, visibleOwnerIds: [], commandOwnerIds: [] };
+    }
+    const memberships = orgStore.listOrgsForUser(user.id);
+    const active = user.organization
+      ? memberships.find(org => org.id === user.organization.id) || null
+      : null;
+    return {
+      viewOwnerId: active ? active.ownerId : user.id,
+      createOwnerId: active && ORG_COMMAND_ROLES.includes(active.role) ? active.ownerId : user.id,
+      visibleOwnerIds: [user.id, ...memberships.map(org => org.ownerId)],
+      commandOwnerIds: [
+        user.id,
+        ...memberships.filter(org => ORG_COMMAND_ROLES.includes(org.role)).map(org => org.ownerId)
+      ]
+    };
+  }
+
+  function ownerScopeFor(req) {
+    if (!req.ownerScope) req.ownerScope = getOwnerScope(req.session.user);
+    return req.ownerScope;
+  }
+
+  async function getOwnedDroneIds(ownerIds, requestId = "") {
+    const ids = (Array.isArray(ownerIds) ? ownerIds : [ownerIds]).filter(Boolean);
+    const lookups = ids.map(async (ownerId) => {
+      try {
+        const response = await atcAxios.get("/v1/drones", {
+          params: { owner_id: ownerId },
+          headers: atcAdminHeaders(requestId),
+          timeout: 8000
+        });
+        if (!response || response.status >= 400) {
+          return [];
+        }
+        return (response.data || []).map(drone => drone.drone_id);
+      } catch (error) {
+        console.error("[ATC Proxy] Owned drone lookup failed:", error.message);
+        return [];
+      }
+    });
+    return new Set((await Promise.all(lookups)).flat());
+  }
 
+  // A declaration belongs to whoever submitted it and to the owners of its
+  // aircraft, so organization members see declarations for shared drones.
   function declarationVisibleForUser(declaration, userEmail, ownedDroneIds) {
     if (!declaration) return false;
     const submittedBy = normalizeEmail(declaration.submitted_by);
@@ -966,120 +1863,17 @@
   // ========================================
   // ATC-Drone proxy (same-origin for frontend)
   // ========================================
-  const ATC_PROXY_ALLOWLIST = [
-    { methods: ["GET"], pattern: /^\/v1\/drones$/ },
-    { methods: ["GET"], pattern: /^\/v1\/drones\/[^/]+$/ },
-    { methods: ["POST"], pattern: /^\/v1\/drones\/register$/ },
-    { methods: ["GET"], pattern: /^\/v1\/traffic$/ },
-    { methods: ["GET"], pattern: /^\/v1\/conflicts$/ },
-    { methods: ["GET"], pattern: /^\/v1\/conformance$/ },
-    { methods: ["GET"], pattern: /^\/v1\/daa$/ },
-    { methods: ["GET"], pattern: /^\/v1\/compliance\/limits$/ },
-    { methods: ["POST"], pattern: /^\/v1\/compliance\/evaluate$/ },
-    { methods: ["POST"], pattern: /^\/v1\/routes\/plan$/ },
-    { methods: ["POST"], pattern: /^\/v1\/rid\/view$/ },
-    { methods: ["GET", "POST"], pattern: /^\/v1\/commands$/ },
-    { methods: ["GET"], pattern: /^\/v1\/geofences\/check$/ },
-    { methods: ["POST"], pattern: /^\/v1\/geofences\/check-route$/ },
-    { methods: ["GET", "POST"], pattern: /^\/v1\/geofences$/ },
-    { methods: ["GET", "PUT", "DELETE"], pattern: /^\/v1\/geofences\/[^/]+$/ },
-    { methods: ["POST"], pattern: /^\/v1\/flights\/plan$/ },
-    { methods: ["GET", "POST"], pattern: /^\/v1\/flights$/ },
-    { methods: ["POST"], pattern: /^\/v1\/operational_intents\/reserve$/ },
-    { methods: ["POST"], pattern: /^\/v1\/operational_intents\/[^/]+\/confirm$/ },
-    { methods: ["POST"], pattern: /^\/v1\/operational_intents\/[^/]+\/cancel$/ },
-    { methods: ["PUT"], pattern: /^\/v1\/operational_intents\/[^/]+$/ },
-    { methods: ["POST"], pattern: /^\/v1\/admin\/reset$/ },
-    { methods: ["GET", "POST"], pattern: /^\/v1\/admin\/commands$/ },
-    { methods: ["POST"], pattern: /^\/v1\/admin\/flights\/plan$/ },
-    { methods: ["POST"], pattern: /^\/v1\/admin\/flights$/ },
-    { methods: ["POST"], pattern: /^\/v1\/admin\/operational_intents\/reserve$/ },
-    { methods: ["POST"], pattern: /^\/v1\/admin\/operational_intents\/[^/]+\/confirm$/ },
-    { methods: ["POST"], pattern: /^\/v1\/admin\/operational_intents\/[^/]+\/cancel$/ },
-    { methods: ["PUT"], pattern: /^\/v1\/admin\/operational_intents\/[^/]+$/ }
-  ];
-
-  function isAllowedAtcProxy(method, requestPath) {
-    return ATC_PROXY_ALLOWLIST.some(rule => (
-      rule.methods.includes(method) && rule.pattern.test(requestPath)
-    ));
-  }
-
-  function resolveAtcProxyTimeoutMs(method, requestPath) {
-    const normalizedMethod = typeof method === "string" ? method.toUpperCase() : "";
-    const rawPath = typeof requestPath === "string" ? requestPath : "";
-    const path = rawPath.startsWith("/v1/admin")
-      ? `/v1${rawPath.slice("/v1/admin".length)}`
-      : rawPath;
-    if (normalizedMethod === "POST") {
-      if (path === "/v1/routes/plan" || path === "/v1/compliance/evaluate") {
-        return 180_000;
-      }
-      if (path === "/v1/geofences/check-route" || path === "/v1/flights/plan") {
-        return 60_000;
-      }
-      if (path === "/v1/operational_intents/reserve") {
-        return 60_000;
-      }
-    }
-    return 10_000;
-  }
-
-  function requiresAuthorityForAtc(method, requestPath) {
-    if (method === "GET") return false;
-
-    if (requestPath.startsWith("/v1/geofences/check")) return false;
-    if (requestPath.startsWith("/v1/geofences/check-route")) return false;
-    if (requestPath.startsWith("/v1/geofences") && ["POST", "PUT", "DELETE"].includes(method)) {
-      return true;
-    }
-    if (requestPath === "/v1/rid/view" && method === "POST") {
-      return true;
-    }
-    if (requestPath.startsWith("/v1/admin")) return true;
-    return false;
-  }
-
-  function requiresAdminTokenForAtc(method, requestPath) {
-    if (method === "GET") {
-      if (requestPath === "/v1/drones" || requestPath.startsWith("/v1/drones/")) {
-        return true;
-      }
-      if (requestPath === "/v1/traffic") return true;
-      if (requestPath === "/v1/conflicts") return true;
-      if (requestPath === "/v1/conformance") return true;
-      if (requestPath === "/v1/daa") return true;
-      if (requestPath === "/v1/flights") return true;
-    }
-    if (requestPath.startsWith("/v1/admin")) {
-      return true;
-    }
-    if (requestPath === "/v1/rid/view" && method === "POST") {
-      return true;
-    }
-    if (requestPath.startsWith("/v1/geofences") && ["POST", "PUT", "DELETE"].includes(method)) {
-      return true;
-    }
-    if (requestPath === "/v1/commands" && ["GET", "POST"].includes(method)) {
-      return true;
-    }
-    if (requestPath === "/v1/routes/plan" && method === "POST") {
-      return true;
-    }
-    if (requestPath === "/v1/compliance/evaluate" && method === "POST") {
-      return true;
-    }
-    if (requestPath === "/v1/flights/plan" && method === "POST") {
-      return true;
-    }
-    if (requestPath === "/v1/flights" && method === "POST") {
-      return true;
-    }
-    if (requestPath.startsWith("/v1/operational_intents") && ["POST", "PUT"].includes(method)) {
-      return true;
-    }
-    return false;
-  }
+  // Which /api/atc/* routes exist and who may call them; see util/atc-proxy-policy.js.
+  const atcProxyPolicy = loadAtcProxyPolicy(process.env.ATC_PROXY_POLICY_PATH || undefined);
+  console.log(`[CONFIG] ATC proxy policy: ${atcProxyPolicy.routes.length} routes from ${atcProxyPolicy.describe().source}`);
+
+  const atcOwnershipChecks = {
+    canViewOwner: (req, ownerId) => ownerScopeFor(req).visibleOwnerIds.includes(ownerId),
+    canClaimOwner: (req, ownerId) => canClaimOwner(req, ownerId),
+    canAccessDrone: (req, droneId) => canAccessDrone(req, droneId),
+    canAccessFlight: (req, flightId) => canAccessFlight(req, flightId),
+    applyOwnerId: (req, body) => applyOwnerId(req, body)
+  };
 
   function isAuthority(req) {
     const role = req.session.user?.role;
@@ -1108,7 +1902,7 @@
       if (!drone.owner_id) {
         return true;
       }
-      return drone.owner_id === req.session.user?.id;
+      return ownerScopeFor(req).commandOwnerIds.includes(drone.owner_id);
     } catch (error) {
       console.error("[ATC Proxy] Drone lookup error:", error.message);
       return false;
@@ -1120,29 +1914,31 @@
     if (isAuthority(req)) return true;
 
     try {
-      const ownerId = req.session.user?.id;
-      if (!ownerId) return false;
+      const ownerIds = ownerScopeFor(req).commandOwnerIds;
+      if (!ownerIds.length) return false;
       const limit = 1000;
-      let offset = 0;
-      for (let page = 0; page < 10; page += 1) {
-        const response = await atcAxios.get("/v1/flights", {
-          params: { owner_id: ownerId, limit, offset },
-          headers: atcAdminHeaders(req.requestId || ""),
-          timeout: 8000
-        });
-        if (!response || response.status >= 400) {
-          console.error("[ATC Proxy] Flight lookup failed:", response?.status);
-          return false;
-        }
+      for (const ownerId of ownerIds) {
+        let offset = 0;
+        for (let page = 0; page < 10; page += 1) {
+          const response = await atcAxios.get("/v1/flights", {
+            params: { owner_id: ownerId, limit, offset },
+            headers: atcAdminHeaders(req.requestId || ""),
+            timeout: 8000
+          });
+          if (!response || response.status >= 400) {
+            console.error("[ATC Proxy] Flight lookup failed:", response?.status);
+            return false;
+          }
 
-        const plans = Array.isArray(response.data) ? response.data : [];
-        if (plans.some(entry => entry.flight_id === flightId)) {
-          return true;
-        }
-        if (plans.length < limit) {
-          return false;
+          const plans = Array.isArray(response.data) ? response.data : [];
+          if (plans.some(entry => entry.flight_id === flightId)) {
+            return true;
+          }
+          if (plans.length < limit) {
+            break;
+          }
+          offset += limit;
         }
-        offset += limit;
       }
       return false;
     } catch (error) {
@@ -1151,10 +1947,55 @@
     }
   }
 
+  // Non-authority callers may only name an owner they can command (themselves
+  // or one of their organizations).
+  function canClaimOwner(req, ownerId) {
+    return !ownerId || ownerScopeFor(req).commandOwnerIds.includes(ownerId);
+  }
+
   function applyOwnerId(req, payload) {
     if (isAuthority(req)) return payload;
     if (!payload || typeof payload !== "object") return payload;
-    return { ...payload, owner_id: req.session.user?.id || null };
+    const ownerId = payload.owner_id && canClaimOwner(req, payload.owner_id)
+      ? payload.owner_id
+      : ownerScopeFor(req).createOwnerId;
+    return { ...payload, owner_id: ownerId || null };
+  }
+
+  function extractAtcAuditTargets(req, requestPath) {
+    const body = req.body && typeof req.body === "object" ? req.body : {};
+    const droneId = body.drone_id || req.query?.drone_id || null;
+    let flightId = body.flight_id || null;
+    const intentMatch = requestPath.match(/^\/v1\/(?:admin\/)?operational_intents\/([^/]+)/);
+    if (!flightId && intentMatch && intentMatch[1] !== "reserve") {
+      flightId = intentMatch[1];
+    }
+    return {
+      droneId: typeof droneId === "string" ? droneId : null,
+      flightId: typeof flightId === "string" ? flightId : null
+    };
+  }
+
+  // Record every state-changing proxy call once the response is sent, including local denials.
+  function auditAtcProxyCall(req, res, method, requestPath) {
+    if (!["POST", "PUT", "PATCH", "DELETE"].includes(method)) return;
+    res.on("finish", () => {
+      try {
+        const { droneId, flightId } = extractAtcAuditTargets(req, requestPath);
+        userStore.recordAudit({
+          userId: req.session?.user?.id,
+          userRole: req.session?.user?.role,
+          method,
+          path: requestPath,
+          requestId: req.requestId,
+          droneId,
+          flightId,
+          status: res.statusCode
+        });
+      } catch (error) {
+        console.error("[Audit] Failed to record ATC proxy call:", error.message);
+      }
+    });
   }
 
   app.all(`${ATC_PROXY_BASE}/*`, requireAuth, async (req, res) => {
@@ -1164,101 +2005,55 @@
       : req.path;
     const url = targetPath;
     const method = req.method.toUpperCase();
-    if (!isAllowedAtcProxy(method, requestPath)) {
+    const matched = atcProxyPolicy.match(method, requestPath);
+    // Unlisted paths share one metrics label so arbitrary URLs cannot grow the label set.
+    const routeLabel = matched ? matched.route.path : "unmatched";
+    res.on("finish", () => {
+      metrics.proxyResponses.inc({ proxy: "atc", route: routeLabel, status: String(res.statusCode) });
+    });
+    if (!matched) {
       return res.status(404).json({ message: "not_found" });
     }
-    if (requiresAuthorityForAtc(method, requestPath) && !isAuthority(req)) {
-      return res.status(403).json({ message: "insufficient_role" });
+    auditAtcProxyCall(req, res, method, requestPath);
+    const denied = await enforceAtcProxyPolicy(atcProxyPolicy, matched, req, atcOwnershipChecks);
+    if (denied) {
+      return res.status(denied.status).json({ message: denied.message });
     }
-    if (!isAuthority(req)) {
-      if (requestPath.startsWith("/v1/commands")) {
-        if (method === "GET" && requestPath === "/v1/commands") {
-          return res.status(403).json({ message: "insufficient_role" });
-        }
-        if (requestPath.startsWith("/v1/commands/ack")) {
-          return res.status(403).json({ message: "insufficient_role" });
-        }
-        const droneId = method === "GET" ? req.query.drone_id : req.body?.drone_id;
-        if (!droneId) {
-          return res.status(400).json({ message: "missing_drone_id" });
-        }
-        const allowed = await canAccessDrone(req, droneId);
-        if (!allowed) {
-          return res.status(403).json({ message: "forbidden_drone" });
-        }
-      }
 
-      if (requestPath.startsWith("/v1/flights") && ["POST", "PUT", "PATCH", "DELETE"].includes(method)) {
-        const droneId = req.body?.drone_id;
-        if (droneId) {
-          const allowed = await canAccessDrone(req, droneId);
-          if (!allowed) {
-            return res.status(403).json({ message: "forbidden_drone" });
-          }
-        }
-        if (req.body?.owner_id && req.body.owner_id !== req.session.user?.id) {
-          return res.status(403).json({ message: "forbidden_owner" });
-        }
-        req.body = applyOwnerId(req, req.body);
-      }
+    const data = ["POST", "PUT", "PATCH", "DELETE"].includes(method) ? req.body : undefined;
 
-      if (requestPath.startsWith("/v1/operational_intents")) {
-        if (requestPath === "/v1/operational_intents/reserve" && method === "POST") {
-          const droneId = req.body?.drone_id;
-          if (droneId) {
-            const allowed = await canAccessDrone(req, droneId);
-            if (!allowed) {
-              return res.status(403).json({ message: "forbidden_drone" });
-            }
-          }
-          if (req.body?.owner_id && req.body.owner_id !== req.session.user?.id) {
-            return res.status(403).json({ message: "forbidden_owner" });
-          }
-          req.body = applyOwnerId(req, req.body);
-        } else if (method === "PUT") {
-          const droneId = req.body?.drone_id;
-          if (droneId) {
-            const allowed = await canAccessDrone(req, droneId);
-            if (!allowed) {
-              return res.status(403).json({ message: "forbidden_drone" });
-            }
-          }
-          if (req.body?.owner_id && req.body.owner_id !== req.session.user?.id) {
-            return res.status(403).json({ message: "forbidden_owner" });
-          }
-          req.body = applyOwnerId(req, req.body);
-        } else if (method === "POST") {
-          const flightId = requestPath.split("/").filter(Boolean)[2] || null;
-          const allowed = await canAccessFlight(req, flightId);
-          if (!allowed) {
-            return res.status(403).json({ message: "forbidden_flight" });
-          }
-        }
-      }
+    const geofenceId = method === "PUT" ? matchGeofenceId(requestPath) : null;
+    if (geofenceId) {
+      await captureGeofenceBaseline(geofenceId, req.requestId || "");
     }
 
-    const data = ["POST", "PUT", "PATCH", "DELETE"].includes(method) ? req.body : undefined;
-
     try {
       const headers = {
         "Content-Type": "application/json",
         "X-Request-ID": req.requestId || ""
       };
-      if (requestPath === "/v1/drones/register" && ATC_REGISTRATION_TOKEN) {
+      if (matched.route.registrationToken && ATC_REGISTRATION_TOKEN) {
         headers["X-Registration-Token"] = ATC_REGISTRATION_TOKEN;
       }
-      if (ATC_ADMIN_TOKEN && requiresAdminTokenForAtc(method, requestPath)) {
+      if (matched.route.adminToken && ATC_ADMIN_TOKEN) {
         headers.Authorization = `Bearer ${ATC_ADMIN_TOKEN}`;
       }
 
-      const timeout = resolveAtcProxyTimeoutMs(method, requestPath);
+      const timeout = matched.route.timeoutMs;
+      const endUpstreamTimer = metrics.atcUpstreamSeconds.startTimer({ route: routeLabel, method });
       const response = await atcAxios({
         method,
         url,
         data,
         timeout,
         headers
+      }).catch((error) => {
+        endUpstreamTimer({ status: error?.code === "ECONNABORTED" ? "timeout" : "error" });
+        throw error;
       });
+      endUpstreamTimer({ status: String(response.status) });
+
+      recordGeofenceWrite(req, method, requestPath, response);
 
       const upstreamContentType = response.headers?.["content-type"];
       if (upstreamContentType) {
@@ -1282,6 +2077,901 @@
     }
   });
 
+  // ========================================
+  // System status (status bar panel)
+  // ========================================
+  function summarizeWsProxyConnections(req) {
+    let active = 0;
+    wsProxyConnections.forEach(connections => { active += connections.size; });
+    const summary = {
+      active,
+      users: wsProxyConnections.size,
+      mine: wsProxyConnections.get(req.session.user.id)?.size || 0,
+      upstream: telemetryHub ? telemetryHub.getStatus() : { state: "disabled" }
+    };
+    if (isAuthority(req)) {
+      summary.byUser = Array.from(wsProxyConnections, ([userId, connections]) => ({
+        userId,
+        name: userStore.getUserById(userId)?.name || null,
+        connections: connections.size
+      })).sort((a, b) => b.connections - a.connections);
+    }
+    return summary;
+  }
+
+  app.get("/api/system/status", requireAuth, async (req, res) => {
+    const report = await healthMonitor.check({ fresh: req.query.refresh === "1" });
+    res.set("Cache-Control", "no-store");
+    res.json({
+      ...report,
+      version: APP_VERSION,
+      startedAt: STARTED_AT,
+      complianceSync: complianceSyncState(),
+      wsProxy: summarizeWsProxyConnections(req)
+    });
+  });
+
+  // ========================================
+  // Audit log (authority only)
+  // ========================================
+  const AUDIT_CSV_COLUMNS = [
+    ["createdAt", "timestamp"],
+    ["userId", "user_id"],
+    ["userRole", "role"],
+    ["method", "method"],
+    ["path", "path"],
+    ["requestId", "request_id"],
+    ["droneId", "drone_id"],
+    ["flightId", "flight_id"],
+    ["status", "status"]
+  ];
+
+  function readAuditFilters(query) {
+    const pick = (value) => (typeof value === "string" && value.trim() ? value.trim() : null);
+    return {
+      userId: pick(query.user_id),
+      droneId: pick(query.drone_id),
+      from: pick(query.from),
+      to: pick(query.to)
+    };
+  }
+
+  function toCsvValue(value) {
+    if (value === null || value === undefined) return "";
+    const text = String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  }
+
+  app.get("/api/audit", requireRole(["authority", "admin"]), (req, res) => {
+    const result = userStore.listAudit({
+      ...readAuditFilters(req.query),
+      limit: req.query.limit,
+      offset: req.query.offset
+    });
+    res.json(result);
+  });
+
+  app.get("/api/audit/export", requireRole(["authority", "admin"]), (req, res) => {
+    const format = req.query.format === "json" ? "json" : "csv";
+    const { entries } = userStore.listAudit({ ...readAuditFilters(req.query), limit: 10000 });
+    const stamp = new Date().toISOString().replace(/[:.]/g, "-");
+    res.setHeader("Content-Disposition", `attachment; filename="atc-audit-${stamp}.${format}"`);
+    if (format === "json") {
+      return res.type("application/json").send(JSON.stringify(entries, null, 2));
+    }
+    const lines = [AUDIT_CSV_COLUMNS.map(([, header]) => header).join(",")];
+    entries.forEach((entry) => {
+      lines.push(AUDIT_CSV_COLUMNS.map(([key]) => toCsvValue(entry[key])).join(","));
+    });
+    res.type("text/csv").send(`${lines.join("\n")}\n`);
+  });
+
+  // ========================================
+  // User administration
+  // ========================================
+  const USER_ROLES = ["viewer", "operator", "authority", "admin"];
+  // Only a strict promotion keeps existing sessions; anything else signs the user out.
+  const USER_ROLE_RANK = { viewer: 0, operator: 1, authority: 2, admin: 2 };
+
+  function toAdminUserView(user) {
+    return {
+      id: user.id,
+      name: user.name,
+      email: user.email,
+      role: user.role,
+      createdAt: user.createdAt,
+      lastLoginAt: user.lastLoginAt,
+      disabled: Boolean(user.disabledAt),
+      disabledAt: user.disabledAt,
+      passwordResetRequired: user.passwordResetRequired,
+      mfaEnabled: user.mfaEnabled,
+      lockedUntil: loginThrottle.getAccountLock(user.id),
+      activeSessions: sessionIndex.countSessions(user.id),
+      sso: user.passwordAlgo === SSO_PASSWORD_ALGO
+    };
+  }
+
+  function auditUserAdmin(req, status) {
+    userStore.recordAudit({
+      userId: req.session.user.id,
+      userRole: req.session.user.role,
+      method: req.method,
+      path: req.originalUrl.split("?")[0],
+      requestId: req.requestId || null,
+      status
+    });
+  }
+
+  function revokeUserAccess(userId) {
+    revokeUserSessions(userId);
+    const closed = closeWsProxyConnectionsForUser(userId);
+    console.log(`[ADMIN] Sessions invalidated for ${userId}${closed ? ` (${closed} WS connection(s) closed)` : ""}`);
+  }
+
+  // Leaves at least one enabled admin so the console cannot lock itself out.
+  function removesLastAdmin(target, nextRole, nextDisabled) {
+    if (target.role !== "admin" || target.disabledAt) return false;
+    if (nextRole === "admin" && !nextDisabled) return false;
+    return userStore.countActiveUsersWithRole("admin") <= 1;
+  }
+
+  app.get("/api/admin/users", requireRole(["admin"]), (req, res) => {
+    const role = USER_ROLES.includes(req.query.role) ? req.query.role : null;
+    const result = userStore.listUsers({
+      search: req.query.search,
+      role,
+      limit: req.query.limit,
+      offset: req.query.offset
+    });
+    res.json({ ...result, users: result.users.map(toAdminUserView), roles: USER_ROLES });
+  });
+
+  app.patch("/api/admin/users/:id", requireRole(["admin"]), (req, res) => {
+    const target = userStore.getUserById(req.params.id);
+    if (!target) {
+      return res.status(404).json({ message: "user_not_found" });
+    }
+    if (target.id === req.session.user.id) {
+      return res.status(400).json({ message: "You cannot change your own role or status" });
+    }
+
+    const body = req.body && typeof req.body === "object" ? req.body : {};
+    const nextRole = body.role === undefined ? target.role : body.role;
+    const nextDisabled = body.disabled === undefined ? Boolean(target.disabledAt) : body.disabled;
+    if (!USER_ROLES.includes(nextRole)) {
+      return res.status(400).json({ message: `role must be one of ${USER_ROLES.join(", ")}` });
+    }
+    if (typeof nextDisabled !== "boolean") {
+      return res.status(400).json({ message: "disabled must be a boolean" });
+    }
+    if (removesLastAdmin(target, nextRole, nextDisabled)) {
+      return res.status(409).json({ message: "At least one enabled admin account is required" });
+    }
+
+    let revoked = false;
+    if (nextRole !== target.role) {
+      const demoted = !(USER_ROLE_RANK[nextRole] > USER_ROLE_RANK[target.role]);
+      userStore.updateRole(target.id, nextRole, { invalidateSessions: demoted });
+      revoked = revoked || demoted;
+    }
+    if (nextDisabled !== Boolean(target.disabledAt)) {
+      userStore.setDisabled(target.id, nextDisabled);
+      revoked = revoked || nextDisabled;
+    }
+    if (revoked) revokeUserAccess(target.id);
+
+    auditUserAdmin(req, 200);
+    console.log(`[ADMIN] ${req.session.user.id} updated ${target.id}: role=${nextRole} disabled=${nextDisabled}`);
+    res.json({ user: toAdminUserView(userStore.getUserById(target.id)), sessionsRevoked: revoked });
+  });
+
+  app.post("/api/admin/users/:id/password-reset", requireRole(["admin"]), (req, res) => {
+    const target = userStore.getUserById(req.params.id);
+    if (!target) {
+      return res.status(404).json({ message: "user_not_found" });
+    }
+    if (target.id === req.session.user.id) {
+      return res.status(400).json({ message: "Use Settings to change your own password" });
+    }
+    if (target.passwordAlgo === SSO_PASSWORD_ALGO) {
+      return res.status(400).json({ message: "This account signs in with single sign-on and has no local password" });
+    }
+    const updated = userStore.requirePasswordReset(target.id);
+    revokeUserAccess(target.id);
+    auditUserAdmin(req, 200);
+    console.log(`[ADMIN] ${req.session.user.id} forced a password reset for ${target.id}`);
+    res.json({ user: toAdminUserView(updated), sessionsRevoked: true });
+  });
+
+  app.get("/api/admin/users/:id/sessions", requireRole(["admin"]), async (req, res) => {
+    const target = userStore.getUserById(req.params.id);
+    if (!target) {
+      return res.status(404).json({ message: "user_not_found" });
+    }
+    const sessions = await listLiveSessions(target.id);
+    res.json({ sessions: sessions.map(session => toSessionView(session)) });
+  });
+
+  // Also bumps the session version so sessions missing from the index end too.
+  app.post("/api/admin/users/:id/sign-out", requireRole(["admin"]), (req, res) => {
+    const target = userStore.getUserById(req.params.id);
+    if (!target) {
+      return res.status(404).json({ message: "user_not_found" });
+    }
+    if (target.id === req.session.user.id) {
+      return res.status(400).json({ message: "Use Settings to sign out your other sessions" });
+    }
+    const updated = userStore.invalidateSessions(target.id);
+    revokeUserAccess(target.id);
+    auditUserAdmin(req, 200);
+    console.log(`[ADMIN] ${req.session.user.id} signed ${target.id} out everywhere`);
+    res.json({ user: toAdminUserView(updated), sessionsRevoked: true });
+  });
+
+  // For users who lost their authenticator and recovery codes. If their role
+  // requires 2FA they are sent to enroll again on their next request.
+  app.post("/api/admin/users/:id/mfa-reset", requireRole(["admin"]), (req, res) => {
+    const target = userStore.getUserById(req.params.id);
+    if (!target) {
+      return res.status(404).json({ message: "user_not_found" });
+    }
+    if (target.id === req.session.user.id) {
+      return res.status(400).json({ message: "Use Settings to manage your own two-factor authentication" });
+    }
+    if (!target.mfaEnabled) {
+      return res.status(400).json({ message: "Two-factor authentication is not enabled for this user" });
+    }
+    const updated = userStore.disableMfa(target.id);
+    auditUserAdmin(req, 200);
+    console.log(`[ADMIN] ${req.session.user.id} reset two-factor authentication for ${target.id}`);
+    res.json({ user: toAdminUserView(updated), sessionsRevoked: false });
+  });
+
+  // Accounts and client IPs currently locked out by login throttling.
+  app.get("/api/admin/lockouts", requireRole(["admin"]), (req, res) => {
+    const { policy } = loginThrottle;
+    res.json({
+      lockouts: loginThrottle.listLocked(),
+      policy: {
+        accountLockThreshold: policy.account.lockThreshold,
+        ipLockThreshold: policy.ip.lockThreshold,
+        lockoutMinutes: policy.lockoutMs / 60000
+      }
+    });
+  });
+
+  app.delete("/api/admin/lockouts/:scope/:key", requireRole(["admin"]), (req, res) => {
+    if (!loginThrottle.unlock(req.params.scope, req.params.key)) {
+      return res.status(404).json({ message: "lockout_not_found" });
+    }
+    auditUserAdmin(req, 200);
+    console.log(`[ADMIN] ${req.session.user.id} cleared the ${req.params.scope} lockout for ${req.params.key}`);
+    res.json({ ok: true });
+  });
+
+  app.get("/api/admin/mfa-policy", requireRole(["admin"]), (req, res) => {
+    res.json({ requiredRoles: userStore.getMfaRequiredRoles(), roles: USER_ROLES });
+  });
+
+  app.put("/api/admin/mfa-policy", requireRole(["admin"]), (req, res) => {
+    const requested = Array.isArray(req.body?.requiredRoles) ? req.body.requiredRoles : null;
+    if (!requested || requested.some(role => !USER_ROLES.includes(role))) {
+      return res.status(400).json({ message: `requiredRoles must list roles from: ${USER_ROLES.join(", ")}` });
+    }
+    const requiredRoles = userStore.setMfaRequiredRoles(requested, req.session.user.id);
+    auditUserAdmin(req, 200);
+    console.log(`[ADMIN] ${req.session.user.id} set 2FA-required roles: ${requiredRoles.join(", ") || "(none)"}`);
+    res.json({ requiredRoles, roles: USER_ROLES });
+  });
+
+  app.get("/api/admin/atc-policy", requireRole(["admin"]), (req, res) => {
+    res.json(atcProxyPolicy.describe());
+  });
+
+  // ========================================
+  // Organizations (shared fleets)
+  // ========================================
+
+  // Platform admins manage every organization; org managers manage their own.
+  function canManageOrg(req, orgId) {
+    if (req.session.user.role === "admin") return true;
+    return orgStore.getMembershipRole(orgId, req.session.user.id) === "manager";
+  }
+
+  function loadOrgForRequest(req, res, { manage = false } = {}) {
+    const org = orgStore.getOrg(req.params.id);
+    const role = org ? orgStore.getMembershipRole(org.id, req.session.user.id) : null;
+    if (!org || (!role && req.session.user.role !== "admin")) {
+      res.status(404).json({ message: "organization_not_found" });
+      return null;
+    }
+    if (manage && !canManageOrg(req, org.id)) {
+      res.status(403).json({ message: "insufficient_org_role" });
+      return null;
+    }
+    return { ...org, role: role || undefined, canManage: canManageOrg(req, org.id) };
+  }
+
+  app.get("/api/orgs", requireAuth, (req, res) => {
+    const mine = orgStore.listOrgsForUser(req.session.user.id);
+    const organizations = req.session.user.role === "admin"
+      ? orgStore.listOrgs().map(org => ({ ...org, role: mine.find(entry => entry.id === org.id)?.role }))
+      : mine;
+    res.json({
+      organizations: organizations.map(org => ({ ...org, canManage: canManageOrg(req, org.id) })),
+      active: req.session.user.organization || null,
+      roles: ORG_ROLES,
+      canCreate: req.session.user.role === "admin"
+    });
+  });
+
+  app.post("/api/orgs", requireRole(["admin"]), (req, res) => {
+    const parsed = parseOrgName(req.body?.name);
+    if (parsed.error) {
+      return res.status(400).json({ message: parsed.error });
+    }
+    const org = orgStore.createOrg(parsed.name, req.session.user.id);
+    if (!org) {
+      return res.status(409).json({ message: "An organization with that name already exists" });
+    }
+    auditUserAdmin(req, 201);
+    console.log(`[ORG] ${req.session.user.id} created organization ${org.name} (${org.id})`);
+    res.status(201).json(org);
+  });
+
+  app.get("/api/orgs/:id", requireAuth, (req, res) => {
+    const org = loadOrgForRequest(req, res);
+    if (!org) return;
+    res.json({ organization: org, members: orgStore.listMembers(org.id), roles: ORG_ROLES });
+  });
+
+  app.patch("/api/orgs/:id", requireAuth, (req, res) => {
+    const org = loadOrgForRequest(req, res, { manage: true });
+    if (!org) return;
+    const parsed = parseOrgName(req.body?.name);
+    if (parsed.error) {
+      return res.status(400).json({ message: parsed.error });
+    }
+    const renamed = orgStore.renameOrg(org.id, parsed.name);
+    if (renamed === false) {
+      return res.status(409).json({ message: "An organization with that name already exists" });
+    }
+    auditUserAdmin(req, 200);
+    res.json(renamed);
+  });
+
+  // Drones and flights owned by a deleted organization keep its owner id
+  // upstream and are then only visible to authorities.
+  app.delete("/api/orgs/:id", requireRole(["admin"]), (req, res) => {
+    if (!orgStore.removeOrg(req.params.id)) {
+      return res.status(404).json({ message: "organization_not_found" });
+    }
+    auditUserAdmin(req, 200);
+    console.log(`[ORG] ${req.session.user.id} deleted organization ${req.params.id}`);
+    res.json({ removed: true });
+  });
+
+  // Adds a member (by user id or email) or changes their org role.
+  app.put("/api/orgs/:id/members", requireAuth, (req, res) => {
+    const org = loadOrgForRequest(req, res, { manage: true });
+    if (!org) return;
+    const lookup = typeof req.body?.user === "string" ? req.body.user.trim() : "";
+    const target = userStore.getUserById(lookup) || userStore.getUserByEmail(normalizeEmail(lookup));
+    if (!target) {
+      return res.status(404).json({ message: "user_not_found" });
+    }
+    const role = req.body?.role;
+    if (!ORG_ROLES.includes(role)) {
+      return res.status(400).json({ message: `role must be one of ${ORG_ROLES.join(", ")}` });
+    }
+    const currentRole = orgStore.getMembershipRole(org.id, target.id);
+    if (currentRole === "manager" && role !== "manager" && orgStore.countManagers(org.id) <= 1
+      && req.session.user.role !== "admin") {
+      return res.status(409).json({ message: "An organization needs at least one manager" });
+    }
+    orgStore.setMember(org.id, target.id, role, req.session.user.id);
+    auditUserAdmin(req, 200);
+    console.log(`[ORG] ${req.session.user.id} set ${target.id} as ${role} of ${org.name}`);
+    res.json({ members: orgStore.listMembers(org.id) });
+  });
+
+  app.delete("/api/orgs/:id/members/:userId", requireAuth, (req, res) => {
+    const org = loadOrgForRequest(req, res, { manage: true });
+    if (!org) return;
+    const currentRole = orgStore.getMembershipRole(org.id, req.params.userId);
+    if (!currentRole) {
+      return res.status(404).json({ message: "member_not_found" });
+    }
+    if (currentRole === "manager" && orgStore.countManagers(org.id) <= 1 && req.session.user.role !== "admin") {
+      return res.status(409).json({ message: "An organization needs at least one manager" });
+    }
+    orgStore.removeMember(org.id, req.params.userId);
+    auditUserAdmin(req, 200);
+    console.log(`[ORG] ${req.session.user.id} removed ${req.params.userId} from ${org.name}`);
+    res.json({ members: orgStore.listMembers(org.id) });
+  });
+
+  // ========================================
+  // Geofence revisions
+  // ========================================
+  const geofenceRevisions = initGeofenceRevisionStore(userStore.db);
+
+  function matchGeofenceId(requestPath) {
+    const match = requestPath.match(/^\/v1\/geofences\/([^/]+)$/);
+    if (!match || match[1] === "check" || match[1] === "check-route") return null;
+    return decodeURIComponent(match[1]);
+  }
+
+  // The first edit made through the control center snapshots the version it replaces.
+  async function captureGeofenceBaseline(geofenceId, requestId = "") {
+    if (geofenceRevisions.hasRevisions(geofenceId)) return;
+    try {
+      const response = await atcAxios.get(`/v1/geofences/${encodeURIComponent(geofenceId)}`, {
+        headers: atcAdminHeaders(requestId),
+        timeout: 5000
+      });
+      if (response.status === 200 && response.data && typeof response.data === "object") {
+        geofenceRevisions.recordRevision({ geofenceId, action: "baseline", snapshot: response.data });
+      }
+    } catch (error) {
+      console.warn("[Geofences] Could not snapshot geofence before edit:", error.message);
+    }
+  }
+
+  function recordGeofenceWrite(req, method, requestPath, response, action = null) {
+    if (response.status < 200 || response.status >= 300) return null;
+    if (method === "DELETE") {
+      const deletedId = matchGeofenceId(requestPath);
+      if (deletedId) geofenceSchedules.removeSchedule(deletedId);
+      return null;
+    }
+    const body = response.data;
+    if (!body || typeof body !== "object" || Array.isArray(body)) return null;
+    let geofenceId = null;
+    if (method === "POST" && requestPath === "/v1/geofences") {
+      geofenceId = body.id;
+    } else if (method === "PUT") {
+      geofenceId = matchGeofenceId(requestPath);
+    }
+    if (!geofenceId) return null;
+    try {
+      return geofenceRevisions.recordRevision({
+        geofenceId,
+        userId: req.session?.user?.id,
+        action: action || (method === "POST" ? "create" : "update"),
+        snapshot: body
+      });
+    } catch (error) {
+      console.error("[Geofences] Failed to record revision:", error.message);
+      return null;
+    }
+  }
+
+  app.get("/api/geofences/:id/revisions", requireRole(["authority", "admin"]), (req, res) => {
+    res.json(geofenceRevisions.listRevisions(req.params.id));
+  });
+
+  app.post("/api/geofences/:id/revisions/:revision/restore", requireRole(["authority", "admin"]), async (req, res) => {
+    const geofenceId = req.params.id;
+    const revision = geofenceRevisions.getRevision(geofenceId, req.params.revision);
+    if (!revision) {
+      return res.status(404).json({ message: "revision_not_found" });
+    }
+
+    const requestPath = `/v1/geofences/${encodeURIComponent(geofenceId)}`;
+    auditAtcProxyCall(req, res, "PUT", requestPath);
+    try {
+      const response = await atcAxios.put(requestPath, pickRestorableFields(revision.snapshot), {
+        headers: { "Content-Type": "application/json", ...atcAdminHeaders(req.requestId || "") },
+        timeout: atcProxyPolicy.match("PUT", requestPath)?.route.timeoutMs || 10_000
+      });
+      if (response.status < 200 || response.status >= 300) {
+        return res.status(response.status).json(
+          response.data && typeof response.data === "object" ? response.data : { message: "restore_failed" }
+        );
+      }
+      const restored = recordGeofenceWrite(req, "PUT", requestPath, response, "restore");
+      return res.json({ geofence: response.data, revision: restored });
+    } catch (error) {
+      console.error("[Geofences] Restore failed:", error.message);
+      return res.status(502).json({ message: "Failed to reach ATC server" });
+    }
+  });
+
+  // ========================================
+  // Geofence schedules (activation windows)
+  // ========================================
+  const geofenceSchedules = initGeofenceScheduleStore(userStore.db);
+  const SCHEDULE_TIMELINE_MAX_HOURS = 14 * 24;
+  let geofenceSchedulePassInFlight = false;
+
+  function describeSchedule(schedule, fromMs, toMs) {
+    const now = Date.now();
+    const next = nextTransition(schedule, now);
+    const toIso = (value) => (value === null ? null : new Date(value).toISOString());
+    return {
+      ...schedule,
+      activeNow: isActiveAt(schedule, now),
+      nextTransition: next ? { at: toIso(next.at), active: next.active } : null,
+      windows: listWindows(schedule, fromMs, toMs).map(({ start, end }) => ({ start: toIso(start), end: toIso(end) }))
+    };
+  }
+
+  // Pushes one schedule's desired state upstream. Returns the state now
+  // applied, or null when ATC refused or was unreachable (the next pass retries).
+  async function applyGeofenceSchedule(schedule, desired) {
+    const requestPath = `/v1/geofences/${encodeURIComponent(schedule.geofenceId)}`;
+    try {
+      await captureGeofenceBaseline(schedule.geofenceId);
+      const response = await atcAxios.put(requestPath, { active: desired }, {
+        headers: { "Content-Type": "application/json", ...atcAdminHeaders() },
+        timeout: 5000
+      });
+      userStore.recordAudit({
+        userId: null,
+        userRole: "scheduler",
+        method: "PUT",
+        path: requestPath,
+        requestId: null,
+        droneId: null,
+        flightId: null,
+        status: response.status
+      });
+      if (response.status === 404) {
+        console.warn(`[Geofence Schedule] Geofence ${schedule.geofenceId} no longer exists; dropping its schedule`);
+        geofenceSchedules.removeSchedule(schedule.geofenceId);
+        return null;
+      }
+      if (response.status < 200 || response.status >= 300) {
+        console.warn(`[Geofence Schedule] ATC rejected activation change for ${schedule.geofenceId}: ${response.status}`);
+        return null;
+      }
+      geofenceSchedules.markApplied(schedule.geofenceId, desired);
+      if (response.data && typeof response.data === "object" && !Array.isArray(response.data)) {
+        geofenceRevisions.recordRevision({
+          geofenceId: schedule.geofenceId,
+          action: "schedule",
+          snapshot: response.data
+        });
+      }
+      console.log(`[Geofence Schedule] ${schedule.geofenceId} ${desired ? "activated" : "deactivated"}`);
+      return desired;
+    } catch (error) {
+      console.warn(`[Geofence Schedule] Failed to update ${schedule.geofenceId}:`, error.message);
+      return null;
+    }
+  }
+
+  // Flips `active` upstream only when a window opens or closes, so a manual
+  // toggle in between holds until the next boundary.
+  async function applyGeofenceSchedules() {
+    if (geofenceSchedulePassInFlight) return;
+    geofenceSchedulePassInFlight = true;
+    try {
+      const now = Date.now();
+      const due = geofenceSchedules
+        .listSchedules()
+        .map(schedule => ({ schedule, desired: isActiveAt(schedule, now) }))
+        .filter(({ schedule, desired }) => schedule.appliedActive !== desired);
+
+      for (const { schedule, desired } of due) {
+        await applyGeofenceSchedule(schedule, desired);
+      }
+    } finally {
+      geofenceSchedulePassInFlight = false;
+    }
+  }
+
+  if (GEOFENCE_SCHEDULE_POLL_MS > 0) {
+    setInterval(applyGeofenceSchedules, GEOFENCE_SCHEDULE_POLL_MS).unref();
+    applyGeofenceSchedules();
+  }
+
+  app.get("/api/geofence-schedules", requireAuth, (req, res) => {
+    const hours = Math.min(Math.max(Number(req.query.hours) || 48, 1), SCHEDULE_TIMELINE_MAX_HOURS);
+    const fromMs = Date.now();
+    const toMs = fromMs + hours * 60 * 60 * 1000;
+    res.json({
+      from: new Date(fromMs).toISOString(),
+      to: new Date(toMs).toISOString(),
+      schedules: geofenceSchedules.listSchedules().map(schedule => describeSchedule(schedule, fromMs, toMs))
+    });
+  });
+
+  app.get("/api/geofences/:id/schedule", requireAuth, (req, res) => {
+    const schedule = geofenceSchedules.getSchedule(req.params.id);
+    if (!schedule) {
+      return res.status(404).json({ message: "schedule_not_found" });
+    }
+    const fromMs = Date.now();
+    return res.json(describeSchedule(schedule, fromMs, fromMs + 7 * 24 * 60 * 60 * 1000));
+  });
+
+  app.put("/api/geofences/:id/schedule", requireRole(["authority", "admin"]), async (req, res) => {
+    const { schedule, error } = parseScheduleInput(req.body, GEOFENCE_SCHEDULE_DEFAULT_TZ);
+    if (error) {
+      return res.status(400).json({ message: error });
+    }
+    const geofenceId = req.params.id;
+    try {
+      const response = await atcAxios.get(`/v1/geofences/${encodeURIComponent(geofenceId)}`, {
+        headers: atcAdminHeaders(req.requestId || ""),
+        timeout: 5000
+      });
+      if (response.status === 404) {
+        return res.status(404).json({ message: "geofence_not_found" });
+      }
+      if (response.status < 200 || response.status >= 300) {
+        return res.status(response.status).json(
+          response.data && typeof response.data === "object" ? response.data : { message: "geofence_lookup_failed" }
+        );
+      }
+    } catch (error) {
+      console.error("[Geofence Schedule] Geofence lookup failed:", error.message);
+      return res.status(502).json({ message: "Failed to reach ATC server" });
+    }
+
+    const saved = geofenceSchedules.saveSchedule(geofenceId, schedule, req.session.user?.id);
+    // Applied here rather than through the scheduler pass, which may already be running.
+    const desired = isActiveAt(saved, Date.now());
+    if (saved.appliedActive !== desired) {
+      await applyGeofenceSchedule(saved, desired);
+    }
+    const current = geofenceSchedules.getSchedule(geofenceId);
+    if (!current) {
+      return res.status(404).json({ message: "geofence_not_found" });
+    }
+    const fromMs = Date.now();
+    return res.json(describeSchedule(current, fromMs, fromMs + 7 * 24 * 60 * 60 * 1000));
+  });
+
+  app.delete("/api/geofences/:id/schedule", requireRole(["authority", "admin"]), (req, res) => {
+    const removed = geofenceSchedules.removeSchedule(req.params.id);
+    res.json({ removed });
+  });
+
+  // ========================================
+  // Conflict history (background recorder)
+  // ========================================
+  const conflictHistory = initConflictHistoryStore(userStore.db);
+  let conflictHistoryPollInFlight = false;
+
+  async function pollConflictHistory() {
+    if (conflictHistoryPollInFlight) return;
+    conflictHistoryPollInFlight = true;
+    try {
+      const response = await atcAxios.get("/v1/conflicts", {
+        headers: atcAdminHeaders(),
+        timeout: 5000
+      });
+      // Only a successful poll may close episodes; an unreachable backend leaves them open.
+      if (response.status === 200 && Array.isArray(response.data)) {
+        conflictHistory.recordSnapshot(response.data, Date.now());
+      }
+    } catch (error) {
+      // ATC unreachable; try again on the next tick.
+    } finally {
+      conflictHistoryPollInFlight = false;
+    }
+  }
+
+  if (CONFLICT_HISTORY_POLL_MS > 0) {
+    setInterval(pollConflictHistory, CONFLICT_HISTORY_POLL_MS).unref();
+    pollConflictHistory();
+  }
+
+  app.get("/api/conflict-history", requireAuth, async (req, res) => {
+    const pick = (value) => (typeof value === "string" && value.trim() ? value.trim() : null);
+    const filters = {
+      from: pick(req.query.from),
+      to: pick(req.query.to),
+      droneId: pick(req.query.drone_id),
+      status: pick(req.query.status),
+      limit: req.query.limit,
+      offset: req.query.offset
+    };
+    if (!isAuthority(req)) {
+      const ownedDroneIds = await getOwnedDroneIds(ownerScopeFor(req).visibleOwnerIds, req.requestId || "");
+      filters.droneIds = [...ownedDroneIds];
+    }
+    res.json(conflictHistory.listEpisodes(filters));
+  });
+
+  // ========================================
+  // Flight recorder (replay)
+  // ========================================
+  const FLIGHT_RECORDER_ENABLED = FLIGHT_RECORDER_SAMPLE_MS > 0;
+  const REPLAY_MAX_WINDOW_MS = 6 * 60 * 60 * 1000;
+  const flightRecorder = initFlightRecorder(userStore.db, {
+    sampleIntervalMs: FLIGHT_RECORDER_SAMPLE_MS,
+    retentionMs: FLIGHT_RECORDER_RETENTION_HOURS * 60 * 60 * 1000
+  });
+  let daaHistoryPollInFlight = false;
+
+  async function pollDaaHistory() {
+    if (daaHistoryPollInFlight) return;
+    daaHistoryPollInFlight = true;
+    try {
+      const response = await atcAxios.get("/v1/daa", {
+        params: { active_only: "true" },
+        headers: atcAdminHeaders(),
+        timeout: 5000
+      });
+      if (response.status === 200 && Array.isArray(response.data)) {
+        flightRecorder.recordAdvisories(response.data, Date.now());
+      }
+    } catch (error) {
+      // ATC unreachable; try again on the next tick.
+    } finally {
+      daaHistoryPollInFlight = false;
+    }
+  }
+
+  if (FLIGHT_RECORDER_ENABLED) {
+    setInterval(() => {
+      try {
+        flightRecorder.flush();
+      } catch (error) {
+        console.error("[Flight Recorder] Flush failed:", error.message);
+      }
+    }, 2000).unref();
+    setInterval(() => flightRecorder.prune(), 60 * 60 * 1000).unref();
+    flightRecorder.prune();
+    if (FLIGHT_RECORDER_DAA_POLL_MS > 0) {
+      setInterval(pollDaaHistory, FLIGHT_RECORDER_DAA_POLL_MS).unref();
+      pollDaaHistory();
+    }
+  }
+
+  app.get("/api/replay/range", requireAuth, (req, res) => {
+    res.json({
+      enabled: FLIGHT_RECORDER_ENABLED,
+      retentionHours: FLIGHT_RECORDER_RETENTION_HOURS,
+      maxWindowMinutes: REPLAY_MAX_WINDOW_MS / 60000,
+      ...flightRecorder.getRecordedRange()
+    });
+  });
+
+  app.get("/api/replay", requireAuth, async (req, res) => {
+    const fromMs = parseTimestampMs(req.query.from);
+    const toMs = parseTimestampMs(req.query.to);
+    if (fromMs === null || toMs === null || toMs <= fromMs) {
+      return res.status(400).json({ message: "from and to must be timestamps with from < to" });
+    }
+    if (toMs - fromMs > REPLAY_MAX_WINDOW_MS) {
+      return res.status(400).json({ message: `Replay window cannot exceed ${REPLAY_MAX_WINDOW_MS / 60000} minutes` });
+    }
+
+    const droneId = typeof req.query.drone_id === "string" && req.query.drone_id.trim()
+      ? req.query.drone_id.trim()
+      : null;
+    const filters = { from: fromMs, to: toMs, droneId };
+    if (!isAuthority(req)) {
+      const { visibleOwnerIds } = ownerScopeFor(req);
+      const ownedDroneIds = await getOwnedDroneIds(visibleOwnerIds, req.requestId || "");
+      filters.ownerIds = visibleOwnerIds;
+      filters.droneIds = [...ownedDroneIds];
+    }
+
+    const replay = flightRecorder.getWindow(filters);
+    const conflicts = conflictHistory.listEpisodes({
+      from: replay.from,
+      to: replay.to,
+      droneId,
+      droneIds: filters.droneIds,
+      limit: 1000
+    }).episodes;
+    res.json({ ...replay, conflicts });
+  });
+
+  // ========================================
+  // Mission templates (per user)
+  // ========================================
+
+  app.get("/api/mission-templates", requireAuth, (req, res) => {
+    res.json(missionTemplates.listTemplates(req.session.user.id));
+  });
+
+  app.get("/api/mission-templates/:id", requireAuth, (req, res) => {
+    const template = missionTemplates.getTemplate(req.session.user.id, req.params.id);
+    if (!template) {
+      return res.status(404).json({ message: "template_not_found" });
+    }
+    res.json(template);
+  });
+
+  app.post("/api/mission-templates", requireAuth, (req, res) => {
+    const parsed = parseTemplateInput(req.body);
+    if (parsed.error) {
+      return res.status(400).json({ message: parsed.error });
+    }
+    const template = missionTemplates.createTemplate(req.session.user.id, parsed.template);
+    if (!template) {
+      return res.status(409).json({ message: "Template limit reached; delete an existing template first" });
+    }
+    res.status(201).json(template);
+  });
+
+  app.put("/api/mission-templates/:id", requireAuth, (req, res) => {
+    const parsed = parseTemplateInput(req.body);
+    if (parsed.error) {
+      return res.status(400).json({ message: parsed.error });
+    }
+    const template = missionTemplates.updateTemplate(req.session.user.id, req.params.id, parsed.template);
+    if (!template) {
+      return res.status(404).json({ message: "template_not_found" });
+    }
+    res.json(template);
+  });
+
+  app.delete("/api/mission-templates/:id", requireAuth, (req, res) => {
+    const removed = missionTemplates.removeTemplate(req.session.user.id, req.params.id);
+    if (!removed) {
+      return res.status(404).json({ message: "template_not_found" });
+    }
+    res.json({ removed });
+  });
+
+  // ========================================
+  // Map layer settings (per user)
+  // ========================================
+
+  app.get("/api/map/layers", requireAuth, (req, res) => {
+    res.json(mapLayers.getLayers(req.session.user.id));
+  });
+
+  app.put("/api/map/layers", requireAuth, (req, res) => {
+    const parsed = parseMapLayerInput(req.body);
+    if (parsed.error) {
+      return res.status(400).json({ message: parsed.error });
+    }
+    res.json(mapLayers.saveLayers(req.session.user.id, parsed.layers));
+  });
+
+  app.delete("/api/map/layers", requireAuth, (req, res) => {
+    res.json(mapLayers.resetLayers(req.session.user.id));
+  });
+
+  // ========================================
+  // Map annotations (shared by everyone on the map)
+  // ========================================
+
+  const ANNOTATION_AUTHOR_ROLES = ["operator", "authority", "admin"];
+
+  app.get("/api/map/annotations", requireAuth, (req, res) => {
+    const user = req.session.user;
+    res.json({
+      annotations: mapAnnotations.listAnnotations().map(annotation => ({
+        ...annotation,
+        canDelete: canDeleteAnnotation(user, annotation)
+      })),
+      canCreate: ANNOTATION_AUTHOR_ROLES.includes(user.role)
+    });
+  });
+
+  app.post("/api/map/annotations", requireRole(ANNOTATION_AUTHOR_ROLES), (req, res) => {
+    const parsed = parseAnnotationInput(req.body);
+    if (parsed.error) {
+      return res.status(400).json({ message: parsed.error });
+    }
+    const annotation = mapAnnotations.createAnnotation(req.session.user, parsed.annotation);
+    if (!annotation) {
+      return res.status(409).json({ message: "Annotation limit reached; delete old annotations first" });
+    }
+    res.status(201).json({ ...annotation, canDelete: true });
+  });
+
+  app.delete("/api/map/annotations/:id", requireAuth, (req, res) => {
+    const annotation = mapAnnotations.getAnnotation(req.params.id);
+    if (!annotation) {
+      return res.status(404).json({ message: "annotation_not_found" });
+    }
+    if (!canDeleteAnnotation(req.session.user, annotation)) {
+      return res.status(403).json({ message: "Only the author or an authority can delete this annotation" });
+    }
+    res.json({ removed: mapAnnotations.removeAnnotation(annotation.id) });
+  });
+
   // ========================================
   // Flight Declaration proxy (Mission Planning)
   // ========================================
@@ -1302,7 +2992,7 @@
       let payload = parseBlenderPayload(response.data);
       if (!isAuthority(req)) {
         const userEmail = normalizeEmail(req.session.user?.email);
-        const ownedDroneIds = await getOwnedDroneIds(req.session.user?.id, req.requestId || "");
+        const ownedDroneIds = await getOwnedDroneIds(ownerScopeFor(req).visibleOwnerIds, req.requestId || "");
         const records = Array.isArray(payload)
           ? payload
           : Array.isArray(payload?.results)
@@ -1339,7 +3029,7 @@
       let payload = parseBlenderPayload(response.data);
       if (!isAuthority(req) && response.status < 400) {
         const userEmail = normalizeEmail(req.session.user?.email);
-        const ownedDroneIds = await getOwnedDroneIds(req.session.user?.id, req.requestId || "");
+        const ownedDroneIds = await getOwnedDroneIds(ownerScopeFor(req).visibleOwnerIds, req.requestId || "");
         if (!declarationVisibleForUser(payload, userEmail, ownedDroneIds)) {
           return res.status(403).json({ message: "forbidden_declaration" });
         }
@@ -1409,7 +3099,7 @@
         }
         const payload = parseBlenderPayload(detail.data);
         const userEmail = normalizeEmail(req.session.user?.email);
-        const ownedDroneIds = await getOwnedDroneIds(req.session.user?.id, req.requestId || "");
+        const ownedDroneIds = await getOwnedDroneIds(ownerScopeFor(req).commandOwnerIds, req.requestId || "");
         if (!declarationVisibleForUser(payload, userEmail, ownedDroneIds)) {
           return res.status(403).json({ message: "forbidden_declaration" });
         }
@@ -1483,18 +3173,88 @@
     }
   }
 
-  function buildAtcWsPath(user, clientUrl) {
-    const params = new URLSearchParams();
-    const isAuthority = user?.role === "authority";
+  // The bridge follows the policy's `/v1/ws` websocket entry: its role gates
+  // the upgrade, its admin token and timeout apply to the shared upstream.
+  const atcWsPolicy = atcProxyPolicy.match("GET", "/v1/ws", { websocket: true });
+
+  // Which telemetry a map subscriber receives. Ownership-exempt roles see all
+  // traffic (or the owner they ask for); with the "owner" check everyone else
+  // sees one fleet they can view, defaulting to their active organization or
+  // personal fleet.
+  function buildTelemetryFilter(user, clientUrl) {
     const requestedOwnerId = clientUrl.searchParams.get("owner_id");
-    const ownerId = isAuthority ? requestedOwnerId : (user?.id || null);
+    let ownerId = requestedOwnerId;
+    if (!isOwnershipExempt(atcProxyPolicy, user?.role) && atcWsPolicy.route.ownership.includes("owner")) {
+      const scope = getOwnerScope(user);
+      ownerId = scope.visibleOwnerIds.includes(requestedOwnerId) ? requestedOwnerId : scope.viewOwnerId;
+    }
     const droneId = clientUrl.searchParams.get("drone_id");
 
-    if (ownerId) params.set("owner_id", ownerId);
-    if (droneId) params.set("drone_id", droneId);
+    return (payload) => {
+      if (ownerId && payload?.owner_id !== ownerId) return false;
+      if (droneId && payload?.drone_id !== droneId) return false;
+      return true;
+    };
+  }
+
+  let atcWsUrl = null;
+  try {
+    const url = new URL("/v1/ws", ATC_URL);
+    url.protocol = url.protocol === "https:" ? "wss:" : "ws:";
+    atcWsUrl = url.toString();
+  } catch (error) {
+    console.error("[ATC WS Hub] Invalid ATC_URL:", error?.message || error);
+  }
+
+  const telemetryHub = atcWsUrl && atcWsPolicy && createTelemetryHub({
+    url: atcWsUrl,
+    handshakeTimeoutMs: atcWsPolicy.route.timeoutMs,
+    buildHeaders: () => {
+      const headers = { "X-Request-ID": crypto.randomUUID() };
+      // The hub reads every owner's telemetry and filters per subscriber.
+      if (ATC_ADMIN_TOKEN && atcWsPolicy.route.adminToken) {
+        headers.Authorization = `Bearer ${ATC_ADMIN_TOKEN}`;
+      } else if (ATC_WS_TOKEN) {
+        headers.Authorization = `Bearer ${ATC_WS_TOKEN}`;
+      }
+      return headers;
+    },
+    clientOptions: atcWsUrl.startsWith("wss:")
+      ? { ca: atcCaCert ? [atcCaCert] : undefined, rejectUnauthorized: IS_PRODUCTION }
+      : {},
+    onTelemetry: FLIGHT_RECORDER_ENABLED ? (payload) => flightRecorder.recordTelemetry(payload) : null,
+    onHandshakeTimeout: () => metrics.wsHandshakeTimeouts.inc()
+  });
+
+  // Browsers only receive on this socket, so their frames are kept small.
+  const wsServer = new WebSocketServer({ noServer: true, perMessageDeflate: false, maxPayload: 16 * 1024 });
+
+  // Open WS proxy connections (`{ sessionId, teardown }`), by user id.
+  const wsProxyConnections = new Map();
 
-    const query = params.toString();
-    return query ? `/v1/ws?${query}` : "/v1/ws";
+  function trackWsProxyConnection(userId, connection) {
+    if (!wsProxyConnections.has(userId)) wsProxyConnections.set(userId, new Set());
+    wsProxyConnections.get(userId).add(connection);
+  }
+
+  function untrackWsProxyConnection(userId, connection) {
+    const connections = wsProxyConnections.get(userId);
+    if (!connections) return;
+    connections.delete(connection);
+    if (!connections.size) wsProxyConnections.delete(userId);
+  }
+
+  function closeWsProxyConnectionsForUser(userId) {
+    const connections = Array.from(wsProxyConnections.get(userId) || []);
+    connections.forEach(connection => connection.teardown());
+    return connections.length;
+  }
+
+  function closeWsProxyConnectionsForSession(userId, sessionId) {
+    const connections = Array.from(wsProxyConnections.get(userId) || [])
+      .filter(connection => connection.sessionId === sessionId);
+    connections.forEach(connection => connection.teardown());
+    return connections.length;
   }
 
   server.on("upgrade", (req, socket, head) => {
@@ -1516,117 +3276,36 @@
     };
 
     sessionMiddleware(req, res, () => {
-      const user = req.session?.user;
-      if (!user) {
+      const user = resolveSessionUser(req.session);
+      if (!user || user.passwordResetRequired || user.mfaEnrollmentRequired || sessionIndex.getSession(req.sessionID)?.revokedAt) {
         rejectUpgrade(socket, 401, "Unauthorized");
         return;
       }
-
-      let atcUrl;
-      try {
-        atcUrl = new URL(ATC_URL);
-      } catch (err) {
-        console.error("[ATC WS Proxy] Invalid ATC_URL:", err?.message || err);
-        rejectUpgrade(socket, 502, "Bad Gateway");
+      if (!atcWsPolicy) {
+        rejectUpgrade(socket, 404, "Not Found");
         return;
       }
-
-      const isTls = atcUrl.protocol === "https:";
-      const port = atcUrl.port
-        ? Number(atcUrl.port)
-        : (isTls ? 443 : 80);
-      const host = atcUrl.hostname;
-      const targetPath = buildAtcWsPath(user, url);
-      const upstreamHeaders = [];
-      const forwardHeader = (name, value) => {
-        if (!value) return;
-        upstreamHeaders.push(`${name}: ${value}`);
-      };
-
-      const secKey = req.headers["sec-websocket-key"];
-      const secVersion = req.headers["sec-websocket-version"];
-      if (!secKey || !secVersion) {
-        rejectUpgrade(socket, 400, "Bad Request");
+      if (!hasRequiredRole(user.role, atcWsPolicy.route.role)) {
+        rejectUpgrade(socket, 403, "Forbidden");
         return;
       }
-
-      const secExtensions = req.headers["sec-websocket-extensions"];
-      const secProtocol = req.headers["sec-websocket-protocol"];
-      const origin = req.headers.origin;
-      const requestIdHeader = req.headers["x-request-id"];
-      const requestId = typeof requestIdHeader === "string" && requestIdHeader.trim()
-        ? requestIdHeader.trim()
-        : crypto.randomUUID();
-
-      forwardHeader("Host", atcUrl.host || `${host}:${port}`);
-      forwardHeader("Connection", "Upgrade");
-      forwardHeader("Upgrade", "websocket");
-      forwardHeader("Sec-WebSocket-Key", secKey);
-      forwardHeader("Sec-WebSocket-Version", secVersion);
-      forwardHeader("Sec-WebSocket-Extensions", secExtensions);
-      forwardHeader("Sec-WebSocket-Protocol", secProtocol);
-      forwardHeader("Origin", origin);
-      forwardHeader("X-Request-ID", requestId);
-      if (ATC_ADMIN_TOKEN) {
-        forwardHeader("Authorization", `Bearer ${ATC_ADMIN_TOKEN}`);
-      } else if (ATC_WS_TOKEN) {
-        forwardHeader("Authorization", `Bearer ${ATC_WS_TOKEN}`);
+      if (!telemetryHub) {
+        rejectUpgrade(socket, 502, "Bad Gateway");
+        return;
       }
 
-      const requestLines = [
-        `GET ${targetPath} HTTP/1.1`,
-        ...upstreamHeaders,
-        "\r\n"
-      ];
-      const requestPayload = requestLines.join("\r\n");
-
-      const connectOptions = { host, port };
-      const upstream = isTls
-        ? tls.connect({
-          ...connectOptions,
-          ca: atcCaCert ? [atcCaCert] : undefined,
-          servername: host,
-          rejectUnauthorized: IS_PRODUCTION
-        })
-        : net.connect(connectOptions);
-
-      const teardown = () => {
-        socket.destroy();
-        upstream.destroy();
-      };
-
-      upstream.on("error", (err) => {
-        console.error("[ATC WS Proxy] Upstream error:", err?.message || err);
-        teardown();
-      });
-      socket.on("error", () => {
-        teardown();
-      });
-
-      upstream.on("connect", () => {
-        socket.setKeepAlive(true, 30_000);
-        upstream.setKeepAlive(true, 30_000);
-
-        upstream.write(requestPayload);
-        if (head && head.length) {
-          upstream.write(head);
-        }
-
-        const handshakeTimer = setTimeout(() => {
-          console.error("[ATC WS Proxy] Upstream handshake timeout");
-          teardown();
-        }, 10_000);
-        upstream.once("data", () => {
-          clearTimeout(handshakeTimer);
-        });
-
-        upstream.pipe(socket);
-        socket.pipe(upstream);
+      const accepts = buildTelemetryFilter(user, url);
+      wsServer.handleUpgrade(req, socket, head, (client) => {
+        const connection = { sessionId: req.sessionID, teardown: () => client.terminate() };
+        trackWsProxyConnection(user.id, connection);
+        metrics.wsTotal.inc();
+        client.once("close", () => untrackWsProxyConnection(user.id, connection));
+        client.on("error", () => client.terminate());
+        telemetryHub.subscribe(client, accepts);
       });
     });
   });
 
-
   server.on("error", function (e) {
     console.log(e);
     process.exit(1);
@@ -0,0 +1,83 @@
+/**
+ * ATC Proxy Policy Page Logic
+ * Read-only view of the route policy the server loaded at startup.
+ */
+
+(function () {
+    'use strict';
+
+    const escapeHtml = window.escapeHtml || ((value) => String(value ?? ''));
+
+    const OWNERSHIP_LABELS = {
+        owner: 'Owner',
+        drone: 'Drone',
+        'optional-drone': 'Drone (if given)',
+        flight: 'Flight'
+    };
+
+    function formatTimeout(ms) {
+        if (ms >= 60000 && ms % 60000 === 0) return `${ms / 60000} min`;
+        return `${ms / 1000} s`;
+    }
+
+    function renderToken(route) {
+        const tokens = [];
+        if (route.adminToken) tokens.push('<span class="status-badge warn">Admin</span>');
+        if (route.registrationToken) tokens.push('<span class="status-badge pending">Registration</span>');
+        return tokens.join(' ') || '<span class="text-muted">None</span>';
+    }
+
+    function renderOwnership(route) {
+        if (!route.ownership.length) return '<span class="text-muted">None</span>';
+        return route.ownership.map(check => escapeHtml(OWNERSHIP_LABELS[check] || check)).join(', ');
+    }
+
+    function renderSummary(policy) {
+        const container = document.getElementById('atcPolicySummary');
+        if (!container) return;
+        container.innerHTML = `
+            <div class="flex gap-sm items-center">
+                <span class="text-muted">Source</span>
+                <span class="font-mono">${escapeHtml(policy.source)}</span>
+            </div>
+            <div class="flex gap-sm items-center mt-md">
+                <span class="text-muted">Ownership checks skipped for</span>
+                <span>${escapeHtml(policy.ownershipExemptRoles.join(', ') || 'nobody')}</span>
+            </div>
+            <p class="text-muted mt-md">Requests to routes not listed here are refused with 404.</p>
+        `;
+    }
+
+    function renderRoutes(policy) {
+        const tbody = document.getElementById('atcPolicyTable');
+        const count = document.getElementById('atcPolicyCount');
+        if (count) count.textContent = `${policy.routes.length} routes`;
+        if (!tbody) return;
+        tbody.innerHTML = policy.routes.map(route => `
+            <tr>
+                <td class="font-mono">${escapeHtml(route.method)}${route.websocket ? ' <span class="status-badge pending">WebSocket</span>' : ''}</td>
+                <td class="font-mono">${escapeHtml(route.path)}</td>
+                <td>${escapeHtml(route.role)}</td>
+                <td>${renderToken(route)}</td>
+                <td class="font-mono">${escapeHtml(formatTimeout(route.timeoutMs))}</td>
+                <td>${renderOwnership(route)}</td>
+            </tr>
+        `).join('');
+    }
+
+    async function loadPolicy() {
+        try {
+            const policy = await API.getAtcProxyPolicy();
+            renderSummary(policy);
+            renderRoutes(policy);
+        } catch (error) {
+            console.error('[AtcPolicy] Load failed:', error);
+            const tbody = document.getElementById('atcPolicyTable');
+            if (tbody) {
+                tbody.innerHTML = `<tr><td colspan="6" class="text-muted">Failed to load policy: ${escapeHtml(error.message)}</td></tr>`;
+            }
+        }
+    }
+
+    document.addEventListener('DOMContentLoaded', loadPolicy);
+})();
@@ -0,0 +1,365 @@
+/**
+ * User Management Page Logic (admin only)
+ */
+
+(function () {
+    'use strict';
+
+    const PAGE_SIZE = 50;
+    const escapeHtml = window.escapeHtml || ((value) => String(value ?? ''));
+    const utils = window.ATCUtils;
+    const currentUserId = window.APP_USER?.id || null;
+
+    const ROLE_LABELS = {
+        viewer: 'Viewer',
+        operator: 'Operator',
+        authority: 'Authority',
+        admin: 'Admin'
+    };
+
+    let offset = 0;
+    let total = 0;
+    let roles = Object.keys(ROLE_LABELS);
+    let users = [];
+
+    function readFilters() {
+        const filters = {
+            search: document.getElementById('userSearch')?.value.trim() || '',
+            role: document.getElementById('userRoleFilter')?.value || ''
+        };
+        Object.keys(filters).forEach((key) => {
+            if (!filters[key]) delete filters[key];
+        });
+        return filters;
+    }
+
+    function showMessage(type, message) {
+        const container = document.getElementById('userAdminMessages');
+        if (!container) return;
+        container.innerHTML = message
+            ? `<div class="alert alert-${type === 'error' ? 'danger' : 'success'} mb-md">${escapeHtml(message)}</div>`
+            : '';
+    }
+
+    function renderStatus(user) {
+        const badges = [user.disabled
+            ? '<span class="status-badge fail">Disabled</span>'
+            : '<span class="status-badge pass">Active</span>'];
+        if (user.sso) {
+            badges.push('<span class="status-badge pending">SSO</span>');
+        } else if (user.mfaEnabled) {
+            badges.push('<span class="status-badge pass">2FA</span>');
+        }
+        if (user.lockedUntil) {
+            badges.push('<span class="status-badge fail">Locked</span>');
+        }
+        if (user.passwordResetRequired) {
+            badges.push('<span class="status-badge warn">Reset required</span>');
+        }
+        if (user.activeSessions) {
+            badges.push(`<span class="text-muted">${escapeHtml(user.activeSessions)} session${user.activeSessions === 1 ? '' : 's'}</span>`);
+        }
+        return badges.join(' ');
+    }
+
+    function renderActions(user) {
+        if (user.id === currentUserId) {
+            return '<span class="text-muted">You</span>';
+        }
+        const options = roles.map(role => `
+            <option value="${escapeHtml(role)}" ${role === user.role ? 'selected' : ''}>${escapeHtml(ROLE_LABELS[role] || role)}</option>
+        `).join('');
+        return `
+            <div class="flex gap-sm items-center">
+                <select class="form-select" data-action="role" data-id="${escapeHtml(user.id)}" style="width: auto;">${options}</select>
+                <button class="btn ${user.disabled ? 'btn-ghost' : 'btn-warning'} btn-sm" data-action="toggle-disabled" data-id="${escapeHtml(user.id)}">
+                    ${user.disabled ? 'Enable' : 'Disable'}
+                </button>
+                ${user.sso ? '' : `<button class="btn btn-ghost btn-sm" data-action="password-reset" data-id="${escapeHtml(user.id)}">Force Reset</button>`}
+                ${user.mfaEnabled ? `<button class="btn btn-ghost btn-sm" data-action="mfa-reset" data-id="${escapeHtml(user.id)}">Reset 2FA</button>` : ''}
+                <button class="btn btn-ghost btn-sm" data-action="sign-out" data-id="${escapeHtml(user.id)}">Sign Out Everywhere</button>
+            </div>
+        `;
+    }
+
+    function renderUsers() {
+        const tbody = document.getElementById('userTable');
+        if (!tbody) return;
+
+        if (!users.length) {
+            tbody.innerHTML = `
+                <tr>
+                    <td colspan="7" class="text-muted">No users match these filters.</td>
+                </tr>
+            `;
+            return;
+        }
+
+        tbody.innerHTML = users.map(user => `
+            <tr>
+                <td>
+                    <div>${escapeHtml(user.name)}</div>
+                    <div class="font-mono text-muted">${escapeHtml(user.id)}</div>
+                </td>
+                <td>${escapeHtml(user.email)}</td>
+                <td>${escapeHtml(ROLE_LABELS[user.role] || user.role)}</td>
+                <td>${renderStatus(user)}</td>
+                <td>${escapeHtml(utils.formatDateTime(user.lastLoginAt, 'Never'))}</td>
+                <td>${escapeHtml(utils.formatDateTime(user.createdAt))}</td>
+                <td>${renderActions(user)}</td>
+            </tr>
+        `).join('');
+    }
+
+    function renderPaging(count) {
+        const summary = document.getElementById('userSummary');
+        const prev = document.getElementById('userPrev');
+        const next = document.getElementById('userNext');
+        if (summary) {
+            summary.textContent = total
+                ? `${offset + 1}-${offset + count} of ${total}`
+                : '0 users';
+        }
+        if (prev) prev.disabled = offset === 0;
+        if (next) next.disabled = offset + count >= total;
+    }
+
+    async function loadUsers() {
+        try {
+            const result = await API.getAdminUsers({ ...readFilters(), limit: PAGE_SIZE, offset });
+            users = Array.isArray(result?.users) ? result.users : [];
+            total = Number(result?.total) || 0;
+            if (Array.isArray(result?.roles) && result.roles.length) roles = result.roles;
+            renderUsers();
+            renderPaging(users.length);
+        } catch (error) {
+            console.error('[UserAdmin] Load failed:', error);
+            const tbody = document.getElementById('userTable');
+            if (tbody) {
+                tbody.innerHTML = `
+                    <tr>
+                        <td colspan="7" class="text-muted">Users unavailable: ${escapeHtml(error.message)}</td>
+                    </tr>
+                `;
+            }
+        }
+    }
+
+    function describeResult(user, result, action) {
+        return result?.sessionsRevoked
+            ? `${action} ${user.id}. Their active sessions were signed out.`
+            : `${action} ${user.id}.`;
+    }
+
+    async function changeRole(userId, role, select) {
+        const user = users.find(entry => entry.id === userId);
+        if (!user || role === user.role) return;
+        if (!confirm(`Change ${user.id} from ${ROLE_LABELS[user.role] || user.role} to ${ROLE_LABELS[role] || role}?`)) {
+            select.value = user.role;
+            return;
+        }
+        try {
+            const result = await API.updateAdminUser(userId, { role });
+            showMessage('success', describeResult(user, result, 'Changed the role of'));
+        } catch (error) {
+            showMessage('error', `Failed to change role: ${error.message}`);
+        }
+        loadUsers();
+    }
+
+    async function toggleDisabled(userId) {
+        const user = users.find(entry => entry.id === userId);
+        if (!user) return;
+        const disable = !user.disabled;
+        if (disable && !confirm(`Disable ${user.id}? They will be signed out and unable to log in.`)) return;
+        try {
+            const result = await API.updateAdminUser(userId, { disabled: disable });
+            showMessage('success', describeResult(user, result, disable ? 'Disabled' : 'Enabled'));
+        } catch (error) {
+            showMessage('error', `Failed to update ${user.id}: ${error.message}`);
+        }
+        loadUsers();
+    }
+
+    async function forcePasswordReset(userId) {
+        const user = users.find(entry => entry.id === userId);
+        if (!user) return;
+        if (!confirm(`Require ${user.id} to set a new password? They will be signed out now.`)) return;
+        try {
+            const result = await API.forcePasswordReset(userId);
+            showMessage('success', describeResult(user, result, 'Required a password reset for'));
+        } catch (error) {
+            showMessage('error', `Failed to force a password reset: ${error.message}`);
+        }
+        loadUsers();
+    }
+
+    async function resetMfa(userId) {
+        const user = users.find(entry => entry.id === userId);
+        if (!user) return;
+        if (!confirm(`Remove two-factor authentication from ${user.id}? Only do this after verifying their identity.`)) return;
+        try {
+            const result = await API.resetUserMfa(userId);
+            showMessage('success', describeResult(user, result, 'Reset two-factor authentication for'));
+        } catch (error) {
+            showMessage('error', `Failed to reset two-factor authentication: ${error.message}`);
+        }
+        loadUsers();
+    }
+
+    async function signOutEverywhere(userId) {
+        const user = users.find(entry => entry.id === userId);
+        if (!user) return;
+        if (!confirm(`Sign ${user.id} out of every session and close their live connections?`)) return;
+        try {
+            await API.signOutUserEverywhere(userId);
+            showMessage('success', `Signed ${user.id} out of every session.`);
+        } catch (error) {
+            showMessage('error', `Failed to sign out ${user.id}: ${error.message}`);
+        }
+        loadUsers();
+    }
+
+    async function loadLockouts() {
+        const tbody = document.getElementById('lockoutTable');
+        const summary = document.getElementById('lockoutSummary');
+        if (!tbody) return;
+        try {
+            const result = await API.getLockouts();
+            const lockouts = Array.isArray(result?.lockouts) ? result.lockouts : [];
+            if (summary && result?.policy) {
+                summary.textContent = `Accounts lock after ${result.policy.accountLockThreshold} failures, IPs after ${result.policy.ipLockThreshold}, for ${result.policy.lockoutMinutes} min`;
+            }
+            if (!lockouts.length) {
+                tbody.innerHTML = `
+                    <tr>
+                        <td colspan="5" class="text-muted">No accounts or IPs are locked out.</td>
+                    </tr>
+                `;
+                return;
+            }
+            tbody.innerHTML = lockouts.map(lockout => `
+                <tr>
+                    <td>
+                        <span class="status-badge ${lockout.scope === 'ip' ? 'warn' : 'fail'}">${lockout.scope === 'ip' ? 'IP' : 'Account'}</span>
+                        <span class="font-mono">${escapeHtml(lockout.key)}</span>
+                    </td>
+                    <td>${escapeHtml(lockout.failures)}</td>
+                    <td>${escapeHtml(utils.formatDateTime(lockout.lastFailureAt))}</td>
+                    <td>${escapeHtml(utils.formatDateTime(lockout.lockedUntil))}</td>
+                    <td>
+                        <button class="btn btn-ghost btn-sm" data-scope="${escapeHtml(lockout.scope)}" data-key="${escapeHtml(lockout.key)}">Unlock</button>
+                    </td>
+                </tr>
+            `).join('');
+        } catch (error) {
+            tbody.innerHTML = `
+                <tr>
+                    <td colspan="5" class="text-muted">Lockouts unavailable: ${escapeHtml(error.message)}</td>
+                </tr>
+            `;
+        }
+    }
+
+    async function clearLockout(scope, key) {
+        if (!confirm(`Unlock ${scope === 'ip' ? 'IP' : 'account'} ${key}?`)) return;
+        try {
+            await API.clearLockout(scope, key);
+            showMessage('success', `Unlocked ${key}.`);
+        } catch (error) {
+            showMessage('error', `Failed to unlock ${key}: ${error.message}`);
+        }
+        loadLockouts();
+        loadUsers();
+    }
+
+    async function loadMfaPolicy() {
+        const container = document.getElementById('mfaPolicyRoles');
+        if (!container) return;
+        try {
+            const policy = await API.getMfaPolicy();
+            const required = new Set(policy?.requiredRoles || []);
+            container.innerHTML = (policy?.roles || roles).map(role => `
+                <label class="toggle-label">
+                    <input type="checkbox" value="${escapeHtml(role)}" ${required.has(role) ? 'checked' : ''}>
+                    <span>${escapeHtml(ROLE_LABELS[role] || role)}</span>
+                </label>
+            `).join('');
+        } catch (error) {
+            container.innerHTML = `<span class="text-muted">Policy unavailable: ${escapeHtml(error.message)}</span>`;
+        }
+    }
+
+    async function saveMfaPolicy(event) {
+        event.preventDefault();
+        const requiredRoles = Array.from(document.querySelectorAll('#mfaPolicyRoles input:checked'))
+            .map(input => input.value);
+        try {
+            const policy = await API.updateMfaPolicy(requiredRoles);
+            const labels = policy.requiredRoles.map(role => ROLE_LABELS[role] || role);
+            showMessage('success', labels.length
+                ? `Two-factor authentication is now required for: ${labels.join(', ')}.`
+                : 'Two-factor authentication is no longer required for any role.');
+        } catch (error) {
+            showMessage('error', `Failed to save the two-factor policy: ${error.message}`);
+        }
+        loadMfaPolicy();
+    }
+
+    function bindTable() {
+        const tbody = document.getElementById('userTable');
+        if (!tbody) return;
+        tbody.addEventListener('change', (event) => {
+            const select = event.target.closest('select[data-action="role"]');
+            if (select) changeRole(select.dataset.id, select.value, select);
+        });
+        tbody.addEventListener('click', (event) => {
+            const button = event.target.closest('button[data-action]');
+            if (!button) return;
+            if (button.dataset.action === 'toggle-disabled') toggleDisabled(button.dataset.id);
+            if (button.dataset.action === 'password-reset') forcePasswordReset(button.dataset.id);
+            if (button.dataset.action === 'mfa-reset') resetMfa(button.dataset.id);
+            if (button.dataset.action === 'sign-out') signOutEverywhere(button.dataset.id);
+        });
+    }
+
+    document.addEventListener('DOMContentLoaded', () => {
+        const form = document.getElementById('userFilters');
+        if (form) {
+            form.addEventListener('submit', (event) => {
+                event.preventDefault();
+                offset = 0;
+                loadUsers();
+            });
+        }
+
+        const reset = document.getElementById('userReset');
+        if (reset && form) {
+            reset.addEventListener('click', () => {
+                form.reset();
+                offset = 0;
+                loadUsers();
+            });
+        }
+
+        document.getElementById('userPrev')?.addEventListener('click', () => {
+            offset = Math.max(0, offset - PAGE_SIZE);
+            loadUsers();
+        });
+        document.getElementById('userNext')?.addEventListener('click', () => {
+            offset += PAGE_SIZE;
+            loadUsers();
+        });
+
+        document.getElementById('mfaPolicyForm')?.addEventListener('submit', saveMfaPolicy);
+        document.getElementById('lockoutTable')?.addEventListener('click', (event) => {
+            const button = event.target.closest('button[data-scope]');
+            if (button) clearLockout(button.dataset.scope, button.dataset.key);
+        });
+
+        bindTable();
+        loadUsers();
+        loadLockouts();
+        loadMfaPolicy();
+    });
+})();
@@ -0,0 +1,228 @@
+/**
+ * Operator Alerts
+ * Raises browser notifications and sound alerts for critical conflicts and
+ * geofence breaches on every page, driven by the user's saved preferences.
+ */
+
+const ATCAlerts = (function () {
+    'use strict';
+
+    const CONFLICT_POLL_MS = 5000;
+    const CONFORMANCE_POLL_MS = 10000;
+    const SEEN_STORAGE_KEY = 'atc.alerts.seen';
+    const DEFAULT_PREFERENCES = {
+        notifyConflicts: true,
+        notifyGeofence: true,
+        soundEnabled: false
+    };
+
+    let preferences = { ...DEFAULT_PREFERENCES };
+    let conflictTimer = null;
+    let conformanceTimer = null;
+    let audioContext = null;
+    let readyPromise = null;
+
+    // Alerts already raised in this browser session, so navigating between
+    // pages does not re-announce the same conflict or breach.
+    function loadSeen() {
+        try {
+            const raw = window.sessionStorage.getItem(SEEN_STORAGE_KEY);
+            const parsed = raw ? JSON.parse(raw) : null;
+            return {
+                conflicts: new Set(Array.isArray(parsed?.conflicts) ? parsed.conflicts : []),
+                breaches: new Set(Array.isArray(parsed?.breaches) ? parsed.breaches : [])
+            };
+        } catch (error) {
+            return { conflicts: new Set(), breaches: new Set() };
+        }
+    }
+
+    function saveSeen(seen) {
+        try {
+            window.sessionStorage.setItem(SEEN_STORAGE_KEY, JSON.stringify({
+                conflicts: [...seen.conflicts],
+                breaches: [...seen.breaches]
+            }));
+        } catch (error) {
+            // Storage may be unavailable (private mode); alerts still work per page.
+        }
+    }
+
+    const seen = loadSeen();
+
+    function buildConflictKey(conflict) {
+        const ids = [conflict.drone1_id, conflict.drone2_id].filter(Boolean).sort();
+        return ids.join('::');
+    }
+
+    function buildBreachKey(entry) {
+        const record = entry.record || {};
+        return [entry.drone_id, record.geofence_id || '', record.id || record.timestamp || ''].join('::');
+    }
+
+    function isGeofenceBreach(entry) {
+        if (!entry || entry.status !== 'nonconforming') return false;
+        const record = entry.record || {};
+        return record.geofence_breach === true && record.resolved !== true;
+    }
+
+    function playTone(frequencies) {
+        if (!preferences.soundEnabled) return;
+        const AudioCtor = window.AudioContext || window.webkitAudioContext;
+        if (!AudioCtor) return;
+        try {
+            audioContext = audioContext || new AudioCtor();
+            const start = audioContext.currentTime;
+            frequencies.forEach((frequency, index) => {
+                const oscillator = audioContext.createOscillator();
+                const gain = audioContext.createGain();
+                const offset = start + index * 0.22;
+                oscillator.type = 'square';
+                oscillator.frequency.value = frequency;
+                gain.gain.setValueAtTime(0.08, offset);
+                gain.gain.exponentialRampToValueAtTime(0.0001, offset + 0.2);
+                oscillator.connect(gain);
+                gain.connect(audioContext.destination);
+                oscillator.start(offset);
+                oscillator.stop(offset + 0.2);
+            });
+        } catch (error) {
+            console.warn('[Alerts] Sound playback failed:', error);
+        }
+    }
+
+    function showNotification(title, body, tag, url) {
+        if (typeof Notification === 'undefined' || Notification.permission !== 'granted') return;
+        try {
+            const notification = new Notification(title, { body, tag, requireInteraction: true });
+            notification.onclick = () => {
+                window.focus();
+                if (url) window.location.href = url;
+                notification.close();
+            };
+        } catch (error) {
+            console.warn('[Alerts] Notification failed:', error);
+        }
+    }
+
+    async function checkConflicts() {
+        let conflicts;
+        try {
+            conflicts = await API.getConflicts();
+        } catch (error) {
+            return;
+        }
+        const critical = (Array.isArray(conflicts) ? conflicts : [])
+            .filter(conflict => String(conflict?.severity || '').toLowerCase() === 'critical');
+        const activeKeys = new Set(critical.map(buildConflictKey));
+
+        const fresh = critical.filter(conflict => !seen.conflicts.has(buildConflictKey(conflict)));
+        seen.conflicts = activeKeys;
+        saveSeen(seen);
+        if (!fresh.length) return;
+
+        fresh.forEach((conflict) => {
+            const distance = Number.isFinite(conflict.distance_m) ? `${conflict.distance_m.toFixed(0)}m` : '--';
+            showNotification(
+                'Critical conflict',
+                `${conflict.drone1_id} vs ${conflict.drone2_id} - separation ${distance}`,
+                `conflict:${buildConflictKey(conflict)}`,
+                '/control/conflicts'
+            );
+        });
+        playTone([880, 660, 880]);
+    }
+
+    async function checkConformance() {
+        let conformance;
+        try {
+            conformance = await API.getConformance();
+        } catch (error) {
+            return;
+        }
+        const breaches = (Array.isArray(conformance) ? conformance : []).filter(isGeofenceBreach);
+        const activeKeys = new Set(breaches.map(buildBreachKey));
+
+        const fresh = breaches.filter(entry => !seen.breaches.has(buildBreachKey(entry)));
+        seen.breaches = activeKeys;
+        saveSeen(seen);
+        if (!fresh.length) return;
+
+        fresh.forEach((entry) => {
+            const record = entry.record || {};
+            const zone = record.geofence_id ? ` (${record.geofence_id})` : '';
+            showNotification(
+                'Geofence breach',
+                `${entry.drone_id} entered a geofence${zone}: ${record.description || 'review required'}`,
+                `breach:${buildBreachKey(entry)}`,
+                `/control/drone/${encodeURIComponent(entry.drone_id)}`
+            );
+        });
+        playTone([520, 520]);
+    }
+
+    function restartPolling() {
+        clearInterval(conflictTimer);
+        clearInterval(conformanceTimer);
+        conflictTimer = null;
+        conformanceTimer = null;
+
+        if (preferences.notifyConflicts) {
+            checkConflicts();
+            conflictTimer = setInterval(checkConflicts, CONFLICT_POLL_MS);
+        }
+        if (preferences.notifyGeofence) {
+            checkConformance();
+            conformanceTimer = setInterval(checkConformance, CONFORMANCE_POLL_MS);
+        }
+    }
+
+    function requestPermission() {
+        if (typeof Notification === 'undefined') return Promise.resolve('unsupported');
+        if (Notification.permission !== 'default') return Promise.resolve(Notification.permission);
+        return Notification.requestPermission();
+    }
+
+    async function savePreferences(updates) {
+        // Ask before awaiting so the prompt stays tied to the user's click.
+        if (updates.notifyConflicts || updates.notifyGeofence) {
+            requestPermission();
+        }
+        preferences = { ...preferences, ...(await API.updatePreferences(updates)) };
+        restartPolling();
+        return preferences;
+    }
+
+    async function init() {
+        if (!window.APP_USER) return;
+        try {
+            preferences = { ...DEFAULT_PREFERENCES, ...(await API.getPreferences()) };
+        } catch (error) {
+            console.warn('[Alerts] Using default preferences:', error);
+        }
+        restartPolling();
+    }
+
+    document.addEventListener('DOMContentLoaded', () => {
+        readyPromise = init();
+    });
+
+    return {
+        ready: () => readyPromise || Promise.resolve(),
+        getPreferences: () => ({ ...preferences }),
+        savePreferences,
+        requestPermission,
+        testAlert: () => {
+            showNotification('Test alert', 'Browser notifications are working.', 'test');
+            playTone([880, 660, 880]);
+        },
+        // For warnings detected in the page (the live map's look-ahead checks).
+        // The caller decides when a warning is new; `type` is 'conflict' or 'geofence'.
+        raise: (type, title, body, tag) => {
+            const geofence = type === 'geofence';
+            if (!(geofence ? preferences.notifyGeofence : preferences.notifyConflicts)) return;
+            showNotification(title, body, tag);
+            playTone(geofence ? [520, 520] : [880, 660, 880]);
+        }
+    };
+})();
@@ -51,12 +51,17 @@
         const range = getDateRange();
         const owner = utils.getOwnerContext();
         const ownerId = owner?.id || null;
-        const [declarations, conflicts, conformance, drones, geofences] = await Promise.all([
+        const [declarations, conflicts, conformance, drones, geofences, history] = await Promise.all([
             API.getFlightDeclarations().catch(() => []),
             API.getConflicts(ownerId).catch(() => []),
             API.getConformance(ownerId).catch(() => []),
             API.getDrones(ownerId).catch(() => []),
-            API.getGeofences().catch(() => [])
+            API.getGeofences().catch(() => []),
+            API.getConflictHistory({
+                from: range.start.toISOString(),
+                to: range.end.toISOString(),
+                limit: 1000
+            }).catch(() => null)
         ]);
 
         const visibleDroneIds = new Set((drones || []).map((drone) => drone.drone_id));
@@ -64,7 +69,8 @@
             ? filterDeclarationsByOwner(declarations, owner, visibleDroneIds)
             : declarations;
         const scopedConflicts = filterConflictsByVisibleDrones(conflicts, drones, owner);
-        const report = buildReport(range, scopedDeclarations, scopedConflicts, conformance, drones, geofences);
+        const episodes = Array.isArray(history?.episodes) ? history.episodes : null;
+        const report = buildReport(range, scopedDeclarations, scopedConflicts, conformance, drones, geofences, episodes);
         latestReport = report;
 
         updateStats(report.metrics);
@@ -108,14 +114,14 @@
         }
     }
 
-    function buildReport(range, declarations, conflicts, conformance, drones, geofences) {
+    function buildReport(range, declarations, conflicts, conformance, drones, geofences, episodes) {
         const normalized = normalizeDeclarations(declarations || []);
         const filtered = normalized.filter((decl) => isWithinRange(decl.start, range));
 
-        const metrics = buildMetrics(filtered, conflicts || []);
-        const chartsData = buildCharts(range, filtered, conflicts || []);
+        const metrics = buildMetrics(filtered, conflicts || [], episodes);
+        const chartsData = buildCharts(range, filtered, conflicts || [], episodes);
         const fleet = buildFleetMetrics(drones || [], filtered);
-        const events = buildEvents(filtered, conflicts || [], conformance || [], geofences || []);
+        const events = buildEvents(filtered, conflicts || [], conformance || [], geofences || [], episodes);
 
         return {
             range,
@@ -126,7 +132,7 @@
         };
     }
 
-    function buildMetrics(flights, conflicts) {
+    function buildMetrics(flights, conflicts, episodes) {
         const total = flights.length;
         const successful = flights.filter((flight) => SUCCESS_STATES.has(flight.state)).length;
         const successRate = total ? (successful / total) * 100 : 0;
@@ -138,14 +144,19 @@
             successRate,
             totalDistanceKm: distanceM / 1000,
             totalFlightHours: durationSec / 3600,
-            conflictsActive: conflicts.length
+            conflictsActive: conflicts.length,
+            conflictEpisodes: episodes ? episodes.length : null
         };
     }
 
-    function buildCharts(range, flights, conflicts) {
+    function buildCharts(range, flights, conflicts, episodes) {
+        // Prefer recorded episodes over the current snapshot so the chart covers the whole range.
+        const conflictSeverities = episodes
+            ? episodes.map(episode => ({ severity: episode.peakSeverity }))
+            : conflicts;
         return {
             activity: buildActivitySeries(range, flights),
-            conflicts: buildConflictSeries(conflicts),
+            conflicts: buildConflictSeries(conflictSeverities),
             durations: buildDurationSeries(flights),
             hourly: buildHourlySeries(flights)
         };
@@ -173,7 +184,7 @@
         });
     }
 
-    function buildEvents(flights, conflicts, conformance, geofences) {
+    function buildEvents(flights, conflicts, conformance, geofences, episodes) {
         const events = [];
 
         flights.forEach((flight) => {
@@ -190,15 +201,26 @@
             }
         });
 
-        conflicts.forEach((conflict) => {
-            const timestamp = conflict.timestamp ? new Date(conflict.timestamp * 1000) : null;
-            events.push({
-                type: 'conflict',
-                title: `Conflict ${formatSeverity(conflict.severity)}`,
-                subtitle: `${conflict.drone1_id} vs ${conflict.drone2_id}`,
-                timestamp: timestamp || new Date()
+        if (episodes) {
+            episodes.forEach((episode) => {
+                events.push({
+                    type: 'conflict',
+                    title: `Conflict ${formatSeverity(episode.peakSeverity)}${episode.active ? ' (ongoing)' : ''}`,
+                    subtitle: `${episode.drone1Id} vs ${episode.drone2Id}`,
+                    timestamp: parseDate(episode.startedAt) || new Date()
+                });
             });
-        });
+        } else {
+            conflicts.forEach((conflict) => {
+                const timestamp = conflict.timestamp ? new Date(conflict.timestamp * 1000) : null;
+                events.push({
+                    type: 'conflict',
+                    title: `Conflict ${formatSeverity(conflict.severity)}`,
+                    subtitle: `${conflict.drone1_id} vs ${conflict.drone2_id}`,
+                    timestamp: timestamp || new Date()
+                });
+            });
+        }
 
         conformance.forEach((entry) => {
             if (!entry || entry.status === 'conforming') return;
@@ -35,10 +35,7 @@ const API = (function () {
 
     function getEffectiveOwnerId(ownerId = null) {
         if (ownerId !== null && ownerId !== undefined) return ownerId;
-        if (typeof window === 'undefined') return null;
-        const user = window.APP_USER;
-        if (!user || user.role === 'authority') return null;
-        return user.id || null;
+        return getOwnerContext()?.id || null;
     }
 
     function updateOwnerCache(drones) {
@@ -74,6 +71,19 @@ const API = (function () {
         return ownerCache.get(droneId) || null;
     }
 
+    // Commands expire on the ATC side if the aircraft has not acknowledged them in time.
+    const COMMAND_TTL_SECS = 60;
+
+    async function postCommand(droneId, command, ownerId = null) {
+        const resolvedOwnerId = await resolveOwnerId(droneId, ownerId);
+        const payload = { drone_id: droneId, expires_in_secs: COMMAND_TTL_SECS, ...command };
+        if (resolvedOwnerId) payload.owner_id = resolvedOwnerId;
+        return request('/v1/commands', {
+            method: 'POST',
+            body: JSON.stringify(payload)
+        });
+    }
+
     function normalizeDroneStatus(status) {
         if (!status) return 'unknown';
         const value = String(status).trim().toLowerCase();
@@ -125,11 +135,31 @@ const API = (function () {
         return String(value || '').trim().toLowerCase();
     }
 
+    // Roles the ATC proxy lets see every owner's resources
+    // (config/atc-proxy-policy.json `ownershipExemptRoles`), rendered by the layout.
+    function getOwnershipExemptRoles() {
+        const roles = typeof window !== 'undefined' ? window.__ATC_OWNERSHIP_EXEMPT_ROLES__ : null;
+        return Array.isArray(roles) ? roles : ['authority', 'admin'];
+    }
+
+    // Owner scope for users outside the exempt roles (authority and admin by
+    // default; null for them). `id` is the fleet being viewed: the active
+    // organization's owner id, or the user's own id when working personally.
+    // New resources go to `createOwnerId`, which stays personal for org
+    // observers.
     function getOwnerContext() {
         const user = typeof window !== 'undefined' ? window.APP_USER : null;
-        if (!user || user.role === 'authority') return null;
+        if (!user || getOwnershipExemptRoles().includes(user.role)) return null;
         const email = normalizeEmail(user.email || '');
-        return { id: user.id || null, email: email || null };
+        const organization = user.organization || null;
+        const canCreateForOrg = organization && organization.role !== 'observer';
+        return {
+            id: organization?.ownerId || user.id || null,
+            userId: user.id || null,
+            email: email || null,
+            organization,
+            createOwnerId: canCreateForOrg ? organization.ownerId : (user.id || null)
+        };
     }
 
     function parseGeoJson(value) {
@@ -166,6 +196,72 @@ const API = (function () {
             || null;
     }
 
+    const PLANNER_PREFILL_KEY = 'plannerPrefill';
+
+    function toFiniteOrUndefined(value) {
+        const parsed = Number(value);
+        return value !== null && value !== '' && Number.isFinite(parsed) ? parsed : undefined;
+    }
+
+    /**
+     * Builds a mission planner prefill from a flight declaration (and its ATC
+     * plan, when known) so the mission can be cloned as a new one. Times are
+     * left out; the planner picks fresh defaults.
+     */
+    function buildMissionPrefill(mission, plan = null) {
+        const geo = extractGeoJson(mission);
+        const properties = geo?.features?.[0]?.properties || {};
+        const compliance = properties.compliance || {};
+        const checks = compliance.checks || {};
+        const embeddedPlan = compliance.atc_plan || {};
+        const metadata = { ...(embeddedPlan.metadata || {}), ...(plan?.metadata || {}) };
+
+        const toWaypoint = wp => ({
+            lat: Number(wp?.lat),
+            lon: Number(wp?.lon),
+            alt: Number(wp?.alt ?? wp?.altitude_m)
+        });
+        let waypoints = [plan?.waypoints, embeddedPlan.waypoints]
+            .filter(list => Array.isArray(list) && list.length >= 2)
+            .map(list => list.map(toWaypoint))[0] || [];
+        if (!waypoints.length) {
+            const fallbackAlt = Number(properties.max_altitude?.meters);
+            const line = (geo?.features || []).find(feature => feature?.geometry?.type === 'LineString');
+            waypoints = (line?.geometry?.coordinates || []).map(([lon, lat, alt]) => ({
+                lat: Number(lat),
+                lon: Number(lon),
+                alt: Number.isFinite(Number(alt)) ? Number(alt) : fallbackAlt
+            }));
+        }
+        waypoints = waypoints.filter(wp => Number.isFinite(wp.lat) && Number.isFinite(wp.lon));
+
+        const partyMatch = /^(.*) \(([a-z_]+)\)$/.exec(mission?.originating_party || '');
+        return {
+            waypoints,
+            missionName: partyMatch ? partyMatch[1] : (mission?.originating_party || undefined),
+            missionType: partyMatch ? partyMatch[2] : undefined,
+            operationType: toFiniteOrUndefined(mission?.type_of_operation ?? metadata.operation_type),
+            droneId: mission?.aircraft_id || plan?.drone_id || undefined,
+            minAltitude: toFiniteOrUndefined(properties.min_altitude?.meters),
+            maxAltitude: toFiniteOrUndefined(properties.max_altitude?.meters),
+            cruiseSpeedMps: toFiniteOrUndefined(checks.battery?.cruiseSpeedMps ?? metadata.drone_speed_mps),
+            batteryCapacityMin: toFiniteOrUndefined(checks.battery?.capacityMin ?? metadata.battery_capacity_min),
+            batteryReserveMin: toFiniteOrUndefined(checks.battery?.reserveMin ?? metadata.battery_reserve_min),
+            obstacleClearanceM: toFiniteOrUndefined(checks.obstacles?.clearanceM ?? metadata.clearance_m),
+            populationDensity: toFiniteOrUndefined(checks.population?.density)
+        };
+    }
+
+    /** Stores a prefill for /control/missions/plan and navigates there. */
+    function openPlannerWithPrefill(prefill, source = 'planner') {
+        try {
+            sessionStorage.setItem(PLANNER_PREFILL_KEY, JSON.stringify({ ...prefill, source }));
+        } catch (error) {
+            console.warn('Unable to persist planner prefill:', error);
+        }
+        window.location.href = `/control/missions/plan?prefill=${encodeURIComponent(source)}`;
+    }
+
     function getConformanceClass(status) {
         switch (status) {
             case 'conforming':
@@ -213,6 +309,8 @@ const API = (function () {
             extractGeoJson,
             extractCompliance,
             getAtcPlanId,
+            buildMissionPrefill,
+            openPlannerWithPrefill,
             getConformanceClass,
             formatDateTime,
             haversineMeters
@@ -373,42 +471,40 @@ const API = (function () {
         },
 
         // Commands
-        sendCommand: async (droneId, command, ownerId = null) => {
-            const resolvedOwnerId = await resolveOwnerId(droneId, ownerId);
-            const payload = { drone_id: droneId, ...command };
-            if (resolvedOwnerId) payload.owner_id = resolvedOwnerId;
-            return request('/v1/commands', {
-                method: 'POST',
-                body: JSON.stringify(payload)
-            });
+        getCommands: (droneId = null) => {
+            const url = droneId ? `/v1/commands?drone_id=${encodeURIComponent(droneId)}` : '/v1/commands';
+            return request(url);
         },
 
-        holdDrone: async (droneId, duration = 30, ownerId = null) => {
-            const resolvedOwnerId = await resolveOwnerId(droneId, ownerId);
-            const payload = {
-                drone_id: droneId,
-                type: 'HOLD',
-                duration_secs: duration
-            };
-            if (resolvedOwnerId) payload.owner_id = resolvedOwnerId;
-            return request('/v1/commands', {
-                method: 'POST',
-                body: JSON.stringify(payload)
-            });
-        },
+        sendCommand: (droneId, command, ownerId = null) => postCommand(droneId, command, ownerId),
 
-        resumeDrone: async (droneId, ownerId = null) => {
-            const resolvedOwnerId = await resolveOwnerId(droneId, ownerId);
-            const payload = {
-                drone_id: droneId,
-                type: 'RESUME'
-            };
-            if (resolvedOwnerId) payload.owner_id = resolvedOwnerId;
-            return request('/v1/commands', {
-                method: 'POST',
-                body: JSON.stringify(payload)
-            });
-        },
+        holdDrone: (droneId, duration = 30, ownerId = null) => postCommand(droneId, {
+            type: 'HOLD',
+            duration_secs: duration
+        }, ownerId),
+
+        resumeDrone: (droneId, ownerId = null) => postCommand(droneId, { type: 'RESUME' }, ownerId),
+
+        landDrone: (droneId, ownerId = null) => postCommand(droneId, { type: 'LAND' }, ownerId),
+
+        returnToHome: (droneId, ownerId = null) => postCommand(droneId, { type: 'RETURN_TO_HOME' }, ownerId),
+
+        gotoWaypoint: (droneId, waypoint, ownerId = null) => postCommand(droneId, {
+            type: 'GOTO',
+            lat: waypoint.lat,
+            lon: waypoint.lon,
+            altitude_m: waypoint.altitude_m
+        }, ownerId),
+
+        changeSpeed: (droneId, speedMps, ownerId = null) => postCommand(droneId, {
+            type: 'SPEED_CHANGE',
+            target_speed_mps: speedMps
+        }, ownerId),
+
+        changeAltitude: (droneId, altitudeM, ownerId = null) => postCommand(droneId, {
+            type: 'ALTITUDE_CHANGE',
+            target_altitude_m: altitudeM
+        }, ownerId),
 
         // Conflicts
         getConflicts: (ownerId = null) => {
@@ -419,6 +515,19 @@ const API = (function () {
             return request(url);
         },
 
+        // Conflict episodes recorded by the control center server
+        getConflictHistory: (params = {}) => {
+            const search = new URLSearchParams(params);
+            return requestLocal(`/api/conflict-history${search.toString() ? `?${search}` : ''}`);
+        },
+
+        // Flight recorder (map replay)
+        getReplayRange: () => requestLocal('/api/replay/range'),
+        getReplay: (params = {}) => {
+            const search = new URLSearchParams(params);
+            return requestLocal(`/api/replay?${search}`);
+        },
+
         // Conformance
         getConformance: (ownerId = null) => {
             const effectiveOwnerId = getEffectiveOwnerId(ownerId);
@@ -440,6 +549,7 @@ const API = (function () {
 
         // Geofences
         getGeofences: () => request('/v1/geofences'),
+        getGeofence: (id) => request(`/v1/geofences/${encodeURIComponent(id)}`),
         createGeofence: (payload) => request('/v1/geofences', {
             method: 'POST',
             body: JSON.stringify(payload)
@@ -451,6 +561,55 @@ const API = (function () {
         deleteGeofence: (id) => request(`/v1/geofences/${id}`, {
             method: 'DELETE'
         }),
+        getGeofenceRevisions: (id) => requestLocal(`/api/geofences/${encodeURIComponent(id)}/revisions`),
+        restoreGeofenceRevision: (id, revision) => requestLocal(
+            `/api/geofences/${encodeURIComponent(id)}/revisions/${encodeURIComponent(revision)}/restore`,
+            { method: 'POST' }
+        ),
+        getGeofenceSchedules: (hours = 48) => requestLocal(`/api/geofence-schedules?hours=${encodeURIComponent(hours)}`),
+        getGeofenceSchedule: (id) => requestLocal(`/api/geofences/${encodeURIComponent(id)}/schedule`),
+        saveGeofenceSchedule: (id, schedule) => requestLocal(`/api/geofences/${encodeURIComponent(id)}/schedule`, {
+            method: 'PUT',
+            body: JSON.stringify(schedule)
+        }),
+        deleteGeofenceSchedule: (id) => requestLocal(`/api/geofences/${encodeURIComponent(id)}/schedule`, {
+            method: 'DELETE'
+        }),
+
+        // Mission templates (stored per user)
+        getMissionTemplates: () => requestLocal('/api/mission-templates'),
+        getMissionTemplate: (id) => requestLocal(`/api/mission-templates/${encodeURIComponent(id)}`),
+        createMissionTemplate: (template) => requestLocal('/api/mission-templates', {
+            method: 'POST',
+            body: JSON.stringify(template)
+        }),
+        updateMissionTemplate: (id, template) => requestLocal(`/api/mission-templates/${encodeURIComponent(id)}`, {
+            method: 'PUT',
+            body: JSON.stringify(template)
+        }),
+        deleteMissionTemplate: (id) => requestLocal(`/api/mission-templates/${encodeURIComponent(id)}`, {
+            method: 'DELETE'
+        }),
+
+        // Live map layer settings (stored per user)
+        getMapLayers: () => requestLocal('/api/map/layers'),
+        saveMapLayers: (layers) => requestLocal('/api/map/layers', {
+            method: 'PUT',
+            body: JSON.stringify({ layers })
+        }),
+        resetMapLayers: () => requestLocal('/api/map/layers', {
+            method: 'DELETE'
+        }),
+
+        // Live map annotations (shared)
+        getMapAnnotations: () => requestLocal('/api/map/annotations'),
+        createMapAnnotation: (annotation) => requestLocal('/api/map/annotations', {
+            method: 'POST',
+            body: JSON.stringify(annotation)
+        }),
+        deleteMapAnnotation: (id) => requestLocal(`/api/map/annotations/${encodeURIComponent(id)}`, {
+            method: 'DELETE'
+        }),
 
         // Flight Declarations (Flight Blender)
         getFlightDeclarations: async (params = {}) => {
@@ -544,6 +703,113 @@ const API = (function () {
             return request(url);
         },
 
+        // Account preferences (stored per user on the control center)
+        getPreferences: () => requestLocal('/account/preferences'),
+        updatePreferences: (preferences) => requestLocal('/account/preferences', {
+            method: 'POST',
+            body: JSON.stringify(preferences || {})
+        }),
+
+        // Two-factor authentication (own account)
+        getMfaStatus: () => requestLocal('/account/mfa'),
+        startMfaEnrollment: () => requestLocal('/account/mfa/enroll', { method: 'POST' }),
+        confirmMfaEnrollment: (code) => requestLocal('/account/mfa/confirm', {
+            method: 'POST',
+            body: JSON.stringify({ code })
+        }),
+        regenerateRecoveryCodes: (code) => requestLocal('/account/mfa/recovery-codes', {
+            method: 'POST',
+            body: JSON.stringify({ code })
+        }),
+        disableMfa: (code) => requestLocal('/account/mfa/disable', {
+            method: 'POST',
+            body: JSON.stringify({ code })
+        }),
+
+        // Active sessions (own account)
+        getSessions: () => requestLocal('/account/sessions'),
+        revokeSession: (id) => requestLocal(`/account/sessions/${encodeURIComponent(id)}`, {
+            method: 'DELETE'
+        }),
+        revokeOtherSessions: () => requestLocal('/account/sessions/revoke-others', {
+            method: 'POST'
+        }),
+
+        // Personal access tokens (own account)
+        getAccessTokens: () => requestLocal('/account/tokens'),
+        createAccessToken: (token) => requestLocal('/account/tokens', {
+            method: 'POST',
+            body: JSON.stringify(token)
+        }),
+        revokeAccessToken: (id) => requestLocal(`/account/tokens/${encodeURIComponent(id)}`, {
+            method: 'DELETE'
+        }),
+
+        // Organizations (shared fleets)
+        getOrganizations: () => requestLocal('/api/orgs'),
+        getOrganization: (id) => requestLocal(`/api/orgs/${encodeURIComponent(id)}`),
+        createOrganization: (name) => requestLocal('/api/orgs', {
+            method: 'POST',
+            body: JSON.stringify({ name })
+        }),
+        renameOrganization: (id, name) => requestLocal(`/api/orgs/${encodeURIComponent(id)}`, {
+            method: 'PATCH',
+            body: JSON.stringify({ name })
+        }),
+        deleteOrganization: (id) => requestLocal(`/api/orgs/${encodeURIComponent(id)}`, {
+            method: 'DELETE'
+        }),
+        setOrganizationMember: (id, user, role) => requestLocal(`/api/orgs/${encodeURIComponent(id)}/members`, {
+            method: 'PUT',
+            body: JSON.stringify({ user, role })
+        }),
+        removeOrganizationMember: (id, userId) => requestLocal(`/api/orgs/${encodeURIComponent(id)}/members/${encodeURIComponent(userId)}`, {
+            method: 'DELETE'
+        }),
+        setActiveOrganization: (orgId) => requestLocal('/account/organization', {
+            method: 'PUT',
+            body: JSON.stringify({ orgId })
+        }),
+
+        // Upstream health and WebSocket proxy counts (status bar panel)
+        getSystemStatus: (refresh = false) => requestLocal(`/api/system/status${refresh ? '?refresh=1' : ''}`),
+
+        // Audit log (authority only)
+        getAuditLog: (params = {}) => {
+            const search = new URLSearchParams(params);
+            return requestLocal(`/api/audit${search.toString() ? `?${search}` : ''}`);
+        },
+
+        // User administration (admin only)
+        getAdminUsers: (params = {}) => {
+            const search = new URLSearchParams(params);
+            return requestLocal(`/api/admin/users${search.toString() ? `?${search}` : ''}`);
+        },
+        updateAdminUser: (id, changes) => requestLocal(`/api/admin/users/${encodeURIComponent(id)}`, {
+            method: 'PATCH',
+            body: JSON.stringify(changes)
+        }),
+        forcePasswordReset: (id) => requestLocal(`/api/admin/users/${encodeURIComponent(id)}/password-reset`, {
+            method: 'POST'
+        }),
+        resetUserMfa: (id) => requestLocal(`/api/admin/users/${encodeURIComponent(id)}/mfa-reset`, {
+            method: 'POST'
+        }),
+        getUserSessions: (id) => requestLocal(`/api/admin/users/${encodeURIComponent(id)}/sessions`),
+        signOutUserEverywhere: (id) => requestLocal(`/api/admin/users/${encodeURIComponent(id)}/sign-out`, {
+            method: 'POST'
+        }),
+        getLockouts: () => requestLocal('/api/admin/lockouts'),
+        clearLockout: (scope, key) => requestLocal(`/api/admin/lockouts/${encodeURIComponent(scope)}/${encodeURIComponent(key)}`, {
+            method: 'DELETE'
+        }),
+        getMfaPolicy: () => requestLocal('/api/admin/mfa-policy'),
+        updateMfaPolicy: (requiredRoles) => requestLocal('/api/admin/mfa-policy', {
+            method: 'PUT',
+            body: JSON.stringify({ requiredRoles })
+        }),
+        getAtcProxyPolicy: () => requestLocal('/api/admin/atc-policy'),
+
         // Compliance
         evaluateCompliance: (payload) => request('/v1/compliance/evaluate', {
             method: 'POST',
@@ -0,0 +1,141 @@
+/**
+ * Audit Log Page Logic
+ */
+
+(function () {
+    'use strict';
+
+    const PAGE_SIZE = 100;
+    const escapeHtml = window.escapeHtml || ((value) => String(value ?? ''));
+    const utils = window.ATCUtils;
+
+    let offset = 0;
+    let total = 0;
+
+    function toIsoOrEmpty(value) {
+        if (!value) return '';
+        const date = new Date(value);
+        return Number.isNaN(date.getTime()) ? '' : date.toISOString();
+    }
+
+    function readFilters() {
+        const filters = {
+            user_id: document.getElementById('auditUser')?.value.trim() || '',
+            drone_id: document.getElementById('auditDrone')?.value.trim() || '',
+            from: toIsoOrEmpty(document.getElementById('auditFrom')?.value),
+            to: toIsoOrEmpty(document.getElementById('auditTo')?.value)
+        };
+        Object.keys(filters).forEach((key) => {
+            if (!filters[key]) delete filters[key];
+        });
+        return filters;
+    }
+
+    function getStatusClass(status) {
+        if (!Number.isFinite(status)) return 'pending';
+        if (status >= 500) return 'fail';
+        if (status >= 400) return 'warn';
+        return 'pass';
+    }
+
+    function renderEntries(entries) {
+        const tbody = document.getElementById('auditTable');
+        if (!tbody) return;
+
+        if (!entries.length) {
+            tbody.innerHTML = `
+                <tr>
+                    <td colspan="9" class="text-muted">No audit entries match these filters.</td>
+                </tr>
+            `;
+            return;
+        }
+
+        tbody.innerHTML = entries.map((entry) => `
+            <tr>
+                <td>${escapeHtml(utils.formatDateTime(entry.createdAt))}</td>
+                <td>${escapeHtml(entry.userId || '--')}</td>
+                <td>${escapeHtml(entry.userRole || '--')}</td>
+                <td class="font-mono">${escapeHtml(entry.method)}</td>
+                <td class="font-mono">${escapeHtml(entry.path)}</td>
+                <td>${escapeHtml(entry.droneId || '--')}</td>
+                <td>${escapeHtml(entry.flightId || '--')}</td>
+                <td><span class="status-badge ${getStatusClass(entry.status)}">${escapeHtml(entry.status ?? '--')}</span></td>
+                <td class="font-mono text-muted">${escapeHtml(entry.requestId || '--')}</td>
+            </tr>
+        `).join('');
+    }
+
+    function renderPaging(count) {
+        const summary = document.getElementById('auditSummary');
+        const prev = document.getElementById('auditPrev');
+        const next = document.getElementById('auditNext');
+        if (summary) {
+            summary.textContent = total
+                ? `${offset + 1}-${offset + count} of ${total}`
+                : '0 entries';
+        }
+        if (prev) prev.disabled = offset === 0;
+        if (next) next.disabled = offset + count >= total;
+    }
+
+    async function loadAudit() {
+        try {
+            const result = await API.getAuditLog({ ...readFilters(), limit: PAGE_SIZE, offset });
+            const entries = Array.isArray(result?.entries) ? result.entries : [];
+            total = Number(result?.total) || 0;
+            renderEntries(entries);
+            renderPaging(entries.length);
+        } catch (error) {
+            console.error('[Audit] Load failed:', error);
+            const tbody = document.getElementById('auditTable');
+            if (tbody) {
+                tbody.innerHTML = `
+                    <tr>
+                        <td colspan="9" class="text-muted">Audit log unavailable: ${escapeHtml(error.message)}</td>
+                    </tr>
+                `;
+            }
+        }
+    }
+
+    function exportLog(format) {
+        const params = new URLSearchParams({ ...readFilters(), format });
+        window.location.href = `/api/audit/export?${params}`;
+    }
+
+    document.addEventListener('DOMContentLoaded', () => {
+        const form = document.getElementById('auditFilters');
+        if (form) {
+            form.addEventListener('submit', (event) => {
+                event.preventDefault();
+                offset = 0;
+                loadAudit();
+            });
+        }
+
+        const reset = document.getElementById('auditReset');
+        if (reset && form) {
+            reset.addEventListener('click', () => {
+                form.reset();
+                offset = 0;
+                loadAudit();
+            });
+        }
+
+        document.getElementById('auditPrev')?.addEventListener('click', () => {
+            offset = Math.max(0, offset - PAGE_SIZE);
+            loadAudit();
+        });
+        document.getElementById('auditNext')?.addEventListener('click', () => {
+            offset += PAGE_SIZE;
+            loadAudit();
+        });
+
+        loadAudit();
+    });
+
+    window.AuditLog = {
+        exportLog
+    };
+})();
@@ -351,5 +351,5 @@
         return root;
     }
 
-    window.ATCCameraControls = Object.assign(window.ATCCameraControls || {}, { attach });
+    window.ATCCameraControls = Object.assign(window.ATCCameraControls || {}, { attach, pickWorldPosition });
 })();
@@ -0,0 +1,280 @@
+/**
+ * Command Tracker
+ * Issues drone commands and follows each one through its lifecycle
+ * (pending -> acked / failed / expired) by polling GET /v1/commands.
+ */
+
+const ATCCommands = (function () {
+    'use strict';
+
+    const POLL_INTERVAL_MS = 2000;
+    const DEFAULT_TTL_MS = 60 * 1000; // api-client sends expires_in_secs: 60
+    const STORAGE_KEY = 'atc.commands.tracked';
+    const MAX_ENTRIES = 50;
+    const SETTLED_RETENTION_MS = 15 * 60 * 1000;
+    const escapeHtml = window.escapeHtml || ((value) => String(value ?? ''));
+
+    const COMMAND_LABELS = {
+        HOLD: 'HOLD',
+        RESUME: 'RESUME',
+        LAND: 'LAND',
+        RETURN_TO_HOME: 'RETURN TO HOME',
+        GOTO: 'GOTO',
+        SPEED_CHANGE: 'SPEED',
+        ALTITUDE_CHANGE: 'ALTITUDE'
+    };
+
+    const STATE_CLASSES = {
+        pending: 'pending',
+        acked: 'pass',
+        failed: 'fail',
+        expired: 'warn'
+    };
+
+    const FAILED_STATUSES = new Set(['failed', 'rejected', 'error', 'cancelled']);
+    const ACKED_STATUSES = new Set(['acknowledged', 'acked', 'completed', 'executed']);
+
+    let entries = loadEntries();
+    let pollTimer = null;
+    let pollInFlight = false;
+    const listeners = new Set();
+
+    function loadEntries() {
+        try {
+            const raw = window.sessionStorage.getItem(STORAGE_KEY);
+            const parsed = raw ? JSON.parse(raw) : [];
+            if (!Array.isArray(parsed)) return [];
+            // A send interrupted by navigation never learned its command id.
+            parsed.forEach((entry) => {
+                if (entry.state === 'pending' && !entry.commandId) {
+                    entry.state = 'failed';
+                    entry.detail = 'Page closed before ATC replied';
+                    entry.settledAt = Date.now();
+                }
+            });
+            return parsed;
+        } catch (error) {
+            return [];
+        }
+    }
+
+    function saveEntries() {
+        const now = Date.now();
+        entries = entries
+            .filter(entry => entry.state === 'pending' || now - (entry.settledAt || 0) < SETTLED_RETENTION_MS)
+            .slice(0, MAX_ENTRIES);
+        try {
+            window.sessionStorage.setItem(STORAGE_KEY, JSON.stringify(entries));
+        } catch (error) {
+            // Storage may be unavailable (private mode); tracking still works per page.
+        }
+    }
+
+    function notify() {
+        saveEntries();
+        listeners.forEach((listener) => {
+            try {
+                listener(entries.slice());
+            } catch (error) {
+                console.warn('[Commands] Listener failed:', error);
+            }
+        });
+    }
+
+    function settle(entry, state, detail) {
+        entry.state = state;
+        entry.settledAt = Date.now();
+        if (detail) entry.detail = detail;
+    }
+
+    function describeParams(type, params) {
+        switch (type) {
+            case 'HOLD':
+                return `${params.durationSecs ?? 30}s`;
+            case 'GOTO':
+                return `${Number(params.lat).toFixed(5)}, ${Number(params.lon).toFixed(5)} @ ${Number(params.altitude_m).toFixed(0)}m`;
+            case 'SPEED_CHANGE':
+                return `${Number(params.speedMps).toFixed(1)} m/s`;
+            case 'ALTITUDE_CHANGE':
+                return `${Number(params.altitudeM).toFixed(0)} m`;
+            default:
+                return '';
+        }
+    }
+
+    function dispatch(droneId, type, params) {
+        switch (type) {
+            case 'HOLD':
+                return API.holdDrone(droneId, params.durationSecs ?? 30);
+            case 'RESUME':
+                return API.resumeDrone(droneId);
+            case 'LAND':
+                return API.landDrone(droneId);
+            case 'RETURN_TO_HOME':
+                return API.returnToHome(droneId);
+            case 'GOTO':
+                return API.gotoWaypoint(droneId, params);
+            case 'SPEED_CHANGE':
+                return API.changeSpeed(droneId, params.speedMps);
+            case 'ALTITUDE_CHANGE':
+                return API.changeAltitude(droneId, params.altitudeM);
+            default:
+                return Promise.reject(new Error(`Unsupported command: ${type}`));
+        }
+    }
+
+    // Issues a command and returns its tracking entry. Never throws: a rejected
+    // request is recorded as a failed entry so every panel shows the same outcome.
+    async function send(droneId, type, params = {}) {
+        const issuedAt = Date.now();
+        const entry = {
+            key: `${droneId}:${type}:${issuedAt}`,
+            commandId: null,
+            droneId,
+            type,
+            summary: describeParams(type, params),
+            state: 'pending',
+            detail: '',
+            issuedAt,
+            expiresAt: issuedAt + DEFAULT_TTL_MS,
+            settledAt: null
+        };
+        entries.unshift(entry);
+        notify();
+
+        try {
+            const response = await dispatch(droneId, type, params);
+            entry.commandId = response?.command_id || null;
+            const expiresAt = Date.parse(response?.expires_at || '');
+            if (Number.isFinite(expiresAt)) entry.expiresAt = expiresAt;
+            const status = String(response?.status || '').toLowerCase();
+            if (FAILED_STATUSES.has(status)) {
+                settle(entry, 'failed', response?.message || status);
+            } else if (!entry.commandId) {
+                settle(entry, 'failed', 'ATC did not return a command id');
+            }
+        } catch (error) {
+            settle(entry, 'failed', error.message);
+        }
+
+        notify();
+        ensurePolling();
+        return entry;
+    }
+
+    function resolveFromListing(entry, listed, now) {
+        if (listed) {
+            const status = String(listed.status || '').toLowerCase();
+            if (listed.acknowledged === true || ACKED_STATUSES.has(status)) {
+                settle(entry, 'acked');
+            } else if (FAILED_STATUSES.has(status)) {
+                settle(entry, 'failed', listed.reason || listed.message || status);
+            } else if (status === 'expired' || now > (Date.parse(listed.expires_at || '') || entry.expiresAt)) {
+                settle(entry, 'expired');
+            }
+            return;
+        }
+        // GET /v1/commands lists pending commands only, so one that leaves the
+        // queue before its deadline was picked up and acknowledged by the drone.
+        settle(entry, now > entry.expiresAt ? 'expired' : 'acked');
+    }
+
+    async function poll() {
+        const pending = entries.filter(entry => entry.state === 'pending' && entry.commandId);
+        if (!pending.length) {
+            stopPolling();
+            return;
+        }
+        if (pollInFlight) return;
+        pollInFlight = true;
+
+        // One listing per drone: operators may only list commands for drones they command.
+        const droneIds = Array.from(new Set(pending.map(entry => entry.droneId)));
+        try {
+            await Promise.all(droneIds.map(async (droneId) => {
+                const forDrone = pending.filter(entry => entry.droneId === droneId);
+                try {
+                    const commands = await API.getCommands(droneId);
+                    const byId = new Map((Array.isArray(commands) ? commands : [])
+                        .filter(command => command && command.command_id)
+                        .map(command => [command.command_id, command]));
+                    const now = Date.now();
+                    forDrone.forEach(entry => resolveFromListing(entry, byId.get(entry.commandId), now));
+                } catch (error) {
+                    // Without a listing the only safe transition is expiry.
+                    const now = Date.now();
+                    forDrone.forEach((entry) => {
+                        if (now > entry.expiresAt) settle(entry, 'expired', 'No acknowledgement observed');
+                    });
+                }
+            }));
+        } finally {
+            pollInFlight = false;
+        }
+        notify();
+    }
+
+    function ensurePolling() {
+        if (pollTimer) return;
+        if (!entries.some(entry => entry.state === 'pending' && entry.commandId)) return;
+        pollTimer = setInterval(poll, POLL_INTERVAL_MS);
+        poll();
+    }
+
+    function stopPolling() {
+        clearInterval(pollTimer);
+        pollTimer = null;
+    }
+
+    function subscribe(listener) {
+        listeners.add(listener);
+        return () => listeners.delete(listener);
+    }
+
+    function list(droneId = null) {
+        return entries.filter(entry => !droneId || entry.droneId === droneId);
+    }
+
+    function formatState(entry) {
+        return entry.state.toUpperCase();
+    }
+
+    function renderHistory(container, droneId = null, limit = 8) {
+        if (!container) return;
+        const items = list(droneId).slice(0, limit);
+        if (!items.length) {
+            container.innerHTML = `
+                <div class="empty-state" style="padding: 16px;">
+                    <div class="empty-state-text text-muted">No commands sent this session</div>
+                </div>
+            `;
+            return;
+        }
+
+        container.innerHTML = items.map(entry => `
+            <div class="list-item" style="padding: 8px; margin-bottom: 4px;">
+                <div class="list-item-content">
+                    <div class="list-item-title" style="font-size: 12px;">
+                        ${escapeHtml(COMMAND_LABELS[entry.type] || entry.type)}${droneId ? '' : ` • ${escapeHtml(entry.droneId)}`}
+                        ${entry.summary ? `<span class="text-muted">${escapeHtml(entry.summary)}</span>` : ''}
+                    </div>
+                    <div class="list-item-subtitle" style="font-size: 11px;">
+                        ${escapeHtml(new Date(entry.issuedAt).toLocaleTimeString())}${entry.detail ? ` - ${escapeHtml(entry.detail)}` : ''}
+                    </div>
+                </div>
+                <span class="status-badge ${STATE_CLASSES[entry.state] || 'pending'}">${escapeHtml(formatState(entry))}</span>
+            </div>
+        `).join('');
+    }
+
+    ensurePolling();
+
+    return {
+        send,
+        subscribe,
+        list,
+        renderHistory,
+        labelFor: (type) => COMMAND_LABELS[type] || type,
+        stateClass: (state) => STATE_CLASSES[state] || 'pending'
+    };
+})();
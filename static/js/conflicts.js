@@ -6,19 +6,20 @@
     'use strict';
 
     const REFRESH_INTERVAL = 4000;
-    const MAX_HISTORY = 20;
+    const HISTORY_PAGE_SIZE = 8;
     const escapeHtml = window.escapeHtml || ((value) => String(value ?? ''));
 
     let activeConflicts = [];
-    let conflictStarts = new Map();
-    let resolvedHistory = [];
+    let historyEpisodes = [];
+    let historyTotal = 0;
+    let historyOffset = 0;
+    let resolvedToday = [];
+    let historyError = null;
     let selectedKey = null;
     let lastLoadError = null;
 
     function getOwnerId() {
-        const user = window.APP_USER;
-        if (!user || user.role === 'authority') return null;
-        return user.id || null;
+        return window.ATCUtils?.getOwnerContext()?.id || null;
     }
 
     function buildConflictKey(conflict) {
@@ -66,38 +67,34 @@
         return `${mins}m ${secs}s`;
     }
 
-    function isSameDay(a, b) {
-        const dateA = new Date(a);
-        const dateB = new Date(b);
-        return dateA.getFullYear() === dateB.getFullYear()
-            && dateA.getMonth() === dateB.getMonth()
-            && dateA.getDate() === dateB.getDate();
+    function startOfToday() {
+        const date = new Date();
+        date.setHours(0, 0, 0, 0);
+        return date;
     }
 
-    function recordResolvedConflicts(previousConflicts, nextKeys) {
-        const now = Date.now();
-        const prevByKey = new Map(previousConflicts.map(conflict => [buildConflictKey(conflict), conflict]));
-
-        for (const [key, startTime] of conflictStarts.entries()) {
-            if (nextKeys.has(key)) continue;
-            const conflict = prevByKey.get(key);
-            if (conflict) {
-                resolvedHistory.unshift({
-                    key,
-                    conflict,
-                    resolvedAt: now,
-                    durationMs: Math.max(0, now - startTime)
-                });
-            }
-            conflictStarts.delete(key);
-        }
-
-        if (resolvedHistory.length > MAX_HISTORY) {
-            resolvedHistory = resolvedHistory.slice(0, MAX_HISTORY);
+    // History comes from the server-side recorder, so it survives reloads and backend outages.
+    async function loadHistory() {
+        try {
+            const [page, today] = await Promise.all([
+                API.getConflictHistory({ limit: HISTORY_PAGE_SIZE, offset: historyOffset }),
+                API.getConflictHistory({ status: 'resolved', from: startOfToday().toISOString(), limit: 1000 })
+            ]);
+            historyEpisodes = Array.isArray(page?.episodes) ? page.episodes : [];
+            historyTotal = Number(page?.total) || 0;
+            resolvedToday = (Array.isArray(today?.episodes) ? today.episodes : [])
+                .filter(episode => new Date(episode.resolvedAt) >= startOfToday());
+            historyError = null;
+        } catch (error) {
+            console.error('[Conflicts] History load failed:', error);
+            historyError = 'Conflict history unavailable';
         }
+        renderStats();
+        renderHistory();
     }
 
     async function loadConflicts() {
+        loadHistory();
         try {
             const conflicts = await API.getConflicts(getOwnerId());
             lastLoadError = null;
@@ -106,30 +103,16 @@
             console.error('[Conflicts] Load failed:', error);
             lastLoadError = 'Conflict feed unavailable (backend unreachable).';
             activeConflicts = [];
-            resolvedHistory = [];
-            conflictStarts.clear();
             selectedKey = null;
             renderAlert();
             renderStats();
             renderConflictList();
             renderConflictDetail();
-            renderHistory();
         }
     }
 
     function updateConflicts(conflicts) {
-        const now = Date.now();
-        const nextKeys = new Set();
-
-        conflicts.forEach(conflict => {
-            const key = buildConflictKey(conflict);
-            nextKeys.add(key);
-            if (!conflictStarts.has(key)) {
-                conflictStarts.set(key, now);
-            }
-        });
-
-        recordResolvedConflicts(activeConflicts, nextKeys);
+        const nextKeys = new Set(conflicts.map(buildConflictKey));
         activeConflicts = conflicts;
 
         if (selectedKey && !nextKeys.has(selectedKey)) {
@@ -140,7 +123,6 @@
         renderStats();
         renderConflictList();
         renderConflictDetail();
-        renderHistory();
     }
 
     function renderAlert() {
@@ -164,34 +146,30 @@
     }
 
     function renderStats() {
+        const criticalEl = document.getElementById('criticalConflicts');
+        const warningEl = document.getElementById('warningConflicts');
+        const resolvedEl = document.getElementById('resolvedToday');
+        const avgEl = document.getElementById('avgResolutionTime');
+
         if (lastLoadError) {
-            const criticalEl = document.getElementById('criticalConflicts');
-            const warningEl = document.getElementById('warningConflicts');
-            const resolvedEl = document.getElementById('resolvedToday');
-            const avgEl = document.getElementById('avgResolutionTime');
             if (criticalEl) criticalEl.textContent = '--';
             if (warningEl) warningEl.textContent = '--';
+        } else {
+            const criticalCount = activeConflicts.filter(c => String(c.severity).toLowerCase() === 'critical').length;
+            const warningCount = activeConflicts.filter(c => String(c.severity).toLowerCase() === 'warning').length;
+            if (criticalEl) criticalEl.textContent = criticalCount.toString();
+            if (warningEl) warningEl.textContent = warningCount.toString();
+        }
+
+        if (historyError) {
             if (resolvedEl) resolvedEl.textContent = '--';
             if (avgEl) avgEl.textContent = '--';
             return;
         }
 
-        const criticalCount = activeConflicts.filter(c => String(c.severity).toLowerCase() === 'critical').length;
-        const warningCount = activeConflicts.filter(c => String(c.severity).toLowerCase() === 'warning').length;
-        const now = Date.now();
-
-        const resolvedToday = resolvedHistory.filter(entry => isSameDay(entry.resolvedAt, now));
         const avgMs = resolvedToday.length
-            ? resolvedToday.reduce((sum, entry) => sum + entry.durationMs, 0) / resolvedToday.length
+            ? resolvedToday.reduce((sum, entry) => sum + (entry.durationMs || 0), 0) / resolvedToday.length
             : null;
-
-        const criticalEl = document.getElementById('criticalConflicts');
-        const warningEl = document.getElementById('warningConflicts');
-        const resolvedEl = document.getElementById('resolvedToday');
-        const avgEl = document.getElementById('avgResolutionTime');
-
-        if (criticalEl) criticalEl.textContent = criticalCount.toString();
-        if (warningEl) warningEl.textContent = warningCount.toString();
         if (resolvedEl) resolvedEl.textContent = resolvedToday.length.toString();
         if (avgEl) avgEl.textContent = avgMs ? formatSeconds(avgMs / 1000) : '--';
     }
@@ -321,40 +299,55 @@
         `;
     }
 
+    function renderHistoryPaging() {
+        const summary = document.getElementById('historySummary');
+        const prev = document.getElementById('historyPrev');
+        const next = document.getElementById('historyNext');
+        if (summary) {
+            summary.textContent = historyTotal
+                ? `${historyOffset + 1}-${historyOffset + historyEpisodes.length} of ${historyTotal}`
+                : '';
+        }
+        if (prev) prev.disabled = historyOffset === 0;
+        if (next) next.disabled = historyOffset + historyEpisodes.length >= historyTotal;
+    }
+
     function renderHistory() {
         const tbody = document.querySelector('#conflictHistory tbody');
         if (!tbody) return;
+        renderHistoryPaging();
 
-        if (lastLoadError) {
+        if (historyError) {
             tbody.innerHTML = `
                 <tr>
-                    <td colspan="5" class="text-muted">Conflict history unavailable</td>
+                    <td colspan="6" class="text-muted">${escapeHtml(historyError)}</td>
                 </tr>
             `;
             return;
         }
 
-        if (!resolvedHistory.length) {
+        if (!historyEpisodes.length) {
             tbody.innerHTML = `
                 <tr>
-                    <td colspan="5" class="text-muted">No conflicts resolved yet.</td>
+                    <td colspan="6" class="text-muted">No conflicts recorded yet.</td>
                 </tr>
             `;
             return;
         }
 
-        tbody.innerHTML = resolvedHistory.slice(0, 8).map(entry => {
-            const conflict = entry.conflict || {};
-            const resolvedAt = new Date(entry.resolvedAt).toLocaleTimeString();
-            const severityClass = getSeverityClass(conflict.severity);
-            const severityLabel = formatSeverity(conflict.severity);
-            const duration = formatSeconds(entry.durationMs / 1000);
+        tbody.innerHTML = historyEpisodes.map(episode => {
+            const startedAt = new Date(episode.startedAt).toLocaleString();
+            const severityClass = getSeverityClass(episode.peakSeverity);
+            const severityLabel = formatSeverity(episode.peakSeverity);
+            const duration = formatSeconds((episode.durationMs || 0) / 1000);
+            const resolution = episode.active ? 'Ongoing' : 'Auto';
             return `
                 <tr>
-                    <td>${escapeHtml(resolvedAt)}</td>
-                    <td>${escapeHtml(conflict.drone1_id || '--')} - ${escapeHtml(conflict.drone2_id || '--')}</td>
+                    <td>${escapeHtml(startedAt)}</td>
+                    <td>${escapeHtml(episode.drone1Id || '--')} - ${escapeHtml(episode.drone2Id || '--')}</td>
                     <td><span class="status-badge ${severityClass}">${escapeHtml(severityLabel)}</span></td>
-                    <td>Auto</td>
+                    <td>${escapeHtml(formatDistance(episode.minSeparationM))}</td>
+                    <td>${escapeHtml(resolution)}</td>
                     <td>${escapeHtml(duration)}</td>
                 </tr>
             `;
@@ -408,5 +401,14 @@
         if (detail) {
             detail.addEventListener('click', handleDetailAction);
         }
+
+        document.getElementById('historyPrev')?.addEventListener('click', () => {
+            historyOffset = Math.max(0, historyOffset - HISTORY_PAGE_SIZE);
+            loadHistory();
+        });
+        document.getElementById('historyNext')?.addEventListener('click', () => {
+            historyOffset += HISTORY_PAGE_SIZE;
+            loadHistory();
+        });
     });
 })();
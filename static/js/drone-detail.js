@@ -11,6 +11,8 @@
         getStatusLabel: (status) => status || 'Unknown'
     };
 
+    const escapeHtml = window.escapeHtml || ((value) => String(value ?? ''));
+
     const droneIdEl = document.getElementById('droneId');
     if (!droneIdEl) return;
     const droneId = droneIdEl.textContent.trim();
@@ -50,17 +52,11 @@
     }
 
     function setControlsEnabled(enabled) {
-        const holdBtn = document.getElementById('holdDrone');
-        const resumeBtn = document.getElementById('resumeDrone');
-        const sendBtn = document.getElementById('sendCommand');
-        const commandType = document.getElementById('commandType');
-        const targetAltitude = document.getElementById('targetAltitude');
-
-        if (holdBtn) holdBtn.disabled = !enabled;
-        if (resumeBtn) resumeBtn.disabled = !enabled;
-        if (sendBtn) sendBtn.disabled = !enabled;
-        if (commandType) commandType.disabled = !enabled;
-        if (targetAltitude) targetAltitude.disabled = !enabled;
+        ['holdDrone', 'resumeDrone', 'landDrone', 'sendCommand', 'commandType', 'targetAltitude', 'targetSpeed']
+            .forEach((id) => {
+                const el = document.getElementById(id);
+                if (el) el.disabled = !enabled;
+            });
     }
 
     async function refreshDrone() {
@@ -100,84 +96,97 @@
         }
     }
 
-    async function holdDrone() {
+    async function issueCommand(type, params = {}) {
         const statusEl = document.getElementById('commandStatus');
-        if (statusEl) statusEl.textContent = 'Sending HOLD...';
-        try {
-            await API.holdDrone(droneId, 30);
-            if (statusEl) statusEl.textContent = 'HOLD sent';
-            refreshDrone();
-        } catch (error) {
-            if (statusEl) statusEl.textContent = 'HOLD failed';
-            alert(`Failed to send HOLD: ${error.message}`);
+        const label = ATCCommands.labelFor(type);
+        if (statusEl) statusEl.textContent = `Sending ${label}...`;
+        const entry = await ATCCommands.send(droneId, type, params);
+        if (entry.state === 'failed') {
+            alert(`${label} failed: ${entry.detail}`);
         }
+        refreshDrone();
     }
 
-    async function resumeDrone() {
+    function renderCommandStatus() {
+        const latest = ATCCommands.list(droneId)[0];
         const statusEl = document.getElementById('commandStatus');
-        if (statusEl) statusEl.textContent = 'Sending RESUME...';
-        try {
-            await API.resumeDrone(droneId);
-            if (statusEl) statusEl.textContent = 'RESUME sent';
-            refreshDrone();
-        } catch (error) {
-            if (statusEl) statusEl.textContent = 'RESUME failed';
-            alert(`Failed to send RESUME: ${error.message}`);
+        if (statusEl) {
+            statusEl.innerHTML = latest
+                ? `${escapeHtml(ATCCommands.labelFor(latest.type))} <span class="status-badge ${ATCCommands.stateClass(latest.state)}">${escapeHtml(latest.state.toUpperCase())}</span>`
+                : '';
         }
+        ATCCommands.renderHistory(document.getElementById('commandHistory'), droneId);
     }
 
     async function sendCommand() {
         const commandType = document.getElementById('commandType');
         const targetAltitude = document.getElementById('targetAltitude');
+        const targetSpeed = document.getElementById('targetSpeed');
         const statusEl = document.getElementById('commandStatus');
 
         if (!commandType) return;
         const selection = commandType.value;
-        if (statusEl) statusEl.textContent = 'Sending command...';
 
-        try {
-            if (selection === 'hold') {
-                await API.holdDrone(droneId, 30);
-            } else if (selection === 'resume') {
-                await API.resumeDrone(droneId);
-            } else if (selection === 'altitude') {
-                const altitudeValue = Number(targetAltitude?.value);
-                if (!Number.isFinite(altitudeValue)) {
-                    alert('Enter a valid altitude.');
-                    if (statusEl) statusEl.textContent = 'Invalid altitude';
-                    return;
-                }
-                await API.sendCommand(droneId, {
-                    type: 'ALTITUDE_CHANGE',
-                    target_altitude_m: altitudeValue
-                });
+        if (selection === 'hold') {
+            await issueCommand('HOLD', { durationSecs: 30 });
+        } else if (selection === 'resume') {
+            await issueCommand('RESUME');
+        } else if (selection === 'altitude') {
+            const altitudeValue = Number(targetAltitude?.value);
+            if (!Number.isFinite(altitudeValue)) {
+                alert('Enter a valid altitude.');
+                if (statusEl) statusEl.textContent = 'Invalid altitude';
+                return;
             }
-            if (statusEl) statusEl.textContent = 'Command sent';
-            refreshDrone();
-        } catch (error) {
-            if (statusEl) statusEl.textContent = 'Command failed';
-            alert(`Command failed: ${error.message}`);
+            await issueCommand('ALTITUDE_CHANGE', { altitudeM: altitudeValue });
+        } else if (selection === 'speed') {
+            const speedValue = Number(targetSpeed?.value);
+            if (!Number.isFinite(speedValue) || speedValue < 0) {
+                alert('Enter a valid speed.');
+                if (statusEl) statusEl.textContent = 'Invalid speed';
+                return;
+            }
+            await issueCommand('SPEED_CHANGE', { speedMps: speedValue });
+        } else if (selection === 'land') {
+            if (!confirm(`Land ${droneId} at its current position?`)) return;
+            await issueCommand('LAND');
+        } else if (selection === 'rth') {
+            await issueCommand('RETURN_TO_HOME');
+        } else if (selection === 'goto') {
+            window.location.href = `/control/map?track=${encodeURIComponent(droneId)}&goto=1`;
         }
     }
 
     function handleCommandTypeChange() {
         const commandType = document.getElementById('commandType');
         const altitudeGroup = document.getElementById('altitudeGroup');
-        if (!commandType || !altitudeGroup) return;
-        altitudeGroup.style.display = commandType.value === 'altitude' ? 'block' : 'none';
+        const speedGroup = document.getElementById('speedGroup');
+        const sendBtn = document.getElementById('sendCommand');
+        if (!commandType) return;
+        if (altitudeGroup) altitudeGroup.style.display = commandType.value === 'altitude' ? 'block' : 'none';
+        if (speedGroup) speedGroup.style.display = commandType.value === 'speed' ? 'block' : 'none';
+        if (sendBtn) sendBtn.textContent = commandType.value === 'goto' ? 'Pick on Map' : 'Send Command';
     }
 
     document.addEventListener('DOMContentLoaded', () => {
         const holdBtn = document.getElementById('holdDrone');
         const resumeBtn = document.getElementById('resumeDrone');
+        const landBtn = document.getElementById('landDrone');
         const sendBtn = document.getElementById('sendCommand');
         const commandType = document.getElementById('commandType');
 
-        if (holdBtn) holdBtn.addEventListener('click', holdDrone);
-        if (resumeBtn) resumeBtn.addEventListener('click', resumeDrone);
+        if (holdBtn) holdBtn.addEventListener('click', () => issueCommand('HOLD', { durationSecs: 30 }));
+        if (resumeBtn) resumeBtn.addEventListener('click', () => issueCommand('RESUME'));
+        if (landBtn) {
+            landBtn.addEventListener('click', () => {
+                if (confirm(`Land ${droneId} at its current position?`)) issueCommand('LAND');
+            });
+        }
         if (sendBtn) sendBtn.addEventListener('click', sendCommand);
         if (commandType) commandType.addEventListener('change', handleCommandTypeChange);
 
+        ATCCommands.subscribe(renderCommandStatus);
+        renderCommandStatus();
         handleCommandTypeChange();
         refreshDrone();
         setInterval(refreshDrone, REFRESH_INTERVAL);
@@ -124,7 +124,7 @@
         if (registerInFlight) return;
         registerInFlight = true;
 
-        const ownerId = window.APP_USER?.id || null;
+        const ownerId = window.ATCUtils?.getOwnerContext()?.createOwnerId || window.APP_USER?.id || null;
         const provided = window.prompt('Drone ID (optional). Leave blank to auto-generate:');
         const droneId = provided && provided.trim() ? provided.trim() : null;
 
@@ -179,43 +179,86 @@
                     </div>
                     
                     <div class="section-subtitle">Commands</div>
-                    <div class="flex gap-sm">
+                    <div class="flex gap-sm" style="flex-wrap: wrap;">
                         <button class="btn btn-warning btn-sm" onclick="Fleet.holdDrone('${droneId}')">
                             HOLD
                         </button>
                         <button class="btn btn-success btn-sm" onclick="Fleet.resumeDrone('${droneId}')">
                             RESUME
                         </button>
+                        <button class="btn btn-danger btn-sm" onclick="Fleet.landDrone('${droneId}')">
+                            LAND
+                        </button>
+                        <button class="btn btn-ghost btn-sm" onclick="Fleet.returnToHome('${droneId}')">
+                            RTH
+                        </button>
+                        <button class="btn btn-ghost btn-sm" onclick="Fleet.changeSpeed('${droneId}')">
+                            SPEED
+                        </button>
+                        <button class="btn btn-ghost btn-sm" onclick="Fleet.gotoOnMap('${droneId}')">
+                            GOTO
+                        </button>
                     </div>
+
+                    <div class="section-subtitle mt-md">Command Status</div>
+                    <div id="sidebarCommandHistory"></div>
                 `;
+                renderCommandHistory();
             }
         });
     }
 
+    function renderCommandHistory() {
+        if (!selectedDroneId) return;
+        ATCCommands.renderHistory(document.getElementById('sidebarCommandHistory'), selectedDroneId, 5);
+    }
+
     function closeSidebar() {
         const sidebar = document.getElementById('droneDetailSidebar');
         if (sidebar) sidebar.style.display = 'none';
         selectedDroneId = null;
     }
 
-    async function holdDrone(droneId) {
-        try {
-            await API.holdDrone(droneId, 30);
-            console.log(`HOLD command sent to ${droneId}`);
-            loadFleet();
-        } catch (error) {
-            console.error(`Failed to send HOLD: ${error.message}`);
+    async function issueCommand(droneId, type, params = {}) {
+        const entry = await ATCCommands.send(droneId, type, params);
+        if (entry.state === 'failed') {
+            console.error(`Failed to send ${type}: ${entry.detail}`);
+        } else {
+            console.log(`${type} command sent to ${droneId}`);
         }
+        loadFleet();
     }
 
-    async function resumeDrone(droneId) {
-        try {
-            await API.resumeDrone(droneId);
-            console.log(`RESUME command sent to ${droneId}`);
-            loadFleet();
-        } catch (error) {
-            console.error(`Failed to send RESUME: ${error.message}`);
+    function holdDrone(droneId) {
+        return issueCommand(droneId, 'HOLD', { durationSecs: 30 });
+    }
+
+    function resumeDrone(droneId) {
+        return issueCommand(droneId, 'RESUME');
+    }
+
+    function landDrone(droneId) {
+        if (!confirm(`Land ${droneId} at its current position?`)) return null;
+        return issueCommand(droneId, 'LAND');
+    }
+
+    function returnToHome(droneId) {
+        return issueCommand(droneId, 'RETURN_TO_HOME');
+    }
+
+    function changeSpeed(droneId) {
+        const value = window.prompt(`Target speed for ${droneId} (m/s):`, '10');
+        if (value === null) return null;
+        const speedMps = Number(value);
+        if (!Number.isFinite(speedMps) || speedMps < 0) {
+            alert('Enter a valid speed.');
+            return null;
         }
+        return issueCommand(droneId, 'SPEED_CHANGE', { speedMps });
+    }
+
+    function gotoOnMap(droneId) {
+        window.location.href = `/control/map?track=${encodeURIComponent(droneId)}&goto=1`;
     }
 
     function viewOnMap(droneId) {
@@ -247,6 +290,8 @@
         if (addBtn) {
             addBtn.addEventListener('click', registerDrone);
         }
+
+        ATCCommands.subscribe(renderCommandHistory);
     });
 
     // Export for global access
@@ -254,6 +299,10 @@
         showDetails,
         holdDrone,
         resumeDrone,
+        landDrone,
+        returnToHome,
+        changeSpeed,
+        gotoOnMap,
         viewOnMap
     };
 })();
@@ -1,6 +1,9 @@
 /**
  * Geofence Create Page
- * Lightweight Cesium draw tool to capture polygon vertices.
+ * Lightweight Cesium draw tool for polygon, circle, corridor and route-buffer
+ * boundaries. Every shape is converted to a polygon before it is submitted.
+ * Also serves /control/geofences/:id/edit, where the geofence is loaded into
+ * the same tool and saved through API.updateGeofence.
  */
 
 (function () {
@@ -15,12 +18,37 @@
         DEFAULT_VIEW: { lat: 33.66, lon: -117.84, height: 6000 }
     };
 
+    const SHAPE_MODES = ['polygon', 'circle', 'corridor', 'route'];
+    const MAX_ROUTE_POINTS = 200;
+    const escapeHtml = window.escapeHtml || ((value) => String(value ?? ''));
+
     let viewer = null;
     let drawHandler = null;
     let drawActive = false;
+    let shapeMode = 'polygon';
     const drawPoints = [];
     const drawMarkers = [];
+    const handleInfo = new Map();
     let drawPolygon = null;
+    let centerlineEntity = null;
+    let dragHandle = null;
+
+    // Circle: centre plus radius. Corridor / route: centreline plus width.
+    let circleCenter = null;
+    let circleRadiusM = 500;
+    const centerline = [];
+    let corridorWidthM = 200;
+    let routePlans = [];
+    let routePlansLoaded = false;
+
+    // Current boundary as [{lat, lon}], regenerated whenever the shape changes.
+    let outline = [];
+
+    const editGeofenceId = document.getElementById('geofenceEditor')?.dataset.geofenceId || '';
+    let currentSchedule = null;
+    let scheduleTimezone = Intl.DateTimeFormat().resolvedOptions().timeZone || 'UTC';
+    let revisions = [];
+    let revisionPreviewEntity = null;
 
     function clamp(value, min, max) {
         return Math.min(Math.max(value, min), max);
@@ -114,6 +142,16 @@
         }
     }
 
+    function pickLatLon(screenPosition) {
+        const cartesian = viewer.camera.pickEllipsoid(screenPosition, viewer.scene.globe.ellipsoid);
+        if (!cartesian) return null;
+        const cartographic = Cesium.Cartographic.fromCartesian(cartesian);
+        return {
+            lat: clamp(Cesium.Math.toDegrees(cartographic.latitude), -90, 90),
+            lon: clamp(Cesium.Math.toDegrees(cartographic.longitude), -180, 180)
+        };
+    }
+
     function setDrawMode(active) {
         drawActive = active;
         const drawButton = document.getElementById('drawOnMap');
@@ -132,65 +170,300 @@
 
         drawHandler = new Cesium.ScreenSpaceEventHandler(viewer.canvas);
         drawHandler.setInputAction((movement) => {
-            const cartesian = viewer.camera.pickEllipsoid(movement.position, viewer.scene.globe.ellipsoid);
-            if (!cartesian) return;
-
-            const cartographic = Cesium.Cartographic.fromCartesian(cartesian);
-            const lat = clamp(Cesium.Math.toDegrees(cartographic.latitude), -90, 90);
-            const lon = clamp(Cesium.Math.toDegrees(cartographic.longitude), -180, 180);
-            addPoint(lat, lon);
+            // Clicks on a handle belong to drag editing, not to drawing.
+            if (pickHandle(movement.position)) return;
+            const point = pickLatLon(movement.position);
+            if (!point) return;
+            addPoint(point.lat, point.lon);
         }, Cesium.ScreenSpaceEventType.LEFT_CLICK);
     }
 
+    function setShapeMode(mode) {
+        if (!SHAPE_MODES.includes(mode)) return;
+        shapeMode = mode;
+        const select = document.getElementById('drawShape');
+        if (select && select.value !== mode) select.value = mode;
+        document.querySelectorAll('[data-shape-option]').forEach((el) => {
+            el.style.display = el.dataset.shapeOption.split(' ').includes(mode) ? '' : 'none';
+        });
+        if (mode === 'route') {
+            loadRoutePlans();
+        }
+        refreshShape();
+    }
+
     function addPoint(lat, lon) {
-        drawPoints.push({ lat, lon });
-        const marker = viewer.entities.add({
+        switch (shapeMode) {
+            case 'circle':
+                // First click places the centre; later clicks set the radius.
+                if (!circleCenter) {
+                    circleCenter = { lat, lon };
+                } else {
+                    setCircleRadius(GeofenceShapes.distanceMeters(circleCenter, { lat, lon }));
+                }
+                break;
+            case 'corridor':
+                centerline.push({ lat, lon });
+                break;
+            case 'route':
+                return;
+            default:
+                drawPoints.push({ lat, lon });
+        }
+        refreshShape();
+    }
+
+    function setCircleRadius(radiusM) {
+        circleRadiusM = Math.max(1, Math.round(radiusM));
+        const input = document.getElementById('circleRadius');
+        if (input) input.value = String(circleRadiusM);
+    }
+
+    function computeOutline() {
+        switch (shapeMode) {
+            case 'circle':
+                return circleCenter ? GeofenceShapes.circleToPolygon(circleCenter, circleRadiusM) : [];
+            case 'corridor':
+            case 'route':
+                return centerline.length >= 2 ? GeofenceShapes.bufferPolyline(centerline, corridorWidthM) : [];
+            default:
+                return drawPoints.slice();
+        }
+    }
+
+    function refreshShape({ rebuildHandles = true } = {}) {
+        outline = computeOutline();
+        if (rebuildHandles) renderHandles();
+        updatePolygon();
+        updateReadouts();
+        syncPolygonTextarea();
+    }
+
+    function updatePolygon() {
+        if (!drawPolygon) {
+            drawPolygon = viewer.entities.add({
+                polygon: {
+                    hierarchy: new Cesium.CallbackProperty(() => new Cesium.PolygonHierarchy(
+                        outline.length >= 3
+                            ? Cesium.Cartesian3.fromDegreesArray(outline.flatMap(point => [point.lon, point.lat]))
+                            : []
+                    ), false),
+                    material: Cesium.Color.CYAN.withAlpha(0.25),
+                    outline: true,
+                    outlineColor: Cesium.Color.CYAN
+                }
+            });
+            centerlineEntity = viewer.entities.add({
+                polyline: {
+                    positions: new Cesium.CallbackProperty(() => (
+                        Cesium.Cartesian3.fromDegreesArray(centerline.flatMap(point => [point.lon, point.lat]))
+                    ), false),
+                    width: 2,
+                    material: new Cesium.PolylineDashMaterialProperty({ color: Cesium.Color.WHITE }),
+                    clampToGround: true
+                }
+            });
+        }
+        drawPolygon.show = outline.length >= 3;
+        centerlineEntity.show = (shapeMode === 'corridor' || shapeMode === 'route') && centerline.length >= 2;
+    }
+
+    function addHandle(lat, lon, info, color = Cesium.Color.CYAN) {
+        const entity = viewer.entities.add({
             position: Cesium.Cartesian3.fromDegrees(lon, lat, 2),
             point: {
-                pixelSize: 8,
-                color: Cesium.Color.CYAN,
+                pixelSize: info.kind === 'vertex' ? 8 : 10,
+                color,
                 outlineColor: Cesium.Color.WHITE,
-                outlineWidth: 1
+                outlineWidth: 1,
+                disableDepthTestDistance: Number.POSITIVE_INFINITY
             }
         });
-        drawMarkers.push(marker);
-        updatePolygon();
-        syncPolygonTextarea();
+        drawMarkers.push(entity);
+        handleInfo.set(entity.id, info);
     }
 
-    function updatePolygon() {
-        if (drawPoints.length < 3) {
-            if (drawPolygon) {
-                viewer.entities.remove(drawPolygon);
-                drawPolygon = null;
+    function renderHandles() {
+        drawMarkers.forEach(marker => viewer.entities.remove(marker));
+        drawMarkers.length = 0;
+        handleInfo.clear();
+
+        switch (shapeMode) {
+            case 'circle':
+                if (circleCenter) {
+                    addHandle(circleCenter.lat, circleCenter.lon, { kind: 'center' });
+                    const edge = GeofenceShapes.offsetPoint(circleCenter, circleRadiusM, 90);
+                    addHandle(edge.lat, edge.lon, { kind: 'radius' }, Cesium.Color.YELLOW);
+                }
+                break;
+            case 'corridor':
+            case 'route':
+                centerline.forEach((point, index) => addHandle(point.lat, point.lon, { kind: 'centerline', index }));
+                break;
+            default:
+                drawPoints.forEach((point, index) => addHandle(point.lat, point.lon, { kind: 'vertex', index }));
+        }
+    }
+
+    function pickHandle(screenPosition) {
+        const picked = viewer.scene.pick(screenPosition);
+        const entity = picked && picked.id;
+        if (!entity || !handleInfo.has(entity.id)) return null;
+        return { entity, info: handleInfo.get(entity.id) };
+    }
+
+    function applyHandleDrag(handle, point) {
+        const { info } = handle;
+        switch (info.kind) {
+            case 'center': {
+                circleCenter = point;
+                const edge = GeofenceShapes.offsetPoint(circleCenter, circleRadiusM, 90);
+                const radiusHandle = drawMarkers.find(marker => handleInfo.get(marker.id)?.kind === 'radius');
+                if (radiusHandle) radiusHandle.position = Cesium.Cartesian3.fromDegrees(edge.lon, edge.lat, 2);
+                break;
             }
-            return;
+            case 'radius':
+                setCircleRadius(GeofenceShapes.distanceMeters(circleCenter, point));
+                break;
+            case 'centerline':
+                centerline[info.index] = point;
+                break;
+            default:
+                drawPoints[info.index] = point;
         }
+        handle.entity.position = Cesium.Cartesian3.fromDegrees(point.lon, point.lat, 2);
+        refreshShape({ rebuildHandles: false });
+    }
 
-        const positions = [];
-        drawPoints.forEach((point) => {
-            positions.push(point.lon, point.lat);
-        });
+    // Vertex drag editing stays available whether or not drawing is active.
+    function initDragEditing() {
+        const handler = new Cesium.ScreenSpaceEventHandler(viewer.canvas);
+        const cameraController = viewer.scene.screenSpaceCameraController;
+
+        handler.setInputAction((movement) => {
+            const handle = pickHandle(movement.position);
+            if (!handle) return;
+            dragHandle = handle;
+            cameraController.enableInputs = false;
+        }, Cesium.ScreenSpaceEventType.LEFT_DOWN);
+
+        handler.setInputAction((movement) => {
+            if (!dragHandle) return;
+            const point = pickLatLon(movement.endPosition);
+            if (point) applyHandleDrag(dragHandle, point);
+        }, Cesium.ScreenSpaceEventType.MOUSE_MOVE);
+
+        handler.setInputAction(() => {
+            if (!dragHandle) return;
+            dragHandle = null;
+            cameraController.enableInputs = true;
+            refreshShape();
+        }, Cesium.ScreenSpaceEventType.LEFT_UP);
+
+        // Right-click removes a polygon vertex or corridor point.
+        handler.setInputAction((movement) => {
+            const handle = pickHandle(movement.position);
+            if (!handle) return;
+            if (handle.info.kind === 'vertex') {
+                drawPoints.splice(handle.info.index, 1);
+            } else if (handle.info.kind === 'centerline' && shapeMode === 'corridor') {
+                centerline.splice(handle.info.index, 1);
+            } else {
+                return;
+            }
+            refreshShape();
+        }, Cesium.ScreenSpaceEventType.RIGHT_CLICK);
+    }
 
-        if (drawPolygon) {
-            drawPolygon.polygon.hierarchy = Cesium.Cartesian3.fromDegreesArray(positions);
-            return;
+    function formatArea(squareMeters) {
+        return squareMeters >= 1e6
+            ? `${(squareMeters / 1e6).toFixed(2)} km²`
+            : `${Math.round(squareMeters).toLocaleString()} m²`;
+    }
+
+    function formatDistance(meters) {
+        return meters >= 1000 ? `${(meters / 1000).toFixed(2)} km` : `${Math.round(meters)} m`;
+    }
+
+    function updateReadouts() {
+        const ring = outline.length >= 3 ? outline : [];
+        const areaEl = document.getElementById('shapeArea');
+        const perimeterEl = document.getElementById('shapePerimeter');
+        const verticesEl = document.getElementById('shapeVertices');
+        if (areaEl) areaEl.textContent = ring.length ? formatArea(GeofenceShapes.polygonArea(ring)) : '--';
+        if (perimeterEl) perimeterEl.textContent = ring.length ? formatDistance(GeofenceShapes.polygonPerimeter(ring)) : '--';
+        if (verticesEl) verticesEl.textContent = ring.length ? String(ring.length) : '--';
+    }
+
+    // Bakes a circle or corridor into plain vertices so each one can be dragged.
+    function convertToPolygon() {
+        if (shapeMode === 'polygon' || outline.length < 3) return;
+        drawPoints.length = 0;
+        outline.forEach(point => drawPoints.push({ lat: point.lat, lon: point.lon }));
+        circleCenter = null;
+        centerline.length = 0;
+        setShapeMode('polygon');
+    }
+
+    function clearShape() {
+        drawPoints.length = 0;
+        centerline.length = 0;
+        circleCenter = null;
+        refreshShape();
+    }
+
+    async function loadRoutePlans() {
+        const select = document.getElementById('routePlan');
+        if (!select || routePlansLoaded) return;
+        routePlansLoaded = true;
+        try {
+            const plans = await API.getFlightPlans();
+            routePlans = (Array.isArray(plans) ? plans : []).filter(plan => getPlanPath(plan).length >= 2);
+        } catch (error) {
+            console.error('[Geofence Create] Failed to load flight plans:', error);
+            routePlans = [];
         }
+        select.innerHTML = routePlans.length
+            ? `<option value="">Select a flight plan...</option>${routePlans.map((plan, index) => `
+                <option value="${index}">${escapeHtml(plan.flight_id || `Plan ${index + 1}`)} • ${escapeHtml(plan.drone_id || 'Unknown drone')}${plan.status ? ` (${escapeHtml(plan.status)})` : ''}</option>
+            `).join('')}`
+            : '<option value="">No flight plans with a route</option>';
+    }
+
+    function getPlanPath(plan) {
+        const source = Array.isArray(plan?.waypoints) && plan.waypoints.length
+            ? plan.waypoints
+            : (Array.isArray(plan?.trajectory_log) ? plan.trajectory_log : []);
+        const points = source
+            .map(point => ({ lat: Number(point?.lat), lon: Number(point?.lon) }))
+            .filter(point => Number.isFinite(point.lat) && Number.isFinite(point.lon));
+        if (points.length <= MAX_ROUTE_POINTS) return points;
+        const step = Math.ceil(points.length / MAX_ROUTE_POINTS);
+        const sampled = points.filter((_, index) => index % step === 0);
+        if (sampled[sampled.length - 1] !== points[points.length - 1]) sampled.push(points[points.length - 1]);
+        return sampled;
+    }
 
-        drawPolygon = viewer.entities.add({
-            polygon: {
-                hierarchy: Cesium.Cartesian3.fromDegreesArray(positions),
-                material: Cesium.Color.CYAN.withAlpha(0.25),
-                outline: true,
-                outlineColor: Cesium.Color.CYAN
+    function applyRoutePlan(index) {
+        const plan = routePlans[Number(index)];
+        centerline.length = 0;
+        if (plan) {
+            getPlanPath(plan).forEach(point => centerline.push(point));
+            const nameInput = document.getElementById('geofenceName');
+            if (nameInput && !nameInput.value.trim()) {
+                nameInput.value = `Route buffer ${plan.flight_id || ''}`.trim();
             }
-        });
+        }
+        refreshShape();
+        if (centerline.length >= 2 && centerlineEntity) {
+            viewer.flyTo(centerlineEntity);
+        }
     }
 
     function syncPolygonTextarea() {
         const textarea = document.getElementById('polygonCoords');
         if (!textarea) return;
-        textarea.value = drawPoints
+        textarea.value = outline
             .map((point) => `${point.lat.toFixed(6)}, ${point.lon.toFixed(6)}`)
             .join('\n');
     }
@@ -230,8 +503,8 @@
         const upperAlt = Number(document.getElementById('upperAlt')?.value || 0);
 
         let polygon = parsePolygonTextarea();
-        if (!polygon.length && drawPoints.length) {
-            polygon = drawPoints.map((point) => [point.lat, point.lon]);
+        if (!polygon.length && outline.length) {
+            polygon = outline.map((point) => [point.lat, point.lon]);
         }
 
         polygon = closePolygon(polygon);
@@ -245,6 +518,14 @@
             return;
         }
 
+        let schedule;
+        try {
+            schedule = readScheduleForm();
+        } catch (error) {
+            alert(error.message);
+            return;
+        }
+
         const payload = {
             name,
             geofence_type: type,
@@ -253,13 +534,333 @@
             upper_altitude_m: Number.isFinite(upperAlt) ? upperAlt : 120
         };
 
+        if (editGeofenceId) {
+            await saveGeofence(payload, schedule);
+            return;
+        }
+
+        let created;
         try {
-            await API.createGeofence(payload);
-            window.location.href = '/control/geofences';
+            created = await API.createGeofence(payload);
         } catch (error) {
             console.error('[Geofence Create] Failed:', error);
             alert('Failed to create geofence. Check console for details.');
+            return;
+        }
+
+        if (schedule && created?.id) {
+            try {
+                await API.saveGeofenceSchedule(created.id, schedule);
+            } catch (error) {
+                console.error('[Geofence Create] Schedule save failed:', error);
+                alert(`Geofence created, but its schedule could not be saved: ${error.message}`);
+            }
+        }
+        window.location.href = '/control/geofences';
+    }
+
+    // ========================================================================
+    // Activation schedule
+    // ========================================================================
+
+    function toLocalInputValue(value) {
+        const date = new Date(value);
+        if (Number.isNaN(date.getTime())) return '';
+        const offset = date.getTimezoneOffset() * 60000;
+        return new Date(date.getTime() - offset).toISOString().slice(0, 16);
+    }
+
+    function setRecurrenceVisible(visible) {
+        const repeat = document.getElementById('scheduleRepeat');
+        if (repeat) repeat.checked = visible;
+        const section = document.getElementById('scheduleRecurrence');
+        if (section) section.style.display = visible ? '' : 'none';
+    }
+
+    // Returns the schedule payload, null when no schedule is set, or throws on invalid input.
+    function readScheduleForm() {
+        const startValue = document.getElementById('startTime')?.value;
+        const endValue = document.getElementById('endTime')?.value;
+        const repeat = document.getElementById('scheduleRepeat')?.checked;
+        const startAt = startValue ? new Date(startValue) : null;
+        const endAt = endValue ? new Date(endValue) : null;
+        if (startAt && endAt && endAt <= startAt) {
+            throw new Error('The effective period must end after it starts.');
+        }
+
+        let recurrence = null;
+        if (repeat) {
+            const days = Array.from(document.querySelectorAll('[data-schedule-day]:checked'))
+                .map(input => Number(input.dataset.scheduleDay));
+            const startTime = document.getElementById('scheduleDailyStart')?.value;
+            const endTime = document.getElementById('scheduleDailyEnd')?.value;
+            if (!days.length) throw new Error('Select at least one day for the weekly schedule.');
+            if (!startTime || !endTime || startTime === endTime) {
+                throw new Error('Enter different daily start and end times.');
+            }
+            recurrence = { days, start_time: startTime, end_time: endTime };
+        }
+
+        if (!startAt && !endAt && !recurrence) return null;
+        return {
+            start_at: startAt ? startAt.toISOString() : null,
+            end_at: endAt ? endAt.toISOString() : null,
+            recurrence,
+            timezone: scheduleTimezone
+        };
+    }
+
+    function renderScheduleSummary(schedule) {
+        const summaryEl = document.getElementById('scheduleSummary');
+        if (!summaryEl) return;
+        if (!schedule || !window.GeofenceTimeline) {
+            summaryEl.textContent = '';
+            return;
+        }
+        summaryEl.textContent = `Current schedule: ${GeofenceTimeline.describe(schedule)} • ${GeofenceTimeline.describeNext(schedule)}`;
+    }
+
+    function applyScheduleToForm(schedule) {
+        currentSchedule = schedule;
+        if (schedule?.timezone) scheduleTimezone = schedule.timezone;
+        const tzEl = document.getElementById('scheduleTimezone');
+        if (tzEl) tzEl.textContent = scheduleTimezone;
+
+        const startInput = document.getElementById('startTime');
+        const endInput = document.getElementById('endTime');
+        if (startInput) startInput.value = schedule?.startAt ? toLocalInputValue(schedule.startAt) : '';
+        if (endInput) endInput.value = schedule?.endAt ? toLocalInputValue(schedule.endAt) : '';
+
+        const recurrence = schedule?.recurrence;
+        setRecurrenceVisible(Boolean(recurrence));
+        document.querySelectorAll('[data-schedule-day]').forEach((input) => {
+            input.checked = Boolean(recurrence?.days?.includes(Number(input.dataset.scheduleDay)));
+        });
+        if (recurrence) {
+            const dailyStart = document.getElementById('scheduleDailyStart');
+            const dailyEnd = document.getElementById('scheduleDailyEnd');
+            if (dailyStart) dailyStart.value = recurrence.start_time;
+            if (dailyEnd) dailyEnd.value = recurrence.end_time;
+        }
+        renderScheduleSummary(schedule);
+    }
+
+    async function loadScheduleForEdit() {
+        try {
+            applyScheduleToForm(await API.getGeofenceSchedule(editGeofenceId));
+        } catch (error) {
+            if (error.status !== 404) {
+                console.error('[Geofence Edit] Failed to load schedule:', error);
+            }
+            applyScheduleToForm(null);
+        }
+    }
+
+    async function saveSchedule(schedule) {
+        if (schedule) {
+            applyScheduleToForm(await API.saveGeofenceSchedule(editGeofenceId, schedule));
+        } else if (currentSchedule) {
+            await API.deleteGeofenceSchedule(editGeofenceId);
+            applyScheduleToForm(null);
+        }
+    }
+
+    // ========================================================================
+    // Edit mode (/control/geofences/:id/edit)
+    // ========================================================================
+
+    function setSaveStatus(message, tone = 'muted') {
+        const statusEl = document.getElementById('geofenceSaveStatus');
+        if (!statusEl) return;
+        statusEl.textContent = message || '';
+        statusEl.className = `form-help text-${tone}`;
+    }
+
+    function openRing(polygon) {
+        const points = (Array.isArray(polygon) ? polygon : [])
+            .map(([lat, lon]) => ({ lat: Number(lat), lon: Number(lon) }))
+            .filter(point => Number.isFinite(point.lat) && Number.isFinite(point.lon));
+        const first = points[0];
+        const last = points[points.length - 1];
+        if (points.length > 1 && first.lat === last.lat && first.lon === last.lon) points.pop();
+        return points;
+    }
+
+    function applyGeofenceToForm(geofence) {
+        const setValue = (id, value) => {
+            const input = document.getElementById(id);
+            if (input) input.value = value ?? '';
+        };
+        setValue('geofenceName', geofence.name);
+        setValue('geofenceType', geofence.geofence_type);
+        setValue('lowerAlt', geofence.lower_altitude_m ?? 0);
+        setValue('upperAlt', geofence.upper_altitude_m ?? 0);
+
+        drawPoints.length = 0;
+        openRing(geofence.polygon).forEach(point => drawPoints.push(point));
+        circleCenter = null;
+        centerline.length = 0;
+        setShapeMode('polygon');
+        if (drawPolygon && outline.length >= 3) {
+            viewer.flyTo(drawPolygon);
+        }
+    }
+
+    async function loadGeofenceForEdit() {
+        setSaveStatus('Loading geofence...');
+        try {
+            const geofence = await API.getGeofence(editGeofenceId);
+            if (!geofence || !Array.isArray(geofence.polygon)) {
+                throw new Error('Geofence not found');
+            }
+            applyGeofenceToForm(geofence);
+            await loadScheduleForEdit();
+            setSaveStatus('');
+        } catch (error) {
+            console.error('[Geofence Edit] Failed to load geofence:', error);
+            setSaveStatus(`Unable to load geofence: ${error.message}`, 'danger');
+            const saveButton = document.getElementById('createGeofence');
+            if (saveButton) saveButton.disabled = true;
+        }
+        loadRevisions();
+    }
+
+    async function saveGeofence(payload, schedule) {
+        setSaveStatus('Saving...');
+        try {
+            const updated = await API.updateGeofence(encodeURIComponent(editGeofenceId), payload);
+            await saveSchedule(schedule);
+            // The schedule may have flipped activation, so reload rather than trust `updated`.
+            const latest = await API.getGeofence(editGeofenceId).catch(() => updated);
+            if (latest && Array.isArray(latest.polygon)) {
+                applyGeofenceToForm(latest);
+            }
+            setSaveStatus(`Saved at ${new Date().toLocaleTimeString()}`, 'success');
+        } catch (error) {
+            console.error('[Geofence Edit] Save failed:', error);
+            setSaveStatus(`Save failed: ${error.message}`, 'danger');
+        }
+        loadRevisions();
+    }
+
+    const REVISION_ACTIONS = {
+        baseline: 'Original',
+        create: 'Created',
+        update: 'Edited',
+        restore: 'Restored',
+        schedule: 'Scheduled'
+    };
+
+    async function loadRevisions() {
+        const container = document.getElementById('revisionList');
+        if (!container) return;
+        try {
+            revisions = await API.getGeofenceRevisions(editGeofenceId);
+        } catch (error) {
+            console.error('[Geofence Edit] Failed to load revisions:', error);
+            container.innerHTML = `
+                <div class="empty-state" style="padding: 12px;">
+                    <div class="empty-state-text text-muted">Unable to load revision history.</div>
+                </div>
+            `;
+            return;
         }
+        renderRevisions();
+    }
+
+    function renderRevisions() {
+        const container = document.getElementById('revisionList');
+        if (!container) return;
+        if (!Array.isArray(revisions) || !revisions.length) {
+            container.innerHTML = `
+                <div class="empty-state" style="padding: 12px;">
+                    <div class="empty-state-text text-muted">No revisions recorded yet. The current version is saved as the original on the first edit.</div>
+                </div>
+            `;
+            return;
+        }
+
+        const utils = window.ATCUtils;
+        container.innerHTML = revisions.map((revision, index) => {
+            const snapshot = revision.snapshot || {};
+            const changed = (revision.changedFields || []).join(', ') || 'no tracked fields';
+            const when = utils?.formatDateTime ? utils.formatDateTime(revision.createdAt) : revision.createdAt;
+            const isCurrent = index === 0;
+            return `
+                <div class="list-item" style="padding: 8px; margin-bottom: 4px;">
+                    <div class="list-item-content">
+                        <div class="list-item-title" style="font-size: 12px;">
+                            Rev ${escapeHtml(revision.revision)} • ${escapeHtml(REVISION_ACTIONS[revision.action] || revision.action)}
+                            ${isCurrent ? '<span class="status-badge pass">Current</span>' : ''}
+                        </div>
+                        <div class="list-item-subtitle" style="font-size: 11px;">
+                            ${escapeHtml(when)}${revision.userId ? ` • ${escapeHtml(revision.userId)}` : ''} • ${escapeHtml(changed)}
+                        </div>
+                        <div class="list-item-subtitle" style="font-size: 11px;">
+                            ${escapeHtml(snapshot.name || '')} | ${escapeHtml(snapshot.geofence_type || '')} | ${escapeHtml(snapshot.lower_altitude_m ?? 0)}-${escapeHtml(snapshot.upper_altitude_m ?? 0)}m | ${escapeHtml(openRing(snapshot.polygon).length)} vertices
+                        </div>
+                    </div>
+                    <div class="flex gap-sm">
+                        <button class="btn btn-ghost btn-sm" data-revision-view="${escapeHtml(revision.revision)}">View</button>
+                        ${isCurrent ? '' : `<button class="btn btn-warning btn-sm" data-revision-restore="${escapeHtml(revision.revision)}">Restore</button>`}
+                    </div>
+                </div>
+            `;
+        }).join('');
+
+        container.querySelectorAll('[data-revision-view]').forEach((button) => {
+            button.addEventListener('click', () => previewRevision(Number(button.dataset.revisionView)));
+        });
+        container.querySelectorAll('[data-revision-restore]').forEach((button) => {
+            button.addEventListener('click', () => restoreRevision(Number(button.dataset.revisionRestore)));
+        });
+    }
+
+    function clearRevisionPreview() {
+        if (revisionPreviewEntity) {
+            viewer.entities.remove(revisionPreviewEntity);
+            revisionPreviewEntity = null;
+        }
+        const hideButton = document.getElementById('clearRevisionPreview');
+        if (hideButton) hideButton.style.display = 'none';
+    }
+
+    // Overlays an earlier boundary in orange without touching the editable shape.
+    function previewRevision(revisionNumber) {
+        const revision = revisions.find(entry => entry.revision === revisionNumber);
+        const ring = openRing(revision?.snapshot?.polygon);
+        clearRevisionPreview();
+        if (ring.length < 3) return;
+        revisionPreviewEntity = viewer.entities.add({
+            polyline: {
+                positions: Cesium.Cartesian3.fromDegreesArray([...ring, ring[0]].flatMap(point => [point.lon, point.lat])),
+                width: 3,
+                material: new Cesium.PolylineDashMaterialProperty({ color: Cesium.Color.ORANGE }),
+                clampToGround: true
+            }
+        });
+        viewer.flyTo(revisionPreviewEntity);
+        const hideButton = document.getElementById('clearRevisionPreview');
+        if (hideButton) hideButton.style.display = '';
+    }
+
+    async function restoreRevision(revisionNumber) {
+        if (!confirm(`Restore revision ${revisionNumber}? The current version stays in the history.`)) return;
+        setSaveStatus(`Restoring revision ${revisionNumber}...`);
+        try {
+            const result = await API.restoreGeofenceRevision(editGeofenceId, revisionNumber);
+            if (result?.geofence && Array.isArray(result.geofence.polygon)) {
+                applyGeofenceToForm(result.geofence);
+            } else {
+                await loadGeofenceForEdit();
+            }
+            clearRevisionPreview();
+            setSaveStatus(`Restored revision ${revisionNumber}`, 'success');
+        } catch (error) {
+            console.error('[Geofence Edit] Restore failed:', error);
+            setSaveStatus(`Restore failed: ${error.message}`, 'danger');
+        }
+        loadRevisions();
     }
 
     function bindUI() {
@@ -271,6 +872,13 @@
             });
         }
 
+        const repeat = document.getElementById('scheduleRepeat');
+        if (repeat) {
+            repeat.addEventListener('change', () => setRecurrenceVisible(repeat.checked));
+        }
+        const tzEl = document.getElementById('scheduleTimezone');
+        if (tzEl) tzEl.textContent = scheduleTimezone;
+
         const createButton = document.getElementById('createGeofence');
         if (createButton) {
             createButton.addEventListener('click', (event) => {
@@ -280,8 +888,71 @@
         }
     }
 
+    function bindShapeUI() {
+        const shapeSelect = document.getElementById('drawShape');
+        if (shapeSelect) {
+            shapeSelect.addEventListener('change', () => setShapeMode(shapeSelect.value));
+        }
+
+        const radiusInput = document.getElementById('circleRadius');
+        if (radiusInput) {
+            radiusInput.addEventListener('input', () => {
+                const radius = Number(radiusInput.value);
+                if (!(radius > 0)) return;
+                circleRadiusM = radius;
+                refreshShape();
+            });
+        }
+
+        const widthInput = document.getElementById('corridorWidth');
+        if (widthInput) {
+            widthInput.addEventListener('input', () => {
+                const width = Number(widthInput.value);
+                if (!(width > 0)) return;
+                corridorWidthM = width;
+                refreshShape();
+            });
+        }
+
+        const routeSelect = document.getElementById('routePlan');
+        if (routeSelect) {
+            routeSelect.addEventListener('change', () => applyRoutePlan(routeSelect.value));
+        }
+
+        document.getElementById('convertShape')?.addEventListener('click', (event) => {
+            event.preventDefault();
+            convertToPolygon();
+        });
+        document.getElementById('clearShape')?.addEventListener('click', (event) => {
+            event.preventDefault();
+            clearShape();
+        });
+
+        // Typed corrections to the vertex list are reflected on the map.
+        const textarea = document.getElementById('polygonCoords');
+        if (textarea) {
+            textarea.addEventListener('change', () => {
+                if (shapeMode !== 'polygon') return;
+                drawPoints.length = 0;
+                openRing(parsePolygonTextarea()).forEach(point => drawPoints.push(point));
+                refreshShape();
+            });
+        }
+
+        document.getElementById('clearRevisionPreview')?.addEventListener('click', (event) => {
+            event.preventDefault();
+            clearRevisionPreview();
+        });
+
+        initDragEditing();
+        setShapeMode(shapeSelect?.value || 'polygon');
+        if (editGeofenceId) {
+            loadGeofenceForEdit();
+        }
+    }
+
     document.addEventListener('DOMContentLoaded', () => {
-        initViewer().catch((error) => {
+        initViewer().then(bindShapeUI).catch((error) => {
             console.error('[Geofence Create] Viewer init failed:', error);
         });
         bindUI();
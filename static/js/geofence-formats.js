@@ -0,0 +1,553 @@
+/**
+ * Geofence Formats
+ * Converts GeoJSON, KML/KMZ and OpenAIP airspace files into geofence payloads
+ * for API.createGeofence, and geofences back into GeoJSON or KML for export.
+ */
+
+const GeofenceFormats = (function () {
+    'use strict';
+
+    const GEOFENCE_TYPES = ['no_fly_zone', 'restricted_area', 'temporary_restriction', 'advisory'];
+    const FEET_TO_METERS = 0.3048;
+    const KML_NS = 'http://www.opengis.net/kml/2.2';
+
+    // OpenAIP (v2 API) airspace type codes that map onto a geofence type.
+    // Everything else (CTR, TMA, FIR, ...) falls back to the import default.
+    const OPENAIP_TYPE_CODES = {
+        1: 'restricted_area',        // Restricted
+        2: 'restricted_area',        // Danger
+        3: 'no_fly_zone',            // Prohibited
+        8: 'temporary_restriction',  // TRA
+        9: 'temporary_restriction',  // TSA
+        17: 'advisory',              // Alert
+        18: 'advisory',              // Warning
+        19: 'restricted_area',       // Protected
+        29: 'restricted_area'        // Low altitude overflight restriction
+    };
+    const OPENAIP_UNITS = { 0: 'M', 1: 'FT', 6: 'FL' };
+    const OPENAIP_DATUMS = { 0: 'GND', 1: 'MSL', 2: 'STD' };
+
+    const KML_STYLES = {
+        no_fly_zone: 'ff0000ff',
+        restricted_area: 'ff00ffff',
+        temporary_restriction: 'ffffff00',
+        advisory: 'ffff0000'
+    };
+
+    // ========================================================================
+    // Shared helpers
+    // ========================================================================
+
+    function classifyType(value) {
+        if (value === null || value === undefined) return null;
+        const text = String(value).trim().toLowerCase();
+        if (!text) return null;
+        if (GEOFENCE_TYPES.includes(text)) return text;
+        if (/prohibit|no[\s_-]?fly|^p$/.test(text)) return 'no_fly_zone';
+        if (/tfr|temporar|^tra$|^tsa$/.test(text)) return 'temporary_restriction';
+        if (/restrict|danger|protected|^r$|^d$/.test(text)) return 'restricted_area';
+        if (/advis|warning|alert/.test(text)) return 'advisory';
+        return null;
+    }
+
+    function toNumber(value) {
+        if (value === null || value === undefined || value === '') return null;
+        const number = Number(value);
+        return Number.isFinite(number) ? number : null;
+    }
+
+    // Converts an altitude limit to metres. Returns the value plus a short
+    // label in the source units so the preview can show what was converted.
+    function convertLimit(value, unit, datum) {
+        const number = toNumber(value);
+        const normalizedUnit = String(unit || 'M').toUpperCase();
+        const normalizedDatum = String(datum || '').toUpperCase();
+        if (number === null) return null;
+        if (normalizedDatum === 'GND' && number === 0) {
+            return { meters: 0, label: 'GND' };
+        }
+        let meters = number;
+        let label = `${number} m`;
+        if (normalizedUnit === 'FL') {
+            meters = number * 100 * FEET_TO_METERS;
+            label = `FL${number}`;
+        } else if (normalizedUnit === 'F' || normalizedUnit === 'FT') {
+            meters = number * FEET_TO_METERS;
+            label = `${number} ft`;
+        }
+        if (normalizedDatum && normalizedUnit !== 'FL') {
+            label += ` ${normalizedDatum}`;
+        }
+        return { meters: Math.round(meters), label };
+    }
+
+    // Builds a closed [[lat, lon], ...] ring from [lon, lat] positions.
+    function buildPolygon(lonLatPairs) {
+        const ring = [];
+        (lonLatPairs || []).forEach((pair) => {
+            const lon = toNumber(pair?.[0]);
+            const lat = toNumber(pair?.[1]);
+            if (lat === null || lon === null || Math.abs(lat) > 90 || Math.abs(lon) > 180) return;
+            const previous = ring[ring.length - 1];
+            if (previous && previous[0] === lat && previous[1] === lon) return;
+            ring.push([lat, lon]);
+        });
+        if (ring.length > 1) {
+            const first = ring[0];
+            const last = ring[ring.length - 1];
+            if (first[0] !== last[0] || first[1] !== last[1]) {
+                ring.push([...first]);
+            }
+        }
+        return ring.length >= 4 ? ring : null;
+    }
+
+    function buildGeofence(source, defaults) {
+        const lower = source.lower ?? { meters: defaults.lowerAltitude, label: null };
+        const upper = source.upper ?? { meters: defaults.upperAltitude, label: null };
+        return {
+            payload: {
+                name: String(source.name || 'Imported geofence').trim().slice(0, 200),
+                geofence_type: source.type || defaults.type,
+                polygon: source.polygon,
+                lower_altitude_m: lower.meters,
+                upper_altitude_m: upper.meters
+            },
+            source: {
+                format: source.format,
+                lowerLabel: lower.label,
+                upperLabel: upper.label,
+                typeGuessed: !source.type
+            }
+        };
+    }
+
+    function createResult() {
+        return { geofences: [], warnings: [] };
+    }
+
+    // Expands one (possibly multi-part) shape into geofences, numbering the
+    // parts so every polygon keeps a distinct name.
+    function addShapes(result, rings, source, defaults) {
+        const polygons = rings.map(buildPolygon);
+        const valid = polygons.filter(Boolean);
+        const label = source.name || 'Unnamed feature';
+        if (polygons.length !== valid.length) {
+            result.warnings.push(`${label}: skipped ${polygons.length - valid.length} polygon(s) with fewer than three valid vertices`);
+        }
+        valid.forEach((polygon, index) => {
+            const name = valid.length > 1 ? `${label} (${index + 1})` : source.name;
+            result.geofences.push(buildGeofence({ ...source, name, polygon }, defaults));
+        });
+    }
+
+    // ========================================================================
+    // GeoJSON
+    // ========================================================================
+
+    function outerRings(geometry) {
+        if (!geometry) return { rings: [], holes: 0, unsupported: true };
+        switch (geometry.type) {
+            case 'Polygon':
+                return {
+                    rings: [geometry.coordinates?.[0] || []],
+                    holes: Math.max((geometry.coordinates?.length || 1) - 1, 0),
+                    unsupported: false
+                };
+            case 'MultiPolygon':
+                return (geometry.coordinates || []).reduce((acc, polygon) => {
+                    acc.rings.push(polygon?.[0] || []);
+                    acc.holes += Math.max((polygon?.length || 1) - 1, 0);
+                    return acc;
+                }, { rings: [], holes: 0, unsupported: false });
+            case 'GeometryCollection':
+                return (geometry.geometries || []).map(outerRings).reduce((acc, part) => {
+                    acc.rings.push(...part.rings);
+                    acc.holes += part.holes;
+                    return acc;
+                }, { rings: [], holes: 0, unsupported: false });
+            default:
+                return { rings: [], holes: 0, unsupported: true };
+        }
+    }
+
+    function readGeoJsonLimit(properties, key) {
+        const meters = toNumber(properties?.[key]);
+        return meters === null ? null : { meters, label: null };
+    }
+
+    function parseGeoJsonObject(data, defaults) {
+        const result = createResult();
+        let features = [];
+        if (data?.type === 'FeatureCollection') {
+            features = Array.isArray(data.features) ? data.features : [];
+        } else if (data?.type === 'Feature') {
+            features = [data];
+        } else if (data?.type) {
+            features = [{ type: 'Feature', properties: {}, geometry: data }];
+        }
+
+        let skipped = 0;
+        features.forEach((feature, index) => {
+            const properties = feature?.properties || {};
+            const { rings, holes, unsupported } = outerRings(feature?.geometry);
+            if (unsupported || !rings.length) {
+                skipped += 1;
+                return;
+            }
+            const name = properties.name || properties.NAME || properties.title || feature.id || `Feature ${index + 1}`;
+            if (holes) {
+                result.warnings.push(`${name}: ${holes} interior ring(s) ignored`);
+            }
+            addShapes(result, rings, {
+                format: 'GeoJSON',
+                name: String(name),
+                type: classifyType(properties.geofence_type)
+                    || classifyType(properties.type)
+                    || classifyType(properties.category)
+                    || classifyType(properties.class),
+                lower: readGeoJsonLimit(properties, 'lower_altitude_m'),
+                upper: readGeoJsonLimit(properties, 'upper_altitude_m')
+            }, defaults);
+        });
+        if (skipped) {
+            result.warnings.push(`Skipped ${skipped} feature(s) without polygon geometry`);
+        }
+        return result;
+    }
+
+    // ========================================================================
+    // OpenAIP
+    // ========================================================================
+
+    function readOpenAipJsonLimit(limit) {
+        if (!limit || typeof limit !== 'object') return null;
+        return convertLimit(limit.value, OPENAIP_UNITS[limit.unit] || 'M', OPENAIP_DATUMS[limit.referenceDatum]);
+    }
+
+    function isOpenAipJson(data) {
+        const items = Array.isArray(data) ? data : data?.items;
+        return Array.isArray(items) && items.some(item => item && item.geometry && (item.upperLimit || item.lowerLimit));
+    }
+
+    function parseOpenAipJson(data, defaults) {
+        const result = createResult();
+        const items = Array.isArray(data) ? data : data.items;
+        let skipped = 0;
+        items.forEach((item, index) => {
+            const { rings, unsupported } = outerRings(item?.geometry);
+            if (unsupported || !rings.length) {
+                skipped += 1;
+                return;
+            }
+            addShapes(result, rings, {
+                format: 'OpenAIP',
+                name: String(item.name || `Airspace ${index + 1}`),
+                type: OPENAIP_TYPE_CODES[item.type] || null,
+                lower: readOpenAipJsonLimit(item.lowerLimit),
+                upper: readOpenAipJsonLimit(item.upperLimit)
+            }, defaults);
+        });
+        if (skipped) {
+            result.warnings.push(`Skipped ${skipped} airspace(s) without polygon geometry`);
+        }
+        return result;
+    }
+
+    function childText(element, tagName) {
+        const child = element.getElementsByTagName(tagName)[0];
+        return child ? child.textContent.trim() : '';
+    }
+
+    function readOpenAipXmlLimit(asp, tagName) {
+        const limit = asp.getElementsByTagName(tagName)[0];
+        const alt = limit?.getElementsByTagName('ALT')[0];
+        if (!alt) return null;
+        return convertLimit(alt.textContent.trim(), alt.getAttribute('UNIT'), limit.getAttribute('REFERENCE'));
+    }
+
+    // Classic openAIP XML export: <ASP CATEGORY="..."> with "lon lat, lon lat" polygons.
+    function parseOpenAipXml(doc, defaults) {
+        const result = createResult();
+        const airspaces = Array.from(doc.getElementsByTagName('ASP'));
+        airspaces.forEach((asp, index) => {
+            const coordinates = childText(asp, 'POLYGON')
+                .split(',')
+                .map(pair => pair.trim().split(/\s+/))
+                .filter(pair => pair.length >= 2);
+            addShapes(result, [coordinates], {
+                format: 'OpenAIP',
+                name: childText(asp, 'NAME') || `Airspace ${index + 1}`,
+                type: classifyType(asp.getAttribute('CATEGORY')),
+                lower: readOpenAipXmlLimit(asp, 'ALTLIMIT_BOTTOM'),
+                upper: readOpenAipXmlLimit(asp, 'ALTLIMIT_TOP')
+            }, defaults);
+        });
+        return result;
+    }
+
+    // ========================================================================
+    // KML / KMZ
+    // ========================================================================
+
+    function kmlElements(parent, localName) {
+        return Array.from(parent.getElementsByTagNameNS('*', localName));
+    }
+
+    function kmlChildText(parent, localName) {
+        const child = Array.from(parent.children || []).find(node => node.localName === localName);
+        return child ? child.textContent.trim() : '';
+    }
+
+    function readKmlExtendedData(placemark) {
+        const values = {};
+        kmlElements(placemark, 'Data').forEach((data) => {
+            const name = data.getAttribute('name');
+            if (name) values[name] = kmlElements(data, 'value')[0]?.textContent.trim() ?? '';
+        });
+        kmlElements(placemark, 'SimpleData').forEach((data) => {
+            const name = data.getAttribute('name');
+            if (name) values[name] = data.textContent.trim();
+        });
+        return values;
+    }
+
+    function parseKmlCoordinates(text) {
+        return String(text || '')
+            .trim()
+            .split(/\s+/)
+            .map(tuple => tuple.split(','))
+            .filter(parts => parts.length >= 2);
+    }
+
+    function parseKmlDocument(doc, defaults) {
+        const result = createResult();
+        let skipped = 0;
+        let holes = 0;
+        kmlElements(doc, 'Placemark').forEach((placemark, index) => {
+            const polygons = kmlElements(placemark, 'Polygon');
+            if (!polygons.length) {
+                skipped += 1;
+                return;
+            }
+            const rings = polygons.map((polygon) => {
+                holes += kmlElements(polygon, 'innerBoundaryIs').length;
+                const outer = kmlElements(polygon, 'outerBoundaryIs')[0] || polygon;
+                const coordinates = kmlElements(outer, 'coordinates')[0];
+                return parseKmlCoordinates(coordinates?.textContent);
+            });
+            const extended = readKmlExtendedData(placemark);
+            const lower = toNumber(extended.lower_altitude_m);
+            const upper = toNumber(extended.upper_altitude_m);
+            addShapes(result, rings, {
+                format: 'KML',
+                name: kmlChildText(placemark, 'name') || `Placemark ${index + 1}`,
+                type: classifyType(extended.geofence_type) || classifyType(extended.type),
+                lower: lower === null ? null : { meters: lower, label: null },
+                upper: upper === null ? null : { meters: upper, label: null }
+            }, defaults);
+        });
+        if (skipped) {
+            result.warnings.push(`Skipped ${skipped} placemark(s) without polygon geometry`);
+        }
+        if (holes) {
+            result.warnings.push(`${holes} interior ring(s) ignored`);
+        }
+        return result;
+    }
+
+    // Minimal ZIP reader: locates the first .kml entry through the central
+    // directory and inflates it with the browser's DecompressionStream.
+    async function extractKmlFromKmz(buffer) {
+        const bytes = new Uint8Array(buffer);
+        const view = new DataView(buffer);
+        let eocd = -1;
+        for (let i = bytes.length - 22; i >= Math.max(0, bytes.length - 65557); i -= 1) {
+            if (view.getUint32(i, true) === 0x06054b50) {
+                eocd = i;
+                break;
+            }
+        }
+        if (eocd === -1) throw new Error('KMZ archive is not a valid ZIP file');
+
+        const entryCount = view.getUint16(eocd + 10, true);
+        let offset = view.getUint32(eocd + 16, true);
+        const decoder = new TextDecoder();
+        const entries = [];
+        for (let i = 0; i < entryCount; i += 1) {
+            if (view.getUint32(offset, true) !== 0x02014b50) break;
+            const method = view.getUint16(offset + 10, true);
+            const compressedSize = view.getUint32(offset + 20, true);
+            const nameLength = view.getUint16(offset + 28, true);
+            const extraLength = view.getUint16(offset + 30, true);
+            const commentLength = view.getUint16(offset + 32, true);
+            const localOffset = view.getUint32(offset + 42, true);
+            const name = decoder.decode(bytes.subarray(offset + 46, offset + 46 + nameLength));
+            entries.push({ name, method, compressedSize, localOffset });
+            offset += 46 + nameLength + extraLength + commentLength;
+        }
+
+        const kmlEntries = entries.filter(entry => /\.kml$/i.test(entry.name));
+        const entry = kmlEntries.find(item => /(^|\/)doc\.kml$/i.test(item.name)) || kmlEntries[0];
+        if (!entry) throw new Error('KMZ archive does not contain a KML document');
+
+        const local = entry.localOffset;
+        const dataStart = local + 30 + view.getUint16(local + 26, true) + view.getUint16(local + 28, true);
+        const data = bytes.subarray(dataStart, dataStart + entry.compressedSize);
+        if (entry.method === 0) return decoder.decode(data);
+        if (entry.method !== 8) throw new Error('KMZ archive uses an unsupported compression method');
+        if (typeof DecompressionStream !== 'function') {
+            throw new Error('This browser cannot unpack KMZ files; extract doc.kml and import it instead');
+        }
+        const stream = new Blob([data]).stream().pipeThrough(new DecompressionStream('deflate-raw'));
+        return new Response(stream).text();
+    }
+
+    // ========================================================================
+    // Entry points
+    // ========================================================================
+
+    function parseXml(text) {
+        const doc = new DOMParser().parseFromString(text, 'application/xml');
+        if (doc.getElementsByTagName('parsererror').length) {
+            throw new Error('File is not well-formed XML');
+        }
+        return doc;
+    }
+
+    function resolveDefaults(defaults = {}) {
+        return {
+            type: GEOFENCE_TYPES.includes(defaults.type) ? defaults.type : 'restricted_area',
+            lowerAltitude: toNumber(defaults.lowerAltitude) ?? 0,
+            upperAltitude: toNumber(defaults.upperAltitude) ?? 120
+        };
+    }
+
+    function parseText(text, options = {}) {
+        const defaults = resolveDefaults(options);
+        const trimmed = String(text || '').trim();
+        if (!trimmed) throw new Error('File is empty');
+
+        if (trimmed.startsWith('{') || trimmed.startsWith('[')) {
+            let data;
+            try {
+                data = JSON.parse(trimmed);
+            } catch (error) {
+                throw new Error('File is not valid JSON');
+            }
+            return isOpenAipJson(data) ? parseOpenAipJson(data, defaults) : parseGeoJsonObject(data, defaults);
+        }
+
+        const doc = parseXml(trimmed);
+        if (doc.getElementsByTagName('ASP').length) {
+            return parseOpenAipXml(doc, defaults);
+        }
+        if (doc.getElementsByTagNameNS('*', 'Placemark').length || doc.documentElement.localName === 'kml') {
+            return parseKmlDocument(doc, defaults);
+        }
+        throw new Error('Unrecognised file: expected GeoJSON, KML/KMZ or OpenAIP airspace data');
+    }
+
+    /**
+     * Parses an uploaded file into geofence payloads.
+     * @param {File} file
+     * @param {{type: string, lowerAltitude: number, upperAltitude: number}} defaults
+     *        Applied when the file does not carry a type or altitude limits.
+     * @returns {Promise<{geofences: Array<{payload: Object, source: Object}>, warnings: string[]}>}
+     */
+    async function parseFile(file, defaults = {}) {
+        const text = /\.kmz$/i.test(file.name)
+            ? await extractKmlFromKmz(await file.arrayBuffer())
+            : await file.text();
+        const result = parseText(text, defaults);
+        result.geofences.forEach(({ payload }) => {
+            if (payload.upper_altitude_m <= payload.lower_altitude_m) {
+                result.warnings.push(`${payload.name}: upper limit is not above lower limit`);
+            }
+        });
+        return result;
+    }
+
+    // ========================================================================
+    // Export
+    // ========================================================================
+
+    function toGeoJSON(geofences) {
+        return {
+            type: 'FeatureCollection',
+            features: (geofences || []).map(gf => ({
+                type: 'Feature',
+                id: gf.id,
+                properties: {
+                    name: gf.name,
+                    geofence_type: gf.geofence_type,
+                    lower_altitude_m: gf.lower_altitude_m ?? 0,
+                    upper_altitude_m: gf.upper_altitude_m ?? 0,
+                    active: gf.active !== false
+                },
+                geometry: {
+                    type: 'Polygon',
+                    coordinates: [(gf.polygon || []).map(([lat, lon]) => [lon, lat])]
+                }
+            }))
+        };
+    }
+
+    function escapeXml(value) {
+        return String(value ?? '')
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;');
+    }
+
+    function toKML(geofences, documentName = 'Geofences') {
+        const styles = Object.entries(KML_STYLES).map(([type, color]) => `
+    <Style id="${type}">
+      <LineStyle><color>${color}</color><width>2</width></LineStyle>
+      <PolyStyle><color>40${color.slice(2)}</color></PolyStyle>
+    </Style>`).join('');
+
+        const placemarks = (geofences || []).map((gf) => {
+            const upper = gf.upper_altitude_m ?? 0;
+            const coordinates = (gf.polygon || []).map(([lat, lon]) => `${lon},${lat},${upper}`).join(' ');
+            const data = {
+                geofence_type: gf.geofence_type,
+                lower_altitude_m: gf.lower_altitude_m ?? 0,
+                upper_altitude_m: upper,
+                active: gf.active !== false
+            };
+            return `
+    <Placemark>
+      <name>${escapeXml(gf.name)}</name>
+      <styleUrl>#${escapeXml(gf.geofence_type)}</styleUrl>
+      <ExtendedData>${Object.entries(data).map(([key, value]) => `
+        <Data name="${key}"><value>${escapeXml(value)}</value></Data>`).join('')}
+      </ExtendedData>
+      <Polygon>
+        <extrude>1</extrude>
+        <altitudeMode>relativeToGround</altitudeMode>
+        <outerBoundaryIs><LinearRing><coordinates>${coordinates}</coordinates></LinearRing></outerBoundaryIs>
+      </Polygon>
+    </Placemark>`;
+        }).join('');
+
+        return `<?xml version="1.0" encoding="UTF-8"?>
+<kml xmlns="${KML_NS}">
+  <Document>
+    <name>${escapeXml(documentName)}</name>${styles}${placemarks}
+  </Document>
+</kml>
+`;
+    }
+
+    return {
+        TYPES: GEOFENCE_TYPES.slice(),
+        parseFile,
+        parseText,
+        toGeoJSON,
+        toKML
+    };
+})();
+
+window.GeofenceFormats = GeofenceFormats;
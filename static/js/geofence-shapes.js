@@ -0,0 +1,216 @@
+/**
+ * Geofence Shapes
+ * Converts circles and buffered polylines into polygon rings and measures
+ * polygons. Works on a local tangent plane, which stays well under a metre
+ * of error for shapes a few tens of kilometres across.
+ */
+
+const GeofenceShapes = (function () {
+    'use strict';
+
+    const EARTH_RADIUS_M = 6371000;
+    const DEG_TO_RAD = Math.PI / 180;
+    const CIRCLE_SEGMENTS = 64;
+    // Arc resolution for rounded corridor joins and end caps.
+    const ARC_STEP_RAD = (2 * Math.PI) / CIRCLE_SEGMENTS;
+
+    function createProjection(origin) {
+        const cosLat = Math.cos(origin.lat * DEG_TO_RAD);
+        return {
+            toLocal: point => ({
+                x: (point.lon - origin.lon) * DEG_TO_RAD * EARTH_RADIUS_M * cosLat,
+                y: (point.lat - origin.lat) * DEG_TO_RAD * EARTH_RADIUS_M
+            }),
+            toGeo: local => ({
+                lat: origin.lat + local.y / (DEG_TO_RAD * EARTH_RADIUS_M),
+                lon: origin.lon + local.x / (DEG_TO_RAD * EARTH_RADIUS_M * cosLat)
+            })
+        };
+    }
+
+    function centroid(points) {
+        const sum = points.reduce((acc, point) => {
+            acc.lat += point.lat;
+            acc.lon += point.lon;
+            return acc;
+        }, { lat: 0, lon: 0 });
+        return { lat: sum.lat / points.length, lon: sum.lon / points.length };
+    }
+
+    function distanceMeters(a, b) {
+        const dLat = (b.lat - a.lat) * DEG_TO_RAD;
+        const dLon = (b.lon - a.lon) * DEG_TO_RAD;
+        const h = Math.sin(dLat / 2) ** 2
+            + Math.cos(a.lat * DEG_TO_RAD) * Math.cos(b.lat * DEG_TO_RAD) * Math.sin(dLon / 2) ** 2;
+        return 2 * EARTH_RADIUS_M * Math.asin(Math.min(1, Math.sqrt(h)));
+    }
+
+    /** Initial great-circle bearing from `a` to `b`, in degrees clockwise from true north. */
+    function bearingBetween(a, b) {
+        const lat1 = a.lat * DEG_TO_RAD;
+        const lat2 = b.lat * DEG_TO_RAD;
+        const dLon = (b.lon - a.lon) * DEG_TO_RAD;
+        const y = Math.sin(dLon) * Math.cos(lat2);
+        const x = Math.cos(lat1) * Math.sin(lat2) - Math.sin(lat1) * Math.cos(lat2) * Math.cos(dLon);
+        return (Math.atan2(y, x) / DEG_TO_RAD + 360) % 360;
+    }
+
+    // Point at `distance` metres from `origin` along a compass bearing.
+    function offsetPoint(origin, distance, bearingDeg) {
+        const projection = createProjection(origin);
+        const bearing = bearingDeg * DEG_TO_RAD;
+        return projection.toGeo({ x: distance * Math.sin(bearing), y: distance * Math.cos(bearing) });
+    }
+
+    /**
+     * @param {{lat: number, lon: number}} center
+     * @param {number} radiusM
+     * @returns {Array<{lat: number, lon: number}>} open ring, counter-clockwise
+     */
+    function circleToPolygon(center, radiusM, segments = CIRCLE_SEGMENTS) {
+        if (!center || !(radiusM > 0)) return [];
+        const projection = createProjection(center);
+        const ring = [];
+        for (let i = 0; i < segments; i += 1) {
+            const angle = (2 * Math.PI * i) / segments;
+            ring.push(projection.toGeo({ x: radiusM * Math.cos(angle), y: radiusM * Math.sin(angle) }));
+        }
+        return ring;
+    }
+
+    function appendArc(out, center, radius, startAngle, sweep) {
+        const steps = Math.max(1, Math.ceil(Math.abs(sweep) / ARC_STEP_RAD));
+        for (let i = 1; i < steps; i += 1) {
+            const angle = startAngle + (sweep * i) / steps;
+            out.push({ x: center.x + radius * Math.cos(angle), y: center.y + radius * Math.sin(angle) });
+        }
+    }
+
+    // Walks the left-hand offset of a path: mitred inner corners, rounded
+    // outer corners, finishing with a rounded cap around the last point.
+    function leftSideWithCap(points, half) {
+        const out = [];
+        const directions = [];
+        for (let i = 0; i < points.length - 1; i += 1) {
+            const dx = points[i + 1].x - points[i].x;
+            const dy = points[i + 1].y - points[i].y;
+            const length = Math.hypot(dx, dy);
+            directions.push({ x: dx / length, y: dy / length });
+        }
+        const normals = directions.map(d => ({ x: -d.y, y: d.x }));
+
+        out.push({ x: points[0].x + half * normals[0].x, y: points[0].y + half * normals[0].y });
+        for (let i = 1; i < points.length - 1; i += 1) {
+            const n1 = normals[i - 1];
+            const n2 = normals[i];
+            const p = points[i];
+            const dot = n1.x * n2.x + n1.y * n2.y;
+            const cross = n1.x * n2.y - n1.y * n2.x;
+            if (cross > 1e-9 && dot > -0.99) {
+                // Left turn: this side is the inside of the corner.
+                const scale = half / (1 + dot);
+                out.push({ x: p.x + (n1.x + n2.x) * scale, y: p.y + (n1.y + n2.y) * scale });
+            } else {
+                out.push({ x: p.x + half * n1.x, y: p.y + half * n1.y });
+                if (Math.abs(cross) > 1e-9 || dot < 0) {
+                    appendArc(out, p, half, Math.atan2(n1.y, n1.x), Math.atan2(cross, dot));
+                }
+                out.push({ x: p.x + half * n2.x, y: p.y + half * n2.y });
+            }
+        }
+
+        const last = points[points.length - 1];
+        const lastNormal = normals[normals.length - 1];
+        out.push({ x: last.x + half * lastNormal.x, y: last.y + half * lastNormal.y });
+        appendArc(out, last, half, Math.atan2(lastNormal.y, lastNormal.x), -Math.PI);
+        return out;
+    }
+
+    /**
+     * Buffers a polyline into a corridor polygon `widthM` wide (centred on the line).
+     * @param {Array<{lat: number, lon: number}>} path
+     * @param {number} widthM
+     * @returns {Array<{lat: number, lon: number}>} open ring
+     */
+    function bufferPolyline(path, widthM) {
+        const valid = (path || []).filter(point => Number.isFinite(point?.lat) && Number.isFinite(point?.lon));
+        if (!valid.length || !(widthM > 0)) return [];
+        if (valid.length === 1) return circleToPolygon(valid[0], widthM / 2);
+
+        const projection = createProjection(centroid(valid));
+        const local = [];
+        valid.map(projection.toLocal).forEach((point) => {
+            const previous = local[local.length - 1];
+            if (!previous || Math.hypot(point.x - previous.x, point.y - previous.y) > 0.01) {
+                local.push(point);
+            }
+        });
+        if (local.length === 1) return circleToPolygon(valid[0], widthM / 2);
+
+        const half = widthM / 2;
+        const outline = [
+            ...leftSideWithCap(local, half),
+            ...leftSideWithCap(local.slice().reverse(), half)
+        ].filter((point, index, all) => {
+            const previous = all[index - 1];
+            return !previous || Math.hypot(point.x - previous.x, point.y - previous.y) > 0.01;
+        });
+        return outline.map(projection.toGeo);
+    }
+
+    function openRing(points) {
+        if (points.length > 1) {
+            const first = points[0];
+            const last = points[points.length - 1];
+            if (first.lat === last.lat && first.lon === last.lon) return points.slice(0, -1);
+        }
+        return points;
+    }
+
+    /** Planar area in square metres of an open or closed ring. */
+    function polygonArea(points) {
+        const ring = openRing(points || []);
+        if (ring.length < 3) return 0;
+        const projection = createProjection(centroid(ring));
+        const local = ring.map(projection.toLocal);
+        let twiceArea = 0;
+        for (let i = 0; i < local.length; i += 1) {
+            const a = local[i];
+            const b = local[(i + 1) % local.length];
+            twiceArea += a.x * b.y - b.x * a.y;
+        }
+        return Math.abs(twiceArea) / 2;
+    }
+
+    /** Perimeter in metres of an open or closed ring. */
+    function polygonPerimeter(points) {
+        const ring = openRing(points || []);
+        if (ring.length < 2) return 0;
+        let total = 0;
+        for (let i = 0; i < ring.length; i += 1) {
+            total += distanceMeters(ring[i], ring[(i + 1) % ring.length]);
+        }
+        return total;
+    }
+
+    function pathLength(points) {
+        let total = 0;
+        for (let i = 1; i < (points || []).length; i += 1) {
+            total += distanceMeters(points[i - 1], points[i]);
+        }
+        return total;
+    }
+
+    return {
+        circleToPolygon,
+        bufferPolyline,
+        polygonArea,
+        polygonPerimeter,
+        pathLength,
+        distanceMeters,
+        bearingBetween,
+        offsetPoint
+    };
+})();
+
+window.GeofenceShapes = GeofenceShapes;
@@ -0,0 +1,177 @@
+/**
+ * Geofence Activation Timeline
+ * Renders scheduled geofence activation windows as horizontal bars so the
+ * map and mission planner can show what switches on and off in the next hours.
+ */
+
+const GeofenceTimeline = (function () {
+    'use strict';
+
+    const escapeHtml = window.escapeHtml || ((value) => String(value ?? ''));
+    const DEFAULT_HOURS = 48;
+    const WEEKDAY_LABELS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+    const TYPE_COLORS = {
+        no_fly_zone: 'var(--accent-red)',
+        restricted_area: 'var(--accent-yellow)',
+        temporary_restriction: 'var(--accent-cyan)',
+        advisory: 'var(--accent-blue)'
+    };
+
+    /**
+     * Fetches schedules plus geofence metadata for the next `hours`.
+     * @returns {Promise<{from: number, to: number, rows: Array}>}
+     */
+    async function load(hours = DEFAULT_HOURS) {
+        const [scheduleData, geofences] = await Promise.all([
+            API.getGeofenceSchedules(hours),
+            API.getGeofences().catch(() => [])
+        ]);
+        const byId = new Map((Array.isArray(geofences) ? geofences : []).map(gf => [String(gf.id), gf]));
+        const rows = (scheduleData?.schedules || [])
+            .filter(schedule => byId.has(String(schedule.geofenceId)))
+            .map(schedule => ({ schedule, geofence: byId.get(String(schedule.geofenceId)) }));
+        return {
+            from: Date.parse(scheduleData?.from) || Date.now(),
+            to: Date.parse(scheduleData?.to) || Date.now() + hours * 3600000,
+            rows
+        };
+    }
+
+    function formatDays(days) {
+        const sorted = (days || []).slice().sort();
+        const key = sorted.join(',');
+        if (key === '1,2,3,4,5') return 'Weekdays';
+        if (key === '0,6') return 'Weekends';
+        if (sorted.length === 7) return 'Daily';
+        return sorted.map(day => WEEKDAY_LABELS[day]).join(', ');
+    }
+
+    function formatShortDateTime(value) {
+        const date = new Date(value);
+        if (Number.isNaN(date.getTime())) return '';
+        return date.toLocaleString([], { month: 'short', day: 'numeric', hour: '2-digit', minute: '2-digit' });
+    }
+
+    /** One-line description, e.g. "Weekdays 08:00-18:00 (Europe/Berlin) until Nov 3". */
+    function describe(schedule) {
+        if (!schedule) return '';
+        const parts = [];
+        if (schedule.recurrence) {
+            parts.push(`${formatDays(schedule.recurrence.days)} ${schedule.recurrence.start_time}-${schedule.recurrence.end_time} (${schedule.timezone})`);
+        }
+        if (schedule.startAt && schedule.endAt) {
+            parts.push(`${schedule.recurrence ? 'between ' : ''}${formatShortDateTime(schedule.startAt)} - ${formatShortDateTime(schedule.endAt)}`);
+        } else if (schedule.startAt) {
+            parts.push(`from ${formatShortDateTime(schedule.startAt)}`);
+        } else if (schedule.endAt) {
+            parts.push(`until ${formatShortDateTime(schedule.endAt)}`);
+        }
+        return parts.join(' ');
+    }
+
+    function describeNext(schedule) {
+        const next = schedule?.nextTransition;
+        if (!next) return schedule?.activeNow ? 'Active' : 'No upcoming window';
+        return `${next.active ? 'Activates' : 'Deactivates'} ${formatShortDateTime(next.at)}`;
+    }
+
+    function pickTickHours(spanHours) {
+        if (spanHours <= 12) return 2;
+        if (spanHours <= 48) return 6;
+        if (spanHours <= 96) return 12;
+        return 24;
+    }
+
+    /**
+     * @param {HTMLElement} container
+     * @param {{from: number, to: number, rows: Array}} data from load()
+     * @param {{highlight?: {start: number, end: number}}} options
+     *        `highlight` shades a period (e.g. a planned flight) on every row.
+     */
+    function render(container, data, options = {}) {
+        if (!container) return;
+        const rows = data?.rows || [];
+        if (!rows.length) {
+            container.innerHTML = `
+                <div class="empty-state" style="padding: 12px;">
+                    <div class="empty-state-text text-muted">No scheduled geofences</div>
+                </div>
+            `;
+            return;
+        }
+
+        const from = data.from;
+        const to = data.to;
+        const span = Math.max(to - from, 1);
+        const toPercent = value => Math.min(Math.max(((value - from) / span) * 100, 0), 100);
+        const now = Date.now();
+
+        const tickHours = pickTickHours(span / 3600000);
+        const ticks = [];
+        const firstTick = new Date(from);
+        firstTick.setMinutes(0, 0, 0);
+        firstTick.setHours(Math.ceil(firstTick.getHours() / tickHours) * tickHours);
+        for (let t = firstTick.getTime(); t < to; t += tickHours * 3600000) {
+            if (t <= from) continue;
+            const date = new Date(t);
+            const label = date.getHours() === 0
+                ? date.toLocaleDateString([], { weekday: 'short', day: 'numeric' })
+                : date.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+            ticks.push(`<span class="gf-timeline-tick" style="left: ${toPercent(t)}%;">${escapeHtml(label)}</span>`);
+        }
+
+        const highlight = options.highlight && Number.isFinite(options.highlight.start) && Number.isFinite(options.highlight.end)
+            ? `<div class="gf-timeline-highlight" style="left: ${toPercent(options.highlight.start)}%; width: ${toPercent(options.highlight.end) - toPercent(options.highlight.start)}%;"></div>`
+            : '';
+        const nowMarker = now >= from && now <= to
+            ? `<div class="gf-timeline-now" style="left: ${toPercent(now)}%;"></div>`
+            : '';
+
+        container.innerHTML = `
+            <div class="gf-timeline">
+                <div class="gf-timeline-row">
+                    <div class="gf-timeline-label"></div>
+                    <div class="gf-timeline-axis">${ticks.join('')}</div>
+                </div>
+                ${rows.map(({ schedule, geofence }) => {
+                    const color = TYPE_COLORS[geofence.geofence_type] || 'var(--accent-blue)';
+                    const bars = (schedule.windows || []).map((window) => {
+                        const start = window.start ? Date.parse(window.start) : from;
+                        const end = window.end ? Date.parse(window.end) : to;
+                        const left = toPercent(start);
+                        const width = Math.max(toPercent(end) - left, 0.5);
+                        const title = `${formatShortDateTime(start)} - ${window.end ? formatShortDateTime(end) : 'open-ended'}`;
+                        return `<div class="gf-timeline-bar" style="left: ${left}%; width: ${width}%; background: ${color};" title="${escapeHtml(title)}"></div>`;
+                    }).join('');
+                    const tooltip = `${geofence.name} • ${describe(schedule)} • ${describeNext(schedule)}`;
+                    return `
+                        <div class="gf-timeline-row" title="${escapeHtml(tooltip)}">
+                            <div class="gf-timeline-label">${escapeHtml(geofence.name || geofence.id)}</div>
+                            <div class="gf-timeline-track">${bars}${highlight}${nowMarker}</div>
+                        </div>
+                    `;
+                }).join('')}
+            </div>
+        `;
+    }
+
+    /** Rows whose activation windows overlap [start, end]. */
+    function findOverlaps(data, start, end) {
+        return (data?.rows || []).filter(({ schedule }) => (schedule.windows || []).some((window) => {
+            const windowStart = window.start ? Date.parse(window.start) : -Infinity;
+            const windowEnd = window.end ? Date.parse(window.end) : Infinity;
+            return windowStart < end && windowEnd > start;
+        }));
+    }
+
+    return {
+        load,
+        render,
+        describe,
+        describeNext,
+        findOverlaps
+    };
+})();
+
+window.GeofenceTimeline = GeofenceTimeline;
@@ -26,10 +26,14 @@
 
     let viewer = null;
     let geofences = [];
+    let schedulesById = new Map();
     let activeFilter = 'all';
     const geofenceEntities = new Map();
     const canManage = window.APP_USER && window.APP_USER.role === 'authority';
     let lastLoadError = null;
+    let importItems = [];
+    let importInFlight = false;
+    const previewEntities = [];
 
     // ========================================================================
     // Initialization
@@ -122,6 +126,9 @@
         if (window.ATCCameraControls && typeof window.ATCCameraControls.attach === 'function') {
             window.ATCCameraControls.attach(viewer);
         }
+        if (window.ATCMapTools && typeof window.ATCMapTools.attach === 'function') {
+            window.ATCMapTools.attach(viewer);
+        }
 
         // Set initial view
         resetView();
@@ -131,9 +138,13 @@
 
     async function loadGeofences() {
         try {
-            const data = await API.getGeofences();
+            const [data, scheduleData] = await Promise.all([
+                API.getGeofences(),
+                API.getGeofenceSchedules().catch(() => null)
+            ]);
             lastLoadError = null;
             geofences = Array.isArray(data) ? data : [];
+            schedulesById = new Map((scheduleData?.schedules || []).map(schedule => [String(schedule.geofenceId), schedule]));
             renderGeofences();
             return;
         } catch (error) {
@@ -226,9 +237,16 @@
             const colors = getGeofenceColors(gf.geofence_type);
             const label = formatTypeLabel(gf.geofence_type);
             const statusLabel = gf.active === false ? 'Inactive' : 'Active';
+            const schedule = schedulesById.get(String(gf.id));
+            const scheduleLine = schedule && window.GeofenceTimeline
+                ? `<div class="list-item-subtitle text-muted">${escapeHtml(GeofenceTimeline.describe(schedule))} | ${escapeHtml(GeofenceTimeline.describeNext(schedule))}</div>`
+                : '';
             const actionButtons = canManage
                 ? `
                     <div class="flex gap-sm">
+                        <a class="btn btn-ghost btn-sm" data-action="edit" href="/control/geofences/${escapeHtml(encodeURIComponent(gf.id))}/edit">
+                            Edit
+                        </a>
                         <button class="btn btn-ghost btn-sm" data-action="toggle" data-id="${escapeHtml(gf.id)}">
                             ${gf.active === false ? 'Enable' : 'Disable'}
                         </button>
@@ -244,6 +262,7 @@
                     <div class="list-item-content">
                         <div class="list-item-title">${escapeHtml(gf.name)}</div>
                         <div class="list-item-subtitle">${escapeHtml(label)} | ${escapeHtml(gf.lower_altitude_m || 0)}-${escapeHtml(gf.upper_altitude_m || 0)}m | ${escapeHtml(statusLabel)}</div>
+                        ${scheduleLine}
                     </div>
                     ${actionButtons}
                 </div>
@@ -259,6 +278,10 @@
             });
         });
 
+        container.querySelectorAll('a[data-action="edit"]').forEach((link) => {
+            link.addEventListener('click', (event) => event.stopPropagation());
+        });
+
         container.querySelectorAll('button[data-action="toggle"]').forEach((btn) => {
             btn.addEventListener('click', (event) => {
                 event.stopPropagation();
@@ -401,6 +424,232 @@
         }
     }
 
+    // ========================================================================
+    // Import / Export
+    // ========================================================================
+
+    function setImportStatus(message, tone = 'muted') {
+        const statusEl = document.getElementById('geofenceImportStatus');
+        if (!statusEl) return;
+        statusEl.textContent = message || '';
+        statusEl.className = `form-help text-${tone}`;
+    }
+
+    function openImport() {
+        const panel = document.getElementById('geofenceImportPanel');
+        if (!panel) return;
+        panel.style.display = 'block';
+        document.getElementById('geofenceImportFile')?.focus();
+    }
+
+    function closeImport() {
+        if (importInFlight) return;
+        const panel = document.getElementById('geofenceImportPanel');
+        if (panel) panel.style.display = 'none';
+        const fileInput = document.getElementById('geofenceImportFile');
+        if (fileInput) fileInput.value = '';
+        importItems = [];
+        clearImportPreview();
+        renderImportList();
+        setImportStatus('');
+    }
+
+    function readImportDefaults() {
+        return {
+            type: document.getElementById('geofenceImportType')?.value,
+            lowerAltitude: document.getElementById('geofenceImportLower')?.value,
+            upperAltitude: document.getElementById('geofenceImportUpper')?.value
+        };
+    }
+
+    async function handleImportFile(file) {
+        if (!file) return;
+        importItems = [];
+        clearImportPreview();
+        renderImportList();
+        setImportStatus(`Reading ${file.name}...`);
+
+        let result;
+        try {
+            result = await GeofenceFormats.parseFile(file, readImportDefaults());
+        } catch (error) {
+            console.error('[Geofences] Import parse failed:', error);
+            setImportStatus(error.message || 'Unable to read file.', 'danger');
+            return;
+        }
+
+        importItems = result.geofences.map((item, index) => ({
+            ...item,
+            key: `import-${index}`,
+            selected: true,
+            error: null
+        }));
+        renderImportPreview();
+        renderImportList();
+
+        const warnings = result.warnings.length ? ` ${result.warnings.length} warning(s): ${result.warnings.slice(0, 3).join('; ')}` : '';
+        if (!importItems.length) {
+            setImportStatus(`No polygons found in ${file.name}.${warnings}`, 'warning');
+            return;
+        }
+        setImportStatus(`${importItems.length} geofence(s) ready to preview.${warnings}`, result.warnings.length ? 'warning' : 'muted');
+    }
+
+    function clearImportPreview() {
+        previewEntities.forEach(entity => viewer.entities.remove(entity));
+        previewEntities.length = 0;
+    }
+
+    function renderImportPreview() {
+        clearImportPreview();
+        importItems.forEach((item) => {
+            const { payload } = item;
+            const colors = getGeofenceColors(payload.geofence_type);
+            const entity = viewer.entities.add({
+                name: `Import: ${payload.name}`,
+                show: item.selected,
+                polygon: {
+                    hierarchy: Cesium.Cartesian3.fromDegreesArray(payload.polygon.map(([lat, lon]) => [lon, lat]).flat()),
+                    height: payload.lower_altitude_m || 0,
+                    extrudedHeight: payload.upper_altitude_m || 0,
+                    material: Cesium.Color.WHITE.withAlpha(0.15),
+                    outline: true,
+                    outlineColor: colors.outline,
+                    outlineWidth: 2
+                },
+                description: `
+                    <table class="cesium-infoBox-defaultTable">
+                        <tr><td>Preview:</td><td>Not created yet</td></tr>
+                        <tr><td>Type:</td><td>${escapeHtml(formatTypeLabel(payload.geofence_type))}</td></tr>
+                        <tr><td>Altitude:</td><td>${escapeHtml(payload.lower_altitude_m)}m - ${escapeHtml(payload.upper_altitude_m)}m</td></tr>
+                    </table>
+                `
+            });
+            item.entity = entity;
+            previewEntities.push(entity);
+        });
+        if (previewEntities.length) {
+            viewer.flyTo(previewEntities);
+        }
+    }
+
+    function formatImportLimits(item) {
+        const { payload, source } = item;
+        const lower = source.lowerLabel ? `${payload.lower_altitude_m}m (${source.lowerLabel})` : `${payload.lower_altitude_m}m`;
+        const upper = source.upperLabel ? `${payload.upper_altitude_m}m (${source.upperLabel})` : `${payload.upper_altitude_m}m`;
+        return `${lower} - ${upper}`;
+    }
+
+    function renderImportList() {
+        const container = document.getElementById('geofenceImportList');
+        const createButton = document.getElementById('geofenceImportCreate');
+        const selectedCount = importItems.filter(item => item.selected).length;
+        if (createButton) {
+            createButton.disabled = importInFlight || selectedCount === 0;
+            createButton.textContent = selectedCount ? `Create ${selectedCount} Geofence${selectedCount === 1 ? '' : 's'}` : 'Create Geofences';
+        }
+        if (!container) return;
+
+        container.innerHTML = importItems.map(item => `
+            <label class="geofence-item" data-import-key="${escapeHtml(item.key)}">
+                <input type="checkbox" data-import-toggle="${escapeHtml(item.key)}" ${item.selected ? 'checked' : ''} ${importInFlight ? 'disabled' : ''}>
+                <span class="status-dot" style="background: ${getGeofenceColors(item.payload.geofence_type).dot};"></span>
+                <div class="list-item-content">
+                    <div class="list-item-title">${escapeHtml(item.payload.name)}</div>
+                    <div class="list-item-subtitle">
+                        ${escapeHtml(formatTypeLabel(item.payload.geofence_type))}${item.source.typeGuessed ? ' (default)' : ''} | ${escapeHtml(formatImportLimits(item))}
+                    </div>
+                    ${item.error ? `<div class="list-item-subtitle text-danger">${escapeHtml(item.error)}</div>` : ''}
+                </div>
+            </label>
+        `).join('');
+
+        container.querySelectorAll('input[data-import-toggle]').forEach((input) => {
+            input.addEventListener('change', () => {
+                const item = importItems.find(entry => entry.key === input.dataset.importToggle);
+                if (!item) return;
+                item.selected = input.checked;
+                if (item.entity) item.entity.show = item.selected;
+                renderImportList();
+            });
+        });
+    }
+
+    async function createImported() {
+        const selected = importItems.filter(item => item.selected);
+        if (!selected.length || importInFlight) return;
+        if (!confirm(`Create ${selected.length} geofence(s) from this file?`)) return;
+
+        importInFlight = true;
+        renderImportList();
+        let created = 0;
+        for (const item of selected) {
+            setImportStatus(`Creating ${created + 1} of ${selected.length}...`);
+            try {
+                await API.createGeofence(item.payload);
+                item.created = true;
+                created += 1;
+            } catch (error) {
+                console.error('[Geofences] Import create failed:', error);
+                item.error = error.message || 'Create failed';
+            }
+        }
+        importInFlight = false;
+
+        // Keep failures in the preview so they can be fixed or retried.
+        importItems = importItems.filter(item => !item.created);
+        renderImportPreview();
+        renderImportList();
+        const failed = selected.length - created;
+        setImportStatus(
+            failed ? `Created ${created} geofence(s); ${failed} failed.` : `Created ${created} geofence(s).`,
+            failed ? 'danger' : 'success'
+        );
+        await loadGeofences();
+    }
+
+    function exportGeofences(format) {
+        const visible = geofences.filter(gf => activeFilter === 'all' || mapFilterType(gf.geofence_type) === activeFilter);
+        if (!visible.length) {
+            alert('No geofences to export.');
+            return;
+        }
+
+        const stamp = new Date().toISOString().slice(0, 10);
+        const suffix = activeFilter === 'all' ? '' : `-${activeFilter}`;
+        const isKml = format === 'kml';
+        const content = isKml
+            ? GeofenceFormats.toKML(visible)
+            : JSON.stringify(GeofenceFormats.toGeoJSON(visible), null, 2);
+        const blob = new Blob([content], {
+            type: isKml ? 'application/vnd.google-earth.kml+xml' : 'application/geo+json'
+        });
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = `geofences${suffix}-${stamp}.${isKml ? 'kml' : 'geojson'}`;
+        document.body.appendChild(link);
+        link.click();
+        document.body.removeChild(link);
+        URL.revokeObjectURL(url);
+    }
+
+    function bindImportUI() {
+        const fileInput = document.getElementById('geofenceImportFile');
+        if (fileInput) {
+            fileInput.addEventListener('change', () => handleImportFile(fileInput.files?.[0]));
+        }
+        // Re-parse when defaults change so items without their own type or limits follow them.
+        ['geofenceImportType', 'geofenceImportLower', 'geofenceImportUpper'].forEach((id) => {
+            document.getElementById(id)?.addEventListener('change', () => {
+                if (fileInput?.files?.[0] && !importInFlight) handleImportFile(fileInput.files[0]);
+            });
+        });
+        if (new URLSearchParams(window.location.search).get('import') === '1') {
+            openImport();
+        }
+    }
+
     // ========================================================================
     // Global API
     // ========================================================================
@@ -410,7 +659,11 @@
         filter: filterGeofences,
         reset: resetView,
         toggle: toggleActive,
-        remove: removeGeofence
+        remove: removeGeofence,
+        openImport,
+        closeImport,
+        createImported,
+        exportGeofences
     };
 
     // ========================================================================
@@ -418,7 +671,10 @@
     // ========================================================================
 
     document.addEventListener('DOMContentLoaded', () => {
-        initViewer().then(loadGeofences);
+        initViewer().then(() => {
+            bindImportUI();
+            return loadGeofences();
+        });
     });
 
 })();
@@ -0,0 +1,182 @@
+/**
+ * Map Layer Manager
+ * Holds the live map's per-user layer settings (visibility and opacity),
+ * renders the layer panel and saves changes back to /api/map/layers.
+ * map.js subscribes and restyles its entities whenever a layer changes.
+ */
+
+const MapLayers = (function () {
+    'use strict';
+
+    const escapeHtml = window.escapeHtml || ((value) => String(value ?? ''));
+    const SAVE_DELAY_MS = 600;
+
+    let layers = [];
+    const byId = new Map();
+    const listeners = new Set();
+    let pendingChanges = {};
+    let saveTimer = null;
+    let panelContainer = null;
+
+    function setLayers(list) {
+        layers = Array.isArray(list) ? list.map(layer => ({ ...layer })) : [];
+        byId.clear();
+        layers.forEach(layer => byId.set(layer.id, layer));
+    }
+
+    function notify(layerId) {
+        listeners.forEach((listener) => {
+            try {
+                listener(layerId);
+            } catch (error) {
+                console.error('[MapLayers] Listener failed:', error);
+            }
+        });
+    }
+
+    /**
+     * Loads the signed-in user's settings and renders the panel into
+     * `container`. Until this resolves (or if it fails) every layer reads as
+     * visible at full opacity.
+     */
+    async function load(container) {
+        panelContainer = container || panelContainer;
+        try {
+            const data = await API.getMapLayers();
+            setLayers(data?.layers);
+        } catch (error) {
+            console.warn('[MapLayers] Could not load layer settings; using defaults:', error);
+        }
+        renderPanel();
+        notify(null);
+    }
+
+    function isVisible(layerId) {
+        return byId.get(layerId)?.visible !== false;
+    }
+
+    function getOpacity(layerId) {
+        const opacity = Number(byId.get(layerId)?.opacity);
+        return Number.isFinite(opacity) ? opacity : 1;
+    }
+
+    function setStatus(message) {
+        const el = panelContainer?.querySelector('[data-layer-status]');
+        if (el) el.textContent = message;
+    }
+
+    async function flush() {
+        saveTimer = null;
+        const changes = pendingChanges;
+        pendingChanges = {};
+        if (!Object.keys(changes).length) return;
+        try {
+            await API.saveMapLayers(changes);
+            setStatus('Saved');
+        } catch (error) {
+            console.warn('[MapLayers] Saving layer settings failed:', error);
+            setStatus('Not saved');
+        }
+    }
+
+    /** Applies `{ visible?, opacity? }` to a layer now and saves it shortly after. */
+    function update(layerId, changes) {
+        const layer = byId.get(layerId);
+        if (!layer) return;
+        Object.assign(layer, changes);
+        pendingChanges[layerId] = { ...(pendingChanges[layerId] || {}), ...changes };
+        if (saveTimer) clearTimeout(saveTimer);
+        saveTimer = setTimeout(flush, SAVE_DELAY_MS);
+        setStatus('Saving...');
+        notify(layerId);
+    }
+
+    async function reset() {
+        if (saveTimer) clearTimeout(saveTimer);
+        saveTimer = null;
+        pendingChanges = {};
+        try {
+            const data = await API.resetMapLayers();
+            setLayers(data?.layers);
+            setStatus('Defaults restored');
+        } catch (error) {
+            console.warn('[MapLayers] Reset failed:', error);
+            setStatus('Reset failed');
+        }
+        renderPanel();
+        notify(null);
+    }
+
+    /** Calls `listener(layerId)` after each change; `null` means every layer. */
+    function subscribe(listener) {
+        listeners.add(listener);
+        return () => listeners.delete(listener);
+    }
+
+    function renderPanel() {
+        if (!panelContainer) return;
+        if (!layers.length) {
+            panelContainer.innerHTML = '<div class="text-muted" style="font-size: 12px;">Layer settings unavailable</div>';
+            return;
+        }
+
+        const groups = new Map();
+        layers.forEach((layer) => {
+            if (!groups.has(layer.group)) groups.set(layer.group, []);
+            groups.get(layer.group).push(layer);
+        });
+
+        panelContainer.innerHTML = `
+            ${Array.from(groups.entries()).map(([group, entries]) => `
+                <div class="layer-group">
+                    <div class="control-label">${escapeHtml(group)}</div>
+                    ${entries.map(layer => `
+                        <div class="layer-row" data-layer-id="${escapeHtml(layer.id)}">
+                            <label class="layer-toggle">
+                                <input type="checkbox" data-layer-visible ${layer.visible ? 'checked' : ''}>
+                                <span>${escapeHtml(layer.label)}</span>
+                            </label>
+                            ${layer.supportsOpacity ? `
+                                <input type="range" min="0" max="100" step="5" data-layer-opacity
+                                    value="${Math.round(layer.opacity * 100)}"
+                                    aria-label="${escapeHtml(layer.label)} opacity"
+                                    ${layer.visible ? '' : 'disabled'}>
+                            ` : ''}
+                        </div>
+                    `).join('')}
+                </div>
+            `).join('')}
+            <div class="layer-panel-footer">
+                <span class="text-muted" data-layer-status></span>
+                <button class="btn btn-ghost btn-sm" type="button" data-layer-reset>Reset</button>
+            </div>
+        `;
+
+        panelContainer.querySelectorAll('.layer-row').forEach((row) => {
+            const layerId = row.dataset.layerId;
+            const checkbox = row.querySelector('[data-layer-visible]');
+            const slider = row.querySelector('[data-layer-opacity]');
+            checkbox.addEventListener('change', () => {
+                if (slider) slider.disabled = !checkbox.checked;
+                update(layerId, { visible: checkbox.checked });
+            });
+            if (slider) {
+                slider.addEventListener('input', () => {
+                    update(layerId, { opacity: Number(slider.value) / 100 });
+                });
+            }
+        });
+        panelContainer.querySelector('[data-layer-reset]')?.addEventListener('click', reset);
+    }
+
+    return {
+        load,
+        isVisible,
+        getOpacity,
+        update,
+        reset,
+        subscribe
+    };
+})();
+
+window.MapLayers = MapLayers;
@@ -0,0 +1,698 @@
+/**
+ * ATC Map Tools
+ * Shared widget that adds measurement tools (ruler, bearing, area, height
+ * above terrain) to any Cesium.Viewer and, where enabled, shared operator
+ * annotations (pins, lines, text notes).
+ *
+ * Key behavior:
+ * - Points come from ATCCameraControls.pickWorldPosition. Clicking an entity
+ *   with a position (a drone, a pin) anchors to it, so a ruler from a drone
+ *   keeps following the drone.
+ * - Left click adds a point, double-click or Enter finishes an area or line,
+ *   right click removes the last point, Esc cancels.
+ * - Annotations are stored by the server and re-fetched every few seconds,
+ *   so everyone on the map sees the same set.
+ * - Distances, areas and bearings use GeofenceShapes (geofence-shapes.js).
+ */
+
+(function () {
+    'use strict';
+
+    const escapeHtml = window.escapeHtml || ((value) => String(value ?? ''));
+    const STATE = new WeakMap();
+    const ANNOTATION_POLL_MS = 5000;
+    const REFRESH_MS = 200;
+    const MEASURE_COLOR = '#facc15';
+    const M_TO_FT = 3.28084;
+    const M_PER_NM = 1852;
+
+    const TOOLS = {
+        ruler: { label: 'Ruler', title: 'Ground and slant distance between two points', maxPoints: 2, minPoints: 2 },
+        bearing: { label: 'Bearing', title: 'True bearing from the first point to the second', maxPoints: 2, minPoints: 2 },
+        area: { label: 'Area', title: 'Area and perimeter (double-click to finish)', maxPoints: Infinity, minPoints: 3 },
+        height: { label: 'Height', title: 'Height above terrain of a point, building or drone', maxPoints: 1, minPoints: 1 },
+        pin: { label: 'Pin', title: 'Drop a shared pin', maxPoints: 1, minPoints: 1, annotation: true },
+        line: { label: 'Line', title: 'Draw a shared line (double-click to finish)', maxPoints: Infinity, minPoints: 2, annotation: true },
+        note: { label: 'Note', title: 'Place a shared text note', maxPoints: 1, minPoints: 1, annotation: true }
+    };
+    const MEASURE_TOOLS = ['ruler', 'bearing', 'area', 'height'];
+    const ANNOTATION_TOOLS = ['pin', 'line', 'note'];
+
+    function formatDistance(meters) {
+        const metric = meters >= 1000 ? `${(meters / 1000).toFixed(2)} km` : `${Math.round(meters)} m`;
+        return `${metric} (${(meters / M_PER_NM).toFixed(2)} NM)`;
+    }
+
+    function formatHeight(meters) {
+        return `${Math.round(meters)} m (${Math.round(meters * M_TO_FT)} ft)`;
+    }
+
+    function formatArea(squareMeters) {
+        return squareMeters >= 1e6
+            ? `${(squareMeters / 1e6).toFixed(2)} km²`
+            : `${Math.round(squareMeters).toLocaleString()} m²`;
+    }
+
+    function formatBearing(degrees) {
+        return `${String(Math.round(degrees) % 360).padStart(3, '0')}°`;
+    }
+
+    function toGeo(position) {
+        const Cesium = window.Cesium;
+        const carto = Cesium.Cartographic.fromCartesian(position);
+        return {
+            lat: Cesium.Math.toDegrees(carto.latitude),
+            lon: Cesium.Math.toDegrees(carto.longitude),
+            alt: carto.height
+        };
+    }
+
+    function isToolEntity(entity) {
+        return typeof entity.id === 'string' && entity.id.startsWith('atc-measure-');
+    }
+
+    // An anchor is a picked world position, or an entity to follow.
+    function pickAnchor(viewer, windowPosition) {
+        const Cesium = window.Cesium;
+        const picked = viewer.scene.pick(windowPosition);
+        const entity = picked && picked.id instanceof Cesium.Entity ? picked.id : null;
+        if (entity && !isToolEntity(entity) && entity.position) {
+            const position = entity.position.getValue(viewer.clock.currentTime);
+            if (position) return { entity, position, name: entity.name || entity.id };
+        }
+
+        const pickWorldPosition = window.ATCCameraControls && window.ATCCameraControls.pickWorldPosition;
+        const position = pickWorldPosition ? pickWorldPosition(viewer, windowPosition) : null;
+        return position ? { entity: null, position, name: null } : null;
+    }
+
+    function resolveAnchor(anchor, time) {
+        if (anchor.entity && anchor.entity.position) {
+            const position = anchor.entity.position.getValue(time);
+            if (position) anchor.position = position;
+        }
+        return anchor.position;
+    }
+
+    function terrainHeight(viewer, position) {
+        const carto = window.Cesium.Cartographic.fromCartesian(position);
+        const height = viewer.scene.globe.getHeight(carto);
+        return Number.isFinite(height) ? height : 0;
+    }
+
+    /**
+     * Readout for a tool from its resolved points.
+     * @returns {{ lines: string[], labelPoint: Cesium.Cartesian3|null }}
+     */
+    function describeMeasurement(viewer, tool, positions) {
+        const Cesium = window.Cesium;
+        const geo = positions.map(toGeo);
+        if (tool === 'height') {
+            if (!positions.length) return { lines: ['Click a point, building or drone'], labelPoint: null };
+            const ground = terrainHeight(viewer, positions[0]);
+            return {
+                lines: [
+                    `Above terrain: ${formatHeight(geo[0].alt - ground)}`,
+                    `Altitude (WGS84): ${formatHeight(geo[0].alt)}`
+                ],
+                labelPoint: positions[0]
+            };
+        }
+
+        if (tool === 'area') {
+            if (positions.length < 3) return { lines: ['Click at least three points'], labelPoint: null };
+            const center = Cesium.BoundingSphere.fromPoints(positions).center;
+            return {
+                lines: [
+                    `Area: ${formatArea(GeofenceShapes.polygonArea(geo))}`,
+                    `Perimeter: ${formatDistance(GeofenceShapes.polygonPerimeter(geo))}`
+                ],
+                labelPoint: center
+            };
+        }
+
+        if (positions.length < 2) return { lines: ['Click the second point'], labelPoint: null };
+        const [from, to] = geo;
+        const ground = GeofenceShapes.distanceMeters(from, to);
+        const labelPoint = Cesium.Cartesian3.midpoint(positions[0], positions[1], new Cesium.Cartesian3());
+        if (tool === 'bearing') {
+            const bearing = GeofenceShapes.bearingBetween(from, to);
+            return {
+                lines: [
+                    `Bearing: ${formatBearing(bearing)} (reciprocal ${formatBearing((bearing + 180) % 360)})`,
+                    `Distance: ${formatDistance(ground)}`
+                ],
+                labelPoint
+            };
+        }
+
+        const climb = to.alt - from.alt;
+        return {
+            lines: [
+                `Ground: ${formatDistance(ground)}`,
+                `Slant: ${formatDistance(Cesium.Cartesian3.distance(positions[0], positions[1]))}`,
+                `Height difference: ${climb >= 0 ? '+' : '−'}${formatHeight(Math.abs(climb))}`
+            ],
+            labelPoint
+        };
+    }
+
+    function getState(viewer, options) {
+        if (STATE.has(viewer)) return STATE.get(viewer);
+        const Cesium = window.Cesium;
+        const state = {
+            viewer,
+            annotationsEnabled: !!options.annotations,
+            root: null,
+            tool: null,
+            anchors: [],
+            hover: null,
+            finished: false,
+            positions: [],
+            lastRefresh: 0,
+            measureSource: new Cesium.CustomDataSource('atc-measure'),
+            annotationSource: new Cesium.CustomDataSource('atc-annotations'),
+            annotations: new Map(),
+            canCreate: false,
+            pollTimer: null,
+            handler: null,
+            savedDoubleClick: null
+        };
+        STATE.set(viewer, state);
+        return state;
+    }
+
+    // ---------------- Measurement drawing ----------------
+
+    function clearMeasurement(state) {
+        state.anchors = [];
+        state.hover = null;
+        state.finished = false;
+        state.positions = [];
+        state.measureSource.entities.removeAll();
+        renderReadout(state, null);
+    }
+
+    function ensureMeasureEntities(state) {
+        const Cesium = window.Cesium;
+        const entities = state.measureSource.entities;
+        if (entities.getById('atc-measure-line')) return;
+        const color = Cesium.Color.fromCssColorString(MEASURE_COLOR);
+
+        entities.add({
+            id: 'atc-measure-line',
+            polyline: {
+                positions: new Cesium.CallbackProperty(() => {
+                    const points = state.positions;
+                    return state.tool === 'area' && points.length > 2 ? points.concat([points[0]]) : points;
+                }, false),
+                width: 2,
+                material: new Cesium.PolylineDashMaterialProperty({ color, dashLength: 12 }),
+                depthFailMaterial: new Cesium.PolylineDashMaterialProperty({ color: color.withAlpha(0.5), dashLength: 12 })
+            }
+        });
+
+        if (state.tool === 'area') {
+            entities.add({
+                id: 'atc-measure-area',
+                polygon: {
+                    hierarchy: new Cesium.CallbackProperty(() => new Cesium.PolygonHierarchy(state.positions), false),
+                    perPositionHeight: true,
+                    material: color.withAlpha(0.2)
+                }
+            });
+        }
+
+        entities.add({
+            id: 'atc-measure-label',
+            label: {
+                text: '',
+                font: '12px Inter, sans-serif',
+                fillColor: Cesium.Color.WHITE,
+                showBackground: true,
+                backgroundColor: Cesium.Color.fromCssColorString('#0f172a').withAlpha(0.85),
+                backgroundPadding: new Cesium.Cartesian2(6, 4),
+                verticalOrigin: Cesium.VerticalOrigin.BOTTOM,
+                pixelOffset: new Cesium.Cartesian2(0, -12),
+                disableDepthTestDistance: Number.POSITIVE_INFINITY
+            }
+        });
+    }
+
+    function syncVertexEntities(state) {
+        const Cesium = window.Cesium;
+        const entities = state.measureSource.entities;
+        state.anchors.forEach((anchor, index) => {
+            const id = `atc-measure-vertex-${index}`;
+            const position = state.positions[index];
+            const existing = entities.getById(id);
+            if (existing) {
+                existing.position = position;
+                return;
+            }
+            entities.add({
+                id,
+                position,
+                point: {
+                    pixelSize: 8,
+                    color: Cesium.Color.fromCssColorString(MEASURE_COLOR),
+                    outlineColor: Cesium.Color.BLACK,
+                    outlineWidth: 1,
+                    disableDepthTestDistance: Number.POSITIVE_INFINITY
+                }
+            });
+        });
+        for (let index = state.anchors.length; entities.getById(`atc-measure-vertex-${index}`); index += 1) {
+            entities.removeById(`atc-measure-vertex-${index}`);
+        }
+    }
+
+    // Re-resolves anchors (drones move) and refreshes the drawing and readout.
+    function refreshMeasurement(state) {
+        if (!state.tool || (!state.anchors.length && !state.hover)) return;
+        const time = state.viewer.clock.currentTime;
+        const positions = state.anchors.map(anchor => resolveAnchor(anchor, time)).filter(Boolean);
+        const tool = TOOLS[state.tool];
+        if (!state.finished && state.hover && positions.length && positions.length < tool.maxPoints) {
+            positions.push(state.hover);
+        }
+        state.positions = positions;
+        if (!positions.length) return;
+
+        ensureMeasureEntities(state);
+        syncVertexEntities(state);
+        if (tool.annotation) {
+            renderReadout(state, { lines: [`${positions.length} point${positions.length === 1 ? '' : 's'}`] });
+            return;
+        }
+
+        const measurement = describeMeasurement(state.viewer, state.tool, positions);
+        const label = state.measureSource.entities.getById('atc-measure-label');
+        if (label) {
+            label.show = !!measurement.labelPoint;
+            if (measurement.labelPoint) {
+                label.position = measurement.labelPoint;
+                label.label.text = measurement.lines.join('\n');
+            }
+        }
+        renderReadout(state, measurement);
+    }
+
+    function renderReadout(state, measurement) {
+        const readout = state.root && state.root.querySelector('[data-readout]');
+        if (!readout) return;
+        if (!state.tool) {
+            readout.textContent = 'Pick a tool, then click the map.';
+            return;
+        }
+        if (!measurement) {
+            readout.textContent = TOOLS[state.tool].title;
+            return;
+        }
+        const anchored = state.anchors.filter(anchor => anchor.name).map(anchor => anchor.name);
+        readout.innerHTML = measurement.lines.map(line => `<div>${escapeHtml(line)}</div>`).join('')
+            + (anchored.length ? `<div class="atc-map-tools__muted">Following ${escapeHtml(anchored.join(', '))}</div>` : '');
+    }
+
+    function setStatus(state, message) {
+        const el = state.root && state.root.querySelector('[data-status]');
+        if (el) el.textContent = message || '';
+    }
+
+    // ---------------- Pointer input ----------------
+
+    function setTool(state, tool) {
+        const viewer = state.viewer;
+        const Cesium = window.Cesium;
+        const next = state.tool === tool ? null : tool;
+        clearMeasurement(state);
+        setStatus(state, '');
+        state.tool = next;
+
+        state.root.querySelectorAll('[data-tool]').forEach((button) => {
+            button.classList.toggle('active', button.dataset.tool === next);
+        });
+
+        // Double-click finishes a shape while a tool is active, instead of
+        // Cesium's default of tracking the clicked entity.
+        const cesiumHandler = viewer.cesiumWidget.screenSpaceEventHandler;
+        if (next && !state.savedDoubleClick) {
+            state.savedDoubleClick = { action: cesiumHandler.getInputAction(Cesium.ScreenSpaceEventType.LEFT_DOUBLE_CLICK) };
+            cesiumHandler.removeInputAction(Cesium.ScreenSpaceEventType.LEFT_DOUBLE_CLICK);
+        } else if (!next && state.savedDoubleClick) {
+            const { action } = state.savedDoubleClick;
+            if (action) cesiumHandler.setInputAction(action, Cesium.ScreenSpaceEventType.LEFT_DOUBLE_CLICK);
+            state.savedDoubleClick = null;
+        }
+        viewer.canvas.style.cursor = next ? 'crosshair' : '';
+        renderReadout(state, null);
+    }
+
+    function addAnchor(state, windowPosition) {
+        const tool = TOOLS[state.tool];
+        if (state.tool === 'note' && !getAnnotationText(state)) {
+            setStatus(state, 'Type the note text first.');
+            return;
+        }
+        const anchor = pickAnchor(state.viewer, windowPosition);
+        if (!anchor) return;
+
+        // A finished measurement is replaced by the next click.
+        if (state.finished) clearMeasurement(state);
+        state.anchors.push(anchor);
+        if (state.anchors.length >= tool.maxPoints) finish(state);
+        refreshMeasurement(state);
+    }
+
+    function finish(state) {
+        const tool = TOOLS[state.tool];
+        if (!tool || state.finished) return;
+        if (state.anchors.length < tool.minPoints) {
+            setStatus(state, `Needs at least ${tool.minPoints} points.`);
+            return;
+        }
+        state.finished = true;
+        state.hover = null;
+        setStatus(state, '');
+        refreshMeasurement(state);
+        if (tool.annotation) saveAnnotation(state);
+    }
+
+    function bindInput(state) {
+        const Cesium = window.Cesium;
+        const viewer = state.viewer;
+        const handler = new Cesium.ScreenSpaceEventHandler(viewer.canvas);
+        state.handler = handler;
+
+        handler.setInputAction((click) => {
+            if (state.tool) addAnchor(state, click.position);
+        }, Cesium.ScreenSpaceEventType.LEFT_CLICK);
+
+        handler.setInputAction((click) => {
+            if (!state.tool || state.finished) return;
+            // The double-click's second click added a duplicate point.
+            const last = state.anchors[state.anchors.length - 1];
+            const previous = state.anchors[state.anchors.length - 2];
+            if (last && previous && !last.entity
+                && Cesium.Cartesian3.distance(last.position, previous.position) < 0.5) {
+                state.anchors.pop();
+            }
+            finish(state);
+        }, Cesium.ScreenSpaceEventType.LEFT_DOUBLE_CLICK);
+
+        handler.setInputAction(() => {
+            if (!state.tool || state.finished || !state.anchors.length) return;
+            state.anchors.pop();
+            refreshMeasurement(state);
+            if (!state.anchors.length) clearMeasurement(state);
+        }, Cesium.ScreenSpaceEventType.RIGHT_CLICK);
+
+        handler.setInputAction((movement) => {
+            if (!state.tool || state.finished || !state.anchors.length) return;
+            const now = Date.now();
+            if (now - state.lastRefresh < REFRESH_MS) return;
+            state.lastRefresh = now;
+            const pickWorldPosition = window.ATCCameraControls && window.ATCCameraControls.pickWorldPosition;
+            state.hover = pickWorldPosition ? pickWorldPosition(viewer, movement.endPosition) : null;
+            refreshMeasurement(state);
+        }, Cesium.ScreenSpaceEventType.MOUSE_MOVE);
+
+        // Keep measurements anchored to moving drones up to date.
+        viewer.clock.onTick.addEventListener(() => {
+            if (!state.anchors.some(anchor => anchor.entity)) return;
+            const now = Date.now();
+            if (now - state.lastRefresh < REFRESH_MS) return;
+            state.lastRefresh = now;
+            refreshMeasurement(state);
+        });
+
+        document.addEventListener('keydown', (event) => {
+            if (!state.tool) return;
+            const target = event.target;
+            const typing = target && (target.tagName === 'INPUT' || target.tagName === 'TEXTAREA');
+            if (event.key === 'Escape') {
+                setTool(state, null);
+            } else if (event.key === 'Enter' && !typing) {
+                finish(state);
+            }
+        });
+    }
+
+    // ---------------- Annotations ----------------
+
+    function getAnnotationText(state) {
+        const input = state.root && state.root.querySelector('[data-annotation-text]');
+        return input ? input.value.trim() : '';
+    }
+
+    async function saveAnnotation(state) {
+        const positions = state.positions.slice();
+        const payload = {
+            kind: state.tool,
+            text: getAnnotationText(state),
+            points: positions.map((position) => {
+                const geo = toGeo(position);
+                return {
+                    lat: Number(geo.lat.toFixed(7)),
+                    lon: Number(geo.lon.toFixed(7)),
+                    alt: Math.round(geo.alt * 10) / 10
+                };
+            })
+        };
+        setStatus(state, 'Saving...');
+        try {
+            const annotation = await API.createMapAnnotation(payload);
+            addAnnotationEntity(state, annotation);
+            renderAnnotationList(state);
+            const input = state.root.querySelector('[data-annotation-text]');
+            if (input) input.value = '';
+            setStatus(state, 'Shared with everyone on the map.');
+        } catch (error) {
+            setStatus(state, error.message || 'Could not save the annotation.');
+        }
+        clearMeasurement(state);
+    }
+
+    async function deleteAnnotation(state, id) {
+        try {
+            await API.deleteMapAnnotation(id);
+            removeAnnotationEntity(state, id);
+            renderAnnotationList(state);
+        } catch (error) {
+            setStatus(state, error.message || 'Could not delete the annotation.');
+        }
+    }
+
+    function addAnnotationEntity(state, annotation) {
+        const Cesium = window.Cesium;
+        if (state.annotations.has(annotation.id)) return;
+        const color = Cesium.Color.fromCssColorString(annotation.color || '#f59e0b');
+        const positions = annotation.points.map(point => Cesium.Cartesian3.fromDegrees(point.lon, point.lat, point.alt || 0));
+        const author = annotation.createdByName || annotation.createdBy;
+        const entity = {
+            id: `atc-annotation-${annotation.id}`,
+            name: annotation.text || `${annotation.kind} by ${author}`,
+            position: annotation.kind === 'line' ? positions[Math.floor(positions.length / 2)] : positions[0],
+            description: `${escapeHtml(annotation.text || '')}<br><small>${escapeHtml(author)}, ${escapeHtml(new Date(annotation.createdAt).toLocaleString())}</small>`
+        };
+
+        if (annotation.kind === 'line') {
+            entity.polyline = { positions, width: 3, material: color };
+        } else {
+            entity.point = {
+                pixelSize: annotation.kind === 'pin' ? 12 : 6,
+                color,
+                outlineColor: Cesium.Color.WHITE,
+                outlineWidth: annotation.kind === 'pin' ? 2 : 1,
+                disableDepthTestDistance: Number.POSITIVE_INFINITY
+            };
+        }
+        if (annotation.text) {
+            entity.label = {
+                text: annotation.text,
+                font: annotation.kind === 'note' ? '13px Inter, sans-serif' : '12px Inter, sans-serif',
+                fillColor: annotation.kind === 'note' ? Cesium.Color.fromCssColorString('#0f172a') : Cesium.Color.WHITE,
+                showBackground: true,
+                backgroundColor: annotation.kind === 'note'
+                    ? color.withAlpha(0.9)
+                    : Cesium.Color.fromCssColorString('#0f172a').withAlpha(0.75),
+                backgroundPadding: new Cesium.Cartesian2(6, 4),
+                verticalOrigin: Cesium.VerticalOrigin.BOTTOM,
+                pixelOffset: new Cesium.Cartesian2(0, -14),
+                distanceDisplayCondition: new Cesium.DistanceDisplayCondition(0, 20000),
+                disableDepthTestDistance: Number.POSITIVE_INFINITY
+            };
+        }
+
+        state.annotations.set(annotation.id, { annotation, entity: state.annotationSource.entities.add(entity) });
+    }
+
+    function removeAnnotationEntity(state, id) {
+        const entry = state.annotations.get(id);
+        if (!entry) return;
+        state.annotationSource.entities.remove(entry.entity);
+        state.annotations.delete(id);
+    }
+
+    function renderAnnotationList(state) {
+        const list = state.root && state.root.querySelector('[data-annotation-list]');
+        if (!list) return;
+        const entries = Array.from(state.annotations.values()).reverse();
+        if (!entries.length) {
+            list.innerHTML = '<div class="atc-map-tools__muted">No annotations</div>';
+            return;
+        }
+        list.innerHTML = entries.map(({ annotation }) => `
+            <div class="atc-map-tools__item" data-annotation-id="${escapeHtml(annotation.id)}">
+                <button type="button" class="atc-map-tools__item-main" data-action="fly-to" title="Show on map">
+                    <span class="atc-map-tools__swatch" style="background: ${escapeHtml(annotation.color)};"></span>
+                    <span>${escapeHtml(annotation.text || TOOLS[annotation.kind]?.label || annotation.kind)}</span>
+                    <span class="atc-map-tools__muted">${escapeHtml(annotation.createdByName || annotation.createdBy)}</span>
+                </button>
+                ${annotation.canDelete ? '<button type="button" class="atc-map-tools__btn" data-action="delete-annotation" title="Delete">×</button>' : ''}
+            </div>
+        `).join('');
+    }
+
+    async function loadAnnotations(state) {
+        if (document.hidden) return;
+        let data;
+        try {
+            data = await API.getMapAnnotations();
+        } catch (error) {
+            console.warn('[MapTools] Annotation fetch failed:', error);
+            return;
+        }
+        const list = Array.isArray(data?.annotations) ? data.annotations : [];
+        const currentIds = new Set(list.map(annotation => annotation.id));
+        for (const id of Array.from(state.annotations.keys())) {
+            if (!currentIds.has(id)) removeAnnotationEntity(state, id);
+        }
+        list.forEach(annotation => addAnnotationEntity(state, annotation));
+
+        if (state.canCreate !== !!data?.canCreate) {
+            state.canCreate = !!data?.canCreate;
+            state.root.querySelectorAll('[data-annotate]').forEach((el) => {
+                el.style.display = state.canCreate ? '' : 'none';
+            });
+        }
+        renderAnnotationList(state);
+    }
+
+    // ---------------- Widget ----------------
+
+    function toolButtons(tools) {
+        return tools.map(tool => `
+            <button type="button" class="atc-map-tools__chip" data-tool="${tool}" title="${escapeHtml(TOOLS[tool].title)}">${TOOLS[tool].label}</button>
+        `).join('');
+    }
+
+    /**
+     * Adds the tools panel to a viewer.
+     * @param {Cesium.Viewer} viewer
+     * @param {{ annotations?: boolean }} [options] annotations: show and edit the shared annotations
+     */
+    function attach(viewer, options = {}) {
+        if (!viewer || !viewer.container || !window.GeofenceShapes) return null;
+
+        const container = viewer.container;
+        const existing = container.querySelector('[data-atc-map-tools="1"]');
+        if (existing) return existing;
+
+        const state = getState(viewer, options);
+        const root = document.createElement('div');
+        root.className = 'atc-map-tools';
+        root.dataset.atcMapTools = '1';
+        root.innerHTML = `
+            <div class="atc-map-tools__panel atc-map-tools__panel--collapsed" role="group" aria-label="Map tools">
+                <div class="atc-map-tools__header">
+                    <div class="atc-map-tools__title">Tools</div>
+                    <button type="button" class="atc-map-tools__toggle" data-action="toggle" aria-expanded="false" title="Expand tools">+</button>
+                </div>
+
+                <div class="atc-map-tools__body" style="display: none;">
+                    <div class="atc-map-tools__row" role="group" aria-label="Measure">${toolButtons(MEASURE_TOOLS)}</div>
+                    ${state.annotationsEnabled ? `
+                        <div class="atc-map-tools__row" role="group" aria-label="Annotate" data-annotate style="display: none;">${toolButtons(ANNOTATION_TOOLS)}</div>
+                        <input type="text" class="atc-map-tools__input" data-annotation-text data-annotate style="display: none;"
+                            maxlength="280" placeholder="Label or note text" aria-label="Annotation text">
+                    ` : ''}
+                    <div class="atc-map-tools__readout" data-readout aria-live="polite"></div>
+                    <div class="atc-map-tools__row">
+                        <button type="button" class="atc-map-tools__chip" data-action="finish" title="Finish the shape (Enter)">Finish</button>
+                        <button type="button" class="atc-map-tools__chip" data-action="clear" title="Clear the measurement (Esc)">Clear</button>
+                        <span class="atc-map-tools__muted" data-status></span>
+                    </div>
+                    ${state.annotationsEnabled ? `
+                        <div class="atc-map-tools__title">Annotations</div>
+                        <div class="atc-map-tools__list" data-annotation-list></div>
+                    ` : ''}
+                </div>
+            </div>
+        `;
+        container.appendChild(root);
+        state.root = root;
+        renderReadout(state, null);
+
+        viewer.dataSources.add(state.measureSource);
+        viewer.dataSources.add(state.annotationSource);
+        bindInput(state);
+
+        root.addEventListener('click', (event) => {
+            const target = event.target && event.target.closest ? event.target.closest('button') : null;
+            if (!target) return;
+
+            if (target.dataset.tool) {
+                setTool(state, target.dataset.tool);
+                return;
+            }
+
+            const item = target.closest('[data-annotation-id]');
+            switch (target.getAttribute('data-action')) {
+                case 'toggle': {
+                    const panel = root.querySelector('.atc-map-tools__panel');
+                    const body = root.querySelector('.atc-map-tools__body');
+                    const collapsed = panel.classList.toggle('atc-map-tools__panel--collapsed');
+                    body.style.display = collapsed ? 'none' : '';
+                    target.textContent = collapsed ? '+' : '—';
+                    target.setAttribute('aria-expanded', String(!collapsed));
+                    target.title = collapsed ? 'Expand tools' : 'Collapse tools';
+                    if (collapsed && state.tool) setTool(state, null);
+                    break;
+                }
+                case 'finish':
+                    finish(state);
+                    break;
+                case 'clear':
+                    clearMeasurement(state);
+                    break;
+                case 'fly-to': {
+                    const entry = item && state.annotations.get(item.dataset.annotationId);
+                    if (entry) viewer.flyTo(entry.entity, { duration: 1.2 });
+                    break;
+                }
+                case 'delete-annotation':
+                    if (item && confirm('Delete this annotation for everyone?')) {
+                        deleteAnnotation(state, item.dataset.annotationId);
+                    }
+                    break;
+                default:
+                    break;
+            }
+        });
+
+        if (state.annotationsEnabled) {
+            loadAnnotations(state);
+            state.pollTimer = setInterval(() => loadAnnotations(state), ANNOTATION_POLL_MS);
+        }
+        return root;
+    }
+
+    /** Shows or hides the shared annotations (used by the live map's layer panel). */
+    function setAnnotationsVisible(viewer, visible) {
+        const state = STATE.get(viewer);
+        if (state) state.annotationSource.show = visible;
+    }
+
+    window.ATCMapTools = Object.assign(window.ATCMapTools || {}, { attach, setAnnotationsVisible });
+})();
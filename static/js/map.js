@@ -27,14 +27,24 @@
         GOOGLE_3D_TILES_ASSET_ID: Number(CesiumConfig.google3dTilesAssetId) || 0,
         DEFAULT_VIEW: { lat: 33.6846, lon: -117.8265, height: 2000 },
         MAX_TRAIL_POINTS: 60,
-        HEADING_ARROW_LENGTH_M: 100,
+        LOOKAHEAD: {
+            DEFAULT_S: 60,
+            STEP_S: 5,
+            MIN_SPEED_MPS: 0.5,
+            ROUTE_CAPTURE_M: 100,      // Follow the flight plan when this close to its route
+            CONE_BASE_M: 10,
+            CONE_GROWTH_MPS: 0.5,      // Along-track / position drift per second
+            HEADING_SIGMA_DEG: 8,      // Heading uncertainty for dead-reckoned tracks
+            VERTICAL_SEPARATION_M: 30,
+            CHECK_INTERVAL_MS: 1000
+        },
         WS_RETRY_MS: 5000,
-        SHOW_EXTERNAL_TRAFFIC: true,
         REFRESH_INTERVALS: {
             drones: 2000,
             conflicts: 4000,
             flightPlans: 10000,
             geofences: 15000,
+            geofenceSchedules: 60000,
             health: 10000,
             conformance: 12000,
             daa: 6000
@@ -83,11 +93,13 @@
     const droneTrails = new Map();    // droneId -> [Cartesian3]
     const trailEntities = new Map();  // droneId -> Cesium.Entity (trail polyline)
     const droneData = new Map();      // droneId -> {lat, lon, alt, speed, heading}
-    const headingArrows = new Map();  // droneId -> arrow entity
+    const droneProjections = new Map();   // droneId -> { samples, followsPlan, positions, hierarchy }
+    const projectionEntities = new Map(); // droneId -> { path, cone }
     let visibleDroneIds = new Set();
     const conformanceStatuses = new Map(); // droneId -> status payload
     const daaAdvisories = new Map(); // advisoryId -> advisory
     const daaByDrone = new Map(); // droneId -> primary advisory
+    const daaEntities = new Map(); // droneId -> advisory highlight ring
 
     // Conflicts
     const conflictEntities = new Map();  // conflictId -> entity
@@ -95,11 +107,20 @@
 
     // Geofences
     const geofenceEntities = new Map();  // geofenceId -> entity
+    const geofenceStates = new Map();    // geofenceId -> { type, active, name, polygon, lower, upper }
 
     // Flight plans
     const flightPlans = new Map();       // droneId -> plan
     let selectedRouteEntity = null;
 
+    // Base map
+    let buildingsTileset = null;
+
+    // GOTO waypoint picking
+    let gotoPickHandler = null;
+    let gotoPickDroneId = null;
+    let gotoTargetEntity = null;
+
     // Camera
     let cameraMode = 'free';  // free, orbit, cockpit
     let trackedDroneId = null;
@@ -112,6 +133,24 @@
     // Time of day
     let currentTOD = 'realtime';
 
+    // Look-ahead projections (0 turns them off)
+    let lookaheadSeconds = CONFIG.LOOKAHEAD.DEFAULT_S;
+    let projectionWarnings = [];        // [{ key, type, droneId, otherId?, geofenceName?, inSeconds }]
+    const projectionWarningLevels = new Map(); // droneId -> 'traffic' | 'geofence'
+    let projectionCheckTimer = null;
+
+    // Replay (recorded telemetry drives the Cesium clock while live updates are suspended)
+    const REPLAY_GAP_MS = 30000;      // Tracks with longer gaps are hidden in between
+    const REPLAY_LIST_REFRESH_MS = 500;
+    const REPLAY_TRAIL_SECONDS = 60;
+    let replayActive = false;
+    let replayDataSource = null;
+    let replayTracks = new Map();     // droneId -> { samples, position }
+    let replayConflicts = [];
+    let replayAdvisories = [];
+    let replayTickRemover = null;
+    let replayLastListRender = 0;
+
     // Orbit camera state
     let orbitHeading = 0;
     let orbitPitch = Cesium.Math.toRadians(-35);
@@ -181,6 +220,7 @@
                 });
                 tileset.showOutline = false;
                 viewer.scene.primitives.add(tileset);
+                buildingsTileset = tileset;
                 console.log('[Map] Google Photorealistic 3D Tiles loaded');
             } catch (error) {
                 console.error('[Map] Failed to load 3D Tiles:', error);
@@ -223,13 +263,23 @@
         if (window.ATCCameraControls && typeof window.ATCCameraControls.attach === 'function') {
             window.ATCCameraControls.attach(viewer);
         }
+        if (window.ATCMapTools && typeof window.ATCMapTools.attach === 'function') {
+            window.ATCMapTools.attach(viewer, { annotations: true });
+        }
 
         // Set up event handlers
         setupEventHandlers();
 
+        // Layer settings decide what the first fetches draw, so load them first.
+        if (window.MapLayers) {
+            await MapLayers.load(document.getElementById('layerPanel'));
+            MapLayers.subscribe(applyLayerSettings);
+            applyLayerSettings();
+        }
+
         // Start polling loops
         document.addEventListener('visibilitychange', () => {
-            if (!viewer) return;
+            if (!viewer || replayActive) return;
             if (document.hidden) {
                 stopPollingLoops();
             } else {
@@ -246,6 +296,9 @@
         if (trackId) {
             trackedDroneId = trackId;
             selectedDroneId = trackId;
+            if (params.get('goto') === '1') {
+                startGotoPickWhenVisible(trackId);
+            }
         }
 
         console.log('[Map] Viewer ready');
@@ -260,11 +313,12 @@
                 selectedRouteEntity = null;
             }
 
-            // If the user clicks a helper entity (trail/arrow), redirect selection to the drone.
+            // If the user clicks a helper entity (trail/projection/DAA ring), redirect selection to the drone.
             if (entity && typeof entity.id === 'string') {
                 const rawId = entity.id;
-                if (rawId.startsWith('trail-') || rawId.startsWith('arrow-')) {
-                    const droneId = rawId.slice(6);
+                const helperPrefix = ['trail-', 'projection-', 'cone-', 'daa-'].find(prefix => rawId.startsWith(prefix));
+                if (helperPrefix) {
+                    const droneId = rawId.slice(helperPrefix.length);
                     const droneEntity = droneEntities.get(droneId);
                     if (droneEntity && droneEntity !== entity) {
                         viewer.selectedEntity = droneEntity;
@@ -282,13 +336,11 @@
                 );
 
                 selectedRouteEntity = viewer.entities.add({
+                    show: isLayerVisible('plannedRoutes'),
                     polyline: {
                         positions: positions,
                         width: 2,
-                        material: new Cesium.PolylineDashMaterialProperty({
-                            color: Cesium.Color.fromCssColorString('#10b981'),
-                            dashLength: 16.0
-                        })
+                        material: buildRouteMaterial()
                     }
                 });
             }
@@ -486,6 +538,8 @@
         // Geofences
         fetchGeofences();
         setPollingInterval('geofences', fetchGeofences, CONFIG.REFRESH_INTERVALS.geofences);
+        fetchGeofenceSchedules();
+        setPollingInterval('geofenceSchedules', fetchGeofenceSchedules, CONFIG.REFRESH_INTERVALS.geofenceSchedules);
 
         // Conformance
         fetchConformance();
@@ -560,15 +614,12 @@
         };
 
         realtimeSocket.onmessage = (event) => {
-            if (!event?.data) return;
+            if (!event?.data || replayActive) return;
             try {
                 const payload = JSON.parse(event.data);
+                // The server only forwards drones this user may see.
                 if (!payload?.drone_id) return;
-                const ownerId = getOwnerFilterId();
-                if (ownerId) {
-                    if (!payload.owner_id) return;
-                    if (payload.owner_id !== ownerId) return;
-                }
+                if (isExternalSource(payload.traffic_source) && !isLayerVisible('ridTraffic')) return;
                 updateDronePosition(
                     payload.drone_id,
                     payload.lon,
@@ -577,7 +628,8 @@
                     payload.heading_deg,
                     payload.speed_mps,
                     payload.status,
-                    payload.traffic_source || 'local'
+                    payload.traffic_source || 'local',
+                    payload.velocity_z
                 );
             } catch (error) {
                 console.warn('[Map] Realtime message parse failed:', error);
@@ -685,9 +737,7 @@
     }
 
     function getOwnerFilterId() {
-        const user = window.APP_USER;
-        if (!user || user.role === 'authority') return null;
-        return user.id || null;
+        return window.ATCUtils?.getOwnerContext()?.id || null;
     }
 
     function isExternalSource(source) {
@@ -702,10 +752,175 @@
         return isExternalSource(source) ? Cesium.Color.SKYBLUE : Cesium.Color.YELLOW;
     }
 
-    function getTrafficArrowColor(source) {
+    function getTrafficProjectionColor(source) {
         return isExternalSource(source) ? Cesium.Color.SKYBLUE : Cesium.Color.CYAN;
     }
 
+    // ========================================================================
+    // Map Layers
+    // ========================================================================
+
+    const GEOFENCE_LAYER_TYPES = new Set(['no_fly_zone', 'restricted_area', 'temporary_restriction']);
+
+    function isLayerVisible(layerId) {
+        return !window.MapLayers || MapLayers.isVisible(layerId);
+    }
+
+    function getLayerOpacity(layerId) {
+        return window.MapLayers ? MapLayers.getOpacity(layerId) : 1;
+    }
+
+    function getTrackLayerId(droneId) {
+        return droneData.get(droneId)?.external ? 'ridTraffic' : 'drones';
+    }
+
+    function getGeofenceLayerId(type) {
+        return `geofences.${GEOFENCE_LAYER_TYPES.has(type) ? type : 'advisory'}`;
+    }
+
+    function getGeofenceStyle(type) {
+        switch (type) {
+            case 'no_fly_zone':
+                return { color: Cesium.Color.RED, fillAlpha: 0.3 };
+            case 'restricted_area':
+                return { color: Cesium.Color.ORANGE, fillAlpha: 0.25 };
+            case 'temporary_restriction':
+                return { color: Cesium.Color.YELLOW, fillAlpha: 0.2 };
+            default:
+                return { color: Cesium.Color.BLUE, fillAlpha: 0.15 };
+        }
+    }
+
+    function buildTrailMaterial(source) {
+        return new Cesium.PolylineGlowMaterialProperty({
+            glowPower: 0.2,
+            color: getTrafficTrailColor(source).withAlpha(getLayerOpacity('trails'))
+        });
+    }
+
+    // Projections turn orange when they run into a geofence and red when they cross another track.
+    function getProjectionColor(droneId, source) {
+        const level = projectionWarningLevels.get(droneId);
+        if (level === 'traffic') return Cesium.Color.RED;
+        if (level === 'geofence') return Cesium.Color.ORANGE;
+        return getTrafficProjectionColor(source);
+    }
+
+    function buildProjectionMaterial(droneId, source) {
+        return new Cesium.PolylineArrowMaterialProperty(
+            getProjectionColor(droneId, source).withAlpha(getLayerOpacity('projections'))
+        );
+    }
+
+    function buildConeMaterial(droneId, source) {
+        return getProjectionColor(droneId, source).withAlpha(0.15 * getLayerOpacity('projections'));
+    }
+
+    function buildConflictMaterial(severity) {
+        return new Cesium.PolylineGlowMaterialProperty({
+            glowPower: 0.3,
+            color: getConflictColor(severity).withAlpha(getLayerOpacity('conflicts'))
+        });
+    }
+
+    function buildRouteMaterial() {
+        return new Cesium.PolylineDashMaterialProperty({
+            color: Cesium.Color.fromCssColorString('#10b981').withAlpha(getLayerOpacity('plannedRoutes')),
+            dashLength: 16.0
+        });
+    }
+
+    // A drone's trail, projection and DAA ring are hidden along with the drone itself.
+    function applyTrackLayers(droneId) {
+        const layerId = getTrackLayerId(droneId);
+        const trackVisible = isLayerVisible(layerId);
+        const opacity = getLayerOpacity(layerId);
+        const source = droneData.get(droneId)?.source || 'local';
+
+        const entity = droneEntities.get(droneId);
+        if (entity) {
+            entity.show = trackVisible;
+            entity.model.color = Cesium.Color.WHITE.withAlpha(opacity);
+            entity.label.fillColor = Cesium.Color.WHITE.withAlpha(opacity);
+            entity.label.backgroundColor = Cesium.Color.fromCssColorString('#0f172a').withAlpha(0.7 * opacity);
+        }
+
+        const trail = trailEntities.get(droneId);
+        if (trail) {
+            trail.show = trackVisible && isLayerVisible('trails');
+            trail.polyline.material = buildTrailMaterial(source);
+        }
+
+        applyProjectionLayer(droneId);
+
+        const daaRing = daaEntities.get(droneId);
+        if (daaRing) daaRing.show = trackVisible && isLayerVisible('daa');
+    }
+
+    function applyGeofenceLayer(geofenceId) {
+        const entity = geofenceEntities.get(geofenceId);
+        const state = geofenceStates.get(geofenceId);
+        if (!entity || !state) return;
+        const layerId = getGeofenceLayerId(state.type);
+        const opacity = getLayerOpacity(layerId);
+        const { color, fillAlpha } = getGeofenceStyle(state.type);
+        entity.show = state.active && isLayerVisible(layerId);
+        entity.polygon.material = color.withAlpha(fillAlpha * opacity);
+        entity.polygon.outlineColor = color.withAlpha(opacity);
+    }
+
+    /**
+     * Restyles everything on the map from the current layer settings.
+     * Called by MapLayers on every change (`layerId` is null after a load or reset).
+     */
+    function applyLayerSettings(layerId) {
+        if (!viewer) return;
+
+        // Remote ID traffic is only requested while its layer is on.
+        if ((layerId === null || layerId === 'ridTraffic') && !replayActive) {
+            fetchDrones();
+        }
+
+        if (buildingsTileset) {
+            buildingsTileset.show = isLayerVisible('buildings');
+        }
+        for (let i = 0; i < viewer.imageryLayers.length; i += 1) {
+            const imageryLayer = viewer.imageryLayers.get(i);
+            imageryLayer.show = isLayerVisible('imagery');
+            imageryLayer.alpha = getLayerOpacity('imagery');
+        }
+        for (const geofenceId of geofenceEntities.keys()) {
+            applyGeofenceLayer(geofenceId);
+        }
+        if (window.ATCMapTools) {
+            ATCMapTools.setAnnotationsVisible(viewer, isLayerVisible('annotations'));
+        }
+
+        // Live entities stay hidden during replay; resumeLive() calls back in.
+        if (replayActive) return;
+
+        for (const droneId of droneEntities.keys()) {
+            applyTrackLayers(droneId);
+        }
+        for (const [conflictId, entity] of conflictEntities) {
+            entity.show = isLayerVisible('conflicts');
+            entity.polyline.material = buildConflictMaterial(conflictSeverityCache.get(conflictId));
+        }
+        if (selectedRouteEntity) {
+            selectedRouteEntity.show = isLayerVisible('plannedRoutes');
+            selectedRouteEntity.polyline.material = buildRouteMaterial();
+        }
+        renderDaaHighlights();
+    }
+
+    function toggleLayerPanel() {
+        const panel = document.getElementById('layerPanel');
+        if (!panel) return;
+        const open = panel.style.display === 'none';
+        panel.style.display = open ? '' : 'none';
+        document.getElementById('layers-toggle-btn')?.classList.toggle('active', open);
+    }
+
     // ========================================================================
     // Drone Visualization
     // ========================================================================
@@ -717,7 +932,7 @@
             if (ownerId) {
                 params.set('owner_id', ownerId);
             }
-            if (CONFIG.SHOW_EXTERNAL_TRAFFIC) {
+            if (isLayerVisible('ridTraffic')) {
                 params.set('include_external', 'true');
             }
             const endpoint = `/v1/traffic${params.toString() ? `?${params.toString()}` : ''}`;
@@ -752,7 +967,8 @@
                     drone.heading_deg,
                     drone.speed_mps,
                     drone.status,
-                    drone.traffic_source
+                    drone.traffic_source,
+                    drone.velocity_z
                 );
             });
 
@@ -768,10 +984,11 @@
                     }
                     droneData.delete(id);
 
-                    // Remove heading arrow
-                    if (headingArrows.has(id)) {
-                        viewer.entities.remove(headingArrows.get(id));
-                        headingArrows.delete(id);
+                    removeProjection(id);
+
+                    if (daaEntities.has(id)) {
+                        viewer.entities.remove(daaEntities.get(id));
+                        daaEntities.delete(id);
                     }
                 }
             }
@@ -828,6 +1045,7 @@
 
             const advisories = await response.json();
             updateDaaState(advisories);
+            renderDaaHighlights();
             updateDaaList(advisories);
             updateSelectedDaaFields();
         } catch (e) {
@@ -835,7 +1053,8 @@
         }
     }
 
-    function updateDronePosition(droneId, lon, lat, altMeters, heading, speed, status, trafficSource) {
+    function updateDronePosition(droneId, lon, lat, altMeters, heading, speed, status, trafficSource, verticalRate) {
+        if (replayActive) return;
         try {
             const validLon = Number(lon) || 0;
             const validLat = Number(lat) || 0;
@@ -845,6 +1064,7 @@
             const external = isExternalSource(source);
             const previousSource = droneData.get(droneId)?.source;
             const trafficStyleChanged = previousSource !== source;
+            const isNewTrack = !droneEntities.has(droneId);
 
             if (validLon === 0 && validLat === 0) return;
 
@@ -873,9 +1093,8 @@
             `;
 
             const silhouetteColor = getTrafficSilhouetteColor(source);
-            const trailColor = getTrafficTrailColor(source);
 
-            if (!droneEntities.has(droneId)) {
+            if (isNewTrack) {
                 // Create new drone entity with 3D model
                 const headingRad = Cesium.Math.toRadians(heading || 0);
                 const hpr = new Cesium.HeadingPitchRoll(headingRad, 0, 0);
@@ -937,54 +1156,33 @@
                     polyline: {
                         positions: new Cesium.CallbackProperty(() => droneTrails.get(droneId), false),
                         width: 3,
-                        material: new Cesium.PolylineGlowMaterialProperty({
-                            glowPower: 0.2,
-                            color: trailColor
-                        })
+                        material: buildTrailMaterial(source)
                     }
                 });
                 trailEntities.set(droneId, trailEntity);
-            } else {
-                const trailEntity = trailEntities.get(droneId);
-                if (trafficStyleChanged && trailEntity && trailEntity.polyline) {
-                    trailEntity.polyline.material = new Cesium.PolylineGlowMaterialProperty({
-                        glowPower: 0.2,
-                        color: trailColor
-                    });
-                }
             }
 
             // Store data
-            droneData.set(droneId, { lat: validLat, lon: validLon, alt: validAlt, speed, heading, status: statusValue, source, external });
-
-            // Update heading arrow
-            const headingRad = Cesium.Math.toRadians(heading || 0);
-            const arrowEndGeo = offsetByBearing(
-                validLat,
-                validLon,
-                CONFIG.HEADING_ARROW_LENGTH_M,
-                headingRad
-            );
-            const arrowEnd = Cesium.Cartesian3.fromDegrees(
-                arrowEndGeo.lon,
-                arrowEndGeo.lat,
-                validAlt
-            );
+            droneData.set(droneId, {
+                lat: validLat,
+                lon: validLon,
+                alt: validAlt,
+                speed,
+                heading,
+                verticalRate: Number(verticalRate) || 0,
+                status: statusValue,
+                source,
+                external
+            });
 
-            if (!headingArrows.has(droneId)) {
-                const arrowColor = getTrafficArrowColor(source);
-                const arrow = viewer.entities.add({
-                    id: `arrow-${droneId}`,
-                    polyline: {
-                        positions: [position, arrowEnd],
-                        width: 6,
-                        material: new Cesium.PolylineArrowMaterialProperty(arrowColor)
-                    }
-                });
-                headingArrows.set(droneId, arrow);
-            } else {
-                const arrow = headingArrows.get(droneId);
-                arrow.polyline.positions = [position, arrowEnd];
+            updateProjection(droneId);
+
+            const daaRing = daaEntities.get(droneId);
+            if (daaRing) daaRing.position = position;
+
+            // New tracks and tracks that switch source pick up their layer's style.
+            if (isNewTrack || trafficStyleChanged) {
+                applyTrackLayers(droneId);
             }
 
             // Update selected drone panel if this is the selected drone
@@ -997,6 +1195,401 @@
         }
     }
 
+    // ========================================================================
+    // Look-ahead Projections
+    // ========================================================================
+
+    const EARTH_RADIUS_M = 6371000;
+    const FOLLOWED_PLAN_STATUSES = new Set(['approved', 'active']);
+    const LOOKAHEAD_RENOTIFY_MS = 60000;
+    const lookaheadNotifiedAt = new Map(); // warning key -> last browser notification (ms)
+
+    // Flat-earth offsets in metres from `origin`; accurate enough over a few kilometres.
+    function toLocalMeters(origin, lat, lon) {
+        return {
+            x: Cesium.Math.toRadians(lon - origin.lon) * EARTH_RADIUS_M * Math.cos(Cesium.Math.toRadians(origin.lat)),
+            y: Cesium.Math.toRadians(lat - origin.lat) * EARTH_RADIUS_M
+        };
+    }
+
+    function fromLocalMeters(origin, x, y) {
+        return {
+            lat: origin.lat + Cesium.Math.toDegrees(y / EARTH_RADIUS_M),
+            lon: origin.lon + Cesium.Math.toDegrees(x / (EARTH_RADIUS_M * Math.cos(Cesium.Math.toRadians(origin.lat))))
+        };
+    }
+
+    // Distance from the local origin to the segment a-b.
+    function distanceToSegment(a, b) {
+        const dx = b.x - a.x;
+        const dy = b.y - a.y;
+        const lengthSq = dx * dx + dy * dy;
+        const u = lengthSq ? clamp(-(a.x * dx + a.y * dy) / lengthSq, 0, 1) : 0;
+        return Math.hypot(a.x + u * dx, a.y + u * dy);
+    }
+
+    function getPairKey(a, b) {
+        return [a, b].sort().join('::');
+    }
+
+    /**
+     * The approved/active plan route from the drone's nearest point onwards, in
+     * metres around the drone. Null when there is no plan or the drone is too
+     * far off it to be following it.
+     */
+    function getRouteAhead(droneId, data) {
+        const plan = flightPlans.get(droneId);
+        if (!plan || !FOLLOWED_PLAN_STATUSES.has(String(plan.status || '').toLowerCase())) return null;
+        const route = getPlanRouteWaypoints(plan).map(wp => ({
+            ...toLocalMeters(data, wp.lat, wp.lon),
+            alt: wp.altitude_m
+        }));
+        if (route.length < 2) return null;
+
+        let nearest = null;
+        for (let i = 0; i < route.length - 1; i += 1) {
+            const distance = distanceToSegment(route[i], route[i + 1]);
+            if (!nearest || distance < nearest.distance) nearest = { index: i, distance };
+        }
+        if (nearest.distance > CONFIG.LOOKAHEAD.ROUTE_CAPTURE_M) return null;
+
+        const a = route[nearest.index];
+        const b = route[nearest.index + 1];
+        const dx = b.x - a.x;
+        const dy = b.y - a.y;
+        const lengthSq = dx * dx + dy * dy;
+        const u = lengthSq ? clamp(-(a.x * dx + a.y * dy) / lengthSq, 0, 1) : 0;
+        const start = { x: a.x + u * dx, y: a.y + u * dy, alt: a.alt + u * (b.alt - a.alt) };
+        return [start, ...route.slice(nearest.index + 1)];
+    }
+
+    // Walks `distanceM` along the route; drones hold at the final waypoint.
+    function pointAlongRoute(route, distanceM) {
+        let remaining = distanceM;
+        for (let i = 0; i < route.length - 1; i += 1) {
+            const a = route[i];
+            const b = route[i + 1];
+            const length = Math.hypot(b.x - a.x, b.y - a.y);
+            if (remaining <= length || i === route.length - 2) {
+                const u = length ? Math.min(1, remaining / length) : 1;
+                return {
+                    x: a.x + u * (b.x - a.x),
+                    y: a.y + u * (b.y - a.y),
+                    alt: a.alt + u * (b.alt - a.alt),
+                    bearing: Math.atan2(b.x - a.x, b.y - a.y)
+                };
+            }
+            remaining -= length;
+        }
+        return null;
+    }
+
+    /**
+     * Samples where the drone is expected to be every STEP_S seconds up to the
+     * look-ahead horizon, with the cone radius at each sample. Drones on a plan
+     * follow its route; everything else is dead-reckoned from speed, heading
+     * and vertical rate, with a wider cone for the heading uncertainty.
+     */
+    function computeProjection(droneId) {
+        const data = droneData.get(droneId);
+        const speed = Number(data?.speed) || 0;
+        if (!data || lookaheadSeconds <= 0 || speed < CONFIG.LOOKAHEAD.MIN_SPEED_MPS) return null;
+
+        const { STEP_S, CONE_BASE_M, CONE_GROWTH_MPS, HEADING_SIGMA_DEG } = CONFIG.LOOKAHEAD;
+        const route = getRouteAhead(droneId, data);
+        const headingRad = Cesium.Math.toRadians(Number(data.heading) || 0);
+        const lateralGrowth = route ? 0 : speed * Math.sin(Cesium.Math.toRadians(HEADING_SIGMA_DEG));
+
+        const samples = [];
+        for (let t = 0; t <= lookaheadSeconds; t += STEP_S) {
+            const radius = CONE_BASE_M + t * (CONE_GROWTH_MPS + lateralGrowth);
+            if (t === 0) {
+                samples.push({ t, lat: data.lat, lon: data.lon, alt: data.alt, bearing: headingRad, radius });
+            } else if (route) {
+                const point = pointAlongRoute(route, speed * t);
+                samples.push({ t, ...fromLocalMeters(data, point.x, point.y), alt: point.alt, bearing: point.bearing, radius });
+            } else {
+                samples.push({
+                    t,
+                    ...offsetByBearing(data.lat, data.lon, speed * t, headingRad),
+                    alt: Math.max(0, data.alt + data.verticalRate * t),
+                    bearing: headingRad,
+                    radius
+                });
+            }
+        }
+
+        const left = [];
+        const right = [];
+        samples.forEach((sample) => {
+            const l = offsetByBearing(sample.lat, sample.lon, sample.radius, sample.bearing - Math.PI / 2);
+            const r = offsetByBearing(sample.lat, sample.lon, sample.radius, sample.bearing + Math.PI / 2);
+            left.push(Cesium.Cartesian3.fromDegrees(l.lon, l.lat, sample.alt));
+            right.push(Cesium.Cartesian3.fromDegrees(r.lon, r.lat, sample.alt));
+        });
+
+        return {
+            samples,
+            followsPlan: !!route,
+            positions: samples.map(sample => Cesium.Cartesian3.fromDegrees(sample.lon, sample.lat, sample.alt)),
+            hierarchy: new Cesium.PolygonHierarchy([...left, ...right.reverse()])
+        };
+    }
+
+    function applyProjectionLayer(droneId) {
+        const entities = projectionEntities.get(droneId);
+        if (!entities) return;
+        const source = droneData.get(droneId)?.source || 'local';
+        const show = isLayerVisible(getTrackLayerId(droneId)) && isLayerVisible('projections') && droneProjections.has(droneId);
+        entities.path.show = show;
+        entities.cone.show = show;
+        entities.path.polyline.material = buildProjectionMaterial(droneId, source);
+        entities.cone.polygon.material = buildConeMaterial(droneId, source);
+    }
+
+    function updateProjection(droneId) {
+        const wasProjected = droneProjections.has(droneId);
+        const projection = computeProjection(droneId);
+        if (projection) {
+            droneProjections.set(droneId, projection);
+        } else {
+            droneProjections.delete(droneId);
+        }
+
+        let entities = projectionEntities.get(droneId);
+        if (!entities && projection) {
+            // Slow or stopped drones keep their last shape, hidden, so the callbacks always have one.
+            entities = { shape: projection };
+            entities.path = viewer.entities.add({
+                id: `projection-${droneId}`,
+                polyline: {
+                    positions: new Cesium.CallbackProperty(() => entities.shape.positions, false),
+                    width: 6
+                }
+            });
+            entities.cone = viewer.entities.add({
+                id: `cone-${droneId}`,
+                polygon: {
+                    hierarchy: new Cesium.CallbackProperty(() => entities.shape.hierarchy, false),
+                    perPositionHeight: true
+                }
+            });
+            projectionEntities.set(droneId, entities);
+            applyProjectionLayer(droneId);
+        } else if (entities) {
+            if (projection) entities.shape = projection;
+            if (wasProjected !== !!projection) applyProjectionLayer(droneId);
+        }
+
+        scheduleProjectionCheck();
+    }
+
+    function removeProjection(droneId) {
+        const entities = projectionEntities.get(droneId);
+        if (entities) {
+            viewer.entities.remove(entities.path);
+            viewer.entities.remove(entities.cone);
+            projectionEntities.delete(droneId);
+        }
+        droneProjections.delete(droneId);
+        projectionWarningLevels.delete(droneId);
+        scheduleProjectionCheck();
+    }
+
+    function setLookahead(seconds) {
+        lookaheadSeconds = Math.max(0, Number(seconds) || 0);
+        document.querySelectorAll('[data-lookahead]').forEach((btn) => {
+            btn.classList.toggle('active', Number(btn.dataset.lookahead) === lookaheadSeconds);
+        });
+        if (replayActive) return;
+        for (const droneId of droneEntities.keys()) {
+            updateProjection(droneId);
+        }
+        updateProjectionWarningList();
+    }
+
+    // Horizontal containment (or within `marginM` of the boundary) inside the geofence's altitude band.
+    function isNearGeofence(geofence, point, marginM) {
+        if (Number.isFinite(geofence.lower) && point.alt < geofence.lower) return false;
+        if (Number.isFinite(geofence.upper) && point.alt > geofence.upper) return false;
+        const vertices = geofence.polygon.map(([lat, lon]) => toLocalMeters(point, lat, lon));
+        let inside = false;
+        for (let i = 0, j = vertices.length - 1; i < vertices.length; j = i, i += 1) {
+            const a = vertices[i];
+            const b = vertices[j];
+            if ((a.y > 0) !== (b.y > 0) && a.x - a.y * (b.x - a.x) / (b.y - a.y) > 0) {
+                inside = !inside;
+            }
+            if (marginM > 0 && distanceToSegment(a, b) <= marginM) return true;
+        }
+        return inside;
+    }
+
+    // Earliest look-ahead entry into an active restriction the drone is not already inside.
+    function findGeofenceEntry(projection) {
+        const [current, ...ahead] = projection.samples;
+        let entry = null;
+        for (const [geofenceId, geofence] of geofenceStates) {
+            if (!geofence.active || !GEOFENCE_LAYER_TYPES.has(geofence.type) || !Array.isArray(geofence.polygon)) continue;
+            // Breaches already underway are reported by conformance.
+            if (isNearGeofence(geofence, current, 0)) continue;
+            const hit = ahead.find(sample =>
+                (!entry || sample.t < entry.t) && isNearGeofence(geofence, sample, sample.radius)
+            );
+            if (hit) entry = { geofenceId, name: geofence.name || geofenceId, t: hit.t };
+        }
+        return entry;
+    }
+
+    // First time at which two cones overlap while the drones are within the vertical separation.
+    function findProjectionCrossing(a, b) {
+        const count = Math.min(a.samples.length, b.samples.length);
+        for (let i = 1; i < count; i += 1) {
+            const sa = a.samples[i];
+            const sb = b.samples[i];
+            if (Math.abs(sa.alt - sb.alt) >= CONFIG.LOOKAHEAD.VERTICAL_SEPARATION_M) continue;
+            const offset = toLocalMeters(sa, sb.lat, sb.lon);
+            if (Math.hypot(offset.x, offset.y) < sa.radius + sb.radius) return sa.t;
+        }
+        return null;
+    }
+
+    function scheduleProjectionCheck() {
+        if (projectionCheckTimer || replayActive) return;
+        projectionCheckTimer = setTimeout(checkProjections, CONFIG.LOOKAHEAD.CHECK_INTERVAL_MS);
+    }
+
+    function checkProjections() {
+        projectionCheckTimer = null;
+        if (replayActive) return;
+
+        const warnings = [];
+        for (const [droneId, projection] of droneProjections) {
+            const entry = findGeofenceEntry(projection);
+            if (entry) {
+                warnings.push({
+                    key: `geofence:${droneId}:${entry.geofenceId}`,
+                    type: 'geofence',
+                    droneId,
+                    geofenceName: entry.name,
+                    inSeconds: entry.t
+                });
+            }
+        }
+
+        // Pairs the server already reports as conflicts stay in the Conflicts list.
+        const conflictPairs = new Set(activeConflicts.map(c => getPairKey(c.drone1_id, c.drone2_id)));
+        const ids = Array.from(droneProjections.keys());
+        for (let i = 0; i < ids.length; i += 1) {
+            for (let j = i + 1; j < ids.length; j += 1) {
+                const pairKey = getPairKey(ids[i], ids[j]);
+                if (conflictPairs.has(pairKey)) continue;
+                const t = findProjectionCrossing(droneProjections.get(ids[i]), droneProjections.get(ids[j]));
+                if (t !== null) {
+                    warnings.push({ key: `traffic:${pairKey}`, type: 'traffic', droneId: ids[i], otherId: ids[j], inSeconds: t });
+                }
+            }
+        }
+
+        warnings.sort((a, b) => a.inSeconds - b.inSeconds);
+        setProjectionWarnings(warnings);
+    }
+
+    function describeProjectionWarning(warning) {
+        return warning.type === 'traffic'
+            ? `${warning.droneId} and ${warning.otherId} may lose separation in ${warning.inSeconds}s`
+            : `${warning.droneId} may enter ${warning.geofenceName} in ${warning.inSeconds}s`;
+    }
+
+    function setProjectionWarnings(warnings) {
+        projectionWarnings = warnings;
+
+        const levels = new Map();
+        warnings.forEach((warning) => {
+            [warning.droneId, warning.otherId].filter(Boolean).forEach((id) => {
+                if (levels.get(id) !== 'traffic') levels.set(id, warning.type);
+            });
+        });
+        const changed = new Set([...projectionWarningLevels.keys(), ...levels.keys()]);
+        changed.forEach((id) => {
+            if (projectionWarningLevels.get(id) === levels.get(id)) return;
+            if (levels.has(id)) {
+                projectionWarningLevels.set(id, levels.get(id));
+            } else {
+                projectionWarningLevels.delete(id);
+            }
+            applyProjectionLayer(id);
+        });
+
+        // Notify once per warning, and again only if it comes back after a quiet minute.
+        const now = Date.now();
+        warnings.forEach((warning) => {
+            const last = lookaheadNotifiedAt.get(warning.key);
+            lookaheadNotifiedAt.set(warning.key, now);
+            if (last && now - last < LOOKAHEAD_RENOTIFY_MS) return;
+            window.ATCAlerts?.raise(
+                warning.type === 'traffic' ? 'conflict' : 'geofence',
+                warning.type === 'traffic' ? 'Predicted conflict' : 'Predicted geofence entry',
+                describeProjectionWarning(warning),
+                `lookahead:${warning.key}`
+            );
+        });
+        for (const [key, at] of lookaheadNotifiedAt) {
+            if (now - at >= LOOKAHEAD_RENOTIFY_MS) lookaheadNotifiedAt.delete(key);
+        }
+
+        updateProjectionWarningList();
+    }
+
+    // Replay hides live entities, so only the state and list are reset here;
+    // resumeLive() restyles the projections.
+    function clearProjectionWarnings() {
+        if (projectionCheckTimer) {
+            clearTimeout(projectionCheckTimer);
+            projectionCheckTimer = null;
+        }
+        projectionWarnings = [];
+        projectionWarningLevels.clear();
+        updateProjectionWarningList();
+    }
+
+    function updateProjectionWarningList() {
+        const container = document.getElementById('projectionWarningsList');
+        if (!container) return;
+
+        if (!projectionWarnings.length) {
+            container.innerHTML = `
+                <div class="empty-state" style="padding: 16px;">
+                    <div class="empty-state-text text-muted">${lookaheadSeconds ? 'Nothing ahead' : 'Look-ahead is off'}</div>
+                </div>
+            `;
+            return;
+        }
+
+        container.innerHTML = projectionWarnings.map((warning) => {
+            const traffic = warning.type === 'traffic';
+            const accent = traffic ? 'var(--accent-red)' : 'var(--accent-yellow)';
+            const background = traffic ? 'rgba(239,68,68,0.1)' : 'rgba(245,158,11,0.1)';
+            return `
+                <div class="list-item" data-drone-id="${escapeHtml(warning.droneId)}"
+                     style="padding: 8px; background: ${background}; border-color: ${accent}; margin-bottom: 4px; cursor: pointer;">
+                    <div class="list-item-content">
+                        <div class="list-item-title ${traffic ? 'text-danger' : 'text-warning'}" style="font-size: 12px;">
+                            ${escapeHtml(traffic ? `${warning.droneId} - ${warning.otherId}` : warning.droneId)}
+                        </div>
+                        <div class="list-item-subtitle">
+                            ${escapeHtml(traffic ? 'Cones cross' : `Enters ${warning.geofenceName}`)} in ${escapeHtml(warning.inSeconds)}s
+                        </div>
+                    </div>
+                </div>
+            `;
+        }).join('');
+
+        container.querySelectorAll('[data-drone-id]').forEach((item) => {
+            item.addEventListener('click', () => selectDrone(item.dataset.droneId));
+        });
+    }
+
     // ========================================================================
     // Conflict Visualization
     // ========================================================================
@@ -1031,6 +1624,7 @@
     const conflictSeverityCache = new Map(); // conflictId -> severity
 
     function renderConflicts(conflicts) {
+        if (replayActive) return;
         // Build set of current conflict IDs for cleanup
         const currentConflictIds = new Set();
         const newConflictingDrones = new Set();
@@ -1053,15 +1647,12 @@
 
             // Determine visual properties based on severity
             const severity = conflict.severity || 'advisory';
-            let lineColor, lineWidth;
+            let lineWidth;
             if (severity === 'critical') {
-                lineColor = Cesium.Color.RED;
                 lineWidth = 4;
             } else if (severity === 'warning') {
-                lineColor = Cesium.Color.ORANGE;
                 lineWidth = 3;
             } else {
-                lineColor = Cesium.Color.YELLOW;
                 lineWidth = 2;
             }
 
@@ -1074,23 +1665,18 @@
                 const cachedSeverity = conflictSeverityCache.get(conflictId);
                 if (cachedSeverity !== severity) {
                     entity.polyline.width = lineWidth;
-                    entity.polyline.material = new Cesium.PolylineGlowMaterialProperty({
-                        glowPower: 0.3,
-                        color: lineColor
-                    });
+                    entity.polyline.material = buildConflictMaterial(severity);
                     conflictSeverityCache.set(conflictId, severity);
                 }
             } else {
                 // CREATE new entity - only when conflict is first detected
                 const entity = viewer.entities.add({
                     id: `conflict-${conflictId}`,
+                    show: isLayerVisible('conflicts'),
                     polyline: {
                         positions: [pos1, pos2],
                         width: lineWidth,
-                        material: new Cesium.PolylineGlowMaterialProperty({
-                            glowPower: 0.3,
-                            color: lineColor
-                        })
+                        material: buildConflictMaterial(severity)
                     }
                 });
                 conflictEntities.set(conflictId, entity);
@@ -1145,6 +1731,20 @@
         }
     }
 
+    async function fetchGeofenceSchedules() {
+        const container = document.getElementById('geofenceTimeline');
+        if (!container || !window.GeofenceTimeline) return;
+        try {
+            GeofenceTimeline.render(container, await GeofenceTimeline.load(24));
+        } catch (e) {
+            container.innerHTML = `
+                <div class="empty-state" style="padding: 16px;">
+                    <div class="empty-state-text text-muted">Schedules unavailable</div>
+                </div>
+            `;
+        }
+    }
+
     function renderGeofences(geofences) {
         // Remove old geofences
         const currentIds = new Set(geofences.map(g => g.id));
@@ -1152,37 +1752,25 @@
             if (!currentIds.has(id)) {
                 viewer.entities.remove(entity);
                 geofenceEntities.delete(id);
+                geofenceStates.delete(id);
             }
         }
 
         for (const geofence of geofences) {
-            if (geofenceEntities.has(geofence.id)) continue;
+            const existing = geofenceEntities.get(geofence.id);
+            if (existing) {
+                // Scheduled geofences are switched on and off server-side.
+                const state = geofenceStates.get(geofence.id);
+                state.active = geofence.active !== false;
+                existing.show = state.active && isLayerVisible(getGeofenceLayerId(state.type));
+                continue;
+            }
 
             // Convert polygon to Cesium positions
             const positions = geofence.polygon.map(([lat, lon]) =>
                 Cesium.Cartesian3.fromDegrees(lon, lat, geofence.upper_altitude_m)
             );
 
-            // Color based on type
-            let fillColor, outlineColor;
-            switch (geofence.geofence_type) {
-                case 'no_fly_zone':
-                    fillColor = Cesium.Color.RED.withAlpha(0.3);
-                    outlineColor = Cesium.Color.RED;
-                    break;
-                case 'restricted_area':
-                    fillColor = Cesium.Color.ORANGE.withAlpha(0.25);
-                    outlineColor = Cesium.Color.ORANGE;
-                    break;
-                case 'temporary_restriction':
-                    fillColor = Cesium.Color.YELLOW.withAlpha(0.2);
-                    outlineColor = Cesium.Color.YELLOW;
-                    break;
-                default:
-                    fillColor = Cesium.Color.BLUE.withAlpha(0.15);
-                    outlineColor = Cesium.Color.BLUE;
-            }
-
             const entity = viewer.entities.add({
                 id: `geofence-${geofence.id}`,
                 name: geofence.name,
@@ -1190,14 +1778,21 @@
                     hierarchy: positions,
                     height: geofence.lower_altitude_m,
                     extrudedHeight: geofence.upper_altitude_m,
-                    material: fillColor,
                     outline: true,
-                    outlineColor: outlineColor,
                     outlineWidth: 2
                 }
             });
 
             geofenceEntities.set(geofence.id, entity);
+            geofenceStates.set(geofence.id, {
+                type: geofence.geofence_type,
+                active: geofence.active !== false,
+                name: geofence.name,
+                polygon: geofence.polygon,
+                lower: Number(geofence.lower_altitude_m),
+                upper: Number(geofence.upper_altitude_m)
+            });
+            applyGeofenceLayer(geofence.id);
             console.log(`[Map] Geofence: ${geofence.name} (${geofence.geofence_type})`);
         }
     }
@@ -1388,6 +1983,41 @@
         }
     }
 
+    // Ring around each drone with an active advisory, coloured by severity.
+    function renderDaaHighlights() {
+        if (replayActive) return;
+        for (const [droneId, entity] of daaEntities) {
+            if (!daaByDrone.has(droneId) || !droneData.has(droneId)) {
+                viewer.entities.remove(entity);
+                daaEntities.delete(droneId);
+            }
+        }
+
+        const opacity = getLayerOpacity('daa');
+        for (const [droneId, advisory] of daaByDrone) {
+            const drone = droneData.get(droneId);
+            if (!drone) continue;
+            const outlineColor = getDaaColor(advisory.severity).withAlpha(opacity);
+            let entity = daaEntities.get(droneId);
+            if (!entity) {
+                entity = viewer.entities.add({
+                    id: `daa-${droneId}`,
+                    position: Cesium.Cartesian3.fromDegrees(drone.lon, drone.lat, drone.alt),
+                    point: {
+                        pixelSize: 26,
+                        color: Cesium.Color.TRANSPARENT,
+                        outlineColor,
+                        outlineWidth: 3
+                    }
+                });
+                daaEntities.set(droneId, entity);
+            } else {
+                entity.point.outlineColor = outlineColor;
+            }
+            entity.show = isLayerVisible(getTrackLayerId(droneId)) && isLayerVisible('daa');
+        }
+    }
+
     function updateDaaList(advisories) {
         const container = document.getElementById('daaList');
         if (!container) return;
@@ -1445,8 +2075,9 @@
         const conformanceEl = document.getElementById('selectedDroneConformance');
         const conformanceCodeEl = document.getElementById('selectedDroneConformanceCode');
         const conformanceNoteEl = document.getElementById('selectedDroneConformanceNote');
-        const holdBtn = document.getElementById('btnHoldDrone');
-        const resumeBtn = document.getElementById('btnResumeDrone');
+        const commandButtons = ['btnHoldDrone', 'btnResumeDrone', 'btnLandDrone', 'btnRthDrone', 'btnSpeedDrone', 'btnGotoDrone']
+            .map(id => document.getElementById(id))
+            .filter(Boolean);
 
         if (nameEl) {
             nameEl.textContent = selectedDroneId
@@ -1475,16 +2106,13 @@
             }
         }
 
-        if (holdBtn) {
-            holdBtn.disabled = isExternal;
-            holdBtn.title = isExternal ? 'External traffic (Remote ID)' : '';
-        }
-        if (resumeBtn) {
-            resumeBtn.disabled = isExternal;
-            resumeBtn.title = isExternal ? 'External traffic (Remote ID)' : '';
-        }
+        commandButtons.forEach((btn) => {
+            btn.disabled = isExternal;
+            btn.title = isExternal ? 'External traffic (Remote ID)' : '';
+        });
 
         updateSelectedDaaFields();
+        renderSelectedCommands();
     }
 
     function updateSelectedDaaFields() {
@@ -1752,6 +2380,8 @@
     function setTimeOfDay(mode) {
         currentTOD = mode;
         console.log('[Map] Time of day:', mode);
+        // The replay owns the clock; the choice is applied when replay exits.
+        if (replayActive) return;
 
         if (mode === 'realtime') {
             viewer.clock.currentTime = Cesium.JulianDate.now();
@@ -1770,6 +2400,452 @@
         }
     }
 
+    // ========================================================================
+    // Replay
+    // ========================================================================
+
+    function toDateTimeLocalValue(date) {
+        const offsetMs = date.getTimezoneOffset() * 60000;
+        return new Date(date.getTime() - offsetMs).toISOString().slice(0, 16);
+    }
+
+    function setReplayStatus(message) {
+        const el = document.getElementById('replayStatus');
+        if (el) el.textContent = message;
+    }
+
+    function setLiveEntitiesVisible(visible) {
+        [droneEntities, trailEntities, conflictEntities, daaEntities].forEach((entities) => {
+            for (const entity of entities.values()) {
+                entity.show = visible;
+            }
+        });
+        for (const projection of projectionEntities.values()) {
+            projection.path.show = visible;
+            projection.cone.show = visible;
+        }
+        if (selectedRouteEntity) selectedRouteEntity.show = visible;
+        // Layers switched off in the panel stay hidden when live view returns.
+        if (visible) applyLayerSettings();
+    }
+
+    function suspendLive() {
+        if (replayActive) return;
+        replayActive = true;
+        cancelGotoPick();
+        stopPollingLoops();
+        viewer.selectedEntity = undefined;
+        viewer.trackedEntity = undefined;
+        showSelectedDronePanel(false);
+        setLiveEntitiesVisible(false);
+        clearProjectionWarnings();
+
+        const title = document.getElementById('mapSidebarTitle');
+        if (title) title.textContent = 'Replay';
+    }
+
+    function resumeLive() {
+        if (!replayActive) return;
+        replayActive = false;
+        setLiveEntitiesVisible(true);
+
+        const title = document.getElementById('mapSidebarTitle');
+        if (title) title.textContent = 'Live Tracking';
+
+        viewer.clock.clockRange = Cesium.ClockRange.UNBOUNDED;
+        setTimeOfDay(currentTOD);
+        startPollingLoops();
+    }
+
+    function clearReplayEntities() {
+        if (replayTickRemover) {
+            replayTickRemover();
+            replayTickRemover = null;
+        }
+        if (replayDataSource) {
+            viewer.dataSources.remove(replayDataSource, true);
+            replayDataSource = null;
+        }
+        replayTracks = new Map();
+        replayConflicts = [];
+        replayAdvisories = [];
+    }
+
+    function buildAvailability(samples) {
+        const intervals = new Cesium.TimeIntervalCollection();
+        let start = samples[0].ms;
+        let previous = samples[0].ms;
+        const close = (stopMs) => {
+            intervals.addInterval(new Cesium.TimeInterval({
+                start: Cesium.JulianDate.fromDate(new Date(start)),
+                stop: Cesium.JulianDate.fromDate(new Date(stopMs))
+            }));
+        };
+        for (let i = 1; i < samples.length; i += 1) {
+            if (samples[i].ms - previous > REPLAY_GAP_MS) {
+                close(previous);
+                start = samples[i].ms;
+            }
+            previous = samples[i].ms;
+        }
+        close(previous);
+        return intervals;
+    }
+
+    function findReplaySample(track, timeMs) {
+        const samples = track.samples;
+        let low = 0;
+        let high = samples.length - 1;
+        let match = -1;
+        while (low <= high) {
+            const mid = (low + high) >> 1;
+            if (samples[mid].ms <= timeMs) {
+                match = mid;
+                low = mid + 1;
+            } else {
+                high = mid - 1;
+            }
+        }
+        if (match === -1) return null;
+        const sample = samples[match];
+        return timeMs - sample.ms <= REPLAY_GAP_MS ? sample : null;
+    }
+
+    function getConflictColor(severity) {
+        if (severity === 'critical') return Cesium.Color.RED;
+        if (severity === 'warning') return Cesium.Color.ORANGE;
+        return Cesium.Color.YELLOW;
+    }
+
+    function getDaaColor(severity) {
+        switch (getDaaClass(severity)) {
+            case 'fail':
+                return Cesium.Color.RED;
+            case 'pending':
+                return Cesium.Color.CYAN;
+            default:
+                return Cesium.Color.ORANGE;
+        }
+    }
+
+    function buildReplayTracks(samples) {
+        const grouped = new Map();
+        samples.forEach((sample) => {
+            const ms = Date.parse(sample.t);
+            if (!Number.isFinite(ms)) return;
+            if (!grouped.has(sample.drone_id)) grouped.set(sample.drone_id, []);
+            grouped.get(sample.drone_id).push({ ...sample, ms });
+        });
+
+        for (const [droneId, droneSamples] of grouped.entries()) {
+            const source = droneSamples[droneSamples.length - 1].traffic_source || 'local';
+            const position = new Cesium.SampledPositionProperty();
+            const orientation = new Cesium.SampledProperty(Cesium.Quaternion);
+            droneSamples.forEach((sample) => {
+                const time = Cesium.JulianDate.fromDate(new Date(sample.ms));
+                const cartesian = Cesium.Cartesian3.fromDegrees(sample.lon, sample.lat, Number(sample.altitude_m) || 0);
+                const hpr = new Cesium.HeadingPitchRoll(Cesium.Math.toRadians(Number(sample.heading_deg) || 0), 0, 0);
+                position.addSample(time, cartesian);
+                orientation.addSample(time, Cesium.Transforms.headingPitchRollQuaternion(cartesian, hpr));
+            });
+
+            const track = { samples: droneSamples, position };
+            replayTracks.set(droneId, track);
+
+            replayDataSource.entities.add({
+                id: `replay-${droneId}`,
+                name: `Drone ${droneId} (replay)`,
+                availability: buildAvailability(droneSamples),
+                position,
+                orientation,
+                model: {
+                    uri: '/assets/models/drone.glb',
+                    minimumPixelSize: 32,
+                    maximumScale: 200,
+                    scale: 0.5,
+                    silhouetteColor: getTrafficSilhouetteColor(source),
+                    silhouetteSize: 1.5,
+                    colorBlendMode: Cesium.ColorBlendMode.HIGHLIGHT,
+                    colorBlendAmount: 0.0
+                },
+                label: {
+                    text: new Cesium.CallbackProperty((time) => {
+                        const sample = findReplaySample(track, Cesium.JulianDate.toDate(time).getTime());
+                        const speed = Number(sample?.speed_mps) || 0;
+                        return `${droneId}\n${speed.toFixed(1)} m/s`;
+                    }, false),
+                    font: '12px Inter, sans-serif',
+                    fillColor: Cesium.Color.WHITE,
+                    showBackground: true,
+                    backgroundColor: Cesium.Color.fromCssColorString('#0f172a').withAlpha(0.7),
+                    backgroundPadding: new Cesium.Cartesian2(4, 4),
+                    verticalOrigin: Cesium.VerticalOrigin.BOTTOM,
+                    pixelOffset: new Cesium.Cartesian2(0, -40),
+                    distanceDisplayCondition: new Cesium.DistanceDisplayCondition(0, 5000)
+                },
+                path: {
+                    leadTime: 0,
+                    trailTime: REPLAY_TRAIL_SECONDS,
+                    width: 3,
+                    material: new Cesium.PolylineGlowMaterialProperty({
+                        glowPower: 0.2,
+                        color: getTrafficTrailColor(source)
+                    })
+                }
+            });
+        }
+    }
+
+    function buildReplayConflicts(episodes, replayEndMs) {
+        replayConflicts = episodes.map((episode) => ({
+            ...episode,
+            startMs: Date.parse(episode.startedAt),
+            endMs: Date.parse(episode.resolvedAt || episode.lastSeenAt) || replayEndMs
+        })).filter(episode => Number.isFinite(episode.startMs));
+
+        replayConflicts.forEach((episode) => {
+            const track1 = replayTracks.get(episode.drone1Id);
+            const track2 = replayTracks.get(episode.drone2Id);
+            if (!track1 || !track2) return;
+            replayDataSource.entities.add({
+                id: `replay-conflict-${episode.id}`,
+                availability: new Cesium.TimeIntervalCollection([new Cesium.TimeInterval({
+                    start: Cesium.JulianDate.fromDate(new Date(episode.startMs)),
+                    stop: Cesium.JulianDate.fromDate(new Date(Math.max(episode.endMs, episode.startMs)))
+                })]),
+                polyline: {
+                    positions: new Cesium.CallbackProperty((time) => {
+                        const pos1 = track1.position.getValue(time);
+                        const pos2 = track2.position.getValue(time);
+                        return pos1 && pos2 ? [pos1, pos2] : [];
+                    }, false),
+                    width: episode.peakSeverity === 'critical' ? 4 : 3,
+                    material: new Cesium.PolylineGlowMaterialProperty({
+                        glowPower: 0.3,
+                        color: getConflictColor(episode.peakSeverity)
+                    })
+                }
+            });
+        });
+    }
+
+    function buildReplayAdvisories(advisories) {
+        replayAdvisories = advisories.map((advisory) => ({
+            ...advisory,
+            startMs: Date.parse(advisory.first_seen_at),
+            endMs: Date.parse(advisory.last_seen_at)
+        })).filter(advisory => Number.isFinite(advisory.startMs) && Number.isFinite(advisory.endMs));
+
+        replayAdvisories.forEach((advisory) => {
+            const track = replayTracks.get(advisory.drone_id);
+            if (!track) return;
+            replayDataSource.entities.add({
+                id: `replay-daa-${advisory.advisory_id}`,
+                availability: new Cesium.TimeIntervalCollection([new Cesium.TimeInterval({
+                    start: Cesium.JulianDate.fromDate(new Date(advisory.startMs)),
+                    stop: Cesium.JulianDate.fromDate(new Date(advisory.endMs))
+                })]),
+                position: track.position,
+                point: {
+                    pixelSize: 26,
+                    color: Cesium.Color.TRANSPARENT,
+                    outlineColor: getDaaColor(advisory.severity),
+                    outlineWidth: 3
+                }
+            });
+        });
+    }
+
+    function renderReplayLists(timeMs) {
+        const drones = [];
+        for (const [droneId, track] of replayTracks.entries()) {
+            const sample = findReplaySample(track, timeMs);
+            if (sample) drones.push({ droneId, sample });
+        }
+
+        const dronesContainer = document.getElementById('activeDronesList');
+        if (dronesContainer) {
+            dronesContainer.innerHTML = drones.length
+                ? drones.map(({ droneId, sample }) => `
+                    <div class="drone-track-item">
+                        <span class="status-dot ${getStatusClass(sample.status)}"></span>
+                        <div class="list-item-content">
+                            <div class="list-item-title" style="font-size: 13px;">${escapeHtml(droneId)}</div>
+                            <div class="list-item-subtitle" style="font-size: 11px;">${escapeHtml((Number(sample.altitude_m) || 0).toFixed(0))}m | ${escapeHtml((Number(sample.speed_mps) || 0).toFixed(1))} m/s</div>
+                        </div>
+                    </div>
+                `).join('')
+                : `
+                    <div class="empty-state" style="padding: 16px;">
+                        <div class="empty-state-text text-muted">No recorded drones at this time</div>
+                    </div>
+                `;
+        }
+
+        const conflicts = replayConflicts.filter(episode => timeMs >= episode.startMs && timeMs <= episode.endMs);
+        const conflictsContainer = document.getElementById('conflictsList');
+        if (conflictsContainer) {
+            conflictsContainer.innerHTML = conflicts.length
+                ? conflicts.map(episode => `
+                    <div class="list-item" style="padding: 8px; background: rgba(239,68,68,0.1); border-color: var(--accent-red); margin-bottom: 4px;">
+                        <div class="list-item-content">
+                            <div class="list-item-title text-danger" style="font-size: 12px;">
+                                ${escapeHtml(episode.drone1Id)} - ${escapeHtml(episode.drone2Id)}
+                            </div>
+                            <div class="list-item-subtitle">${escapeHtml(String(episode.peakSeverity || 'info').toUpperCase())} • min ${Number.isFinite(episode.minSeparationM) ? `${episode.minSeparationM.toFixed(0)}m` : '--'}</div>
+                        </div>
+                    </div>
+                `).join('')
+                : `
+                    <div class="status-badge online" style="margin: 8px 0;">
+                        <span class="status-dot online"></span>
+                        <span>All Clear</span>
+                    </div>
+                `;
+        }
+
+        updateDaaList(replayAdvisories.filter(advisory => timeMs >= advisory.startMs && timeMs <= advisory.endMs));
+    }
+
+    function onReplayTick(clock) {
+        const startMs = Cesium.JulianDate.toDate(clock.startTime).getTime();
+        const stopMs = Cesium.JulianDate.toDate(clock.stopTime).getTime();
+        const currentMs = Cesium.JulianDate.toDate(clock.currentTime).getTime();
+
+        const scrubber = document.getElementById('replayScrubber');
+        if (scrubber && document.activeElement !== scrubber && stopMs > startMs) {
+            scrubber.value = String(Math.round(((currentMs - startMs) / (stopMs - startMs)) * 1000));
+        }
+        const timeLabel = document.getElementById('replayTime');
+        if (timeLabel) timeLabel.textContent = utils.formatDateTime(new Date(currentMs).toISOString());
+
+        if (clock.shouldAnimate && currentMs >= stopMs) {
+            clock.shouldAnimate = false;
+            updateReplayPlayButton();
+        }
+
+        const now = Date.now();
+        if (now - replayLastListRender >= REPLAY_LIST_REFRESH_MS) {
+            replayLastListRender = now;
+            renderReplayLists(currentMs);
+        }
+    }
+
+    function updateReplayPlayButton() {
+        const btn = document.getElementById('replayPlayBtn');
+        if (btn) btn.textContent = viewer.clock.shouldAnimate ? 'Pause' : 'Play';
+    }
+
+    async function openReplay() {
+        const panel = document.getElementById('replayPanel');
+        if (!panel) return;
+        panel.style.display = 'flex';
+
+        const fromInput = document.getElementById('replayFrom');
+        if (fromInput && !fromInput.value) {
+            fromInput.value = toDateTimeLocalValue(new Date(Date.now() - 30 * 60 * 1000));
+        }
+
+        try {
+            const range = await API.getReplayRange();
+            if (!range.enabled) {
+                setReplayStatus('Flight recorder is disabled on this server.');
+            } else if (!range.first) {
+                setReplayStatus('No telemetry recorded yet.');
+            } else {
+                setReplayStatus(`Recorded ${utils.formatDateTime(range.first)} - ${utils.formatDateTime(range.last)}`);
+            }
+        } catch (error) {
+            setReplayStatus(`Recorder unavailable: ${error.message}`);
+        }
+    }
+
+    async function loadReplay() {
+        const fromValue = document.getElementById('replayFrom')?.value;
+        const durationMin = Number(document.getElementById('replayDuration')?.value) || 30;
+        const fromDate = fromValue ? new Date(fromValue) : null;
+        if (!fromDate || Number.isNaN(fromDate.getTime())) {
+            setReplayStatus('Choose a start time.');
+            return;
+        }
+        const toDate = new Date(fromDate.getTime() + durationMin * 60 * 1000);
+
+        setReplayStatus('Loading recording...');
+        let data;
+        try {
+            data = await API.getReplay({ from: fromDate.toISOString(), to: toDate.toISOString() });
+        } catch (error) {
+            setReplayStatus(`Replay failed: ${error.message}`);
+            return;
+        }
+
+        suspendLive();
+        clearReplayEntities();
+        replayDataSource = new Cesium.CustomDataSource('replay');
+        await viewer.dataSources.add(replayDataSource);
+
+        buildReplayTracks(Array.isArray(data.samples) ? data.samples : []);
+        buildReplayConflicts(Array.isArray(data.conflicts) ? data.conflicts : [], toDate.getTime());
+        buildReplayAdvisories(Array.isArray(data.advisories) ? data.advisories : []);
+
+        const clock = viewer.clock;
+        clock.startTime = Cesium.JulianDate.fromDate(fromDate);
+        clock.stopTime = Cesium.JulianDate.fromDate(toDate);
+        clock.currentTime = Cesium.JulianDate.fromDate(fromDate);
+        clock.clockRange = Cesium.ClockRange.CLAMP_TO_END;
+        clock.multiplier = Number(document.getElementById('replaySpeed')?.value) || 1;
+        clock.shouldAnimate = false;
+        replayTickRemover = clock.onTick.addEventListener(onReplayTick);
+        replayLastListRender = 0;
+        updateReplayPlayButton();
+
+        const firstSample = data.samples?.[0];
+        if (firstSample) {
+            clock.currentTime = Cesium.JulianDate.fromDate(new Date(firstSample.t));
+            viewer.camera.flyTo({
+                destination: Cesium.Cartesian3.fromDegrees(firstSample.lon, firstSample.lat, (Number(firstSample.altitude_m) || 0) + 1500)
+            });
+        }
+
+        const droneCount = replayTracks.size;
+        const truncatedNote = data.truncated ? ' (truncated; choose a shorter window)' : '';
+        setReplayStatus(`${droneCount} drone${droneCount === 1 ? '' : 's'}, ${replayConflicts.length} conflicts, ${replayAdvisories.length} advisories${truncatedNote}`);
+    }
+
+    function toggleReplayPlayback() {
+        if (!replayActive) return;
+        const clock = viewer.clock;
+        if (!clock.shouldAnimate && Cesium.JulianDate.greaterThanOrEquals(clock.currentTime, clock.stopTime)) {
+            clock.currentTime = clock.startTime.clone();
+        }
+        clock.shouldAnimate = !clock.shouldAnimate;
+        updateReplayPlayButton();
+    }
+
+    function setReplaySpeed(value) {
+        const multiplier = Number(value);
+        if (!replayActive || !Number.isFinite(multiplier) || multiplier <= 0) return;
+        viewer.clock.multiplier = multiplier;
+    }
+
+    function seekReplay(value) {
+        if (!replayActive) return;
+        const clock = viewer.clock;
+        const fraction = Math.min(Math.max(Number(value) / 1000, 0), 1);
+        const totalSeconds = Cesium.JulianDate.secondsDifference(clock.stopTime, clock.startTime);
+        clock.currentTime = Cesium.JulianDate.addSeconds(clock.startTime, totalSeconds * fraction, new Cesium.JulianDate());
+        replayLastListRender = 0;
+    }
+
+    function exitReplay() {
+        const panel = document.getElementById('replayPanel');
+        if (panel) panel.style.display = 'none';
+        if (!replayActive) return;
+        clearReplayEntities();
+        resumeLive();
+        setReplayStatus('');
+    }
+
     // ========================================================================
     // Drone Selection & Commands
     // ========================================================================
@@ -1796,36 +2872,162 @@
         if (data) updateSelectedDronePanel(data);
     }
 
-    async function holdDrone() {
-        if (!selectedDroneId) return;
+    function getCommandableDroneId() {
+        if (!selectedDroneId) return null;
         const data = droneData.get(selectedDroneId);
         if (data && data.external) {
-            console.warn('[Map] HOLD disabled for external traffic');
+            console.warn('[Map] Commands disabled for external traffic');
+            return null;
+        }
+        return selectedDroneId;
+    }
+
+    async function issueCommand(type, params = {}) {
+        const droneId = getCommandableDroneId();
+        if (!droneId) return;
+        const entry = await ATCCommands.send(droneId, type, params);
+        if (entry.state === 'failed') {
+            console.error(`[Map] ${type} command failed:`, entry.detail);
+        } else {
+            console.log(`[Map] ${type} sent to ${droneId}`);
+        }
+    }
+
+    function holdDrone() {
+        return issueCommand('HOLD', { durationSecs: 30 });
+    }
+
+    function resumeDrone() {
+        return issueCommand('RESUME');
+    }
+
+    function landDrone() {
+        if (!selectedDroneId || !confirm(`Land ${selectedDroneId} at its current position?`)) return null;
+        return issueCommand('LAND');
+    }
+
+    function returnToHome() {
+        return issueCommand('RETURN_TO_HOME');
+    }
+
+    function changeSpeed() {
+        const droneId = getCommandableDroneId();
+        if (!droneId) return null;
+        const current = droneData.get(droneId)?.speed;
+        const value = window.prompt(`Target speed for ${droneId} (m/s):`, Number.isFinite(current) ? current.toFixed(1) : '10');
+        if (value === null) return null;
+        const speedMps = Number(value);
+        if (!Number.isFinite(speedMps) || speedMps < 0) {
+            alert('Enter a valid speed.');
+            return null;
+        }
+        return issueCommand('SPEED_CHANGE', { speedMps });
+    }
+
+    function renderSelectedCommands() {
+        const container = document.getElementById('selectedDroneCommands');
+        if (!container) return;
+        if (!selectedDroneId) {
+            container.innerHTML = '';
             return;
         }
+        ATCCommands.renderHistory(container, selectedDroneId, 4);
+    }
 
-        try {
-            await API.holdDrone(selectedDroneId, 30);
-            console.log(`[Map] HOLD sent to ${selectedDroneId}`);
-        } catch (e) {
-            console.error('[Map] Hold command failed:', e);
+    function setGotoButtonState(active) {
+        const btn = document.getElementById('btnGotoDrone');
+        if (btn) btn.textContent = active ? 'CANCEL' : 'GOTO';
+        const hint = document.getElementById('gotoPickHint');
+        if (hint) hint.style.display = active ? 'block' : 'none';
+    }
+
+    function cancelGotoPick() {
+        if (gotoPickHandler) {
+            gotoPickHandler.destroy();
+            gotoPickHandler = null;
         }
+        gotoPickDroneId = null;
+        setGotoButtonState(false);
     }
 
-    async function resumeDrone() {
-        if (!selectedDroneId) return;
-        const data = droneData.get(selectedDroneId);
-        if (data && data.external) {
-            console.warn('[Map] RESUME disabled for external traffic');
+    function showGotoTarget(lat, lon, altitude) {
+        if (gotoTargetEntity) viewer.entities.remove(gotoTargetEntity);
+        gotoTargetEntity = viewer.entities.add({
+            id: 'goto-target',
+            position: Cesium.Cartesian3.fromDegrees(lon, lat, altitude),
+            point: {
+                pixelSize: 12,
+                color: Cesium.Color.fromCssColorString('#10b981'),
+                outlineColor: Cesium.Color.WHITE,
+                outlineWidth: 2
+            },
+            label: {
+                text: 'GOTO',
+                font: '11px Inter, sans-serif',
+                fillColor: Cesium.Color.WHITE,
+                showBackground: true,
+                backgroundColor: Cesium.Color.fromCssColorString('#0f172a').withAlpha(0.7),
+                verticalOrigin: Cesium.VerticalOrigin.BOTTOM,
+                pixelOffset: new Cesium.Cartesian2(0, -14)
+            }
+        });
+    }
+
+    function startGotoPick() {
+        if (gotoPickHandler) {
+            cancelGotoPick();
             return;
         }
+        const droneId = getCommandableDroneId();
+        if (!droneId || replayActive) return;
+
+        gotoPickDroneId = droneId;
+        setGotoButtonState(true);
+        gotoPickHandler = new Cesium.ScreenSpaceEventHandler(viewer.scene.canvas);
+        gotoPickHandler.setInputAction((movement) => {
+            const picked = window.ATCCameraControls?.pickWorldPosition
+                ? window.ATCCameraControls.pickWorldPosition(viewer, movement.position)
+                : viewer.camera.pickEllipsoid(movement.position, viewer.scene.globe.ellipsoid);
+            if (!picked) return;
+
+            const targetDroneId = gotoPickDroneId;
+            const cartographic = Cesium.Cartographic.fromCartesian(picked);
+            const lat = Cesium.Math.toDegrees(cartographic.latitude);
+            const lon = Cesium.Math.toDegrees(cartographic.longitude);
+            const currentAlt = droneData.get(targetDroneId)?.alt;
+            const altitude = Number.isFinite(currentAlt) && currentAlt > 0 ? currentAlt : 50;
+            cancelGotoPick();
+
+            // The click also changes Cesium's selection; keep the commanded drone selected.
+            setTimeout(() => selectDrone(targetDroneId), 0);
+
+            const altitudeInput = window.prompt(
+                `Send ${targetDroneId} to ${lat.toFixed(5)}, ${lon.toFixed(5)}.\nTarget altitude (m):`,
+                altitude.toFixed(0)
+            );
+            if (altitudeInput === null) return;
+            const altitudeM = Number(altitudeInput);
+            if (!Number.isFinite(altitudeM) || altitudeM <= 0) {
+                alert('Enter a valid altitude.');
+                return;
+            }
 
-        try {
-            await API.resumeDrone(selectedDroneId);
-            console.log(`[Map] RESUME sent to ${selectedDroneId}`);
-        } catch (e) {
-            console.error('[Map] Resume command failed:', e);
+            showGotoTarget(lat, lon, altitudeM);
+            ATCCommands.send(targetDroneId, 'GOTO', { lat, lon, altitude_m: altitudeM });
+        }, Cesium.ScreenSpaceEventType.LEFT_CLICK);
+    }
+
+    function startGotoPickWhenVisible(droneId, attempts = 0) {
+        if (droneEntities.has(droneId)) {
+            selectDrone(droneId);
+            startGotoPick();
+            return;
+        }
+        if (attempts >= 30) {
+            console.warn(`[Map] ${droneId} did not appear; GOTO pick skipped`);
+            return;
         }
+        setTimeout(() => startGotoPickWhenVisible(droneId, attempts + 1), 1000);
     }
 
     // ========================================================================
@@ -1838,9 +3040,22 @@
         // Command buttons
         const holdBtn = document.getElementById('btnHoldDrone');
         const resumeBtn = document.getElementById('btnResumeDrone');
+        const landBtn = document.getElementById('btnLandDrone');
+        const rthBtn = document.getElementById('btnRthDrone');
+        const speedBtn = document.getElementById('btnSpeedDrone');
+        const gotoBtn = document.getElementById('btnGotoDrone');
 
         if (holdBtn) holdBtn.addEventListener('click', holdDrone);
         if (resumeBtn) resumeBtn.addEventListener('click', resumeDrone);
+        if (landBtn) landBtn.addEventListener('click', landDrone);
+        if (rthBtn) rthBtn.addEventListener('click', returnToHome);
+        if (speedBtn) speedBtn.addEventListener('click', changeSpeed);
+        if (gotoBtn) gotoBtn.addEventListener('click', startGotoPick);
+
+        document.addEventListener('keydown', (event) => {
+            if (event.key === 'Escape' && gotoPickHandler) cancelGotoPick();
+        });
+        ATCCommands.subscribe(renderSelectedCommands);
     });
 
     // ========================================================================
@@ -1851,10 +3066,22 @@
         selectDrone,
         holdDrone,
         resumeDrone,
+        landDrone,
+        returnToHome,
+        changeSpeed,
+        startGotoPick,
         setCameraMode,
         setTimeOfDay,
+        openReplay,
+        loadReplay,
+        toggleReplayPlayback,
+        setReplaySpeed,
+        seekReplay,
+        exitReplay,
         nudgeOrbit,
         resetOrbit,
+        toggleLayerPanel,
+        setLookahead,
         getViewer: () => viewer
     };
 
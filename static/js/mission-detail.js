@@ -327,6 +327,20 @@
         btn.onclick = null;
     }
 
+    function configureCloneButton(mission, plan) {
+        const btn = document.getElementById('cloneMission');
+        if (!btn) return;
+        const prefill = utils.buildMissionPrefill(mission, plan);
+        if (prefill.waypoints.length < 2) {
+            btn.disabled = true;
+            btn.title = 'No route available to clone';
+            return;
+        }
+        btn.disabled = false;
+        btn.title = '';
+        btn.onclick = () => utils.openPlannerWithPrefill(prefill, 'clone');
+    }
+
     function configureAbortButton(plan, mission) {
         const abortBtn = document.getElementById('abortMission');
         if (!abortBtn) return;
@@ -828,6 +842,7 @@
             setText('plannerObstacle', Number.isFinite(obstacle) ? `${obstacle.toFixed(1)} m` : '--');
         }
 
+        configureCloneButton(mission, plan);
         await initMap();
         renderRoute(mapWaypoints);
         updateApproveButton(plan, mission, mapWaypoints);
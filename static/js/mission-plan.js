@@ -42,7 +42,16 @@
         compliance: null,
         complianceTimer: null,
         analysisInFlight: false,
-        prefillDroneId: null
+        prefillDroneId: null,
+        geofenceTimeline: null,
+        geofenceTimelineHours: 0,
+        templates: []
+    };
+
+    const PREFILL_STATUS_MESSAGES = {
+        planner: 'Planner route imported. Review compliance and submit.',
+        template: 'Template loaded. Set the mission times, review compliance and submit.',
+        clone: 'Mission cloned. Set the mission times, review compliance and submit.'
     };
 
     async function init() {
@@ -51,13 +60,17 @@
         await initRoutePlanner();
         bindUi();
         bindCompliance();
+        bindTemplates();
         await loadDrones();
         await loadGeofences();
+        await queueTemplateFromUrl();
+        loadTemplates();
         const prefilled = applyPlannerPrefill();
         if (!prefilled) {
             setRouteStatus('Route not analyzed yet.');
         }
         updateCompliance();
+        refreshGeofenceTimeline();
     }
 
     function initFormDefaults() {
@@ -89,8 +102,7 @@
         if (!select) return;
 
         try {
-            const ownerId = window.APP_USER?.role !== 'authority' ? window.APP_USER?.id : null;
-            const drones = await API.getDrones(ownerId);
+            const drones = await API.getDrones(utils.getOwnerContext()?.id || null);
             drones.forEach((drone) => {
                 const statusLabel = statusUtils.getStatusLabel(drone.status);
                 const option = document.createElement('option');
@@ -220,12 +232,153 @@
 
         renderWaypoints();
         updateRouteVisualization();
-        setRouteStatus('Planner route imported. Review compliance and submit.');
+        setRouteStatus(PREFILL_STATUS_MESSAGES[data.source] || PREFILL_STATUS_MESSAGES.planner);
         runComplianceAnalysis();
 
         return true;
     }
 
+    // ========================================================================
+    // Mission templates
+    // ========================================================================
+
+    function queueTemplatePrefill(template) {
+        try {
+            sessionStorage.setItem('plannerPrefill', JSON.stringify({ ...template.params, source: 'template' }));
+            return true;
+        } catch (error) {
+            console.warn('[MissionPlan] Unable to stage template:', error);
+            return false;
+        }
+    }
+
+    // Supports links such as /control/missions/plan?template=<id>.
+    async function queueTemplateFromUrl() {
+        const templateId = new URLSearchParams(window.location.search).get('template');
+        if (!templateId) return;
+        try {
+            queueTemplatePrefill(await API.getMissionTemplate(templateId));
+        } catch (error) {
+            showMessage('error', `Unable to load template: ${error.message}`);
+        }
+    }
+
+    async function loadTemplates(selectedId = null) {
+        const select = document.getElementById('templateSelect');
+        if (!select) return;
+        try {
+            state.templates = await API.getMissionTemplates();
+        } catch (error) {
+            console.error('[MissionPlan] Failed to load templates:', error);
+            state.templates = [];
+        }
+        const current = selectedId || select.value;
+        select.innerHTML = '<option value="">-- Select a template --</option>';
+        state.templates.forEach((template) => {
+            const option = document.createElement('option');
+            option.value = template.id;
+            option.textContent = `${template.name} (${template.waypointCount} waypoints)`;
+            select.appendChild(option);
+        });
+        if (current && state.templates.some((template) => template.id === current)) {
+            select.value = current;
+        }
+    }
+
+    function collectTemplateParams() {
+        const maxAltitude = getNumberValue('maxAltitude', 0);
+        const minAltitude = getNumberValue('minAltitude', 0);
+        const fallbackAlt = maxAltitude > 0 ? maxAltitude : minAltitude;
+        return {
+            waypoints: getActiveRoute().map((wp) => ({
+                lat: wp.lat,
+                lon: wp.lon,
+                alt: Number.isFinite(wp.alt) ? wp.alt : fallbackAlt
+            })),
+            missionName: document.getElementById('missionName')?.value?.trim() || undefined,
+            missionType: document.getElementById('missionType')?.value || undefined,
+            operationType: getNumberValue('operationType', 1),
+            droneId: document.getElementById('droneSelect')?.value || undefined,
+            minAltitude,
+            maxAltitude,
+            cruiseSpeedMps: getNumberValue('cruiseSpeed', undefined),
+            batteryCapacityMin: getNumberValue('batteryCapacity', undefined),
+            batteryReserveMin: getNumberValue('batteryReserve', undefined),
+            obstacleClearanceM: getNumberValue('obstacleClearance', undefined),
+            populationDensity: getNumberValue('populationDensity', undefined)
+        };
+    }
+
+    async function saveTemplate() {
+        const nameInput = document.getElementById('templateName');
+        const name = nameInput?.value?.trim();
+        if (!name) {
+            showMessage('error', 'Enter a template name.');
+            return;
+        }
+        if (getActiveRoute().length < 2) {
+            showMessage('error', 'Add at least two waypoints before saving a template.');
+            return;
+        }
+
+        const payload = { name, params: collectTemplateParams() };
+        const existing = state.templates.find((template) => template.name.toLowerCase() === name.toLowerCase());
+        if (existing && !confirm(`Replace the existing template "${existing.name}"?`)) return;
+
+        try {
+            const saved = existing
+                ? await API.updateMissionTemplate(existing.id, payload)
+                : await API.createMissionTemplate(payload);
+            if (nameInput) nameInput.value = '';
+            await loadTemplates(saved.id);
+            showMessage('success', `Template "${saved.name}" saved.`);
+        } catch (error) {
+            showMessage('error', `Failed to save template: ${error.message}`);
+        }
+    }
+
+    async function loadSelectedTemplate() {
+        const templateId = document.getElementById('templateSelect')?.value;
+        if (!templateId) {
+            showMessage('error', 'Select a template to load.');
+            return;
+        }
+        try {
+            const template = await API.getMissionTemplate(templateId);
+            if (queueTemplatePrefill(template) && applyPlannerPrefill()) {
+                showMessage('success', `Template "${template.name}" loaded.`);
+            }
+        } catch (error) {
+            showMessage('error', `Failed to load template: ${error.message}`);
+        }
+    }
+
+    async function deleteSelectedTemplate() {
+        const select = document.getElementById('templateSelect');
+        const template = state.templates.find((entry) => entry.id === select?.value);
+        if (!template) {
+            showMessage('error', 'Select a template to delete.');
+            return;
+        }
+        if (!confirm(`Delete template "${template.name}"?`)) return;
+        try {
+            await API.deleteMissionTemplate(template.id);
+            await loadTemplates();
+            showMessage('success', `Template "${template.name}" deleted.`);
+        } catch (error) {
+            showMessage('error', `Failed to delete template: ${error.message}`);
+        }
+    }
+
+    function bindTemplates() {
+        const saveBtn = document.getElementById('saveTemplate');
+        const loadBtn = document.getElementById('loadTemplate');
+        const deleteBtn = document.getElementById('deleteTemplate');
+        if (saveBtn) saveBtn.addEventListener('click', saveTemplate);
+        if (loadBtn) loadBtn.addEventListener('click', loadSelectedTemplate);
+        if (deleteBtn) deleteBtn.addEventListener('click', deleteSelectedTemplate);
+    }
+
     async function loadGeofences() {
         try {
             const geofences = await API.getGeofences();
@@ -390,6 +543,62 @@
         if (submitBtn) {
             submitBtn.addEventListener('click', submitMission);
         }
+
+        ['missionStart', 'missionEnd'].forEach((id) => {
+            const input = document.getElementById(id);
+            if (input) {
+                input.addEventListener('change', () => refreshGeofenceTimeline());
+            }
+        });
+    }
+
+    // ========================================================================
+    // Geofence activation timeline
+    // ========================================================================
+
+    function getMissionWindow() {
+        const start = Date.parse(document.getElementById('missionStart')?.value || '');
+        const end = Date.parse(document.getElementById('missionEnd')?.value || '');
+        if (!Number.isFinite(start) || !Number.isFinite(end) || end <= start) return null;
+        return { start, end };
+    }
+
+    async function refreshGeofenceTimeline() {
+        const container = document.getElementById('geofenceTimeline');
+        if (!container || !window.GeofenceTimeline) return;
+        const missionWindow = getMissionWindow();
+        // Cover the planned mission, within the server's 48h-14d range.
+        const hoursNeeded = missionWindow
+            ? Math.ceil((missionWindow.end - Date.now()) / 3600000) + 6
+            : 48;
+        const hours = Math.min(Math.max(hoursNeeded, 48), 336);
+
+        if (!state.geofenceTimeline || hours > state.geofenceTimelineHours) {
+            try {
+                state.geofenceTimeline = await GeofenceTimeline.load(hours);
+                state.geofenceTimelineHours = hours;
+            } catch (error) {
+                console.warn('[MissionPlan] Geofence schedules unavailable:', error);
+                container.innerHTML = `
+                    <div class="empty-state" style="padding: 12px;">
+                        <div class="empty-state-text text-muted">Schedules unavailable</div>
+                    </div>
+                `;
+                return;
+            }
+        }
+
+        GeofenceTimeline.render(container, state.geofenceTimeline, { highlight: missionWindow });
+
+        const statusEl = document.getElementById('geofenceTimelineStatus');
+        if (!statusEl) return;
+        const overlaps = missionWindow
+            ? GeofenceTimeline.findOverlaps(state.geofenceTimeline, missionWindow.start, missionWindow.end)
+            : [];
+        statusEl.className = overlaps.length ? 'text-warning' : 'text-muted';
+        statusEl.textContent = overlaps.length
+            ? `Active during mission: ${overlaps.map(row => row.geofence.name || row.geofence.id).join(', ')}`
+            : '';
     }
 
     function bindCompliance() {
@@ -1400,7 +1609,7 @@
                 waypoints: atcRequestWaypoints,
                 trajectory_log: trajectoryLogRequest,
                 departure_time: startTime,
-                owner_id: window.APP_USER?.id || undefined,
+                owner_id: utils.getOwnerContext()?.createOwnerId || window.APP_USER?.id || undefined,
                 metadata
             });
         } catch (error) {
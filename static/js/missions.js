@@ -29,6 +29,8 @@
         cancelled: 'Cancelled'
     };
     const utils = window.ATCUtils;
+    // Latest rendered missions (and their ATC plans) by declaration id, for cloning.
+    const renderedMissions = new Map();
 
     function escapeHtml(value) {
         return String(value || '')
@@ -154,6 +156,12 @@
             const activeStates = new Set([2, 3, 4]);
             const completedStates = new Set([5, 6, 7, 8]);
 
+            renderedMissions.clear();
+            (scopedDeclarations || []).forEach((mission) => {
+                const id = getDeclarationId(mission);
+                if (id) renderedMissions.set(id, { mission, plan: getPlanForMission(mission, planIndex) });
+            });
+
             const active = scopedDeclarations.filter(decl => activeStates.has(decl.state));
             const completed = scopedDeclarations.filter(decl => completedStates.has(decl.state));
             const pending = scopedDeclarations.filter(decl => !activeStates.has(decl.state) && !completedStates.has(decl.state));
@@ -236,6 +244,9 @@
             const detailsButton = missionIdText
                 ? `<button class="btn btn-ghost btn-sm" onclick="window.location.href='${detailsHref}'">Details</button>`
                 : '';
+            const cloneButton = missionIdText
+                ? `<button class="btn btn-ghost btn-sm" data-action="clone" data-mission-id="${escapeHtml(missionIdText)}" title="Open the planner with this mission's route and parameters">Clone</button>`
+                : '';
             return `
                 <div class="list-item">
                     <span class="status-dot ${type === 'active' ? 'flying' : 'idle'}"></span>
@@ -253,6 +264,7 @@
                     </div>
                     <div class="list-item-actions">
                         ${detailsButton}
+                        ${cloneButton}
                         ${type === 'active' ? `
                             <button class="btn btn-ghost btn-sm" onclick="window.location.href='/control/map?track=${encodeURIComponent(mission.aircraft_id || '')}'">
                                 Track
@@ -330,6 +342,22 @@
         window.location.href = '/control/missions/plan';
     }
 
+    async function cloneMission(missionId) {
+        const entry = renderedMissions.get(String(missionId));
+        try {
+            // List responses may omit the declaration GeoJSON, so fetch the full record.
+            const mission = await API.getFlightDeclaration(missionId).catch(() => entry?.mission);
+            const prefill = utils.buildMissionPrefill(mission, entry?.plan || null);
+            if (prefill.waypoints.length < 2) {
+                alert('This mission has no route that can be cloned.');
+                return;
+            }
+            utils.openPlannerWithPrefill(prefill, 'clone');
+        } catch (error) {
+            alert(`Failed to clone mission: ${error.message}`);
+        }
+    }
+
     // Initialize
     document.addEventListener('DOMContentLoaded', () => {
         loadMissions();
@@ -346,11 +374,21 @@
         if (refreshBtn) {
             refreshBtn.addEventListener('click', loadMissions);
         }
+
+        ['activeMissions', 'pendingMissions', 'completedMissions'].forEach((id) => {
+            const container = document.getElementById(id);
+            if (!container) return;
+            container.addEventListener('click', (event) => {
+                const button = event.target.closest('button[data-action="clone"]');
+                if (button) cloneMission(button.dataset.missionId);
+            });
+        });
     });
 
     // Export for global access
     window.Missions = {
         abort: abortMission,
-        plan: planNewMission
+        plan: planNewMission,
+        clone: cloneMission
     };
 })();
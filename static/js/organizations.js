@@ -0,0 +1,300 @@
+/**
+ * Organizations Page Logic
+ * Membership, org roles and the active (working) organization.
+ */
+
+(function () {
+    'use strict';
+
+    const escapeHtml = window.escapeHtml || ((value) => String(value ?? ''));
+    const utils = window.ATCUtils;
+    const currentUserId = window.APP_USER?.id || null;
+
+    const ORG_ROLE_LABELS = {
+        observer: 'Observer',
+        pilot: 'Pilot',
+        manager: 'Manager'
+    };
+
+    let organizations = [];
+    let roles = Object.keys(ORG_ROLE_LABELS);
+    let activeOrgId = null;
+    let selectedOrg = null;
+    let members = [];
+
+    function showMessage(type, message) {
+        const container = document.getElementById('orgMessages');
+        if (!container) return;
+        container.innerHTML = message
+            ? `<div class="alert alert-${type === 'error' ? 'danger' : 'success'} mb-md">${escapeHtml(message)}</div>`
+            : '';
+    }
+
+    function roleOptions(selected) {
+        return roles.map(role => `
+            <option value="${escapeHtml(role)}" ${role === selected ? 'selected' : ''}>${escapeHtml(ORG_ROLE_LABELS[role] || role)}</option>
+        `).join('');
+    }
+
+    function renderActiveSelect() {
+        const select = document.getElementById('orgActiveSelect');
+        if (!select) return;
+        const mine = organizations.filter(org => org.role);
+        select.innerHTML = `
+            <option value="">Personal</option>
+            ${mine.map(org => `<option value="${escapeHtml(org.id)}">${escapeHtml(org.name)}</option>`).join('')}
+        `;
+        select.value = activeOrgId || '';
+    }
+
+    function renderOrganizations() {
+        const tbody = document.getElementById('orgTable');
+        const summary = document.getElementById('orgSummary');
+        if (summary) {
+            summary.textContent = `${organizations.length} organization${organizations.length === 1 ? '' : 's'}`;
+        }
+        if (!tbody) return;
+        if (!organizations.length) {
+            tbody.innerHTML = `
+                <tr>
+                    <td colspan="5" class="text-muted">You are not a member of any organization. Ask an administrator to add you.</td>
+                </tr>
+            `;
+            return;
+        }
+        tbody.innerHTML = organizations.map(org => `
+            <tr>
+                <td>
+                    ${escapeHtml(org.name)}
+                    ${org.id === activeOrgId ? '<span class="status-badge pass">Active</span>' : ''}
+                </td>
+                <td>${org.role ? escapeHtml(ORG_ROLE_LABELS[org.role] || org.role) : '<span class="text-muted">Not a member</span>'}</td>
+                <td>${escapeHtml(org.memberCount ?? '--')}</td>
+                <td class="font-mono text-muted">${escapeHtml(org.ownerId)}</td>
+                <td>
+                    <div class="flex gap-sm items-center">
+                        <button class="btn btn-ghost btn-sm" data-action="members" data-id="${escapeHtml(org.id)}">Members</button>
+                        ${org.canManage ? `<button class="btn btn-ghost btn-sm" data-action="rename" data-id="${escapeHtml(org.id)}">Rename</button>` : ''}
+                        ${window.APP_USER?.role === 'admin' ? `<button class="btn btn-danger btn-sm" data-action="delete" data-id="${escapeHtml(org.id)}">Delete</button>` : ''}
+                    </div>
+                </td>
+            </tr>
+        `).join('');
+    }
+
+    function renderMembers() {
+        const card = document.getElementById('orgMembersCard');
+        const tbody = document.getElementById('orgMemberTable');
+        const title = document.getElementById('orgMembersTitle');
+        const form = document.getElementById('orgMemberForm');
+        if (!card || !tbody) return;
+        if (!selectedOrg) {
+            card.style.display = 'none';
+            return;
+        }
+        card.style.display = '';
+        if (title) title.textContent = `Members of ${selectedOrg.name}`;
+        if (form) form.style.display = selectedOrg.canManage ? '' : 'none';
+        const roleSelect = document.getElementById('orgMemberRole');
+        if (roleSelect && !roleSelect.options.length) roleSelect.innerHTML = roleOptions('pilot');
+
+        if (!members.length) {
+            tbody.innerHTML = `
+                <tr>
+                    <td colspan="5" class="text-muted">No members yet.</td>
+                </tr>
+            `;
+            return;
+        }
+        tbody.innerHTML = members.map(member => `
+            <tr>
+                <td>
+                    <div>${escapeHtml(member.name || member.userId)}${member.userId === currentUserId ? ' <span class="text-muted">(you)</span>' : ''}</div>
+                    <div class="font-mono text-muted">${escapeHtml(member.userId)}</div>
+                </td>
+                <td>${escapeHtml(member.email || '--')}</td>
+                <td>
+                    ${selectedOrg.canManage
+                        ? `<select class="form-select" data-action="member-role" data-id="${escapeHtml(member.userId)}" style="width: auto;">${roleOptions(member.role)}</select>`
+                        : escapeHtml(ORG_ROLE_LABELS[member.role] || member.role)}
+                </td>
+                <td>${escapeHtml(utils.formatDateTime(member.addedAt))}</td>
+                <td>
+                    ${selectedOrg.canManage
+                        ? `<button class="btn btn-ghost btn-sm" data-action="member-remove" data-id="${escapeHtml(member.userId)}">Remove</button>`
+                        : ''}
+                </td>
+            </tr>
+        `).join('');
+    }
+
+    async function loadOrganizations() {
+        try {
+            const result = await API.getOrganizations();
+            organizations = Array.isArray(result?.organizations) ? result.organizations : [];
+            if (Array.isArray(result?.roles) && result.roles.length) roles = result.roles;
+            activeOrgId = result?.active?.id || null;
+            const createForm = document.getElementById('orgCreateForm');
+            if (createForm) createForm.style.display = result?.canCreate ? '' : 'none';
+            renderActiveSelect();
+            renderOrganizations();
+        } catch (error) {
+            console.error('[Organizations] Load failed:', error);
+            const tbody = document.getElementById('orgTable');
+            if (tbody) {
+                tbody.innerHTML = `
+                    <tr>
+                        <td colspan="5" class="text-muted">Organizations unavailable: ${escapeHtml(error.message)}</td>
+                    </tr>
+                `;
+            }
+        }
+    }
+
+    async function loadMembers(orgId) {
+        try {
+            const result = await API.getOrganization(orgId);
+            selectedOrg = result.organization;
+            members = Array.isArray(result?.members) ? result.members : [];
+            renderMembers();
+        } catch (error) {
+            showMessage('error', `Failed to load members: ${error.message}`);
+        }
+    }
+
+    async function switchActive() {
+        const orgId = document.getElementById('orgActiveSelect')?.value || null;
+        try {
+            await API.setActiveOrganization(orgId);
+            // Reload so the header and any cached fleet data follow the new context.
+            window.location.reload();
+        } catch (error) {
+            showMessage('error', `Failed to switch organization: ${error.message}`);
+        }
+    }
+
+    async function createOrganization(event) {
+        event.preventDefault();
+        const input = document.getElementById('orgCreateName');
+        const name = input?.value.trim();
+        if (!name) return;
+        try {
+            const org = await API.createOrganization(name);
+            showMessage('success', `Created ${org.name}. Add members below.`);
+            input.value = '';
+            await loadOrganizations();
+            loadMembers(org.id);
+        } catch (error) {
+            showMessage('error', `Failed to create organization: ${error.message}`);
+        }
+    }
+
+    async function renameOrganization(orgId) {
+        const org = organizations.find(entry => entry.id === orgId);
+        if (!org) return;
+        const name = window.prompt('Organization name:', org.name);
+        if (!name || !name.trim() || name.trim() === org.name) return;
+        try {
+            await API.renameOrganization(orgId, name.trim());
+            showMessage('success', `Renamed ${org.name} to ${name.trim()}.`);
+        } catch (error) {
+            showMessage('error', `Failed to rename: ${error.message}`);
+        }
+        loadOrganizations();
+        if (selectedOrg?.id === orgId) loadMembers(orgId);
+    }
+
+    async function deleteOrganization(orgId) {
+        const org = organizations.find(entry => entry.id === orgId);
+        if (!org) return;
+        if (!confirm(`Delete ${org.name}? Its drones and missions stay in the ATC but only authorities will see them.`)) return;
+        try {
+            await API.deleteOrganization(orgId);
+            showMessage('success', `Deleted ${org.name}.`);
+            if (selectedOrg?.id === orgId) {
+                selectedOrg = null;
+                renderMembers();
+            }
+        } catch (error) {
+            showMessage('error', `Failed to delete: ${error.message}`);
+        }
+        loadOrganizations();
+    }
+
+    async function addMember(event) {
+        event.preventDefault();
+        if (!selectedOrg) return;
+        const input = document.getElementById('orgMemberUser');
+        const user = input?.value.trim();
+        const role = document.getElementById('orgMemberRole')?.value;
+        if (!user) return;
+        try {
+            const result = await API.setOrganizationMember(selectedOrg.id, user, role);
+            members = result.members || [];
+            input.value = '';
+            renderMembers();
+            showMessage('success', `Added ${user} to ${selectedOrg.name}.`);
+            loadOrganizations();
+        } catch (error) {
+            showMessage('error', `Failed to add member: ${error.message}`);
+        }
+    }
+
+    async function changeMemberRole(userId, role, select) {
+        const member = members.find(entry => entry.userId === userId);
+        if (!member || member.role === role) return;
+        try {
+            const result = await API.setOrganizationMember(selectedOrg.id, userId, role);
+            members = result.members || [];
+            showMessage('success', `${userId} is now ${ORG_ROLE_LABELS[role] || role} of ${selectedOrg.name}.`);
+        } catch (error) {
+            select.value = member.role;
+            showMessage('error', `Failed to change role: ${error.message}`);
+        }
+        renderMembers();
+    }
+
+    async function removeMember(userId) {
+        if (!selectedOrg) return;
+        const self = userId === currentUserId;
+        if (!confirm(self
+            ? `Leave ${selectedOrg.name}? You will lose access to its fleet.`
+            : `Remove ${userId} from ${selectedOrg.name}?`)) return;
+        try {
+            const result = await API.removeOrganizationMember(selectedOrg.id, userId);
+            members = result.members || [];
+            renderMembers();
+            showMessage('success', `Removed ${userId} from ${selectedOrg.name}.`);
+            loadOrganizations();
+        } catch (error) {
+            showMessage('error', `Failed to remove member: ${error.message}`);
+        }
+    }
+
+    document.addEventListener('DOMContentLoaded', () => {
+        document.getElementById('orgActiveSave')?.addEventListener('click', switchActive);
+        document.getElementById('orgCreateForm')?.addEventListener('submit', createOrganization);
+        document.getElementById('orgMemberForm')?.addEventListener('submit', addMember);
+
+        document.getElementById('orgTable')?.addEventListener('click', (event) => {
+            const button = event.target.closest('button[data-action]');
+            if (!button) return;
+            const { action, id } = button.dataset;
+            if (action === 'members') loadMembers(id);
+            if (action === 'rename') renameOrganization(id);
+            if (action === 'delete') deleteOrganization(id);
+        });
+
+        const memberTable = document.getElementById('orgMemberTable');
+        memberTable?.addEventListener('change', (event) => {
+            const select = event.target.closest('select[data-action="member-role"]');
+            if (select) changeMemberRole(select.dataset.id, select.value, select);
+        });
+        memberTable?.addEventListener('click', (event) => {
+            const button = event.target.closest('button[data-action="member-remove"]');
+            if (button) removeMember(button.dataset.id);
+        });
+
+        loadOrganizations();
+    });
+})();
@@ -0,0 +1,223 @@
+/**
+ * Settings: two-factor authentication (TOTP) enrollment, recovery codes and disable.
+ */
+
+(function () {
+    'use strict';
+
+    const escapeHtml = window.escapeHtml || ((value) => String(value ?? ''));
+
+    let status = null;
+
+    function getBody() {
+        return document.getElementById('mfaBody');
+    }
+
+    function renderBadge() {
+        const badge = document.getElementById('mfaStatusBadge');
+        if (!badge || !status) return;
+        if (status.sso) {
+            badge.innerHTML = '<span class="status-badge pending">SSO</span>';
+        } else if (status.enabled) {
+            badge.innerHTML = '<span class="status-badge pass">Enabled</span>';
+        } else {
+            badge.innerHTML = `<span class="status-badge ${status.required ? 'fail' : 'warn'}">Off</span>`;
+        }
+    }
+
+    function renderMessage(type, message) {
+        const container = document.getElementById('mfaMessage');
+        if (!container) return;
+        container.innerHTML = message
+            ? `<div class="alert alert-${type === 'error' ? 'danger' : 'success'} mb-md">${escapeHtml(message)}</div>`
+            : '';
+    }
+
+    function renderStatus() {
+        const body = getBody();
+        if (!body || !status) return;
+        renderBadge();
+
+        if (status.sso) {
+            body.innerHTML = `
+                <p class="text-muted">This account signs in with single sign-on; your identity provider handles the second factor.</p>
+            `;
+            return;
+        }
+
+        if (!status.enabled) {
+            body.innerHTML = `
+                <div id="mfaMessage"></div>
+                ${status.required ? '<div class="alert alert-warning mb-md">Two-factor authentication is required for your role.</div>' : ''}
+                <p class="text-muted mb-md">
+                    Protect your account with a time-based code from an authenticator app
+                    (e.g. Google Authenticator, Authy, 1Password) in addition to your password.
+                </p>
+                <button type="button" class="btn btn-primary" id="mfaStart">Set Up Two-Factor Authentication</button>
+            `;
+            document.getElementById('mfaStart')?.addEventListener('click', startEnrollment);
+            return;
+        }
+
+        const remaining = Number(status.recoveryCodesRemaining) || 0;
+        body.innerHTML = `
+            <div id="mfaMessage"></div>
+            <div class="detail-row">
+                <span class="detail-label">Enabled</span>
+                <span class="detail-value">${escapeHtml(status.enabledAt ? new Date(status.enabledAt).toLocaleString() : '--')}</span>
+            </div>
+            <div class="detail-row">
+                <span class="detail-label">Recovery codes left</span>
+                <span class="detail-value ${remaining <= 2 ? 'text-warning' : ''}">${remaining}</span>
+            </div>
+            <div class="form-group mt-md">
+                <label class="form-label" for="mfaManageCode">Authentication code</label>
+                <input type="text" class="form-input" id="mfaManageCode" autocomplete="one-time-code"
+                    placeholder="Code from your app or a recovery code">
+                <small class="form-help">Required to regenerate recovery codes${status.required ? '' : ' or turn off two-factor authentication'}.</small>
+            </div>
+            <div class="flex gap-sm">
+                <button type="button" class="btn btn-ghost btn-sm" id="mfaRegenerate">Regenerate Recovery Codes</button>
+                ${status.required ? '' : '<button type="button" class="btn btn-danger btn-sm" id="mfaDisable">Turn Off</button>'}
+            </div>
+        `;
+        document.getElementById('mfaRegenerate')?.addEventListener('click', regenerateCodes);
+        document.getElementById('mfaDisable')?.addEventListener('click', disableMfa);
+    }
+
+    function renderEnrollment(enrollment) {
+        const body = getBody();
+        if (!body) return;
+        // qrSvg is generated server-side from the otpauth URI.
+        body.innerHTML = `
+            <div id="mfaMessage"></div>
+            <p class="text-muted mb-md">Scan this QR code with your authenticator app, then enter the 6-digit code it shows.</p>
+            <div class="mb-md" style="width: 200px; background: #fff; padding: 8px; border-radius: 8px;">${enrollment.qrSvg}</div>
+            <div class="form-group">
+                <label class="form-label">Can't scan? Enter this key manually</label>
+                <div class="font-mono" style="word-break: break-all;">${escapeHtml(enrollment.secret.match(/.{1,4}/g).join(' '))}</div>
+            </div>
+            <div class="form-group">
+                <label class="form-label" for="mfaConfirmCode">Authentication code</label>
+                <input type="text" class="form-input" id="mfaConfirmCode" inputmode="numeric" autocomplete="one-time-code"
+                    maxlength="6" placeholder="123456">
+            </div>
+            <div class="flex gap-sm">
+                <button type="button" class="btn btn-primary" id="mfaConfirm">Verify and Enable</button>
+                <button type="button" class="btn btn-ghost" id="mfaCancel">Cancel</button>
+            </div>
+        `;
+        document.getElementById('mfaConfirm')?.addEventListener('click', confirmEnrollment);
+        document.getElementById('mfaCancel')?.addEventListener('click', renderStatus);
+        document.getElementById('mfaConfirmCode')?.focus();
+    }
+
+    function renderRecoveryCodes(codes, intro) {
+        const body = getBody();
+        if (!body) return;
+        renderBadge();
+        body.innerHTML = `
+            <div class="alert alert-success mb-md">${escapeHtml(intro)}</div>
+            <p class="text-muted mb-md">
+                Save these recovery codes somewhere safe. Each one signs you in once if you lose your authenticator.
+                They will not be shown again.
+            </p>
+            <div class="font-mono mb-md" id="mfaRecoveryCodes"
+                style="display: grid; grid-template-columns: 1fr 1fr; gap: 4px 16px;">
+                ${codes.map(code => `<span>${escapeHtml(code)}</span>`).join('')}
+            </div>
+            <div class="flex gap-sm">
+                <button type="button" class="btn btn-ghost btn-sm" id="mfaCopyCodes">Copy</button>
+                <button type="button" class="btn btn-ghost btn-sm" id="mfaDownloadCodes">Download</button>
+                <button type="button" class="btn btn-primary btn-sm" id="mfaCodesDone">I've saved them</button>
+            </div>
+        `;
+        const text = `${codes.join('\n')}\n`;
+        document.getElementById('mfaCopyCodes')?.addEventListener('click', async (event) => {
+            try {
+                await navigator.clipboard.writeText(text);
+                event.target.textContent = 'Copied';
+            } catch (error) {
+                event.target.textContent = 'Copy failed';
+            }
+        });
+        document.getElementById('mfaDownloadCodes')?.addEventListener('click', () => {
+            const link = document.createElement('a');
+            link.href = URL.createObjectURL(new Blob([text], { type: 'text/plain' }));
+            link.download = 'atc-recovery-codes.txt';
+            link.click();
+            URL.revokeObjectURL(link.href);
+        });
+        document.getElementById('mfaCodesDone')?.addEventListener('click', () => {
+            if (window.APP_USER?.mfaEnrollmentRequired) {
+                window.location.href = '/control';
+                return;
+            }
+            renderStatus();
+        });
+    }
+
+    async function loadStatus() {
+        try {
+            status = await API.getMfaStatus();
+            renderStatus();
+        } catch (error) {
+            const body = getBody();
+            if (body) body.innerHTML = `<p class="text-muted">Two-factor status unavailable: ${escapeHtml(error.message)}</p>`;
+        }
+    }
+
+    async function startEnrollment() {
+        try {
+            renderEnrollment(await API.startMfaEnrollment());
+        } catch (error) {
+            renderMessage('error', `Failed to start setup: ${error.message}`);
+        }
+    }
+
+    async function confirmEnrollment() {
+        const code = document.getElementById('mfaConfirmCode')?.value.trim();
+        if (!code) return;
+        try {
+            const result = await API.confirmMfaEnrollment(code);
+            status = result;
+            renderRecoveryCodes(result.recoveryCodes || [], 'Two-factor authentication is now enabled.');
+        } catch (error) {
+            renderMessage('error', error.message);
+        }
+    }
+
+    function readManageCode() {
+        const code = document.getElementById('mfaManageCode')?.value.trim();
+        if (!code) renderMessage('error', 'Enter a code from your authenticator app or a recovery code.');
+        return code;
+    }
+
+    async function regenerateCodes() {
+        const code = readManageCode();
+        if (!code) return;
+        if (!confirm('Generate new recovery codes? Your existing codes will stop working.')) return;
+        try {
+            const result = await API.regenerateRecoveryCodes(code);
+            status = result;
+            renderRecoveryCodes(result.recoveryCodes || [], 'New recovery codes generated.');
+        } catch (error) {
+            renderMessage('error', error.message);
+        }
+    }
+
+    async function disableMfa() {
+        const code = readManageCode();
+        if (!code) return;
+        if (!confirm('Turn off two-factor authentication for your account?')) return;
+        try {
+            status = await API.disableMfa(code);
+            renderStatus();
+            renderMessage('success', 'Two-factor authentication turned off.');
+        } catch (error) {
+            renderMessage('error', error.message);
+        }
+    }
+
+    document.addEventListener('DOMContentLoaded', loadStatus);
+})();
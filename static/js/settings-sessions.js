@@ -0,0 +1,106 @@
+/**
+ * Settings: active sessions and remote sign-out.
+ */
+
+(function () {
+    'use strict';
+
+    const escapeHtml = window.escapeHtml || ((value) => String(value ?? ''));
+
+    function formatDate(value) {
+        if (!value) return '--';
+        const date = new Date(value);
+        return Number.isNaN(date.getTime()) ? '--' : date.toLocaleString();
+    }
+
+    function showMessage(type, message) {
+        const container = document.getElementById('sessionMessage');
+        if (!container) return;
+        container.innerHTML = message
+            ? `<div class="alert alert-${type === 'error' ? 'danger' : 'success'} mb-md">${escapeHtml(message)}</div>`
+            : '';
+    }
+
+    function renderSessions(sessions) {
+        const container = document.getElementById('sessionList');
+        const revokeOthers = document.getElementById('sessionRevokeOthers');
+        if (revokeOthers) revokeOthers.disabled = !sessions.some(session => !session.current);
+        if (!container) return;
+        if (!sessions.length) {
+            container.innerHTML = '<p class="text-muted">No active sessions.</p>';
+            return;
+        }
+        container.innerHTML = `
+            <table class="data-table">
+                <thead>
+                    <tr>
+                        <th>Device</th>
+                        <th>IP Address</th>
+                        <th>Signed In</th>
+                        <th>Last Active</th>
+                        <th></th>
+                    </tr>
+                </thead>
+                <tbody>
+                    ${sessions.map(session => `
+                        <tr>
+                            <td>
+                                <div title="${escapeHtml(session.userAgent || '')}">${escapeHtml(session.device)}</div>
+                                ${session.via ? `<div class="text-muted">via ${escapeHtml(session.via)}</div>` : ''}
+                            </td>
+                            <td class="font-mono">${escapeHtml(session.ip || '--')}</td>
+                            <td>${escapeHtml(formatDate(session.createdAt))}</td>
+                            <td>${escapeHtml(formatDate(session.lastSeenAt))}</td>
+                            <td>
+                                ${session.current
+                                    ? '<span class="status-badge pass">This device</span>'
+                                    : `<button type="button" class="btn btn-ghost btn-sm" data-revoke="${escapeHtml(session.id)}">Sign Out</button>`}
+                            </td>
+                        </tr>
+                    `).join('')}
+                </tbody>
+            </table>
+        `;
+    }
+
+    async function loadSessions() {
+        try {
+            const result = await API.getSessions();
+            renderSessions(Array.isArray(result?.sessions) ? result.sessions : []);
+        } catch (error) {
+            const container = document.getElementById('sessionList');
+            if (container) container.innerHTML = `<p class="text-muted">Sessions unavailable: ${escapeHtml(error.message)}</p>`;
+        }
+    }
+
+    async function revokeSession(id) {
+        if (!confirm('Sign out this session?')) return;
+        try {
+            await API.revokeSession(id);
+            showMessage('success', 'Session signed out.');
+        } catch (error) {
+            showMessage('error', `Failed to sign out session: ${error.message}`);
+        }
+        loadSessions();
+    }
+
+    async function revokeOtherSessions() {
+        if (!confirm('Sign out every session except this one?')) return;
+        try {
+            const result = await API.revokeOtherSessions();
+            showMessage('success', `Signed out ${result.revoked} other session${result.revoked === 1 ? '' : 's'}.`);
+        } catch (error) {
+            showMessage('error', `Failed to sign out other sessions: ${error.message}`);
+        }
+        loadSessions();
+    }
+
+    document.addEventListener('DOMContentLoaded', () => {
+        document.getElementById('sessionRevokeOthers')?.addEventListener('click', revokeOtherSessions);
+        document.getElementById('sessionList')?.addEventListener('click', (event) => {
+            const button = event.target.closest('button[data-revoke]');
+            if (button) revokeSession(button.dataset.revoke);
+        });
+        loadSessions();
+    });
+})();
@@ -0,0 +1,164 @@
+/**
+ * Settings: personal access tokens for the ATC and Blender proxies.
+ */
+
+(function () {
+    'use strict';
+
+    const escapeHtml = window.escapeHtml || ((value) => String(value ?? ''));
+
+    const SCOPE_LABELS = {
+        'atc:read': 'ATC read',
+        'atc:write': 'ATC write',
+        'blender:read': 'Blender read',
+        'blender:write': 'Blender write'
+    };
+    const DEFAULT_SCOPES = ['atc:read'];
+
+    let scopes = Object.keys(SCOPE_LABELS);
+    let maxLifetimeDays = 365;
+
+    function formatDate(value, fallback = '--') {
+        if (!value) return fallback;
+        const date = new Date(value);
+        return Number.isNaN(date.getTime()) ? fallback : date.toLocaleString();
+    }
+
+    function showMessage(type, html) {
+        const container = document.getElementById('tokenMessage');
+        if (!container) return;
+        container.innerHTML = html
+            ? `<div class="alert alert-${type === 'error' ? 'danger' : 'success'} mb-md">${html}</div>`
+            : '';
+    }
+
+    function renderScopes() {
+        const container = document.getElementById('tokenScopes');
+        if (!container || container.childElementCount) return;
+        container.innerHTML = scopes.map(scope => `
+            <label class="toggle-label">
+                <input type="checkbox" value="${escapeHtml(scope)}" ${DEFAULT_SCOPES.includes(scope) ? 'checked' : ''}>
+                <span>${escapeHtml(SCOPE_LABELS[scope] || scope)}</span>
+            </label>
+        `).join('');
+    }
+
+    function renderExpiryOptions() {
+        const select = document.getElementById('tokenExpiry');
+        if (!select) return;
+        Array.from(select.options).forEach((option) => {
+            option.disabled = Number(option.value) > maxLifetimeDays;
+        });
+        if (select.selectedOptions[0]?.disabled) {
+            select.value = Array.from(select.options).filter(option => !option.disabled).pop()?.value || '';
+        }
+    }
+
+    function renderTokens(tokens) {
+        const container = document.getElementById('tokenList');
+        if (!container) return;
+        if (!tokens.length) {
+            container.innerHTML = '<p class="text-muted">No active tokens.</p>';
+            return;
+        }
+        const now = Date.now();
+        container.innerHTML = `
+            <table class="data-table">
+                <thead>
+                    <tr>
+                        <th>Name</th>
+                        <th>Scopes</th>
+                        <th>Expires</th>
+                        <th>Last Used</th>
+                        <th></th>
+                    </tr>
+                </thead>
+                <tbody>
+                    ${tokens.map((token) => {
+                        const expired = Date.parse(token.expiresAt) <= now;
+                        return `
+                            <tr>
+                                <td>
+                                    <div>${escapeHtml(token.name)}</div>
+                                    <div class="font-mono text-muted">${escapeHtml(token.prefix)}…</div>
+                                </td>
+                                <td>${token.scopes.map(scope => escapeHtml(SCOPE_LABELS[scope] || scope)).join(', ')}</td>
+                                <td class="${expired ? 'text-danger' : ''}">${expired ? 'Expired' : escapeHtml(formatDate(token.expiresAt))}</td>
+                                <td>
+                                    <div>${escapeHtml(formatDate(token.lastUsedAt, 'Never'))}</div>
+                                    ${token.lastUsedIp ? `<div class="font-mono text-muted">${escapeHtml(token.lastUsedIp)}</div>` : ''}
+                                </td>
+                                <td>
+                                    <button type="button" class="btn btn-ghost btn-sm" data-revoke="${escapeHtml(token.id)}">Revoke</button>
+                                </td>
+                            </tr>
+                        `;
+                    }).join('')}
+                </tbody>
+            </table>
+        `;
+    }
+
+    async function loadTokens() {
+        try {
+            const result = await API.getAccessTokens();
+            if (Array.isArray(result?.scopes) && result.scopes.length) scopes = result.scopes;
+            if (Number.isFinite(result?.maxLifetimeDays)) maxLifetimeDays = result.maxLifetimeDays;
+            renderScopes();
+            renderExpiryOptions();
+            renderTokens(Array.isArray(result?.tokens) ? result.tokens : []);
+        } catch (error) {
+            const container = document.getElementById('tokenList');
+            if (container) container.innerHTML = `<p class="text-muted">Tokens unavailable: ${escapeHtml(error.message)}</p>`;
+        }
+    }
+
+    async function createToken(event) {
+        event.preventDefault();
+        const name = document.getElementById('tokenName')?.value.trim();
+        const selected = Array.from(document.querySelectorAll('#tokenScopes input:checked')).map(input => input.value);
+        const expiresInDays = Number(document.getElementById('tokenExpiry')?.value);
+        try {
+            const result = await API.createAccessToken({ name, scopes: selected, expiresInDays });
+            showMessage('success', `
+                Token <strong>${escapeHtml(result.token.name)}</strong> created. Copy it now; it will not be shown again.
+                <div class="flex gap-sm items-center mt-sm">
+                    <input type="text" class="form-input font-mono" id="tokenSecret" readonly value="${escapeHtml(result.secret)}">
+                    <button type="button" class="btn btn-ghost btn-sm" id="tokenCopy">Copy</button>
+                </div>
+            `);
+            document.getElementById('tokenCopy')?.addEventListener('click', async (copyEvent) => {
+                try {
+                    await navigator.clipboard.writeText(result.secret);
+                    copyEvent.target.textContent = 'Copied';
+                } catch (error) {
+                    document.getElementById('tokenSecret')?.select();
+                }
+            });
+            event.target.reset();
+            loadTokens();
+        } catch (error) {
+            showMessage('error', escapeHtml(`Failed to create token: ${error.message}`));
+        }
+    }
+
+    async function revokeToken(id) {
+        if (!confirm('Revoke this token? Scripts using it will stop working immediately.')) return;
+        try {
+            await API.revokeAccessToken(id);
+            showMessage('success', 'Token revoked.');
+        } catch (error) {
+            showMessage('error', escapeHtml(`Failed to revoke token: ${error.message}`));
+        }
+        loadTokens();
+    }
+
+    document.addEventListener('DOMContentLoaded', () => {
+        document.getElementById('tokenForm')?.addEventListener('submit', createToken);
+        document.getElementById('tokenList')?.addEventListener('click', (event) => {
+            const button = event.target.closest('button[data-revoke]');
+            if (button) revokeToken(button.dataset.revoke);
+        });
+        loadTokens();
+    });
+})();
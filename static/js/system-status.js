@@ -0,0 +1,158 @@
+/**
+ * System Status
+ * Keeps the status bar indicator in sync with /api/system/status and renders
+ * the upstream details panel it opens.
+ */
+
+(function () {
+    'use strict';
+
+    const escapeHtml = window.escapeHtml || ((value) => String(value ?? ''));
+
+    const POLL_INTERVAL_MS = 30000;
+
+    const CHECK_LABELS = {
+        atc: 'ATC Server',
+        blender: 'Flight Blender',
+        redis: 'Session Store (Redis)',
+        compliance_sync: 'Compliance Limits Sync'
+    };
+
+    const CHECK_BADGES = {
+        up: ['pass', 'Up'],
+        degraded: ['warn', 'Degraded'],
+        down: ['fail', 'Down']
+    };
+
+    const OVERALL_STATES = {
+        ok: ['online', 'System Online'],
+        degraded: ['flying', 'System Degraded'],
+        down: ['conflict', 'System Down'],
+        unknown: ['offline', 'Status Unavailable']
+    };
+
+    const UPSTREAM_STATES = {
+        open: 'Connected',
+        connecting: 'Connecting',
+        idle: 'Idle (no viewers)',
+        disabled: 'Disabled'
+    };
+
+    let lastStatus = null;
+    let lastError = null;
+    let loading = false;
+
+    function formatDate(value) {
+        if (!value) return 'Never';
+        const date = new Date(value);
+        return Number.isNaN(date.getTime()) ? '--' : date.toLocaleString();
+    }
+
+    function updateIndicator() {
+        const dot = document.getElementById('systemStatusDot');
+        const text = document.getElementById('systemStatusText');
+        const [dotClass, label] = OVERALL_STATES[lastError ? 'unknown' : lastStatus?.status] || OVERALL_STATES.unknown;
+        if (dot) dot.className = `status-dot ${dotClass}`;
+        if (text) text.textContent = label;
+    }
+
+    function renderCheck(check) {
+        const [badgeClass, badgeLabel] = CHECK_BADGES[check.status] || ['pending', check.status];
+        return `
+            <div class="system-status-row">
+                <div>
+                    <div>${escapeHtml(CHECK_LABELS[check.name] || check.name)}${check.required ? '' : ' <span class="text-muted">(optional)</span>'}</div>
+                    ${check.error ? `<div class="text-muted">${escapeHtml(check.error)}</div>` : ''}
+                </div>
+                <div class="flex gap-sm items-center">
+                    <span class="text-muted font-mono">${escapeHtml(check.latencyMs)} ms</span>
+                    <span class="status-badge ${badgeClass}">${escapeHtml(badgeLabel)}</span>
+                </div>
+            </div>
+        `;
+    }
+
+    function renderPanel() {
+        const body = document.getElementById('systemStatusBody');
+        if (!body) return;
+        if (lastError) {
+            body.innerHTML = `<p class="text-muted">Status unavailable: ${escapeHtml(lastError)}</p>`;
+            return;
+        }
+        if (!lastStatus) {
+            body.innerHTML = '<p class="text-muted">Loading...</p>';
+            return;
+        }
+
+        const sync = lastStatus.complianceSync || {};
+        const ws = lastStatus.wsProxy || {};
+        body.innerHTML = `
+            ${(lastStatus.checks || []).map(renderCheck).join('')}
+            <div class="system-status-row">
+                <span>Last compliance sync</span>
+                <span>${escapeHtml(formatDate(sync.lastSuccessAt))}</span>
+            </div>
+            <div class="system-status-row">
+                <span>Live WebSocket connections</span>
+                <span class="font-mono">${escapeHtml(ws.active ?? 0)} (${escapeHtml(ws.users ?? 0)} user${ws.users === 1 ? '' : 's'}, ${escapeHtml(ws.mine ?? 0)} yours)</span>
+            </div>
+            <div class="system-status-row">
+                <span>ATC telemetry stream</span>
+                <span>${escapeHtml(UPSTREAM_STATES[ws.upstream?.state] || ws.upstream?.state || '--')}${ws.upstream?.trackedDrones ? ` &middot; ${escapeHtml(ws.upstream.trackedDrones)} drones` : ''}</span>
+            </div>
+            ${Array.isArray(ws.byUser) && ws.byUser.length ? ws.byUser.map(entry => `
+                <div class="system-status-row text-muted">
+                    <span>${escapeHtml(entry.name || entry.userId)}</span>
+                    <span class="font-mono">${escapeHtml(entry.connections)}</span>
+                </div>
+            `).join('') : ''}
+            <p class="text-muted mt-md">
+                Checked ${escapeHtml(formatDate(lastStatus.checkedAt))} &middot; v${escapeHtml(lastStatus.version || '--')}
+            </p>
+        `;
+    }
+
+    async function refresh(force = false) {
+        if (loading) return;
+        loading = true;
+        try {
+            lastStatus = await API.getSystemStatus(force);
+            lastError = null;
+        } catch (error) {
+            lastError = error.message;
+        } finally {
+            loading = false;
+        }
+        updateIndicator();
+        renderPanel();
+    }
+
+    function setPanelOpen(open) {
+        const panel = document.getElementById('systemStatusPanel');
+        const toggle = document.getElementById('systemStatusToggle');
+        if (!panel || !toggle) return;
+        panel.hidden = !open;
+        toggle.setAttribute('aria-expanded', String(open));
+        if (open) refresh();
+    }
+
+    document.addEventListener('DOMContentLoaded', () => {
+        const panel = document.getElementById('systemStatusPanel');
+        const toggle = document.getElementById('systemStatusToggle');
+        if (!panel || !toggle || typeof API === 'undefined') return;
+
+        toggle.addEventListener('click', () => setPanelOpen(panel.hidden));
+        document.getElementById('systemStatusRefresh')?.addEventListener('click', () => refresh(true));
+        document.addEventListener('click', (event) => {
+            if (!panel.hidden && !event.target.closest('.system-status')) setPanelOpen(false);
+        });
+        document.addEventListener('keydown', (event) => {
+            if (event.key === 'Escape' && !panel.hidden) setPanelOpen(false);
+        });
+
+        refresh();
+        setInterval(() => {
+            if (!document.hidden) refresh();
+        }, POLL_INTERVAL_MS);
+    });
+})();
@@ -0,0 +1,89 @@
+// A personal access token is only honoured while findActiveToken returns it:
+// these cases pin down which secrets it accepts (expired, revoked, unknown),
+// which scope each HTTP method needs, the per-user cap and input validation.
+
+const { test, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const Database = require("better-sqlite3");
+const {
+  initAccessTokenStore,
+  parseTokenInput,
+  looksLikeAccessToken,
+  requiredScopeFor,
+  MAX_TOKENS_PER_USER
+} = require("../util/access-tokens");
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+let store;
+
+beforeEach(() => {
+  store = initAccessTokenStore(new Database(":memory:"));
+});
+
+function inDays(days) {
+  return new Date(Date.now() + days * DAY_MS).toISOString();
+}
+
+test("reads need :read and everything else :write", () => {
+  assert.equal(requiredScopeFor("atc", "GET"), "atc:read");
+  assert.equal(requiredScopeFor("atc", "HEAD"), "atc:read");
+  assert.equal(requiredScopeFor("atc", "POST"), "atc:write");
+  assert.equal(requiredScopeFor("blender", "delete"), "blender:write");
+});
+
+test("a created token is found by its secret with only its own scopes", () => {
+  const { token, secret } = store.createToken("alice", { name: "ci", scopes: ["atc:read"], expiresAt: inDays(30) });
+
+  assert.ok(looksLikeAccessToken(secret));
+  assert.ok(secret.startsWith(token.prefix));
+  const found = store.findActiveToken(secret);
+  assert.equal(found.id, token.id);
+  assert.equal(found.userId, "alice");
+  assert.deepEqual(found.scopes, ["atc:read"]);
+  assert.ok(found.scopes.includes(requiredScopeFor("atc", "GET")));
+  assert.ok(!found.scopes.includes(requiredScopeFor("atc", "POST")));
+  assert.ok(!found.scopes.includes(requiredScopeFor("blender", "GET")));
+});
+
+test("unknown, malformed, expired and revoked secrets are not accepted", () => {
+  const { secret } = store.createToken("alice", { name: "ci", scopes: ["atc:read"], expiresAt: inDays(30) });
+
+  assert.equal(store.findActiveToken(`${secret}x`), null);
+  assert.equal(store.findActiveToken("not-a-token"), null);
+  assert.equal(store.findActiveToken(null), null);
+
+  const expired = store.createToken("alice", { name: "old", scopes: ["atc:read"], expiresAt: inDays(-1) });
+  assert.equal(store.findActiveToken(expired.secret), null);
+
+  const revoked = store.createToken("alice", { name: "gone", scopes: ["atc:write"], expiresAt: inDays(30) });
+  assert.equal(store.revokeToken("bob", revoked.token.id), false, "only the owner can revoke");
+  assert.ok(store.findActiveToken(revoked.secret));
+  assert.equal(store.revokeToken("alice", revoked.token.id), true);
+  assert.equal(store.findActiveToken(revoked.secret), null);
+  assert.equal(store.listTokens("alice").some(token => token.id === revoked.token.id), false);
+
+  assert.equal(store.revokeTokensForUser("alice"), 2, "the active and the expired token");
+  assert.equal(store.findActiveToken(secret), null);
+});
+
+test("each user is limited to MAX_TOKENS_PER_USER active tokens", () => {
+  for (let i = 0; i < MAX_TOKENS_PER_USER; i += 1) {
+    assert.ok(store.createToken("alice", { name: `t${i}`, scopes: ["atc:read"], expiresAt: inDays(30) }));
+  }
+  assert.equal(store.createToken("alice", { name: "extra", scopes: ["atc:read"], expiresAt: inDays(30) }), null);
+  assert.ok(store.createToken("bob", { name: "t0", scopes: ["atc:read"], expiresAt: inDays(30) }));
+});
+
+test("create payloads are validated", () => {
+  assert.match(parseTokenInput({ scopes: ["atc:read"], expiresInDays: 30 }).error, /name is required/);
+  assert.match(parseTokenInput({ name: "ci", scopes: [], expiresInDays: 30 }).error, /at least one scope/);
+  assert.match(parseTokenInput({ name: "ci", scopes: ["atc:admin"], expiresInDays: 30 }).error, /Unknown scope/);
+  assert.match(parseTokenInput({ name: "ci", scopes: ["atc:read"], expiresInDays: 0 }).error, /expiresInDays/);
+  assert.match(parseTokenInput({ name: "ci", scopes: ["atc:read"], expiresInDays: 31 }, 30).error, /1 to 30/);
+
+  const { token } = parseTokenInput({ name: " ci ", scopes: ["blender:write", "atc:read", "atc:read"], expiresInDays: 7 });
+  assert.equal(token.name, "ci");
+  assert.deepEqual(token.scopes, ["atc:read", "blender:write"]);
+  assert.ok(Math.abs(Date.parse(token.expiresAt) - (Date.now() + 7 * DAY_MS)) < 5000);
+});
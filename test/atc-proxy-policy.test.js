@@ -0,0 +1,479 @@
+// Role x route matrix for the ATC proxy policy. Starts the real server
+// against a stubbed ATC upstream and, for every route in
+// config/atc-proxy-policy.json, checks each role is refused below the
+// route's minimum role, otherwise forwarded with exactly the upstream tokens
+// the policy names. Ownership checks, unlisted routes and the WebSocket
+// bridge are covered too. Run with `npm test`.
+
+const { test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { spawn } = require("child_process");
+const crypto = require("crypto");
+const fs = require("fs");
+const http = require("http");
+const net = require("net");
+const os = require("os");
+const path = require("path");
+const vm = require("vm");
+const WebSocket = require("ws");
+const {
+  loadAtcProxyPolicy,
+  compilePolicy,
+  hasRequiredRole,
+  isOwnershipExempt
+} = require("../util/atc-proxy-policy");
+
+const ROOT = path.join(__dirname, "..");
+const ADMIN_TOKEN = "test-admin-token";
+const REGISTRATION_TOKEN = "test-registration-token";
+const FOREIGN_OWNER = "someone-else";
+const policy = loadAtcProxyPolicy();
+
+// One account per role. The default users cover viewer and admin; the others
+// sign up as operators and the authority is then promoted by the admin.
+const ACCOUNTS = {
+  viewer: { id: "guest", password: "guest123" },
+  operator: { id: "policy-operator", password: "operator123", signup: true },
+  authority: { id: "policy-authority", password: "authority123", signup: true },
+  admin: { id: "admin", password: "admin123" }
+};
+const ROLES = Object.keys(ACCOUNTS);
+
+let stub;
+let server;
+let baseUrl;
+let tempDir;
+const upstreamRequests = [];
+const upstreamSockets = [];
+const sessions = {};
+
+function freePort() {
+  return new Promise((resolve, reject) => {
+    const probe = net.createServer();
+    probe.once("error", reject);
+    probe.listen(0, "127.0.0.1", () => {
+      const { port } = probe.address();
+      probe.close(() => resolve(port));
+    });
+  });
+}
+
+// ATC stand-in: records every request and answers 200, with a drone list and
+// per-owner flight list so the ownership lookups have something to resolve.
+function startStubAtc() {
+  const droneList = () => [
+    ...ROLES.map(role => ({ drone_id: `D-${ACCOUNTS[role].id}`, owner_id: ACCOUNTS[role].id })),
+    { drone_id: "D-foreign", owner_id: FOREIGN_OWNER }
+  ];
+  const httpServer = http.createServer((req, res) => {
+    let body = "";
+    req.on("data", (chunk) => { body += chunk; });
+    req.on("end", () => {
+      const url = new URL(req.url, "http://stub");
+      upstreamRequests.push({
+        method: req.method,
+        path: url.pathname,
+        requestId: req.headers["x-request-id"],
+        authorization: req.headers.authorization || null,
+        registrationToken: req.headers["x-registration-token"] || null,
+        body: body ? JSON.parse(body) : null
+      });
+      let payload = { ok: true };
+      if (req.method === "GET" && url.pathname === "/v1/drones") payload = droneList();
+      if (req.method === "GET" && url.pathname === "/v1/flights") {
+        const ownerId = url.searchParams.get("owner_id");
+        const firstPage = (url.searchParams.get("offset") || "0") === "0";
+        payload = ownerId && firstPage ? [{ flight_id: `F-${ownerId}`, owner_id: ownerId }] : [];
+      }
+      res.writeHead(200, { "Content-Type": "application/json" });
+      res.end(JSON.stringify(payload));
+    });
+  });
+  const wss = new WebSocket.Server({ server: httpServer, path: "/v1/ws" });
+  wss.on("connection", (socket, req) => {
+    upstreamSockets.push({ authorization: req.headers.authorization || null });
+  });
+  return new Promise((resolve) => {
+    httpServer.listen(0, "127.0.0.1", () => resolve({ httpServer, wss, port: httpServer.address().port }));
+  });
+}
+
+async function waitForServer(child) {
+  const deadline = Date.now() + 20000;
+  while (Date.now() < deadline) {
+    if (child.exitCode !== null) throw new Error(`server exited with code ${child.exitCode}`);
+    try {
+      const response = await fetch(`${baseUrl}/healthz`);
+      if (response.ok) return;
+    } catch (error) {
+      // Not listening yet.
+    }
+    await new Promise(resolve => setTimeout(resolve, 200));
+  }
+  throw new Error("server did not start within 20s");
+}
+
+// Minimal cookie-carrying client for one signed-in user.
+function createSession() {
+  const cookies = new Map();
+  let csrfToken = "";
+
+  async function send(method, urlPath, { json, form, headers = {} } = {}) {
+    const init = { method, redirect: "manual", headers: { ...headers } };
+    if (cookies.size) {
+      init.headers.Cookie = Array.from(cookies, ([name, value]) => `${name}=${value}`).join("; ");
+    }
+    if (method !== "GET" && csrfToken) init.headers["X-CSRF-Token"] = csrfToken;
+    if (json !== undefined) {
+      init.headers["Content-Type"] = "application/json";
+      init.body = JSON.stringify(json);
+    } else if (form) {
+      init.headers["Content-Type"] = "application/x-www-form-urlencoded";
+      init.body = new URLSearchParams(form).toString();
+    }
+    const response = await fetch(`${baseUrl}${urlPath}`, init);
+    response.headers.getSetCookie().forEach((cookie) => {
+      const [pair] = cookie.split(";");
+      const index = pair.indexOf("=");
+      cookies.set(pair.slice(0, index), pair.slice(index + 1));
+    });
+    return response;
+  }
+
+  async function refreshCsrf() {
+    const response = await send("GET", "/csrf");
+    csrfToken = (await response.json()).csrfToken;
+  }
+
+  return {
+    send,
+    cookieHeader: () => Array.from(cookies, ([name, value]) => `${name}=${value}`).join("; "),
+    async login(username, password) {
+      cookies.clear();
+      await send("GET", "/login");
+      await refreshCsrf();
+      const response = await send("POST", "/login", { form: { username, password, _csrf: csrfToken } });
+      assert.equal(response.status, 302, `login for ${username}`);
+      await refreshCsrf();
+    },
+    async signup(username, password) {
+      cookies.clear();
+      await send("GET", "/signup");
+      await refreshCsrf();
+      const response = await send("POST", "/signup", {
+        form: {
+          username,
+          password,
+          confirmPassword: password,
+          name: username,
+          email: `${username}@example.com`,
+          _csrf: csrfToken
+        }
+      });
+      assert.equal(response.status, 302, `signup for ${username}`);
+    }
+  };
+}
+
+// Upstream request the proxy made for `requestId`, ignoring ownership lookups.
+function forwardedRequest(requestId, method, upstreamPath) {
+  return upstreamRequests.find(entry => (
+    entry.requestId === requestId && entry.method === method && entry.path === upstreamPath
+  )) || null;
+}
+
+function concretePath(route, userId) {
+  const id = route.ownership.includes("flight") ? `F-${userId}` : `X-${userId}`;
+  return route.path.replace(/:[^/]+/g, id);
+}
+
+async function callProxy(role, method, upstreamPath, { query = "", body } = {}) {
+  const requestId = crypto.randomUUID();
+  const response = await sessions[role].send(method, `/api/atc${upstreamPath}${query}`, {
+    json: ["GET", "HEAD"].includes(method) ? undefined : (body || {}),
+    headers: { "X-Request-ID": requestId }
+  });
+  const text = await response.text();
+  let payload = null;
+  try {
+    payload = JSON.parse(text);
+  } catch (error) {
+    payload = text;
+  }
+  return { status: response.status, payload, forwarded: forwardedRequest(requestId, method, upstreamPath) };
+}
+
+function connectWs(cookie) {
+  return new Promise((resolve) => {
+    const socket = new WebSocket(`${baseUrl.replace("http", "ws")}/api/atc/v1/ws`, {
+      headers: cookie ? { Cookie: cookie } : {}
+    });
+    socket.once("open", () => {
+      socket.close();
+      resolve({ opened: true });
+    });
+    socket.once("unexpected-response", (req, res) => {
+      resolve({ opened: false, status: res.statusCode });
+      req.destroy();
+    });
+    socket.once("error", () => resolve({ opened: false, status: null }));
+  });
+}
+
+before(async () => {
+  stub = await startStubAtc();
+  tempDir = fs.mkdtempSync(path.join(os.tmpdir(), "atc-policy-test-"));
+  const port = await freePort();
+  baseUrl = `http://127.0.0.1:${port}`;
+  server = spawn(process.execPath, ["server.js"], {
+    cwd: ROOT,
+    env: {
+      ...process.env,
+      NODE_ENV: "test",
+      PORT: String(port),
+      ATC_SERVER_URL: `http://127.0.0.1:${stub.port}`,
+      ATC_ADMIN_TOKEN: ADMIN_TOKEN,
+      ATC_REGISTRATION_TOKEN: REGISTRATION_TOKEN,
+      ATC_ALLOW_DEFAULT_USERS: "1",
+      ATC_PROXY_POLICY_PATH: "",
+      USER_DB_PATH: path.join(tempDir, "users.sqlite"),
+      SESSION_STORE_PATH: path.join(tempDir, "sessions")
+    },
+    stdio: ["ignore", "ignore", "pipe"]
+  });
+  let stderr = "";
+  server.stderr.on("data", (chunk) => { stderr = (stderr + chunk).slice(-4000); });
+  try {
+    await waitForServer(server);
+  } catch (error) {
+    throw new Error(`${error.message}\n${stderr}`);
+  }
+
+  for (const role of ROLES) {
+    const account = ACCOUNTS[role];
+    sessions[role] = createSession();
+    if (account.signup) await sessions[role].signup(account.id, account.password);
+  }
+  await sessions.admin.login(ACCOUNTS.admin.id, ACCOUNTS.admin.password);
+  const promoted = await sessions.admin.send("PATCH", `/api/admin/users/${ACCOUNTS.authority.id}`, {
+    json: { role: "authority" }
+  });
+  assert.equal(promoted.status, 200, "promote the authority account");
+  for (const role of ROLES.filter(name => name !== "admin")) {
+    await sessions[role].login(ACCOUNTS[role].id, ACCOUNTS[role].password);
+  }
+});
+
+after(async () => {
+  if (server && server.exitCode === null) {
+    const exited = new Promise(resolve => server.once("exit", resolve));
+    server.kill("SIGTERM");
+    await Promise.race([exited, new Promise(resolve => setTimeout(resolve, 5000))]);
+    if (server.exitCode === null) server.kill("SIGKILL");
+  }
+  if (stub) {
+    stub.wss.clients.forEach(client => client.terminate());
+    stub.wss.close();
+    stub.httpServer.closeAllConnections();
+    await new Promise(resolve => stub.httpServer.close(resolve));
+  }
+  if (tempDir) fs.rmSync(tempDir, { recursive: true, force: true });
+});
+
+// Runs static/js/api-client.js against the globals the layout renders for
+// `role`'s map page, recording every URL the browser would fetch.
+async function loadBrowserApiClient(role) {
+  const page = await sessions[role].send("GET", "/control/map");
+  assert.equal(page.status, 200);
+  const html = await page.text();
+  const rendered = (name) => JSON.parse(html.match(new RegExp(`window\\.${name} = (.*);`))[1]);
+  const fetched = [];
+  const browser = vm.createContext({
+    APP_USER: rendered("APP_USER"),
+    __ATC_OWNERSHIP_EXEMPT_ROLES__: rendered("__ATC_OWNERSHIP_EXEMPT_ROLES__"),
+    __ATC_API_BASE__: "/api/atc",
+    __CSRF_TOKEN__: "test",
+    console,
+    setInterval: () => 0,
+    document: { addEventListener() {}, getElementById: () => null, querySelector: () => null },
+    fetch: async (url) => {
+      fetched.push(url);
+      return new Response("[]", { status: 200 });
+    }
+  });
+  browser.window = browser;
+  vm.runInContext(fs.readFileSync(path.join(ROOT, "static/js/api-client.js"), "utf8"), browser);
+  return { api: vm.runInContext("API", browser), utils: browser.ATCUtils, fetched };
+}
+
+test("policy file compiles and rejects malformed entries", () => {
+  assert.ok(policy.routes.length > 0);
+  assert.throws(() => compilePolicy({ routes: [{ path: "/v1/x", method: "GET", role: "pilot" }] }), /not a known role/);
+  assert.throws(() => compilePolicy({ routes: [{ path: "/v1/x", method: "GET", ownership: ["tenant"] }] }), /unknown checks/);
+  assert.throws(() => compilePolicy({ routes: [{ path: "/v1/x", method: "GET", ownership: ["flight"] }] }), /no :id segment/);
+  assert.throws(() => compilePolicy({ routes: [{ path: "/v1/x", method: "TRACE" }] }), /not supported/);
+  assert.equal(policy.match("GET", "/v1/geofences/%E0%A4%A"), null, "malformed escapes do not match");
+});
+
+for (const route of policy.routes.filter(entry => !entry.websocket)) {
+  test(`${route.method} ${route.path}`, async (t) => {
+    for (const role of ROLES) {
+      await t.test(role, async () => {
+        const userId = ACCOUNTS[role].id;
+        const upstreamPath = concretePath(route, userId);
+        const result = await callProxy(role, route.method, upstreamPath, {
+          query: route.ownership.includes("drone") && ["GET", "HEAD"].includes(route.method) ? `?drone_id=D-${userId}` : "",
+          body: { drone_id: `D-${userId}` }
+        });
+
+        if (!hasRequiredRole(role, route.role)) {
+          assert.equal(result.status, 403);
+          assert.equal(result.payload.message, "insufficient_role");
+          assert.equal(result.forwarded, null, "refused requests never reach ATC");
+          return;
+        }
+
+        assert.equal(result.status, 200, JSON.stringify(result.payload));
+        assert.ok(result.forwarded, "request reached ATC");
+        assert.equal(result.forwarded.authorization, route.adminToken ? `Bearer ${ADMIN_TOKEN}` : null);
+        assert.equal(result.forwarded.registrationToken, route.registrationToken ? REGISTRATION_TOKEN : null);
+        if (route.ownership.includes("owner") && route.method !== "GET" && !isOwnershipExempt(policy, role)) {
+          assert.equal(result.forwarded.body.owner_id, userId, "owner is stamped on writes");
+        }
+      });
+    }
+  });
+}
+
+test("ownership checks apply to non-exempt roles only", async (t) => {
+  const foreignCases = [];
+  policy.routes.filter(route => !route.websocket).forEach((route) => {
+    const isRead = ["GET", "HEAD"].includes(route.method);
+    route.ownership.forEach((check) => {
+      if (check === "owner") {
+        foreignCases.push({
+          route,
+          message: "forbidden_owner",
+          query: isRead ? `?owner_id=${FOREIGN_OWNER}` : "",
+          body: isRead ? undefined : { owner_id: FOREIGN_OWNER }
+        });
+      } else if (check === "drone" || check === "optional-drone") {
+        foreignCases.push({
+          route,
+          message: "forbidden_drone",
+          query: isRead ? "?drone_id=D-foreign" : "",
+          body: isRead ? undefined : { drone_id: "D-foreign" }
+        });
+        if (check === "drone") {
+          foreignCases.push({ route, message: "missing_drone_id", status: 400, query: "", body: {} });
+        }
+      } else if (check === "flight") {
+        foreignCases.push({ route, message: "forbidden_flight", flightId: "F-unknown", query: "", body: {} });
+      }
+    });
+  });
+  assert.ok(foreignCases.length > 0);
+
+  for (const { route, message, status = 403, query, body, flightId } of foreignCases) {
+    for (const role of ROLES.filter(name => hasRequiredRole(name, route.role))) {
+      await t.test(`${role} ${route.method} ${route.path} -> ${message}`, async () => {
+        const upstreamPath = flightId ? route.path.replace(":id", flightId) : concretePath(route, ACCOUNTS[role].id);
+        const result = await callProxy(role, route.method, upstreamPath, { query, body });
+        if (isOwnershipExempt(policy, role)) {
+          assert.equal(result.status, 200, JSON.stringify(result.payload));
+          assert.ok(result.forwarded);
+        } else {
+          assert.equal(result.status, status);
+          assert.equal(result.payload.message, message);
+          assert.equal(result.forwarded, null);
+        }
+      });
+    }
+  }
+});
+
+// The map's drone list and WebSocket URL both take their owner_id from
+// getOwnerContext, so exempt roles must get no context at all.
+test("browser owner filter follows ownershipExemptRoles", async (t) => {
+  for (const role of ROLES) {
+    await t.test(role, async () => {
+      const { api, utils, fetched } = await loadBrowserApiClient(role);
+      await api.getDrones();
+      if (isOwnershipExempt(policy, role)) {
+        assert.equal(utils.getOwnerContext(), null);
+        assert.deepEqual(fetched, ["/api/atc/v1/drones"]);
+      } else {
+        assert.equal(utils.getOwnerContext().id, ACCOUNTS[role].id);
+        assert.deepEqual(fetched, [`/api/atc/v1/drones?owner_id=${ACCOUNTS[role].id}`]);
+      }
+    });
+  }
+});
+
+test("operators list commands for their own drones only", async () => {
+  const own = await callProxy("operator", "GET", "/v1/commands", { query: `?drone_id=D-${ACCOUNTS.operator.id}` });
+  assert.equal(own.status, 200, JSON.stringify(own.payload));
+  assert.ok(own.forwarded, "own drone's commands reach ATC");
+
+  const foreign = await callProxy("operator", "GET", "/v1/commands", { query: "?drone_id=D-foreign" });
+  assert.equal(foreign.status, 403);
+  assert.equal(foreign.payload.message, "forbidden_drone");
+  assert.equal(foreign.forwarded, null);
+
+  const unscoped = await callProxy("operator", "GET", "/v1/commands");
+  assert.equal(unscoped.status, 400);
+  assert.equal(unscoped.payload.message, "missing_drone_id");
+  assert.equal(unscoped.forwarded, null);
+});
+
+test("unlisted routes and methods are not proxied", async (t) => {
+  const unlisted = [
+    ["GET", "/v1/secrets"],
+    ["DELETE", "/v1/drones"],
+    ["PATCH", "/v1/geofences/abc"],
+    ["GET", "/v1/drones/a/b"]
+  ];
+  for (const [method, upstreamPath] of unlisted) {
+    for (const role of ROLES) {
+      await t.test(`${role} ${method} ${upstreamPath}`, async () => {
+        const result = await callProxy(role, method, upstreamPath);
+        assert.equal(result.status, 404);
+        assert.equal(result.forwarded, null);
+      });
+    }
+  }
+});
+
+test("WebSocket bridge follows the /v1/ws policy entry", async (t) => {
+  const wsRoute = policy.match("GET", "/v1/ws", { websocket: true })?.route;
+  assert.ok(wsRoute, "policy lists the WebSocket bridge");
+
+  await t.test("anonymous", async () => {
+    const result = await connectWs(null);
+    assert.equal(result.opened, false);
+    assert.equal(result.status, 401);
+  });
+
+  for (const role of ROLES) {
+    await t.test(role, async () => {
+      const result = await connectWs(sessions[role].cookieHeader());
+      if (hasRequiredRole(role, wsRoute.role)) {
+        assert.equal(result.opened, true);
+      } else {
+        assert.equal(result.opened, false);
+        assert.equal(result.status, 403);
+      }
+    });
+  }
+
+  await t.test("upstream token", async () => {
+    const deadline = Date.now() + 5000;
+    while (!upstreamSockets.length && Date.now() < deadline) {
+      await new Promise(resolve => setTimeout(resolve, 50));
+    }
+    assert.ok(upstreamSockets.length > 0, "the bridge opened the upstream stream");
+    upstreamSockets.forEach((socket) => {
+      assert.equal(socket.authorization, wsRoute.adminToken ? `Bearer ${ADMIN_TOKEN}` : null);
+    });
+  });
+});
@@ -0,0 +1,111 @@
+// Walks the throttle through a brute-force attempt on a fixed clock: free
+// attempts, the doubling (capped) delay, lockout at the threshold and its
+// expiry, the failure window, and how account and IP keys interact.
+
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const Database = require("better-sqlite3");
+const { initLoginThrottle, loadThrottlePolicy } = require("../util/login-throttle");
+
+const POLICY = {
+  account: { freeAttempts: 2, lockThreshold: 5 },
+  ip: { freeAttempts: 4, lockThreshold: 8 },
+  baseDelayMs: 1000,
+  maxDelayMs: 4000,
+  lockoutMs: 60 * 1000,
+  windowMs: 5 * 60 * 1000
+};
+const T0 = Date.UTC(2026, 0, 1);
+
+// Every test starts from an empty attempts table.
+function freshThrottle(policy = POLICY) {
+  return initLoginThrottle(new Database(":memory:"), policy);
+}
+
+test("free attempts pass, then each failure doubles the wait", () => {
+  const throttle = freshThrottle();
+  const keys = { account: "pilot" };
+
+  throttle.recordFailure(keys, T0);
+  throttle.recordFailure(keys, T0);
+  assert.equal(throttle.check(keys, T0), null, "within the free allowance");
+
+  throttle.recordFailure(keys, T0);
+  assert.deepEqual(throttle.check(keys, T0), { scope: "account", locked: false, retryAfterMs: 1000 });
+  assert.equal(throttle.check(keys, T0 + 1000), null, "wait is over");
+
+  throttle.recordFailure(keys, T0 + 1000);
+  assert.equal(throttle.check(keys, T0 + 1000).retryAfterMs, 2000);
+});
+
+test("the delay is capped at maxDelayMs", () => {
+  const throttle = freshThrottle({ ...POLICY, account: { freeAttempts: 1, lockThreshold: 20 } });
+  const keys = { account: "pilot" };
+  for (let i = 0; i < 8; i += 1) throttle.recordFailure(keys, T0);
+  assert.equal(throttle.check(keys, T0).retryAfterMs, POLICY.maxDelayMs);
+});
+
+test("the threshold locks the key until the lockout ends", () => {
+  const throttle = freshThrottle();
+  const keys = { account: "Pilot", ip: "10.0.0.1" };
+
+  for (let i = 0; i < 4; i += 1) {
+    assert.deepEqual(throttle.recordFailure(keys, T0), []);
+  }
+  assert.deepEqual(throttle.recordFailure(keys, T0), [{ scope: "account", key: "pilot" }]);
+
+  assert.deepEqual(throttle.check(keys, T0 + 1000), { scope: "account", locked: true, retryAfterMs: 59 * 1000 });
+  assert.ok(throttle.getAccountLock("PILOT", T0), "account keys ignore case");
+  assert.equal(throttle.listLocked(T0).length, 1);
+
+  const afterLockout = T0 + POLICY.lockoutMs + 1;
+  assert.equal(throttle.check({ account: "pilot" }, afterLockout), null);
+  assert.equal(throttle.getAccountLock("pilot", afterLockout), null);
+  throttle.recordFailure({ account: "pilot" }, afterLockout);
+  assert.equal(throttle.check({ account: "pilot" }, afterLockout), null, "count starts over after a lockout");
+});
+
+test("failures older than the window are forgotten", () => {
+  const throttle = freshThrottle();
+  const keys = { account: "pilot" };
+  for (let i = 0; i < 4; i += 1) throttle.recordFailure(keys, T0);
+  assert.ok(throttle.check(keys, T0));
+
+  const later = T0 + POLICY.windowMs + 1;
+  assert.equal(throttle.check(keys, later), null);
+  throttle.recordFailure(keys, later);
+  assert.equal(throttle.check(keys, later), null, "the old failures no longer count");
+
+  assert.equal(throttle.prune(later + POLICY.windowMs + 1), 1);
+});
+
+test("the most restrictive key wins and success only clears the account", () => {
+  const throttle = freshThrottle();
+  for (let i = 0; i < 6; i += 1) throttle.recordFailure({ ip: "10.0.0.1" }, T0);
+  throttle.recordFailure({ account: "pilot", ip: "10.0.0.1" }, T0);
+  throttle.recordFailure({ account: "pilot", ip: "10.0.0.1" }, T0);
+  throttle.recordFailure({ account: "pilot", ip: "10.0.0.1" }, T0);
+
+  // IP: 9 failures -> locked at 8; account: 3 failures -> 1 s delay.
+  assert.equal(throttle.check({ account: "pilot", ip: "10.0.0.1" }, T0).scope, "ip");
+  assert.equal(throttle.check({ account: "pilot" }, T0).retryAfterMs, 1000);
+
+  throttle.recordSuccess({ account: "pilot", ip: "10.0.0.1" });
+  assert.equal(throttle.check({ account: "pilot" }, T0), null);
+  assert.equal(throttle.check({ ip: "10.0.0.1" }, T0).locked, true);
+
+  assert.equal(throttle.unlock("ip", "10.0.0.1"), true);
+  assert.equal(throttle.check({ ip: "10.0.0.1" }, T0), null);
+});
+
+test("policy is read from the environment with defaults for bad values", () => {
+  const policy = loadThrottlePolicy({
+    ATC_LOGIN_ACCOUNT_FREE_ATTEMPTS: "5",
+    ATC_LOGIN_MAX_DELAY_SECONDS: "-1",
+    ATC_LOGIN_LOCKOUT_MINUTES: "2"
+  });
+  assert.equal(policy.account.freeAttempts, 5);
+  assert.equal(policy.maxDelayMs, 30 * 1000);
+  assert.equal(policy.lockoutMs, 2 * 60 * 1000);
+  assert.equal(policy.ip.lockThreshold, 50);
+});
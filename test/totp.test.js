@@ -0,0 +1,63 @@
+// Second-factor codes are only as strong as verifyCode: it must match the
+// RFC 6238 reference values, tolerate exactly one 30 s step of clock drift and
+// refuse any step at or before the one a user last signed in with.
+
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const totp = require("../util/totp");
+
+// RFC 6238 appendix B secret ("12345678901234567890") in base32.
+const RFC_SECRET = "GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ";
+const STEP_MS = 30 * 1000;
+const NOW_MS = Date.UTC(2026, 0, 1, 12, 0, 10);
+
+test("generates the RFC 6238 reference codes", () => {
+  // Appendix B lists 8-digit codes; the app uses their last 6 digits.
+  assert.equal(totp.generateCode(RFC_SECRET, totp.currentStep(59 * 1000)), "287082");
+  assert.equal(totp.generateCode(RFC_SECRET, totp.currentStep(1111111109 * 1000)), "081804");
+  assert.equal(totp.generateCode(RFC_SECRET, totp.currentStep(1234567890 * 1000)), "005924");
+});
+
+test("accepts codes one step either side of now and nothing further", () => {
+  const secret = totp.generateSecret();
+  const now = totp.currentStep(NOW_MS);
+  for (const offset of [-1, 0, 1]) {
+    const code = totp.generateCode(secret, now + offset);
+    assert.equal(totp.verifyCode(secret, code, { nowMs: NOW_MS }), now + offset, `offset ${offset}`);
+  }
+  for (const offset of [-2, 2]) {
+    const code = totp.generateCode(secret, now + offset);
+    assert.equal(totp.verifyCode(secret, code, { nowMs: NOW_MS }), null, `offset ${offset}`);
+  }
+});
+
+test("rejects a code from a step at or before the last one used", () => {
+  const secret = totp.generateSecret();
+  const now = totp.currentStep(NOW_MS);
+  const code = totp.generateCode(secret, now);
+
+  const used = totp.verifyCode(secret, code, { nowMs: NOW_MS });
+  assert.equal(used, now);
+  assert.equal(totp.verifyCode(secret, code, { lastUsedStep: used, nowMs: NOW_MS }), null, "same code replayed");
+  assert.equal(
+    totp.verifyCode(secret, code, { lastUsedStep: used, nowMs: NOW_MS + STEP_MS }),
+    null,
+    "still replayed while inside the drift window"
+  );
+
+  const previous = totp.generateCode(secret, now - 1);
+  assert.equal(totp.verifyCode(secret, previous, { lastUsedStep: used, nowMs: NOW_MS }), null, "older step");
+
+  const next = totp.generateCode(secret, now + 1);
+  assert.equal(totp.verifyCode(secret, next, { lastUsedStep: used, nowMs: NOW_MS + STEP_MS }), now + 1);
+});
+
+test("rejects malformed codes and missing secrets", () => {
+  const secret = totp.generateSecret();
+  const code = totp.generateCode(secret, totp.currentStep(NOW_MS));
+  assert.equal(totp.verifyCode(secret, `${code.slice(0, 3)} ${code.slice(3)}`, { nowMs: NOW_MS }), totp.currentStep(NOW_MS));
+  assert.equal(totp.verifyCode(secret, code.slice(1), { nowMs: NOW_MS }), null);
+  assert.equal(totp.verifyCode(secret, "abcdef", { nowMs: NOW_MS }), null);
+  assert.equal(totp.verifyCode(secret, "", { nowMs: NOW_MS }), null);
+  assert.equal(totp.verifyCode("", code, { nowMs: NOW_MS }), null);
+});
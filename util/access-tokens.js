@@ -0,0 +1,204 @@
+// Personal access tokens for scripted use of the ATC and Blender proxies.
+// Only a SHA-256 hash of each token is stored; the plaintext is shown once at
+// creation. Tokens act as their owner (current role and ownership rules) and
+// are further limited by scope and expiry.
+
+const crypto = require("crypto");
+
+const TOKEN_PREFIX = "atc_pat_";
+const TOKEN_SCOPES = ["atc:read", "atc:write", "blender:read", "blender:write"];
+const MAX_TOKENS_PER_USER = 20;
+const MAX_NAME_LENGTH = 80;
+const DEFAULT_MAX_LIFETIME_DAYS = 365;
+// Last-used details are written at most this often per token.
+const TOUCH_INTERVAL_MS = 60 * 1000;
+
+function hashToken(token) {
+  return crypto.createHash("sha256").update(String(token)).digest("hex");
+}
+
+function looksLikeAccessToken(value) {
+  return typeof value === "string" && value.startsWith(TOKEN_PREFIX) && value.length > TOKEN_PREFIX.length + 20;
+}
+
+// Scope a request needs: `<area>:read` for GET/HEAD, `<area>:write` otherwise.
+function requiredScopeFor(area, method) {
+  return `${area}:${["GET", "HEAD"].includes(String(method).toUpperCase()) ? "read" : "write"}`;
+}
+
+// Validates a create payload. Returns `{ token }` or `{ error }`.
+function parseTokenInput(body, maxLifetimeDays = DEFAULT_MAX_LIFETIME_DAYS) {
+  const name = typeof body?.name === "string" ? body.name.trim() : "";
+  if (!name) return { error: "Token name is required" };
+  if (name.length > MAX_NAME_LENGTH) {
+    return { error: `Token name must be at most ${MAX_NAME_LENGTH} characters` };
+  }
+
+  const scopes = Array.isArray(body?.scopes) ? [...new Set(body.scopes)] : [];
+  if (!scopes.length) return { error: "Select at least one scope" };
+  const unknown = scopes.filter(scope => !TOKEN_SCOPES.includes(scope));
+  if (unknown.length) {
+    return { error: `Unknown scope(s): ${unknown.join(", ")}. Use ${TOKEN_SCOPES.join(", ")}` };
+  }
+
+  const days = Number(body?.expiresInDays);
+  if (!Number.isInteger(days) || days < 1 || days > maxLifetimeDays) {
+    return { error: `expiresInDays must be a whole number from 1 to ${maxLifetimeDays}` };
+  }
+
+  return {
+    token: {
+      name,
+      scopes: TOKEN_SCOPES.filter(scope => scopes.includes(scope)),
+      expiresAt: new Date(Date.now() + days * 24 * 60 * 60 * 1000).toISOString()
+    }
+  };
+}
+
+function normalizeToken(row) {
+  if (!row) return null;
+  let scopes = [];
+  try {
+    scopes = JSON.parse(row.scopes);
+  } catch (error) {
+    scopes = [];
+  }
+  return {
+    id: row.id,
+    userId: row.user_id,
+    name: row.name,
+    prefix: row.token_prefix,
+    scopes,
+    createdAt: row.created_at,
+    expiresAt: row.expires_at,
+    lastUsedAt: row.last_used_at,
+    lastUsedIp: row.last_used_ip,
+    revokedAt: row.revoked_at
+  };
+}
+
+function initAccessTokenStore(db) {
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS personal_access_tokens (
+      id TEXT PRIMARY KEY,
+      user_id TEXT NOT NULL,
+      name TEXT NOT NULL,
+      token_hash TEXT NOT NULL UNIQUE,
+      token_prefix TEXT NOT NULL,
+      scopes TEXT NOT NULL,
+      created_at TEXT NOT NULL,
+      expires_at TEXT NOT NULL,
+      last_used_at TEXT,
+      last_used_ip TEXT,
+      revoked_at TEXT
+    );
+    CREATE INDEX IF NOT EXISTS idx_personal_access_tokens_user
+      ON personal_access_tokens (user_id, created_at);
+  `);
+
+  const statements = {
+    list: db.prepare(`
+      SELECT * FROM personal_access_tokens
+      WHERE user_id = ? AND revoked_at IS NULL
+      ORDER BY created_at DESC
+    `),
+    countActive: db.prepare(`
+      SELECT COUNT(*) AS total FROM personal_access_tokens
+      WHERE user_id = ? AND revoked_at IS NULL AND expires_at > ?
+    `),
+    getByHash: db.prepare("SELECT * FROM personal_access_tokens WHERE token_hash = ?"),
+    insert: db.prepare(`
+      INSERT INTO personal_access_tokens (
+        id, user_id, name, token_hash, token_prefix, scopes, created_at, expires_at
+      ) VALUES (
+        @id, @user_id, @name, @token_hash, @token_prefix, @scopes, @created_at, @expires_at
+      )
+    `),
+    revoke: db.prepare(`
+      UPDATE personal_access_tokens SET revoked_at = ?
+      WHERE user_id = ? AND id = ? AND revoked_at IS NULL
+    `),
+    revokeForUser: db.prepare(`
+      UPDATE personal_access_tokens SET revoked_at = ?
+      WHERE user_id = ? AND revoked_at IS NULL
+    `),
+    removeForUser: db.prepare("DELETE FROM personal_access_tokens WHERE user_id = ?"),
+    touch: db.prepare(`
+      UPDATE personal_access_tokens
+      SET last_used_at = @now, last_used_ip = @ip
+      WHERE id = @id AND (last_used_at IS NULL OR last_used_at < @stale_before)
+    `)
+  };
+
+  function listTokens(userId) {
+    return statements.list.all(String(userId)).map(normalizeToken);
+  }
+
+  // Returns `{ token, secret }`, or null when the user is at the limit.
+  const createToken = db.transaction((userId, input) => {
+    const now = new Date().toISOString();
+    if (statements.countActive.get(String(userId), now).total >= MAX_TOKENS_PER_USER) return null;
+    const secret = `${TOKEN_PREFIX}${crypto.randomBytes(32).toString("base64url")}`;
+    const row = {
+      id: crypto.randomUUID(),
+      user_id: String(userId),
+      name: input.name,
+      token_hash: hashToken(secret),
+      token_prefix: secret.slice(0, TOKEN_PREFIX.length + 6),
+      scopes: JSON.stringify(input.scopes),
+      created_at: now,
+      expires_at: input.expiresAt
+    };
+    statements.insert.run(row);
+    return { token: normalizeToken(row), secret };
+  });
+
+  /** Active (unrevoked, unexpired) token for a presented secret, or null. */
+  function findActiveToken(secret) {
+    if (!looksLikeAccessToken(secret)) return null;
+    const token = normalizeToken(statements.getByHash.get(hashToken(secret)));
+    if (!token || token.revokedAt || Date.parse(token.expiresAt) <= Date.now()) return null;
+    return token;
+  }
+
+  function revokeToken(userId, id) {
+    return statements.revoke.run(new Date().toISOString(), String(userId), String(id)).changes > 0;
+  }
+
+  function revokeTokensForUser(userId) {
+    return statements.revokeForUser.run(new Date().toISOString(), String(userId)).changes;
+  }
+
+  function removeTokensForUser(userId) {
+    statements.removeForUser.run(String(userId));
+  }
+
+  function touchToken(id, ip) {
+    const now = Date.now();
+    statements.touch.run({
+      id,
+      ip: ip || null,
+      now: new Date(now).toISOString(),
+      stale_before: new Date(now - TOUCH_INTERVAL_MS).toISOString()
+    });
+  }
+
+  return {
+    listTokens,
+    createToken,
+    findActiveToken,
+    revokeToken,
+    revokeTokensForUser,
+    removeTokensForUser,
+    touchToken
+  };
+}
+
+module.exports = {
+  initAccessTokenStore,
+  parseTokenInput,
+  looksLikeAccessToken,
+  requiredScopeFor,
+  TOKEN_SCOPES,
+  MAX_TOKENS_PER_USER
+};
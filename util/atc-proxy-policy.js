@@ -0,0 +1,201 @@
+// Access-control policy for the ATC proxy (`/api/atc/*`) and the telemetry
+// WebSocket bridge, loaded from a JSON file (config/atc-proxy-policy.json by
+// default, ATC_PROXY_POLICY_PATH to override). Each route entry names:
+//
+//   path        "/v1/drones/:id"; `:name` segments match one path segment
+//   method      HTTP method (the WebSocket bridge uses GET with `websocket: true`)
+//   role        minimum role: viewer < operator < authority < admin
+//   adminToken  inject `Authorization: Bearer $ATC_ADMIN_TOKEN` upstream
+//   registrationToken  inject `X-Registration-Token: $ATC_REGISTRATION_TOKEN`
+//   timeoutMs   upstream timeout
+//   ownership   checks for roles outside `ownershipExemptRoles`, in order:
+//               "owner"          reads: an `owner_id` filter must be an owner the
+//                                user can see; writes: a body `owner_id` must be
+//                                one they can command, and is stamped otherwise
+//               "drone"          `drone_id` (query on reads, body on writes) is
+//                                required and must be a drone they can command
+//               "optional-drone" as "drone", but only checked when present
+//               "flight"         the `:id` path segment must be a flight they own
+//
+// Omitted fields come from `defaults`. The first matching entry wins and
+// anything unlisted is answered with 404.
+
+const fs = require("fs");
+const path = require("path");
+
+const DEFAULT_POLICY_PATH = path.join(__dirname, "..", "config", "atc-proxy-policy.json");
+const ROLE_RANK = { viewer: 0, operator: 1, authority: 2, admin: 3 };
+const METHODS = ["GET", "HEAD", "POST", "PUT", "PATCH", "DELETE"];
+const OWNERSHIP_CHECKS = ["owner", "drone", "optional-drone", "flight"];
+const READ_METHODS = ["GET", "HEAD"];
+
+function compilePath(routePath) {
+  const params = [];
+  const source = routePath.split("/").map((segment) => {
+    if (segment.startsWith(":")) {
+      params.push(segment.slice(1));
+      return "([^/]+)";
+    }
+    return segment.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+  }).join("/");
+  return { pattern: new RegExp(`^${source}$`), params };
+}
+
+function compileRoute(entry, defaults, index) {
+  const where = `routes[${index}]`;
+  if (!entry || typeof entry !== "object") throw new Error(`${where} must be an object`);
+  const route = { ...defaults, ...entry };
+  if (typeof route.path !== "string" || !route.path.startsWith("/")) {
+    throw new Error(`${where}.path must start with "/"`);
+  }
+  route.method = String(route.method || "").toUpperCase();
+  if (!METHODS.includes(route.method)) throw new Error(`${where}.method "${entry.method}" is not supported`);
+  if (!(route.role in ROLE_RANK)) throw new Error(`${where}.role "${route.role}" is not a known role`);
+  if (!Number.isInteger(route.timeoutMs) || route.timeoutMs <= 0) {
+    throw new Error(`${where}.timeoutMs must be a positive integer`);
+  }
+  route.ownership = Array.isArray(route.ownership) ? route.ownership : [];
+  const unknown = route.ownership.filter(check => !OWNERSHIP_CHECKS.includes(check));
+  if (unknown.length) throw new Error(`${where}.ownership has unknown checks: ${unknown.join(", ")}`);
+  if (route.ownership.includes("flight") && !route.path.includes("/:id")) {
+    throw new Error(`${where} uses the "flight" check but has no :id segment`);
+  }
+  route.adminToken = Boolean(route.adminToken);
+  route.registrationToken = Boolean(route.registrationToken);
+  route.websocket = Boolean(route.websocket);
+  return { ...route, ...compilePath(route.path) };
+}
+
+function compilePolicy(raw, source) {
+  if (!raw || typeof raw !== "object" || !Array.isArray(raw.routes)) {
+    throw new Error("policy must be an object with a routes array");
+  }
+  const defaults = {
+    role: "viewer",
+    adminToken: false,
+    timeoutMs: 10000,
+    ownership: [],
+    ...(raw.defaults || {})
+  };
+  const exemptRoles = Array.isArray(raw.ownershipExemptRoles) ? raw.ownershipExemptRoles : [];
+  exemptRoles.forEach((role) => {
+    if (!(role in ROLE_RANK)) throw new Error(`ownershipExemptRoles has unknown role "${role}"`);
+  });
+  const routes = raw.routes.map((entry, index) => compileRoute(entry, defaults, index));
+
+  function match(method, requestPath, { websocket = false } = {}) {
+    const upperMethod = String(method || "").toUpperCase();
+    for (const route of routes) {
+      if (route.websocket !== websocket || route.method !== upperMethod) continue;
+      const found = route.pattern.exec(requestPath);
+      if (!found) continue;
+      const params = {};
+      try {
+        route.params.forEach((name, i) => {
+          params[name] = decodeURIComponent(found[i + 1]);
+        });
+      } catch (error) {
+        return null;
+      }
+      return { route, params };
+    }
+    return null;
+  }
+
+  // Plain data for the admin view.
+  function describe() {
+    return {
+      source,
+      version: raw.version ?? null,
+      defaults,
+      ownershipExemptRoles: exemptRoles,
+      roles: Object.keys(ROLE_RANK),
+      routes: routes.map(({ path: routePath, method, role, adminToken, registrationToken, timeoutMs, ownership, websocket }) => ({
+        path: routePath, method, role, adminToken, registrationToken, timeoutMs, ownership, websocket
+      }))
+    };
+  }
+
+  return { routes, exemptRoles, match, describe };
+}
+
+function loadAtcProxyPolicy(filePath = DEFAULT_POLICY_PATH) {
+  const resolved = path.resolve(filePath);
+  let raw;
+  try {
+    raw = JSON.parse(fs.readFileSync(resolved, "utf8"));
+  } catch (error) {
+    throw new Error(`Failed to read ATC proxy policy ${resolved}: ${error.message}`);
+  }
+  try {
+    return compilePolicy(raw, resolved);
+  } catch (error) {
+    throw new Error(`Invalid ATC proxy policy ${resolved}: ${error.message}`);
+  }
+}
+
+function hasRequiredRole(userRole, requiredRole) {
+  return userRole in ROLE_RANK && ROLE_RANK[userRole] >= ROLE_RANK[requiredRole];
+}
+
+function isOwnershipExempt(policy, userRole) {
+  return policy.exemptRoles.includes(userRole);
+}
+
+/**
+ * Applies a matched route's role and ownership rules to a proxy request.
+ * `checks` supplies the ownership lookups: canViewOwner(req, ownerId),
+ * canClaimOwner(req, ownerId), canAccessDrone(req, droneId),
+ * canAccessFlight(req, flightId) and applyOwnerId(req, body).
+ * Resolves to null when allowed (stamping `req.body` where the route says
+ * so) or to `{ status, message }` describing the refusal.
+ */
+async function enforceAtcProxyPolicy(policy, { route, params }, req, checks) {
+  const role = req.session?.user?.role;
+  if (!hasRequiredRole(role, route.role)) {
+    return { status: 403, message: "insufficient_role" };
+  }
+  if (isOwnershipExempt(policy, role)) return null;
+
+  const isRead = READ_METHODS.includes(req.method.toUpperCase());
+  let stampOwner = false;
+  for (const check of route.ownership) {
+    if (check === "owner") {
+      if (isRead) {
+        const ownerId = req.query?.owner_id;
+        if (typeof ownerId === "string" && !checks.canViewOwner(req, ownerId)) {
+          return { status: 403, message: "forbidden_owner" };
+        }
+      } else {
+        if (!checks.canClaimOwner(req, req.body?.owner_id)) {
+          return { status: 403, message: "forbidden_owner" };
+        }
+        stampOwner = true;
+      }
+    } else if (check === "drone" || check === "optional-drone") {
+      const droneId = isRead ? req.query?.drone_id : req.body?.drone_id;
+      if (!droneId) {
+        if (check === "drone") return { status: 400, message: "missing_drone_id" };
+        continue;
+      }
+      if (!(await checks.canAccessDrone(req, droneId))) {
+        return { status: 403, message: "forbidden_drone" };
+      }
+    } else if (check === "flight") {
+      if (!(await checks.canAccessFlight(req, params.id))) {
+        return { status: 403, message: "forbidden_flight" };
+      }
+    }
+  }
+  if (stampOwner) req.body = checks.applyOwnerId(req, req.body || {});
+  return null;
+}
+
+module.exports = {
+  loadAtcProxyPolicy,
+  compilePolicy,
+  enforceAtcProxyPolicy,
+  hasRequiredRole,
+  isOwnershipExempt,
+  DEFAULT_POLICY_PATH
+};
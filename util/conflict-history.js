@@ -0,0 +1,268 @@
+const SEVERITY_RANK = {
+  info: 1,
+  warning: 2,
+  critical: 3
+};
+
+// A conflict that vanished after a gap longer than this (e.g. the ATC server was
+// unreachable) is closed at the time it was last seen rather than "now".
+const DEFAULT_STALE_AFTER_MS = 30 * 1000;
+
+function buildConflictKey(conflict) {
+  const ids = [conflict?.drone1_id, conflict?.drone2_id].filter(Boolean).map(String).sort();
+  return ids.length === 2 ? ids.join("::") : null;
+}
+
+function normalizeSeverity(value) {
+  const severity = String(value || "info").toLowerCase();
+  return SEVERITY_RANK[severity] ? severity : "info";
+}
+
+function pickHigherSeverity(a, b) {
+  return SEVERITY_RANK[normalizeSeverity(b)] > SEVERITY_RANK[normalizeSeverity(a)]
+    ? normalizeSeverity(b)
+    : normalizeSeverity(a);
+}
+
+function finiteOrNull(value) {
+  const number = Number(value);
+  return Number.isFinite(number) ? number : null;
+}
+
+function minOrNull(a, b) {
+  if (a === null || a === undefined) return b ?? null;
+  if (b === null || b === undefined) return a;
+  return Math.min(a, b);
+}
+
+function normalizeIsoTimestamp(value) {
+  if (!value) return null;
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) return null;
+  return date.toISOString();
+}
+
+function normalizeEpisode(row, now = Date.now()) {
+  if (!row) return null;
+  const active = !row.resolved_at;
+  const durationMs = active
+    ? Math.max(0, now - Date.parse(row.started_at))
+    : row.duration_ms;
+  return {
+    id: row.id,
+    key: row.conflict_key,
+    drone1Id: row.drone1_id,
+    drone2Id: row.drone2_id,
+    startedAt: row.started_at,
+    lastSeenAt: row.last_seen_at,
+    resolvedAt: row.resolved_at,
+    active,
+    durationMs,
+    minSeparationM: row.min_separation_m,
+    minClosestDistanceM: row.min_closest_distance_m,
+    peakSeverity: row.peak_severity,
+    samples: row.samples
+  };
+}
+
+function initConflictHistoryStore(db, options = {}) {
+  const staleAfterMs = Number.isFinite(options.staleAfterMs) ? options.staleAfterMs : DEFAULT_STALE_AFTER_MS;
+
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS conflict_episodes (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      conflict_key TEXT NOT NULL,
+      drone1_id TEXT NOT NULL,
+      drone2_id TEXT NOT NULL,
+      started_at TEXT NOT NULL,
+      last_seen_at TEXT NOT NULL,
+      resolved_at TEXT,
+      duration_ms INTEGER,
+      min_separation_m REAL,
+      min_closest_distance_m REAL,
+      peak_severity TEXT NOT NULL,
+      samples INTEGER NOT NULL
+    );
+    CREATE INDEX IF NOT EXISTS idx_conflict_episodes_started_at ON conflict_episodes(started_at);
+    CREATE INDEX IF NOT EXISTS idx_conflict_episodes_resolved_at ON conflict_episodes(resolved_at);
+    CREATE INDEX IF NOT EXISTS idx_conflict_episodes_drone1 ON conflict_episodes(drone1_id);
+    CREATE INDEX IF NOT EXISTS idx_conflict_episodes_drone2 ON conflict_episodes(drone2_id);
+  `);
+
+  const statements = {
+    listOpen: db.prepare("SELECT * FROM conflict_episodes WHERE resolved_at IS NULL"),
+    insert: db.prepare(`
+      INSERT INTO conflict_episodes (
+        conflict_key,
+        drone1_id,
+        drone2_id,
+        started_at,
+        last_seen_at,
+        resolved_at,
+        duration_ms,
+        min_separation_m,
+        min_closest_distance_m,
+        peak_severity,
+        samples
+      ) VALUES (
+        @conflict_key,
+        @drone1_id,
+        @drone2_id,
+        @started_at,
+        @last_seen_at,
+        NULL,
+        NULL,
+        @min_separation_m,
+        @min_closest_distance_m,
+        @peak_severity,
+        1
+      )
+    `),
+    update: db.prepare(`
+      UPDATE conflict_episodes
+      SET last_seen_at = @last_seen_at,
+          min_separation_m = @min_separation_m,
+          min_closest_distance_m = @min_closest_distance_m,
+          peak_severity = @peak_severity,
+          samples = samples + 1
+      WHERE id = @id
+    `),
+    resolve: db.prepare(`
+      UPDATE conflict_episodes
+      SET resolved_at = @resolved_at,
+          duration_ms = @duration_ms
+      WHERE id = @id
+    `)
+  };
+
+  // Open episodes keyed by drone pair, restored from disk so a restart does not split them.
+  const openEpisodes = new Map();
+  statements.listOpen.all().forEach((row) => {
+    openEpisodes.set(row.conflict_key, row);
+  });
+
+  const recordSnapshot = db.transaction((conflicts, observedAtMs) => {
+    const observedAt = new Date(observedAtMs).toISOString();
+    const seenKeys = new Set();
+
+    (Array.isArray(conflicts) ? conflicts : []).forEach((conflict) => {
+      const key = buildConflictKey(conflict);
+      if (!key || seenKeys.has(key)) return;
+      seenKeys.add(key);
+
+      const separation = finiteOrNull(conflict.distance_m);
+      const closest = finiteOrNull(conflict.closest_distance_m);
+      const severity = normalizeSeverity(conflict.severity);
+      const existing = openEpisodes.get(key);
+
+      if (existing) {
+        const next = {
+          ...existing,
+          last_seen_at: observedAt,
+          min_separation_m: minOrNull(existing.min_separation_m, separation),
+          min_closest_distance_m: minOrNull(existing.min_closest_distance_m, closest),
+          peak_severity: pickHigherSeverity(existing.peak_severity, severity),
+          samples: existing.samples + 1
+        };
+        statements.update.run({
+          id: next.id,
+          last_seen_at: next.last_seen_at,
+          min_separation_m: next.min_separation_m,
+          min_closest_distance_m: next.min_closest_distance_m,
+          peak_severity: next.peak_severity
+        });
+        openEpisodes.set(key, next);
+        return;
+      }
+
+      const [drone1Id, drone2Id] = key.split("::");
+      const row = {
+        conflict_key: key,
+        drone1_id: drone1Id,
+        drone2_id: drone2Id,
+        started_at: observedAt,
+        last_seen_at: observedAt,
+        min_separation_m: separation,
+        min_closest_distance_m: closest,
+        peak_severity: severity
+      };
+      const result = statements.insert.run(row);
+      openEpisodes.set(key, { ...row, id: Number(result.lastInsertRowid), samples: 1, resolved_at: null });
+    });
+
+    for (const [key, episode] of openEpisodes.entries()) {
+      if (seenKeys.has(key)) continue;
+      const lastSeenMs = Date.parse(episode.last_seen_at);
+      const resolvedAtMs = observedAtMs - lastSeenMs > staleAfterMs ? lastSeenMs : observedAtMs;
+      statements.resolve.run({
+        id: episode.id,
+        resolved_at: new Date(resolvedAtMs).toISOString(),
+        duration_ms: Math.max(0, resolvedAtMs - Date.parse(episode.started_at))
+      });
+      openEpisodes.delete(key);
+    }
+  });
+
+  function buildWhere({ from, to, droneId, droneIds, status } = {}) {
+    const clauses = [];
+    const params = {};
+    const fromIso = normalizeIsoTimestamp(from);
+    const toIso = normalizeIsoTimestamp(to);
+    if (fromIso) {
+      clauses.push("(resolved_at IS NULL OR resolved_at >= @from)");
+      params.from = fromIso;
+    }
+    if (toIso) {
+      clauses.push("started_at <= @to");
+      params.to = toIso;
+    }
+    if (droneId) {
+      clauses.push("(drone1_id = @drone_id OR drone2_id = @drone_id)");
+      params.drone_id = droneId;
+    }
+    if (Array.isArray(droneIds)) {
+      if (droneIds.length === 0) {
+        clauses.push("0");
+      } else {
+        const names = droneIds.map((id, index) => {
+          params[`visible_${index}`] = id;
+          return `@visible_${index}`;
+        });
+        clauses.push(`(drone1_id IN (${names.join(", ")}) OR drone2_id IN (${names.join(", ")}))`);
+      }
+    }
+    if (status === "active") {
+      clauses.push("resolved_at IS NULL");
+    } else if (status === "resolved") {
+      clauses.push("resolved_at IS NOT NULL");
+    }
+    return {
+      where: clauses.length ? `WHERE ${clauses.join(" AND ")}` : "",
+      params
+    };
+  }
+
+  function listEpisodes(filters = {}) {
+    const limit = Math.min(Math.max(Math.trunc(Number(filters.limit)) || 50, 1), 1000);
+    const offset = Math.max(Math.trunc(Number(filters.offset)) || 0, 0);
+    const { where, params } = buildWhere(filters);
+    const rows = db
+      .prepare(`SELECT * FROM conflict_episodes ${where} ORDER BY started_at DESC, id DESC LIMIT @limit OFFSET @offset`)
+      .all({ ...params, limit, offset });
+    const total = db.prepare(`SELECT COUNT(1) AS count FROM conflict_episodes ${where}`).get(params)?.count || 0;
+    const now = Date.now();
+    return {
+      total: Number(total) || 0,
+      limit,
+      offset,
+      episodes: rows.map(row => normalizeEpisode(row, now))
+    };
+  }
+
+  return {
+    recordSnapshot: (conflicts, observedAtMs = Date.now()) => recordSnapshot(conflicts, observedAtMs),
+    listEpisodes
+  };
+}
+
+module.exports = { initConflictHistoryStore, buildConflictKey };
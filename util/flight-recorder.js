@@ -0,0 +1,299 @@
+// Stores telemetry observed on the proxied /v1/ws stream plus DAA advisory
+// intervals so a past window can be replayed on the map.
+
+const DEFAULT_SAMPLE_INTERVAL_MS = 1000;
+const DEFAULT_RETENTION_MS = 72 * 60 * 60 * 1000;
+const DEFAULT_MAX_SAMPLES = 100000;
+
+function finiteOrNull(value) {
+  if (value === null || value === undefined || value === "") return null;
+  const number = Number(value);
+  return Number.isFinite(number) ? number : null;
+}
+
+function textOrNull(value) {
+  if (value === null || value === undefined) return null;
+  const text = String(value).trim();
+  return text ? text : null;
+}
+
+function parseTimestampMs(value) {
+  if (value === null || value === undefined || value === "") return null;
+  const numeric = Number(value);
+  if (Number.isFinite(numeric)) return numeric;
+  const parsed = Date.parse(value);
+  return Number.isNaN(parsed) ? null : parsed;
+}
+
+function normalizeSample(row) {
+  return {
+    t: new Date(row.recorded_at).toISOString(),
+    drone_id: row.drone_id,
+    owner_id: row.owner_id,
+    lat: row.lat,
+    lon: row.lon,
+    altitude_m: row.altitude_m,
+    heading_deg: row.heading_deg,
+    speed_mps: row.speed_mps,
+    status: row.status,
+    traffic_source: row.traffic_source
+  };
+}
+
+function normalizeAdvisory(row) {
+  return {
+    advisory_id: row.advisory_id,
+    drone_id: row.drone_id,
+    severity: row.severity,
+    action: row.action,
+    source: row.source,
+    description: row.description,
+    first_seen_at: new Date(row.first_seen_at).toISOString(),
+    last_seen_at: new Date(row.last_seen_at).toISOString()
+  };
+}
+
+function initFlightRecorder(db, options = {}) {
+  const sampleIntervalMs = Number.isFinite(options.sampleIntervalMs)
+    ? options.sampleIntervalMs
+    : DEFAULT_SAMPLE_INTERVAL_MS;
+  const retentionMs = Number.isFinite(options.retentionMs) ? options.retentionMs : DEFAULT_RETENTION_MS;
+  const maxSamples = Number.isFinite(options.maxSamples) ? options.maxSamples : DEFAULT_MAX_SAMPLES;
+
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS flight_recorder_samples (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      recorded_at INTEGER NOT NULL,
+      drone_id TEXT NOT NULL,
+      owner_id TEXT,
+      lat REAL NOT NULL,
+      lon REAL NOT NULL,
+      altitude_m REAL,
+      heading_deg REAL,
+      speed_mps REAL,
+      status TEXT,
+      traffic_source TEXT
+    );
+    CREATE INDEX IF NOT EXISTS idx_flight_recorder_samples_time ON flight_recorder_samples(recorded_at);
+    CREATE INDEX IF NOT EXISTS idx_flight_recorder_samples_drone ON flight_recorder_samples(drone_id, recorded_at);
+    CREATE TABLE IF NOT EXISTS flight_recorder_advisories (
+      advisory_id TEXT PRIMARY KEY,
+      drone_id TEXT NOT NULL,
+      severity TEXT,
+      action TEXT,
+      source TEXT,
+      description TEXT,
+      first_seen_at INTEGER NOT NULL,
+      last_seen_at INTEGER NOT NULL
+    );
+    CREATE INDEX IF NOT EXISTS idx_flight_recorder_advisories_time ON flight_recorder_advisories(first_seen_at, last_seen_at);
+  `);
+
+  const statements = {
+    insertSample: db.prepare(`
+      INSERT INTO flight_recorder_samples (
+        recorded_at,
+        drone_id,
+        owner_id,
+        lat,
+        lon,
+        altitude_m,
+        heading_deg,
+        speed_mps,
+        status,
+        traffic_source
+      ) VALUES (
+        @recorded_at,
+        @drone_id,
+        @owner_id,
+        @lat,
+        @lon,
+        @altitude_m,
+        @heading_deg,
+        @speed_mps,
+        @status,
+        @traffic_source
+      )
+    `),
+    upsertAdvisory: db.prepare(`
+      INSERT INTO flight_recorder_advisories (
+        advisory_id,
+        drone_id,
+        severity,
+        action,
+        source,
+        description,
+        first_seen_at,
+        last_seen_at
+      ) VALUES (
+        @advisory_id,
+        @drone_id,
+        @severity,
+        @action,
+        @source,
+        @description,
+        @observed_at,
+        @observed_at
+      )
+      ON CONFLICT(advisory_id) DO UPDATE SET
+        severity = excluded.severity,
+        action = excluded.action,
+        source = excluded.source,
+        description = excluded.description,
+        last_seen_at = excluded.last_seen_at
+    `),
+    pruneSamples: db.prepare("DELETE FROM flight_recorder_samples WHERE recorded_at < ?"),
+    pruneAdvisories: db.prepare("DELETE FROM flight_recorder_advisories WHERE last_seen_at < ?"),
+    range: db.prepare("SELECT MIN(recorded_at) AS first, MAX(recorded_at) AS last FROM flight_recorder_samples")
+  };
+
+  // Several browser tabs proxy the same stream, so each drone is sampled at
+  // most once per interval regardless of how many copies arrive.
+  const lastSampleAt = new Map();
+  let pending = [];
+
+  const insertSamples = db.transaction((rows) => {
+    rows.forEach(row => statements.insertSample.run(row));
+  });
+
+  function recordTelemetry(message, observedAtMs = Date.now()) {
+    let payload = message;
+    if (typeof message === "string") {
+      try {
+        payload = JSON.parse(message);
+      } catch (error) {
+        return false;
+      }
+    }
+    const droneId = textOrNull(payload?.drone_id);
+    const lat = finiteOrNull(payload?.lat);
+    const lon = finiteOrNull(payload?.lon);
+    if (!droneId || lat === null || lon === null || (lat === 0 && lon === 0)) return false;
+
+    const previous = lastSampleAt.get(droneId);
+    if (previous !== undefined && observedAtMs - previous < sampleIntervalMs) return false;
+    lastSampleAt.set(droneId, observedAtMs);
+
+    pending.push({
+      recorded_at: observedAtMs,
+      drone_id: droneId,
+      owner_id: textOrNull(payload.owner_id),
+      lat,
+      lon,
+      altitude_m: finiteOrNull(payload.altitude_m),
+      heading_deg: finiteOrNull(payload.heading_deg),
+      speed_mps: finiteOrNull(payload.speed_mps),
+      status: textOrNull(payload.status),
+      traffic_source: textOrNull(payload.traffic_source) || "local"
+    });
+    return true;
+  }
+
+  function flush() {
+    if (!pending.length) return 0;
+    const rows = pending;
+    pending = [];
+    insertSamples(rows);
+    return rows.length;
+  }
+
+  const recordAdvisories = db.transaction((advisories, observedAtMs) => {
+    (Array.isArray(advisories) ? advisories : []).forEach((advisory) => {
+      const advisoryId = textOrNull(advisory?.advisory_id);
+      const droneId = textOrNull(advisory?.drone_id);
+      if (!advisoryId || !droneId) return;
+      statements.upsertAdvisory.run({
+        advisory_id: advisoryId,
+        drone_id: droneId,
+        severity: textOrNull(advisory.severity),
+        action: textOrNull(advisory.action),
+        source: textOrNull(advisory.source),
+        description: textOrNull(advisory.description),
+        observed_at: observedAtMs
+      });
+    });
+  });
+
+  function prune(nowMs = Date.now()) {
+    if (!(retentionMs > 0)) return;
+    const cutoff = nowMs - retentionMs;
+    statements.pruneSamples.run(cutoff);
+    statements.pruneAdvisories.run(cutoff);
+    for (const [droneId, at] of lastSampleAt.entries()) {
+      if (at < cutoff) lastSampleAt.delete(droneId);
+    }
+  }
+
+  function buildInFilter(column, values, params, prefix) {
+    if (!Array.isArray(values)) return null;
+    if (values.length === 0) return "0";
+    const names = values.map((id, index) => {
+      params[`${prefix}_${index}`] = id;
+      return `@${prefix}_${index}`;
+    });
+    return `${column} IN (${names.join(", ")})`;
+  }
+
+  // Returns telemetry samples and DAA advisories overlapping [from, to].
+  // `ownerIds` limits samples to those owners; `droneIds` limits both to a fleet.
+  function getWindow({ from, to, ownerIds, droneIds, droneId } = {}) {
+    flush();
+    const fromMs = parseTimestampMs(from);
+    const toMs = parseTimestampMs(to);
+    const sampleClauses = ["recorded_at >= @from", "recorded_at <= @to"];
+    const advisoryClauses = ["last_seen_at >= @from", "first_seen_at <= @to"];
+    const params = { from: fromMs, to: toMs };
+
+    const ownedFilter = buildInFilter("drone_id", droneIds, params, "visible");
+    const ownerFilter = buildInFilter("owner_id", ownerIds, params, "owner");
+    if (ownerFilter) {
+      sampleClauses.push(ownedFilter ? `(${ownerFilter} OR ${ownedFilter})` : ownerFilter);
+    } else if (ownedFilter) {
+      sampleClauses.push(ownedFilter);
+    }
+    if (ownedFilter) advisoryClauses.push(ownedFilter);
+    if (droneId) {
+      params.drone_id = droneId;
+      sampleClauses.push("drone_id = @drone_id");
+      advisoryClauses.push("drone_id = @drone_id");
+    }
+
+    const sampleRows = db
+      .prepare(`SELECT * FROM flight_recorder_samples WHERE ${sampleClauses.join(" AND ")} ORDER BY recorded_at ASC, id ASC LIMIT @limit`)
+      .all({ ...params, limit: maxSamples + 1 });
+    const truncated = sampleRows.length > maxSamples;
+    if (truncated) sampleRows.pop();
+
+    const advisoryRows = db
+      .prepare(`SELECT * FROM flight_recorder_advisories WHERE ${advisoryClauses.join(" AND ")} ORDER BY first_seen_at ASC`)
+      .all(params);
+
+    return {
+      from: new Date(fromMs).toISOString(),
+      to: new Date(toMs).toISOString(),
+      truncated,
+      samples: sampleRows.map(normalizeSample),
+      advisories: advisoryRows.map(normalizeAdvisory)
+    };
+  }
+
+  function getRecordedRange() {
+    flush();
+    const row = statements.range.get();
+    return {
+      first: row?.first ? new Date(row.first).toISOString() : null,
+      last: row?.last ? new Date(row.last).toISOString() : null
+    };
+  }
+
+  return {
+    recordTelemetry,
+    recordAdvisories: (advisories, observedAtMs = Date.now()) => recordAdvisories(advisories, observedAtMs),
+    flush,
+    prune,
+    getWindow,
+    getRecordedRange
+  };
+}
+
+module.exports = { initFlightRecorder, parseTimestampMs };
@@ -0,0 +1,145 @@
+// Keeps a snapshot of every geofence version written through the control
+// center so earlier boundaries and metadata can be viewed or restored.
+
+const DEFAULT_MAX_REVISIONS = 50;
+
+// Fields a restore writes back; activation is managed separately.
+const RESTORABLE_FIELDS = ["name", "geofence_type", "polygon", "lower_altitude_m", "upper_altitude_m"];
+const TRACKED_FIELDS = [...RESTORABLE_FIELDS, "active"];
+
+function parseJson(text, fallback) {
+  try {
+    return JSON.parse(text);
+  } catch (error) {
+    return fallback;
+  }
+}
+
+function diffFields(previous, next) {
+  if (!previous) return TRACKED_FIELDS.filter(field => next[field] !== undefined);
+  return TRACKED_FIELDS.filter(field => JSON.stringify(previous[field]) !== JSON.stringify(next[field]));
+}
+
+function normalizeRevision(row) {
+  if (!row) return null;
+  return {
+    geofenceId: row.geofence_id,
+    revision: row.revision,
+    createdAt: row.created_at,
+    userId: row.user_id,
+    action: row.action,
+    changedFields: parseJson(row.changed_fields, []),
+    snapshot: parseJson(row.snapshot, {})
+  };
+}
+
+function pickRestorableFields(snapshot) {
+  return RESTORABLE_FIELDS.reduce((payload, field) => {
+    if (snapshot?.[field] !== undefined) payload[field] = snapshot[field];
+    return payload;
+  }, {});
+}
+
+function initGeofenceRevisionStore(db, options = {}) {
+  const maxRevisions = Number.isFinite(options.maxRevisions) ? options.maxRevisions : DEFAULT_MAX_REVISIONS;
+
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS geofence_revisions (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      geofence_id TEXT NOT NULL,
+      revision INTEGER NOT NULL,
+      created_at TEXT NOT NULL,
+      user_id TEXT,
+      action TEXT NOT NULL,
+      changed_fields TEXT NOT NULL,
+      snapshot TEXT NOT NULL,
+      UNIQUE (geofence_id, revision)
+    );
+  `);
+
+  const statements = {
+    latest: db.prepare(`
+      SELECT * FROM geofence_revisions
+      WHERE geofence_id = ?
+      ORDER BY revision DESC
+      LIMIT 1
+    `),
+    insert: db.prepare(`
+      INSERT INTO geofence_revisions (
+        geofence_id,
+        revision,
+        created_at,
+        user_id,
+        action,
+        changed_fields,
+        snapshot
+      ) VALUES (
+        @geofence_id,
+        @revision,
+        @created_at,
+        @user_id,
+        @action,
+        @changed_fields,
+        @snapshot
+      )
+    `),
+    list: db.prepare(`
+      SELECT * FROM geofence_revisions
+      WHERE geofence_id = ?
+      ORDER BY revision DESC
+    `),
+    get: db.prepare("SELECT * FROM geofence_revisions WHERE geofence_id = ? AND revision = ?"),
+    prune: db.prepare(`
+      DELETE FROM geofence_revisions
+      WHERE geofence_id = @geofence_id AND revision <= @revision - @keep
+    `)
+  };
+
+  // Stores `snapshot` as the next revision unless nothing tracked changed.
+  // Returns the stored revision, or null when it was a no-op.
+  const recordRevision = db.transaction(({ geofenceId, userId = null, action = "update", snapshot }) => {
+    if (!geofenceId || !snapshot || typeof snapshot !== "object") return null;
+    const latestRow = statements.latest.get(String(geofenceId));
+    const previous = latestRow ? parseJson(latestRow.snapshot, null) : null;
+    // Partial upstream responses (e.g. an activation toggle) inherit the rest.
+    const merged = previous ? { ...previous, ...snapshot } : snapshot;
+    const changedFields = diffFields(previous, merged);
+    if (latestRow && !changedFields.length) return null;
+
+    const row = {
+      geofence_id: String(geofenceId),
+      revision: latestRow ? latestRow.revision + 1 : 1,
+      created_at: new Date().toISOString(),
+      user_id: userId || null,
+      action,
+      changed_fields: JSON.stringify(changedFields),
+      snapshot: JSON.stringify(merged)
+    };
+    statements.insert.run(row);
+    if (maxRevisions > 0) {
+      statements.prune.run({ geofence_id: row.geofence_id, revision: row.revision, keep: maxRevisions });
+    }
+    return normalizeRevision(row);
+  });
+
+  function hasRevisions(geofenceId) {
+    return Boolean(statements.latest.get(String(geofenceId)));
+  }
+
+  function listRevisions(geofenceId) {
+    return statements.list.all(String(geofenceId)).map(normalizeRevision);
+  }
+
+  function getRevision(geofenceId, revision) {
+    return normalizeRevision(statements.get.get(String(geofenceId), Number(revision)));
+  }
+
+  return {
+    recordRevision,
+    hasRevisions,
+    listRevisions,
+    getRevision
+  };
+}
+
+module.exports = { initGeofenceRevisionStore, pickRestorableFields, RESTORABLE_FIELDS };
@@ -0,0 +1,321 @@
+// Activation schedules for geofences: an optional start/end bound plus an
+// optional weekly recurrence (e.g. weekdays 08:00-18:00) in an IANA time zone.
+// The scheduler in server.js evaluates these and flips `active` upstream.
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const MAX_LOOKAHEAD_MS = 14 * DAY_MS;
+const TIME_PATTERN = /^([01]\d|2[0-3]):([0-5]\d)$/;
+const WEEKDAYS = { Sun: 0, Mon: 1, Tue: 2, Wed: 3, Thu: 4, Fri: 5, Sat: 6 };
+
+const formatterCache = new Map();
+
+function getFormatter(timeZone) {
+  if (!formatterCache.has(timeZone)) {
+    formatterCache.set(timeZone, new Intl.DateTimeFormat("en-US", {
+      timeZone,
+      hourCycle: "h23",
+      weekday: "short",
+      year: "numeric",
+      month: "2-digit",
+      day: "2-digit",
+      hour: "2-digit",
+      minute: "2-digit",
+      second: "2-digit"
+    }));
+  }
+  return formatterCache.get(timeZone);
+}
+
+function isValidTimeZone(timeZone) {
+  if (typeof timeZone !== "string" || !timeZone) return false;
+  try {
+    getFormatter(timeZone);
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+function getZonedParts(utcMs, timeZone) {
+  const parts = {};
+  getFormatter(timeZone).formatToParts(new Date(utcMs)).forEach(({ type, value }) => {
+    parts[type] = value;
+  });
+  return {
+    year: Number(parts.year),
+    month: Number(parts.month),
+    day: Number(parts.day),
+    hour: Number(parts.hour),
+    minute: Number(parts.minute),
+    second: Number(parts.second),
+    weekday: WEEKDAYS[parts.weekday]
+  };
+}
+
+function getZoneOffsetMs(utcMs, timeZone) {
+  const parts = getZonedParts(utcMs, timeZone);
+  const asUtc = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+  return asUtc - Math.floor(utcMs / 1000) * 1000;
+}
+
+// Converts a wall-clock time in `timeZone` to a UTC timestamp. Times skipped
+// by a DST jump resolve to the instant just after the gap.
+function zonedTimeToUtc(year, month, day, hour, minute, timeZone) {
+  const guess = Date.UTC(year, month - 1, day, hour, minute);
+  const firstOffset = getZoneOffsetMs(guess - getZoneOffsetMs(guess, timeZone), timeZone);
+  return guess - firstOffset;
+}
+
+function parseTimeOfDay(value) {
+  const match = TIME_PATTERN.exec(String(value || ""));
+  return match ? { hour: Number(match[1]), minute: Number(match[2]) } : null;
+}
+
+function parseTimestamp(value) {
+  if (value === null || value === undefined || value === "") return null;
+  const parsed = Date.parse(value);
+  return Number.isNaN(parsed) ? undefined : parsed;
+}
+
+// Validates a schedule payload from the API. Returns `{ schedule }` or `{ error }`.
+function parseScheduleInput(body, defaultTimeZone = "UTC") {
+  const startAt = parseTimestamp(body?.start_at);
+  const endAt = parseTimestamp(body?.end_at);
+  if (startAt === undefined || endAt === undefined) {
+    return { error: "start_at and end_at must be ISO timestamps" };
+  }
+  if (startAt !== null && endAt !== null && endAt <= startAt) {
+    return { error: "end_at must be after start_at" };
+  }
+
+  const timezone = body?.timezone || defaultTimeZone;
+  if (!isValidTimeZone(timezone)) {
+    return { error: "timezone must be an IANA time zone name" };
+  }
+
+  let recurrence = null;
+  if (body?.recurrence) {
+    const days = Array.isArray(body.recurrence.days)
+      ? [...new Set(body.recurrence.days.map(Number))].filter(day => Number.isInteger(day) && day >= 0 && day <= 6).sort()
+      : [];
+    const startTime = parseTimeOfDay(body.recurrence.start_time);
+    const endTime = parseTimeOfDay(body.recurrence.end_time);
+    if (!days.length) return { error: "recurrence.days must list at least one weekday (0=Sunday)" };
+    if (!startTime || !endTime) return { error: "recurrence start_time and end_time must be HH:MM" };
+    if (body.recurrence.start_time === body.recurrence.end_time) {
+      return { error: "recurrence start_time and end_time must differ" };
+    }
+    recurrence = { days, start_time: body.recurrence.start_time, end_time: body.recurrence.end_time };
+  }
+
+  if (startAt === null && endAt === null && !recurrence) {
+    return { error: "Provide start_at, end_at or a recurrence" };
+  }
+
+  return {
+    schedule: {
+      startAt: startAt === null ? null : new Date(startAt).toISOString(),
+      endAt: endAt === null ? null : new Date(endAt).toISOString(),
+      recurrence,
+      timezone
+    }
+  };
+}
+
+/**
+ * Activation windows overlapping [fromMs, toMs]. `start`/`end` are ms
+ * timestamps; null means the window is open on that side.
+ */
+function listWindows(schedule, fromMs, toMs) {
+  if (!schedule) return [];
+  const boundStart = schedule.startAt ? Date.parse(schedule.startAt) : null;
+  const boundEnd = schedule.endAt ? Date.parse(schedule.endAt) : null;
+  const overlaps = (start, end) => (end === null || end > fromMs) && (start === null || start <= toMs);
+
+  if (!schedule.recurrence) {
+    return overlaps(boundStart, boundEnd) ? [{ start: boundStart, end: boundEnd }] : [];
+  }
+
+  const { days, start_time: startText, end_time: endText } = schedule.recurrence;
+  const startTime = parseTimeOfDay(startText);
+  const endTime = parseTimeOfDay(endText);
+  const crossesMidnight = endTime.hour * 60 + endTime.minute <= startTime.hour * 60 + startTime.minute;
+  const windows = [];
+
+  // Walk local calendar days, starting one day early for windows crossing midnight.
+  const first = getZonedParts(fromMs - DAY_MS, schedule.timezone);
+  const lastMs = Math.min(toMs, fromMs + MAX_LOOKAHEAD_MS);
+  for (let offset = 0; ; offset += 1) {
+    const date = new Date(Date.UTC(first.year, first.month - 1, first.day + offset));
+    const year = date.getUTCFullYear();
+    const month = date.getUTCMonth() + 1;
+    const day = date.getUTCDate();
+    let start = zonedTimeToUtc(year, month, day, startTime.hour, startTime.minute, schedule.timezone);
+    if (start > lastMs) break;
+    if (!days.includes(date.getUTCDay())) continue;
+
+    const endDate = new Date(Date.UTC(year, month - 1, day + (crossesMidnight ? 1 : 0)));
+    let end = zonedTimeToUtc(
+      endDate.getUTCFullYear(),
+      endDate.getUTCMonth() + 1,
+      endDate.getUTCDate(),
+      endTime.hour,
+      endTime.minute,
+      schedule.timezone
+    );
+    if (boundStart !== null) start = Math.max(start, boundStart);
+    if (boundEnd !== null) end = Math.min(end, boundEnd);
+    if (end > start && overlaps(start, end)) {
+      windows.push({ start, end });
+    }
+  }
+  return windows;
+}
+
+function isActiveAt(schedule, atMs) {
+  return listWindows(schedule, atMs, atMs).some(({ start, end }) => (
+    (start === null || start <= atMs) && (end === null || atMs < end)
+  ));
+}
+
+// Next instant the schedule flips state after `atMs`, within the look-ahead.
+function nextTransition(schedule, atMs) {
+  const windows = listWindows(schedule, atMs, atMs + MAX_LOOKAHEAD_MS);
+  const candidates = [];
+  windows.forEach(({ start, end }) => {
+    if (start !== null && start > atMs) candidates.push({ at: start, active: true });
+    if (end !== null && end > atMs) candidates.push({ at: end, active: false });
+  });
+  candidates.sort((a, b) => a.at - b.at);
+  return candidates[0] || null;
+}
+
+function normalizeScheduleRow(row) {
+  if (!row) return null;
+  let recurrence = null;
+  try {
+    recurrence = row.recurrence ? JSON.parse(row.recurrence) : null;
+  } catch (error) {
+    recurrence = null;
+  }
+  return {
+    geofenceId: row.geofence_id,
+    startAt: row.start_at,
+    endAt: row.end_at,
+    recurrence,
+    timezone: row.timezone,
+    updatedAt: row.updated_at,
+    updatedBy: row.updated_by,
+    appliedActive: row.applied_active === null ? null : Boolean(row.applied_active),
+    appliedAt: row.applied_at
+  };
+}
+
+function initGeofenceScheduleStore(db) {
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS geofence_schedules (
+      geofence_id TEXT PRIMARY KEY,
+      start_at TEXT,
+      end_at TEXT,
+      recurrence TEXT,
+      timezone TEXT NOT NULL,
+      updated_at TEXT NOT NULL,
+      updated_by TEXT,
+      applied_active INTEGER,
+      applied_at TEXT
+    );
+  `);
+
+  const statements = {
+    upsert: db.prepare(`
+      INSERT INTO geofence_schedules (
+        geofence_id,
+        start_at,
+        end_at,
+        recurrence,
+        timezone,
+        updated_at,
+        updated_by,
+        applied_active,
+        applied_at
+      ) VALUES (
+        @geofence_id,
+        @start_at,
+        @end_at,
+        @recurrence,
+        @timezone,
+        @updated_at,
+        @updated_by,
+        NULL,
+        NULL
+      )
+      ON CONFLICT(geofence_id) DO UPDATE SET
+        start_at = excluded.start_at,
+        end_at = excluded.end_at,
+        recurrence = excluded.recurrence,
+        timezone = excluded.timezone,
+        updated_at = excluded.updated_at,
+        updated_by = excluded.updated_by,
+        applied_active = NULL,
+        applied_at = NULL
+    `),
+    get: db.prepare("SELECT * FROM geofence_schedules WHERE geofence_id = ?"),
+    list: db.prepare("SELECT * FROM geofence_schedules ORDER BY geofence_id"),
+    remove: db.prepare("DELETE FROM geofence_schedules WHERE geofence_id = ?"),
+    markApplied: db.prepare(`
+      UPDATE geofence_schedules
+      SET applied_active = @applied_active, applied_at = @applied_at
+      WHERE geofence_id = @geofence_id
+    `)
+  };
+
+  // Saving a schedule clears the applied state so the next tick enforces it.
+  function saveSchedule(geofenceId, schedule, userId = null) {
+    statements.upsert.run({
+      geofence_id: String(geofenceId),
+      start_at: schedule.startAt,
+      end_at: schedule.endAt,
+      recurrence: schedule.recurrence ? JSON.stringify(schedule.recurrence) : null,
+      timezone: schedule.timezone,
+      updated_at: new Date().toISOString(),
+      updated_by: userId || null
+    });
+    return getSchedule(geofenceId);
+  }
+
+  function getSchedule(geofenceId) {
+    return normalizeScheduleRow(statements.get.get(String(geofenceId)));
+  }
+
+  function listSchedules() {
+    return statements.list.all().map(normalizeScheduleRow);
+  }
+
+  function removeSchedule(geofenceId) {
+    return statements.remove.run(String(geofenceId)).changes > 0;
+  }
+
+  function markApplied(geofenceId, active) {
+    statements.markApplied.run({
+      geofence_id: String(geofenceId),
+      applied_active: active ? 1 : 0,
+      applied_at: new Date().toISOString()
+    });
+  }
+
+  return {
+    saveSchedule,
+    getSchedule,
+    listSchedules,
+    removeSchedule,
+    markApplied
+  };
+}
+
+module.exports = {
+  initGeofenceScheduleStore,
+  parseScheduleInput,
+  listWindows,
+  isActiveAt,
+  nextTransition
+};
@@ -0,0 +1,71 @@
+// Dependency checks behind /readyz and the in-app system status panel. Each
+// check is an async function that resolves (optionally with details) when the
+// dependency is usable and throws otherwise; it is timed and given a deadline
+// so one hung upstream cannot stall the probe.
+
+const DEFAULT_TIMEOUT_MS = 3000;
+
+function withTimeout(promise, timeoutMs) {
+  let timer;
+  const deadline = new Promise((_, reject) => {
+    timer = setTimeout(() => reject(new Error(`timed out after ${timeoutMs}ms`)), timeoutMs);
+  });
+  return Promise.race([promise, deadline]).finally(() => clearTimeout(timer));
+}
+
+async function runCheck({ name, required = true, timeoutMs = DEFAULT_TIMEOUT_MS, check }) {
+  const startedAt = process.hrtime.bigint();
+  const result = { name, required, status: "up" };
+  try {
+    const details = await withTimeout(Promise.resolve().then(check), timeoutMs);
+    if (details && typeof details === "object") Object.assign(result, details);
+  } catch (error) {
+    result.status = "down";
+    result.error = error?.message || String(error);
+  }
+  result.latencyMs = Math.round(Number(process.hrtime.bigint() - startedAt) / 1e5) / 10;
+  return result;
+}
+
+// Overall status: "down" when a required check failed, "degraded" when only
+// optional ones did (or a check reported itself degraded), "ok" otherwise.
+async function runHealthChecks(checks) {
+  const results = await Promise.all(checks.map(runCheck));
+  let status = "ok";
+  for (const result of results) {
+    if (result.status === "down" && result.required) {
+      status = "down";
+      break;
+    }
+    if (result.status !== "up") status = "degraded";
+  }
+  return { status, checkedAt: new Date().toISOString(), checks: results };
+}
+
+// Shares one in-flight run between concurrent callers and reuses the result
+// for `ttlMs`, so polling browsers and orchestrator probes do not multiply the
+// load on the upstreams.
+function createHealthMonitor(getChecks, { ttlMs = 5000 } = {}) {
+  let cached = null;
+  let cachedAt = 0;
+  let pending = null;
+
+  function check({ fresh = false } = {}) {
+    if (!fresh && cached && Date.now() - cachedAt < ttlMs) return Promise.resolve(cached);
+    if (pending) return pending;
+    pending = runHealthChecks(getChecks())
+      .then((report) => {
+        cached = report;
+        cachedAt = Date.now();
+        return report;
+      })
+      .finally(() => {
+        pending = null;
+      });
+    return pending;
+  }
+
+  return { check };
+}
+
+module.exports = { runHealthChecks, createHealthMonitor };
@@ -0,0 +1,190 @@
+// Brute-force protection for password and second-factor checks. Failures are
+// counted per client IP and per account; past a free allowance each further
+// failure makes the caller wait longer (doubling up to a cap) and at the
+// threshold the key is locked out for a while. State lives in SQLite so it
+// survives restarts and is shared with the admin lockout view.
+
+const SCOPES = ["account", "ip"];
+
+const DEFAULT_POLICY = {
+  account: { freeAttempts: 3, lockThreshold: 10 },
+  ip: { freeAttempts: 10, lockThreshold: 50 },
+  baseDelayMs: 1000,
+  maxDelayMs: 30 * 1000,
+  lockoutMs: 15 * 60 * 1000,
+  // Failures older than this (since the last one) are forgotten.
+  windowMs: 15 * 60 * 1000
+};
+
+function readPositiveNumber(value, fallback) {
+  const parsed = Number(value);
+  return Number.isFinite(parsed) && parsed > 0 ? parsed : fallback;
+}
+
+function loadThrottlePolicy(env = process.env) {
+  return {
+    account: {
+      freeAttempts: readPositiveNumber(env.ATC_LOGIN_ACCOUNT_FREE_ATTEMPTS, DEFAULT_POLICY.account.freeAttempts),
+      lockThreshold: readPositiveNumber(env.ATC_LOGIN_ACCOUNT_LOCK_THRESHOLD, DEFAULT_POLICY.account.lockThreshold)
+    },
+    ip: {
+      freeAttempts: readPositiveNumber(env.ATC_LOGIN_IP_FREE_ATTEMPTS, DEFAULT_POLICY.ip.freeAttempts),
+      lockThreshold: readPositiveNumber(env.ATC_LOGIN_IP_LOCK_THRESHOLD, DEFAULT_POLICY.ip.lockThreshold)
+    },
+    baseDelayMs: DEFAULT_POLICY.baseDelayMs,
+    maxDelayMs: readPositiveNumber(env.ATC_LOGIN_MAX_DELAY_SECONDS, DEFAULT_POLICY.maxDelayMs / 1000) * 1000,
+    lockoutMs: readPositiveNumber(env.ATC_LOGIN_LOCKOUT_MINUTES, DEFAULT_POLICY.lockoutMs / 60000) * 60000,
+    windowMs: readPositiveNumber(env.ATC_LOGIN_FAILURE_WINDOW_MINUTES, DEFAULT_POLICY.windowMs / 60000) * 60000
+  };
+}
+
+function normalizeKey(scope, key) {
+  const text = String(key || "").trim();
+  return scope === "account" ? text.toLowerCase() : text;
+}
+
+function normalizeAttemptRow(row) {
+  if (!row) return null;
+  return {
+    scope: row.scope,
+    key: row.key,
+    failures: row.failures,
+    firstFailureAt: new Date(row.first_failure_at).toISOString(),
+    lastFailureAt: new Date(row.last_failure_at).toISOString(),
+    lockedUntil: row.locked_until ? new Date(row.locked_until).toISOString() : null
+  };
+}
+
+function initLoginThrottle(db, policy = loadThrottlePolicy()) {
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS login_attempts (
+      scope TEXT NOT NULL,
+      key TEXT NOT NULL,
+      failures INTEGER NOT NULL,
+      first_failure_at INTEGER NOT NULL,
+      last_failure_at INTEGER NOT NULL,
+      locked_until INTEGER,
+      PRIMARY KEY (scope, key)
+    );
+    CREATE INDEX IF NOT EXISTS idx_login_attempts_locked ON login_attempts(locked_until);
+  `);
+
+  const statements = {
+    get: db.prepare("SELECT * FROM login_attempts WHERE scope = ? AND key = ?"),
+    upsert: db.prepare(`
+      INSERT INTO login_attempts (scope, key, failures, first_failure_at, last_failure_at, locked_until)
+      VALUES (@scope, @key, @failures, @first_failure_at, @last_failure_at, @locked_until)
+      ON CONFLICT(scope, key) DO UPDATE SET
+        failures = excluded.failures,
+        first_failure_at = excluded.first_failure_at,
+        last_failure_at = excluded.last_failure_at,
+        locked_until = excluded.locked_until
+    `),
+    remove: db.prepare("DELETE FROM login_attempts WHERE scope = ? AND key = ?"),
+    listLocked: db.prepare(`
+      SELECT * FROM login_attempts
+      WHERE locked_until IS NOT NULL AND locked_until > ?
+      ORDER BY locked_until DESC
+    `),
+    prune: db.prepare(`
+      DELETE FROM login_attempts
+      WHERE last_failure_at < @stale_before
+        AND (locked_until IS NULL OR locked_until < @now)
+    `)
+  };
+
+  // Rows past the failure window (and not locked) no longer count.
+  function readActive(scope, key, now) {
+    const row = statements.get.get(scope, key);
+    if (!row) return null;
+    if (row.locked_until && row.locked_until > now) return row;
+    if (row.locked_until || now - row.last_failure_at > policy.windowMs) return null;
+    return row;
+  }
+
+  function delayFor(scope, failures) {
+    const excess = failures - policy[scope].freeAttempts;
+    if (excess <= 0) return 0;
+    return Math.min(policy.baseDelayMs * 2 ** (excess - 1), policy.maxDelayMs);
+  }
+
+  function blockFor(scope, row, now) {
+    if (!row) return null;
+    if (row.locked_until && row.locked_until > now) {
+      return { scope, locked: true, retryAfterMs: row.locked_until - now };
+    }
+    const waitUntil = row.last_failure_at + delayFor(scope, row.failures);
+    return waitUntil > now ? { scope, locked: false, retryAfterMs: waitUntil - now } : null;
+  }
+
+  /**
+   * Returns null when an attempt may proceed, otherwise
+   * `{ scope, locked, retryAfterMs }` for the most restrictive key.
+   * `keys` is `{ ip, account }`; either may be omitted.
+   */
+  function check(keys, now = Date.now()) {
+    const blocks = SCOPES
+      .filter(scope => keys[scope])
+      .map(scope => blockFor(scope, readActive(scope, normalizeKey(scope, keys[scope]), now), now))
+      .filter(Boolean);
+    if (!blocks.length) return null;
+    return blocks.sort((a, b) => b.retryAfterMs - a.retryAfterMs)[0];
+  }
+
+  /** Counts a failure against each key; returns the keys that just got locked. */
+  const recordFailure = db.transaction((keys, now = Date.now()) => {
+    const lockedNow = [];
+    SCOPES.filter(scope => keys[scope]).forEach((scope) => {
+      const key = normalizeKey(scope, keys[scope]);
+      const row = readActive(scope, key, now);
+      const failures = (row?.failures || 0) + 1;
+      const lock = failures >= policy[scope].lockThreshold;
+      statements.upsert.run({
+        scope,
+        key,
+        failures,
+        first_failure_at: row?.first_failure_at || now,
+        last_failure_at: now,
+        locked_until: lock ? now + policy.lockoutMs : null
+      });
+      if (lock) lockedNow.push({ scope, key });
+    });
+    return lockedNow;
+  });
+
+  // IP failures are kept on success so one valid account cannot reset them.
+  function recordSuccess(keys) {
+    if (keys.account) statements.remove.run("account", normalizeKey("account", keys.account));
+  }
+
+  function getAccountLock(account, now = Date.now()) {
+    const row = statements.get.get("account", normalizeKey("account", account));
+    return row?.locked_until && row.locked_until > now ? new Date(row.locked_until).toISOString() : null;
+  }
+
+  function listLocked(now = Date.now()) {
+    return statements.listLocked.all(now).map(normalizeAttemptRow);
+  }
+
+  function unlock(scope, key) {
+    if (!SCOPES.includes(scope)) return false;
+    return statements.remove.run(scope, normalizeKey(scope, key)).changes > 0;
+  }
+
+  function prune(now = Date.now()) {
+    return statements.prune.run({ stale_before: now - policy.windowMs, now }).changes;
+  }
+
+  return {
+    policy,
+    check,
+    recordFailure,
+    recordSuccess,
+    getAccountLock,
+    listLocked,
+    unlock,
+    prune
+  };
+}
+
+module.exports = { initLoginThrottle, loadThrottlePolicy };
@@ -0,0 +1,165 @@
+// Operator annotations on the live map: pins, lines and text notes. They are
+// shared, so everyone on the map sees every annotation; only the author or an
+// authority/admin may delete one.
+
+const crypto = require("crypto");
+
+const ANNOTATION_KINDS = ["pin", "line", "note"];
+const MAX_ANNOTATIONS = 500;
+const MAX_TEXT_LENGTH = 280;
+const MAX_LINE_POINTS = 200;
+const DEFAULT_COLORS = { pin: "#f59e0b", line: "#22d3ee", note: "#e2e8f0" };
+const MODERATOR_ROLES = ["authority", "admin"];
+
+function parseJson(text, fallback) {
+  try {
+    return JSON.parse(text);
+  } catch (error) {
+    return fallback;
+  }
+}
+
+function toFiniteNumber(value) {
+  if (value === null || value === undefined || value === "") return null;
+  const parsed = Number(value);
+  return Number.isFinite(parsed) ? parsed : null;
+}
+
+// Validates an annotation payload from the API. Returns `{ annotation }` or `{ error }`.
+function parseAnnotationInput(body) {
+  const kind = body?.kind;
+  if (!ANNOTATION_KINDS.includes(kind)) {
+    return { error: `kind must be one of ${ANNOTATION_KINDS.join(", ")}` };
+  }
+
+  const text = typeof body.text === "string" ? body.text.trim() : "";
+  if (text.length > MAX_TEXT_LENGTH) {
+    return { error: `Text must be at most ${MAX_TEXT_LENGTH} characters` };
+  }
+  if (kind === "note" && !text) return { error: "A note needs text" };
+
+  const source = Array.isArray(body.points) ? body.points : [];
+  const points = [];
+  for (const point of source) {
+    const lat = toFiniteNumber(point?.lat);
+    const lon = toFiniteNumber(point?.lon);
+    if (lat === null || lon === null || Math.abs(lat) > 90 || Math.abs(lon) > 180) {
+      return { error: "Every point needs a valid lat and lon" };
+    }
+    const alt = toFiniteNumber(point.alt);
+    points.push(alt === null ? { lat, lon } : { lat, lon, alt });
+  }
+  if (kind === "line") {
+    if (points.length < 2 || points.length > MAX_LINE_POINTS) {
+      return { error: `A line needs between 2 and ${MAX_LINE_POINTS} points` };
+    }
+  } else if (points.length !== 1) {
+    return { error: `A ${kind} needs exactly one point` };
+  }
+
+  let color = DEFAULT_COLORS[kind];
+  if (body.color !== undefined && body.color !== null && body.color !== "") {
+    if (typeof body.color !== "string" || !/^#[0-9a-f]{6}$/i.test(body.color)) {
+      return { error: "color must be a #rrggbb hex value" };
+    }
+    color = body.color.toLowerCase();
+  }
+
+  return { annotation: { kind, text, points, color } };
+}
+
+function canDeleteAnnotation(user, annotation) {
+  return !!user && (annotation.createdBy === String(user.id) || MODERATOR_ROLES.includes(user.role));
+}
+
+function normalizeAnnotation(row) {
+  if (!row) return null;
+  return {
+    id: row.id,
+    kind: row.kind,
+    text: row.text,
+    points: parseJson(row.points, []),
+    color: row.color,
+    createdBy: row.created_by,
+    createdByName: row.created_by_name,
+    createdAt: row.created_at
+  };
+}
+
+function initMapAnnotationStore(db) {
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS map_annotations (
+      id TEXT PRIMARY KEY,
+      kind TEXT NOT NULL,
+      text TEXT NOT NULL,
+      points TEXT NOT NULL,
+      color TEXT NOT NULL,
+      created_by TEXT NOT NULL,
+      created_by_name TEXT,
+      created_at TEXT NOT NULL
+    );
+    CREATE INDEX IF NOT EXISTS idx_map_annotations_created
+      ON map_annotations (created_at);
+  `);
+
+  const statements = {
+    list: db.prepare("SELECT * FROM map_annotations ORDER BY created_at"),
+    count: db.prepare("SELECT COUNT(*) AS total FROM map_annotations"),
+    get: db.prepare("SELECT * FROM map_annotations WHERE id = ?"),
+    insert: db.prepare(`
+      INSERT INTO map_annotations (id, kind, text, points, color, created_by, created_by_name, created_at)
+      VALUES (@id, @kind, @text, @points, @color, @created_by, @created_by_name, @created_at)
+    `),
+    remove: db.prepare("DELETE FROM map_annotations WHERE id = ?"),
+    removeForUser: db.prepare("DELETE FROM map_annotations WHERE created_by = ?")
+  };
+
+  function listAnnotations() {
+    return statements.list.all().map(normalizeAnnotation);
+  }
+
+  function getAnnotation(id) {
+    return normalizeAnnotation(statements.get.get(String(id)));
+  }
+
+  // Returns the created annotation, or null when the map is at the limit.
+  const createAnnotation = db.transaction((user, annotation) => {
+    if (statements.count.get().total >= MAX_ANNOTATIONS) return null;
+    const row = {
+      id: crypto.randomUUID(),
+      kind: annotation.kind,
+      text: annotation.text,
+      points: JSON.stringify(annotation.points),
+      color: annotation.color,
+      created_by: String(user.id),
+      created_by_name: user.name || null,
+      created_at: new Date().toISOString()
+    };
+    statements.insert.run(row);
+    return normalizeAnnotation(row);
+  });
+
+  function removeAnnotation(id) {
+    return statements.remove.run(String(id)).changes > 0;
+  }
+
+  function removeAnnotationsForUser(userId) {
+    statements.removeForUser.run(String(userId));
+  }
+
+  return {
+    listAnnotations,
+    getAnnotation,
+    createAnnotation,
+    removeAnnotation,
+    removeAnnotationsForUser
+  };
+}
+
+module.exports = {
+  initMapAnnotationStore,
+  parseAnnotationInput,
+  canDeleteAnnotation,
+  ANNOTATION_KINDS,
+  MAX_ANNOTATIONS
+};
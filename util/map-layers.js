@@ -0,0 +1,148 @@
+// Per-user layer settings for the live map: which layers are drawn and how
+// opaque they are. MAP_LAYERS is the single list of layer ids; the map's layer
+// panel is rendered from it, and users only store the settings they changed.
+
+const MAP_LAYERS = [
+  { id: "drones", label: "Local drones", group: "Traffic" },
+  { id: "ridTraffic", label: "Remote ID traffic", group: "Traffic" },
+  { id: "trails", label: "Trails", group: "Traffic" },
+  { id: "projections", label: "Look-ahead projections", group: "Traffic" },
+  { id: "plannedRoutes", label: "Planned routes", group: "Operations" },
+  { id: "annotations", label: "Annotations", group: "Operations", supportsOpacity: false },
+  { id: "conflicts", label: "Conflicts", group: "Safety" },
+  { id: "daa", label: "DAA highlights", group: "Safety" },
+  { id: "geofences.no_fly_zone", label: "No-fly zones", group: "Geofences" },
+  { id: "geofences.restricted_area", label: "Restricted areas", group: "Geofences" },
+  { id: "geofences.temporary_restriction", label: "Temporary restrictions", group: "Geofences" },
+  { id: "geofences.advisory", label: "Advisories", group: "Geofences" },
+  // Photorealistic tiles cannot be restyled, so buildings only toggle.
+  { id: "buildings", label: "3D buildings", group: "Base map", supportsOpacity: false },
+  { id: "imagery", label: "Imagery", group: "Base map" }
+].map(layer => ({ visible: true, opacity: 1, supportsOpacity: true, ...layer }));
+
+const LAYER_IDS = new Set(MAP_LAYERS.map(layer => layer.id));
+
+// Layers whose id changed: old id -> new id. Saved settings follow the rename.
+const RENAMED_LAYER_IDS = {
+  headingArrows: "projections"
+};
+
+function parseJson(text, fallback) {
+  try {
+    return JSON.parse(text);
+  } catch (error) {
+    return fallback;
+  }
+}
+
+// Validates `{ layers: { <id>: { visible?, opacity? } } }` from the API.
+// Returns `{ layers }` with only the provided fields, or `{ error }`.
+function parseMapLayerInput(body) {
+  const source = body?.layers;
+  if (!source || typeof source !== "object" || Array.isArray(source)) {
+    return { error: "layers must be an object keyed by layer id" };
+  }
+  const layers = {};
+  for (const [id, settings] of Object.entries(source)) {
+    if (!LAYER_IDS.has(id)) return { error: `Unknown map layer "${id}"` };
+    if (!settings || typeof settings !== "object") return { error: `Settings for "${id}" must be an object` };
+    const parsed = {};
+    if (settings.visible !== undefined) {
+      if (typeof settings.visible !== "boolean") return { error: `"${id}".visible must be true or false` };
+      parsed.visible = settings.visible;
+    }
+    if (settings.opacity !== undefined) {
+      const opacity = Number(settings.opacity);
+      if (settings.opacity === null || !Number.isFinite(opacity) || opacity < 0 || opacity > 1) {
+        return { error: `"${id}".opacity must be between 0 and 1` };
+      }
+      parsed.opacity = Math.round(opacity * 100) / 100;
+    }
+    layers[id] = parsed;
+  }
+  return { layers };
+}
+
+function mergeLayers(stored) {
+  return MAP_LAYERS.map((layer) => {
+    const saved = stored[layer.id] || {};
+    return {
+      ...layer,
+      visible: typeof saved.visible === "boolean" ? saved.visible : layer.visible,
+      opacity: Number.isFinite(saved.opacity) ? saved.opacity : layer.opacity
+    };
+  });
+}
+
+function initMapLayerStore(db) {
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS map_layer_settings (
+      user_id TEXT PRIMARY KEY,
+      layers TEXT NOT NULL,
+      updated_at TEXT NOT NULL
+    );
+  `);
+
+  const statements = {
+    get: db.prepare("SELECT * FROM map_layer_settings WHERE user_id = ?"),
+    upsert: db.prepare(`
+      INSERT INTO map_layer_settings (user_id, layers, updated_at)
+      VALUES (@user_id, @layers, @updated_at)
+      ON CONFLICT(user_id) DO UPDATE SET
+        layers = excluded.layers,
+        updated_at = excluded.updated_at
+    `),
+    remove: db.prepare("DELETE FROM map_layer_settings WHERE user_id = ?")
+  };
+
+  function readStored(userId) {
+    const row = statements.get.get(String(userId));
+    const parsed = row ? parseJson(row.layers, {}) : {};
+    const stored = parsed && typeof parsed === "object" ? parsed : {};
+    for (const [oldId, newId] of Object.entries(RENAMED_LAYER_IDS)) {
+      if (stored[oldId] && !stored[newId]) stored[newId] = stored[oldId];
+      delete stored[oldId];
+    }
+    return { stored, updatedAt: row?.updated_at || null };
+  }
+
+  // Full catalog with the user's settings applied.
+  function getLayers(userId) {
+    const { stored, updatedAt } = readStored(userId);
+    return { layers: mergeLayers(stored), updatedAt };
+  }
+
+  // Merges a parsed partial update (see parseMapLayerInput) into the saved settings.
+  const saveLayers = db.transaction((userId, updates) => {
+    const { stored } = readStored(userId);
+    const next = {};
+    LAYER_IDS.forEach((id) => {
+      const merged = { ...(stored[id] || {}), ...(updates[id] || {}) };
+      if (Object.keys(merged).length) next[id] = merged;
+    });
+    statements.upsert.run({
+      user_id: String(userId),
+      layers: JSON.stringify(next),
+      updated_at: new Date().toISOString()
+    });
+    return getLayers(userId);
+  });
+
+  function resetLayers(userId) {
+    statements.remove.run(String(userId));
+    return getLayers(userId);
+  }
+
+  function removeLayersForUser(userId) {
+    statements.remove.run(String(userId));
+  }
+
+  return {
+    getLayers,
+    saveLayers,
+    resetLayers,
+    removeLayersForUser
+  };
+}
+
+module.exports = { initMapLayerStore, parseMapLayerInput, MAP_LAYERS };
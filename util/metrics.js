@@ -0,0 +1,124 @@
+// Prometheus metrics for the ATC and Blender proxies, the WebSocket bridge
+// and logins, served at /metrics. Scrapes are allowed with
+// `Authorization: Bearer <ATC_METRICS_TOKEN>` or from an address listed in
+// ATC_METRICS_ALLOW; with neither configured only loopback may scrape.
+
+const net = require("net");
+const client = require("prom-client");
+
+const PREFIX = "atc_frontend_";
+// Route planning and compliance evaluation can take minutes upstream.
+const LATENCY_BUCKETS = [0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30, 60, 180];
+const DEFAULT_ALLOW = ["127.0.0.1/8", "::1"];
+
+function initMetrics({ countActiveWsConnections = () => 0, isWsUpstreamOpen = () => false } = {}) {
+  const registry = new client.Registry();
+  client.collectDefaultMetrics({ register: registry, prefix: PREFIX });
+  const registers = [registry];
+
+  return {
+    registry,
+    atcUpstreamSeconds: new client.Histogram({
+      name: `${PREFIX}atc_proxy_upstream_duration_seconds`,
+      help: "Time spent waiting on the ATC server per allowlisted proxy route.",
+      labelNames: ["route", "method", "status"],
+      buckets: LATENCY_BUCKETS,
+      registers
+    }),
+    blenderSeconds: new client.Histogram({
+      name: `${PREFIX}blender_proxy_duration_seconds`,
+      help: "Duration of Flight Blender proxy requests, including the upstream call.",
+      labelNames: ["route", "method", "status"],
+      buckets: LATENCY_BUCKETS,
+      registers
+    }),
+    proxyResponses: new client.Counter({
+      name: `${PREFIX}proxy_responses_total`,
+      help: "Proxy responses by upstream (atc, blender), route and HTTP status, including 403/404 refusals and 502/504 upstream failures.",
+      labelNames: ["proxy", "route", "status"],
+      registers
+    }),
+    wsActive: new client.Gauge({
+      name: `${PREFIX}ws_proxy_connections_active`,
+      help: "Open WebSocket proxy connections.",
+      registers,
+      collect() {
+        this.set(countActiveWsConnections());
+      }
+    }),
+    wsUpstreamOpen: new client.Gauge({
+      name: `${PREFIX}ws_upstream_open`,
+      help: "1 while the shared upstream ATC telemetry WebSocket is open.",
+      registers,
+      collect() {
+        this.set(isWsUpstreamOpen() ? 1 : 0);
+      }
+    }),
+    wsTotal: new client.Counter({
+      name: `${PREFIX}ws_proxy_connections_total`,
+      help: "WebSocket proxy connections opened since start.",
+      registers
+    }),
+    wsHandshakeTimeouts: new client.Counter({
+      name: `${PREFIX}ws_proxy_handshake_timeouts_total`,
+      help: "Upstream ATC telemetry WebSocket connects abandoned because the ATC server did not answer the upgrade in time.",
+      registers
+    }),
+    logins: new client.Counter({
+      name: `${PREFIX}logins_total`,
+      help: "Login attempts by result (success, failure, throttled) and method.",
+      labelNames: ["result", "method"],
+      registers
+    })
+  };
+}
+
+function normalizeAddress(address) {
+  const text = String(address || "").trim();
+  return text.startsWith("::ffff:") && net.isIPv4(text.slice(7)) ? text.slice(7) : text;
+}
+
+// Accepts single addresses and CIDR ranges ("10.0.0.0/8", "fd00::/8").
+// Returns { blockList, invalid } where `invalid` lists entries that were skipped.
+function parseAllowList(entries) {
+  const blockList = new net.BlockList();
+  const invalid = [];
+  entries.forEach((entry) => {
+    const [address, prefix] = entry.split("/");
+    const type = net.isIPv4(address) ? "ipv4" : net.isIPv6(address) ? "ipv6" : null;
+    const bits = prefix === undefined ? null : Number(prefix);
+    if (!type || (bits !== null && !(Number.isInteger(bits) && bits >= 0 && bits <= (type === "ipv4" ? 32 : 128)))) {
+      invalid.push(entry);
+      return;
+    }
+    if (bits === null) blockList.addAddress(address, type);
+    else blockList.addSubnet(address, bits, type);
+  });
+  return { blockList, invalid };
+}
+
+function isAllowedAddress(blockList, address) {
+  const ip = normalizeAddress(address);
+  const type = net.isIPv4(ip) ? "ipv4" : net.isIPv6(ip) ? "ipv6" : null;
+  return Boolean(type) && blockList.check(ip, type);
+}
+
+/**
+ * Builds the /metrics access check from ATC_METRICS_TOKEN and
+ * ATC_METRICS_ALLOW (comma-separated addresses or CIDR ranges).
+ */
+function createMetricsGuard({ token, allow, safeEqual }) {
+  const entries = String(allow || "").split(",").map(entry => entry.trim()).filter(Boolean);
+  const { blockList, invalid } = parseAllowList(entries.length || token ? entries : DEFAULT_ALLOW);
+  if (invalid.length) {
+    console.warn(`[METRICS] Ignoring invalid ATC_METRICS_ALLOW entries: ${invalid.join(", ")}`);
+  }
+
+  return function isMetricsRequestAllowed(req) {
+    const match = /^Bearer\s+(\S+)$/i.exec(req.get("Authorization") || "");
+    if (token && match && safeEqual(match[1], token)) return true;
+    return isAllowedAddress(blockList, req.ip);
+  };
+}
+
+module.exports = { initMetrics, createMetricsGuard };
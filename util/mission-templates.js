@@ -0,0 +1,175 @@
+// Named mission templates: a planned route plus the planner parameters, saved
+// per user so recurring missions can be reloaded into the mission planner.
+// `params` uses the same shape as the planner prefill (see mission-plan.js).
+
+const crypto = require("crypto");
+
+const MAX_TEMPLATES_PER_USER = 100;
+const MAX_WAYPOINTS = 500;
+const MAX_NAME_LENGTH = 120;
+
+const NUMBER_FIELDS = [
+  "operationType",
+  "minAltitude",
+  "maxAltitude",
+  "cruiseSpeedMps",
+  "batteryCapacityMin",
+  "batteryReserveMin",
+  "obstacleClearanceM",
+  "populationDensity"
+];
+const STRING_FIELDS = ["missionName", "missionType", "droneId"];
+
+function parseJson(text, fallback) {
+  try {
+    return JSON.parse(text);
+  } catch (error) {
+    return fallback;
+  }
+}
+
+function toFiniteNumber(value) {
+  if (value === null || value === undefined || value === "") return null;
+  const parsed = Number(value);
+  return Number.isFinite(parsed) ? parsed : null;
+}
+
+// Validates a template payload from the API. Returns `{ template }` or `{ error }`.
+function parseTemplateInput(body) {
+  const name = typeof body?.name === "string" ? body.name.trim() : "";
+  if (!name) return { error: "Template name is required" };
+  if (name.length > MAX_NAME_LENGTH) {
+    return { error: `Template name must be at most ${MAX_NAME_LENGTH} characters` };
+  }
+
+  const source = body?.params && typeof body.params === "object" ? body.params : {};
+  const waypoints = (Array.isArray(source.waypoints) ? source.waypoints : [])
+    .map((wp) => {
+      const point = { lat: toFiniteNumber(wp?.lat), lon: toFiniteNumber(wp?.lon) };
+      const alt = toFiniteNumber(wp?.alt);
+      if (alt !== null) point.alt = alt;
+      return point;
+    })
+    .filter(wp => wp.lat !== null && wp.lon !== null
+      && Math.abs(wp.lat) <= 90 && Math.abs(wp.lon) <= 180);
+  if (waypoints.length < 2) return { error: "A template needs at least two waypoints" };
+  if (waypoints.length > MAX_WAYPOINTS) {
+    return { error: `A template can have at most ${MAX_WAYPOINTS} waypoints` };
+  }
+
+  const params = { waypoints };
+  NUMBER_FIELDS.forEach((field) => {
+    const value = toFiniteNumber(source[field]);
+    if (value !== null) params[field] = value;
+  });
+  STRING_FIELDS.forEach((field) => {
+    if (typeof source[field] === "string" && source[field].trim()) {
+      params[field] = source[field].trim().slice(0, MAX_NAME_LENGTH);
+    }
+  });
+
+  return { template: { name, params } };
+}
+
+function normalizeTemplate(row) {
+  if (!row) return null;
+  const params = parseJson(row.params, {});
+  return {
+    id: row.id,
+    name: row.name,
+    createdAt: row.created_at,
+    updatedAt: row.updated_at,
+    waypointCount: Array.isArray(params.waypoints) ? params.waypoints.length : 0,
+    params
+  };
+}
+
+function initMissionTemplateStore(db) {
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS mission_templates (
+      id TEXT PRIMARY KEY,
+      user_id TEXT NOT NULL,
+      name TEXT NOT NULL,
+      params TEXT NOT NULL,
+      created_at TEXT NOT NULL,
+      updated_at TEXT NOT NULL
+    );
+    CREATE INDEX IF NOT EXISTS idx_mission_templates_user
+      ON mission_templates (user_id, name);
+  `);
+
+  const statements = {
+    list: db.prepare(`
+      SELECT * FROM mission_templates
+      WHERE user_id = ?
+      ORDER BY name COLLATE NOCASE
+    `),
+    count: db.prepare("SELECT COUNT(*) AS total FROM mission_templates WHERE user_id = ?"),
+    get: db.prepare("SELECT * FROM mission_templates WHERE user_id = ? AND id = ?"),
+    insert: db.prepare(`
+      INSERT INTO mission_templates (id, user_id, name, params, created_at, updated_at)
+      VALUES (@id, @user_id, @name, @params, @created_at, @updated_at)
+    `),
+    update: db.prepare(`
+      UPDATE mission_templates
+      SET name = @name, params = @params, updated_at = @updated_at
+      WHERE user_id = @user_id AND id = @id
+    `),
+    remove: db.prepare("DELETE FROM mission_templates WHERE user_id = ? AND id = ?"),
+    removeForUser: db.prepare("DELETE FROM mission_templates WHERE user_id = ?")
+  };
+
+  function listTemplates(userId) {
+    return statements.list.all(String(userId)).map(normalizeTemplate);
+  }
+
+  function getTemplate(userId, id) {
+    return normalizeTemplate(statements.get.get(String(userId), String(id)));
+  }
+
+  // Returns the created template, or null when the user is at the limit.
+  const createTemplate = db.transaction((userId, template) => {
+    if (statements.count.get(String(userId)).total >= MAX_TEMPLATES_PER_USER) return null;
+    const now = new Date().toISOString();
+    const row = {
+      id: crypto.randomUUID(),
+      user_id: String(userId),
+      name: template.name,
+      params: JSON.stringify(template.params),
+      created_at: now,
+      updated_at: now
+    };
+    statements.insert.run(row);
+    return normalizeTemplate(row);
+  });
+
+  function updateTemplate(userId, id, template) {
+    const result = statements.update.run({
+      id: String(id),
+      user_id: String(userId),
+      name: template.name,
+      params: JSON.stringify(template.params),
+      updated_at: new Date().toISOString()
+    });
+    return result.changes > 0 ? getTemplate(userId, id) : null;
+  }
+
+  function removeTemplate(userId, id) {
+    return statements.remove.run(String(userId), String(id)).changes > 0;
+  }
+
+  function removeTemplatesForUser(userId) {
+    statements.removeForUser.run(String(userId));
+  }
+
+  return {
+    listTemplates,
+    getTemplate,
+    createTemplate,
+    updateTemplate,
+    removeTemplate,
+    removeTemplatesForUser
+  };
+}
+
+module.exports = { initMissionTemplateStore, parseTemplateInput, MAX_TEMPLATES_PER_USER };
@@ -0,0 +1,238 @@
+// OpenID Connect authorization-code login (with PKCE) against any provider
+// that publishes a discovery document. Configured from OIDC_* environment
+// variables; see README "Single Sign-On".
+
+const crypto = require("crypto");
+const axios = require("axios");
+
+const ROLE_PRECEDENCE = ["admin", "authority", "operator", "viewer"];
+const SUPPORTED_ALGORITHMS = {
+  RS256: { hash: "sha256" },
+  RS384: { hash: "sha384" },
+  RS512: { hash: "sha512" },
+  PS256: { hash: "sha256", padding: crypto.constants.RSA_PKCS1_PSS_PADDING },
+  ES256: { hash: "sha256", dsaEncoding: "ieee-p1363" },
+  ES384: { hash: "sha384", dsaEncoding: "ieee-p1363" }
+};
+const DISCOVERY_TTL_MS = 60 * 60 * 1000;
+const CLOCK_SKEW_S = 60;
+const LOGIN_STATE_TTL_MS = 10 * 60 * 1000;
+
+function splitList(value) {
+  return String(value || "")
+    .split(",")
+    .map(item => item.trim())
+    .filter(Boolean);
+}
+
+function loadOidcConfig(env = process.env) {
+  const issuer = (env.OIDC_ISSUER_URL || "").replace(/\/+$/, "");
+  const clientId = env.OIDC_CLIENT_ID || "";
+  if (!issuer || !clientId) return null;
+
+  const defaultRole = (env.OIDC_DEFAULT_ROLE || "viewer").toLowerCase();
+  return {
+    issuer,
+    clientId,
+    clientSecret: env.OIDC_CLIENT_SECRET || "",
+    redirectUri: env.OIDC_REDIRECT_URI || "",
+    scopes: env.OIDC_SCOPES || "openid profile email",
+    providerName: env.OIDC_PROVIDER_NAME || "Single Sign-On",
+    groupsClaim: env.OIDC_GROUPS_CLAIM || "groups",
+    roleGroups: {
+      admin: splitList(env.OIDC_ADMIN_GROUPS),
+      authority: splitList(env.OIDC_AUTHORITY_GROUPS),
+      operator: splitList(env.OIDC_OPERATOR_GROUPS),
+      viewer: splitList(env.OIDC_VIEWER_GROUPS)
+    },
+    // "none" refuses sign-in to users who are in none of the mapped groups.
+    defaultRole: ROLE_PRECEDENCE.includes(defaultRole) ? defaultRole : null,
+    linkByEmail: env.OIDC_LINK_BY_EMAIL !== "0",
+    disableLocalLogin: env.OIDC_DISABLE_LOCAL_LOGIN === "1",
+    allowInsecureIssuer: env.OIDC_ALLOW_INSECURE_ISSUER === "1"
+  };
+}
+
+function base64UrlDecode(segment) {
+  return Buffer.from(segment, "base64url");
+}
+
+function randomToken(bytes = 32) {
+  return crypto.randomBytes(bytes).toString("base64url");
+}
+
+function readGroups(claims, claimName) {
+  const value = claimName.split(".").reduce((current, key) => current?.[key], claims);
+  if (Array.isArray(value)) return value.map(String);
+  if (typeof value === "string") return splitList(value);
+  return [];
+}
+
+function createOidcClient(config, options = {}) {
+  const http = options.http || axios.create({ timeout: 10000 });
+  let discovery = null;
+  let discoveredAt = 0;
+  let jwks = new Map();
+
+  if (!config.allowInsecureIssuer && !config.issuer.startsWith("https://")) {
+    throw new Error("OIDC_ISSUER_URL must use https (set OIDC_ALLOW_INSECURE_ISSUER=1 for a local mock IdP)");
+  }
+
+  async function discover(force = false) {
+    if (!force && discovery && Date.now() - discoveredAt < DISCOVERY_TTL_MS) return discovery;
+    const response = await http.get(`${config.issuer}/.well-known/openid-configuration`);
+    const document = response.data || {};
+    if (document.issuer !== config.issuer) {
+      throw new Error(`Discovery issuer mismatch: expected ${config.issuer}, got ${document.issuer}`);
+    }
+    ["authorization_endpoint", "token_endpoint", "jwks_uri"].forEach((field) => {
+      if (!document[field]) throw new Error(`Discovery document is missing ${field}`);
+    });
+    discovery = document;
+    discoveredAt = Date.now();
+    return discovery;
+  }
+
+  async function loadKeys() {
+    const { jwks_uri: jwksUri } = await discover();
+    const response = await http.get(jwksUri);
+    const keys = Array.isArray(response.data?.keys) ? response.data.keys : [];
+    jwks = new Map(keys.filter(key => key.use !== "enc").map(key => [key.kid || "", key]));
+  }
+
+  async function getKey(kid) {
+    if (!jwks.has(kid || "")) await loadKeys();
+    const jwk = jwks.get(kid || "") || (jwks.size === 1 && !kid ? jwks.values().next().value : null);
+    if (!jwk) throw new Error(`No signing key found for kid ${kid || "(none)"}`);
+    return crypto.createPublicKey({ key: jwk, format: "jwk" });
+  }
+
+  /**
+   * Starts a login: returns the provider URL plus the state that must be kept
+   * in the session until the callback.
+   */
+  async function beginLogin(redirectUri) {
+    const metadata = await discover();
+    const loginState = {
+      state: randomToken(),
+      nonce: randomToken(),
+      codeVerifier: randomToken(48),
+      redirectUri,
+      createdAt: Date.now()
+    };
+    const params = new URLSearchParams({
+      response_type: "code",
+      client_id: config.clientId,
+      redirect_uri: redirectUri,
+      scope: config.scopes,
+      state: loginState.state,
+      nonce: loginState.nonce,
+      code_challenge: crypto.createHash("sha256").update(loginState.codeVerifier).digest("base64url"),
+      code_challenge_method: "S256"
+    });
+    return { url: `${metadata.authorization_endpoint}?${params}`, loginState };
+  }
+
+  async function verifyIdToken(idToken, nonce) {
+    const parts = String(idToken || "").split(".");
+    if (parts.length !== 3) throw new Error("ID token is not a JWS");
+    const header = JSON.parse(base64UrlDecode(parts[0]).toString("utf8"));
+    const algorithm = SUPPORTED_ALGORITHMS[header.alg];
+    if (!algorithm) throw new Error(`Unsupported ID token algorithm ${header.alg}`);
+
+    const key = await getKey(header.kid);
+    const verified = crypto.verify(
+      algorithm.hash,
+      Buffer.from(`${parts[0]}.${parts[1]}`),
+      { key, padding: algorithm.padding, dsaEncoding: algorithm.dsaEncoding },
+      base64UrlDecode(parts[2])
+    );
+    if (!verified) throw new Error("ID token signature is invalid");
+
+    const claims = JSON.parse(base64UrlDecode(parts[1]).toString("utf8"));
+    const now = Math.floor(Date.now() / 1000);
+    const audiences = Array.isArray(claims.aud) ? claims.aud : [claims.aud];
+    if (claims.iss !== config.issuer) throw new Error("ID token issuer mismatch");
+    if (!audiences.includes(config.clientId)) throw new Error("ID token audience mismatch");
+    if (audiences.length > 1 && claims.azp && claims.azp !== config.clientId) {
+      throw new Error("ID token authorized party mismatch");
+    }
+    if (!Number.isFinite(claims.exp) || claims.exp + CLOCK_SKEW_S < now) throw new Error("ID token has expired");
+    if (Number.isFinite(claims.iat) && claims.iat - CLOCK_SKEW_S > now) throw new Error("ID token issued in the future");
+    if (claims.nonce !== nonce) throw new Error("ID token nonce mismatch");
+    if (!claims.sub) throw new Error("ID token has no subject");
+    return claims;
+  }
+
+  /**
+   * Completes a login from the callback query. Returns the verified claims,
+   * merged with userinfo when the groups claim is only available there.
+   */
+  async function completeLogin(query, loginState) {
+    if (!loginState || Date.now() - loginState.createdAt > LOGIN_STATE_TTL_MS) {
+      throw new Error("Login request expired; please try again");
+    }
+    if (query.error) {
+      throw new Error(`Identity provider returned ${query.error}${query.error_description ? `: ${query.error_description}` : ""}`);
+    }
+    const stateMatches = typeof query.state === "string"
+      && query.state.length === loginState.state.length
+      && crypto.timingSafeEqual(Buffer.from(query.state), Buffer.from(loginState.state));
+    if (!stateMatches) throw new Error("Login state mismatch");
+    if (!query.code) throw new Error("Missing authorization code");
+
+    const metadata = await discover();
+    const form = new URLSearchParams({
+      grant_type: "authorization_code",
+      code: String(query.code),
+      redirect_uri: loginState.redirectUri,
+      client_id: config.clientId,
+      code_verifier: loginState.codeVerifier
+    });
+    const headers = { "Content-Type": "application/x-www-form-urlencoded", Accept: "application/json" };
+    if (config.clientSecret) {
+      const basic = Buffer.from(`${encodeURIComponent(config.clientId)}:${encodeURIComponent(config.clientSecret)}`);
+      headers.Authorization = `Basic ${basic.toString("base64")}`;
+    }
+    const tokenResponse = await http.post(metadata.token_endpoint, form.toString(), {
+      headers,
+      validateStatus: () => true
+    });
+    if (tokenResponse.status !== 200 || !tokenResponse.data?.id_token) {
+      const reason = tokenResponse.data?.error_description || tokenResponse.data?.error || `HTTP ${tokenResponse.status}`;
+      throw new Error(`Token exchange failed: ${reason}`);
+    }
+
+    const claims = await verifyIdToken(tokenResponse.data.id_token, loginState.nonce);
+    const accessToken = tokenResponse.data.access_token;
+    const groupsInToken = readGroups(claims, config.groupsClaim).length > 0;
+    if (!groupsInToken && accessToken && metadata.userinfo_endpoint) {
+      const userinfo = await http.get(metadata.userinfo_endpoint, {
+        headers: { Authorization: `Bearer ${accessToken}` },
+        validateStatus: () => true
+      });
+      if (userinfo.status === 200 && userinfo.data?.sub === claims.sub) {
+        return { ...userinfo.data, ...claims, [config.groupsClaim]: readGroups(userinfo.data, config.groupsClaim) };
+      }
+    }
+    return claims;
+  }
+
+  /** Highest-precedence role whose groups intersect the user's, else the default. */
+  function mapRole(claims) {
+    const groups = new Set(readGroups(claims, config.groupsClaim));
+    const match = ROLE_PRECEDENCE.find(role => config.roleGroups[role].some(group => groups.has(group)));
+    return match || config.defaultRole;
+  }
+
+  return {
+    config,
+    discover,
+    beginLogin,
+    completeLogin,
+    verifyIdToken,
+    mapRole
+  };
+}
+
+module.exports = { loadOidcConfig, createOidcClient };
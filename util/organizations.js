@@ -0,0 +1,205 @@
+// Organizations let several users share a fleet. Drones, flights and
+// operational intents created for an organization carry the owner id
+// `org:<id>` upstream, so the ATC keeps treating ownership as a single string
+// while every member sees (and, depending on their org role, commands) them.
+
+const crypto = require("crypto");
+
+// observer: sees the fleet; pilot: also commands and plans; manager: also
+// manages membership.
+const ORG_ROLES = ["observer", "pilot", "manager"];
+const ORG_COMMAND_ROLES = ["pilot", "manager"];
+const ORG_OWNER_PREFIX = "org:";
+const MAX_NAME_LENGTH = 80;
+
+function orgOwnerId(orgId) {
+  return `${ORG_OWNER_PREFIX}${orgId}`;
+}
+
+function parseOrgName(value) {
+  const name = typeof value === "string" ? value.trim() : "";
+  if (!name) return { error: "Organization name is required" };
+  if (name.length > MAX_NAME_LENGTH) {
+    return { error: `Organization name must be at most ${MAX_NAME_LENGTH} characters` };
+  }
+  return { name };
+}
+
+function normalizeOrg(row) {
+  if (!row) return null;
+  return {
+    id: row.id,
+    name: row.name,
+    ownerId: orgOwnerId(row.id),
+    createdAt: row.created_at,
+    createdBy: row.created_by,
+    memberCount: row.member_count ?? undefined,
+    role: row.role ?? undefined
+  };
+}
+
+function normalizeMember(row) {
+  if (!row) return null;
+  return {
+    userId: row.user_id,
+    name: row.name,
+    email: row.email,
+    role: row.role,
+    addedAt: row.added_at,
+    addedBy: row.added_by
+  };
+}
+
+function initOrgStore(db) {
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS organizations (
+      id TEXT PRIMARY KEY,
+      name TEXT NOT NULL UNIQUE COLLATE NOCASE,
+      created_at TEXT NOT NULL,
+      created_by TEXT
+    );
+    CREATE TABLE IF NOT EXISTS organization_members (
+      org_id TEXT NOT NULL,
+      user_id TEXT NOT NULL,
+      role TEXT NOT NULL,
+      added_at TEXT NOT NULL,
+      added_by TEXT,
+      PRIMARY KEY (org_id, user_id)
+    );
+    CREATE INDEX IF NOT EXISTS idx_organization_members_user ON organization_members (user_id);
+  `);
+
+  const statements = {
+    list: db.prepare(`
+      SELECT o.*, (SELECT COUNT(*) FROM organization_members m WHERE m.org_id = o.id) AS member_count
+      FROM organizations o
+      ORDER BY o.name COLLATE NOCASE
+    `),
+    listForUser: db.prepare(`
+      SELECT o.*, m.role,
+        (SELECT COUNT(*) FROM organization_members c WHERE c.org_id = o.id) AS member_count
+      FROM organization_members m
+      JOIN organizations o ON o.id = m.org_id
+      WHERE m.user_id = ?
+      ORDER BY o.name COLLATE NOCASE
+    `),
+    get: db.prepare("SELECT * FROM organizations WHERE id = ?"),
+    getByName: db.prepare("SELECT * FROM organizations WHERE name = ?"),
+    insert: db.prepare(`
+      INSERT INTO organizations (id, name, created_at, created_by)
+      VALUES (@id, @name, @created_at, @created_by)
+    `),
+    rename: db.prepare("UPDATE organizations SET name = ? WHERE id = ?"),
+    remove: db.prepare("DELETE FROM organizations WHERE id = ?"),
+    listMembers: db.prepare(`
+      SELECT m.*, u.name, u.email
+      FROM organization_members m
+      LEFT JOIN users u ON u.id = m.user_id
+      WHERE m.org_id = ?
+      ORDER BY CASE m.role WHEN 'manager' THEN 0 WHEN 'pilot' THEN 1 ELSE 2 END, u.name COLLATE NOCASE
+    `),
+    getMembership: db.prepare("SELECT * FROM organization_members WHERE org_id = ? AND user_id = ?"),
+    upsertMember: db.prepare(`
+      INSERT INTO organization_members (org_id, user_id, role, added_at, added_by)
+      VALUES (@org_id, @user_id, @role, @added_at, @added_by)
+      ON CONFLICT(org_id, user_id) DO UPDATE SET role = excluded.role
+    `),
+    removeMember: db.prepare("DELETE FROM organization_members WHERE org_id = ? AND user_id = ?"),
+    removeMembers: db.prepare("DELETE FROM organization_members WHERE org_id = ?"),
+    removeUser: db.prepare("DELETE FROM organization_members WHERE user_id = ?"),
+    countManagers: db.prepare("SELECT COUNT(*) AS total FROM organization_members WHERE org_id = ? AND role = 'manager'")
+  };
+
+  function listOrgs() {
+    return statements.list.all().map(normalizeOrg);
+  }
+
+  /** Organizations the user belongs to, each with the user's `role`. */
+  function listOrgsForUser(userId) {
+    if (!userId) return [];
+    return statements.listForUser.all(String(userId)).map(normalizeOrg);
+  }
+
+  function getOrg(id) {
+    return normalizeOrg(statements.get.get(String(id)));
+  }
+
+  // Returns the new organization, or null when the name is taken.
+  function createOrg(name, createdBy = null) {
+    if (statements.getByName.get(name)) return null;
+    const row = {
+      id: crypto.randomUUID(),
+      name,
+      created_at: new Date().toISOString(),
+      created_by: createdBy
+    };
+    statements.insert.run(row);
+    return normalizeOrg(row);
+  }
+
+  // Returns the renamed organization, null when missing, or false when the name is taken.
+  function renameOrg(id, name) {
+    const existing = statements.getByName.get(name);
+    if (existing && existing.id !== id) return false;
+    if (!statements.rename.run(name, String(id)).changes) return null;
+    return getOrg(id);
+  }
+
+  const removeOrg = db.transaction((id) => {
+    statements.removeMembers.run(String(id));
+    return statements.remove.run(String(id)).changes > 0;
+  });
+
+  function listMembers(orgId) {
+    return statements.listMembers.all(String(orgId)).map(normalizeMember);
+  }
+
+  function getMembershipRole(orgId, userId) {
+    return statements.getMembership.get(String(orgId), String(userId))?.role || null;
+  }
+
+  function setMember(orgId, userId, role, addedBy = null) {
+    statements.upsertMember.run({
+      org_id: String(orgId),
+      user_id: String(userId),
+      role,
+      added_at: new Date().toISOString(),
+      added_by: addedBy
+    });
+  }
+
+  function removeMember(orgId, userId) {
+    return statements.removeMember.run(String(orgId), String(userId)).changes > 0;
+  }
+
+  function removeUserMemberships(userId) {
+    statements.removeUser.run(String(userId));
+  }
+
+  function countManagers(orgId) {
+    return statements.countManagers.get(String(orgId)).total;
+  }
+
+  return {
+    listOrgs,
+    listOrgsForUser,
+    getOrg,
+    createOrg,
+    renameOrg,
+    removeOrg,
+    listMembers,
+    getMembershipRole,
+    setMember,
+    removeMember,
+    removeUserMemberships,
+    countManagers
+  };
+}
+
+module.exports = {
+  initOrgStore,
+  orgOwnerId,
+  parseOrgName,
+  ORG_ROLES,
+  ORG_COMMAND_ROLES
+};
@@ -0,0 +1,174 @@
+// Index of signed-in sessions per user (device, IP, created and last-seen
+// times) kept beside the session store, which cannot be listed by user. Each
+// session gets a public `handle` so raw session ids never reach the browser.
+// Revoked rows are kept until they age out so a request already in flight
+// for a revoked session is still turned away.
+
+const crypto = require("crypto");
+
+// Last-seen details are written at most this often per session.
+const TOUCH_INTERVAL_MS = 60 * 1000;
+
+const BROWSERS = [
+  [/Edg\//, "Edge"],
+  [/OPR\/|Opera/, "Opera"],
+  [/Firefox\//, "Firefox"],
+  [/Chrome\//, "Chrome"],
+  [/Safari\//, "Safari"],
+  [/curl\//, "curl"],
+  [/python-requests|Python-urllib/, "Python"]
+];
+const PLATFORMS = [
+  [/iPhone|iPad/, "iOS"],
+  [/Android/, "Android"],
+  [/Windows/, "Windows"],
+  [/Mac OS X|Macintosh/, "macOS"],
+  [/CrOS/, "ChromeOS"],
+  [/Linux/, "Linux"]
+];
+
+// "Firefox on Linux"-style label for the settings list.
+function describeUserAgent(userAgent) {
+  const text = String(userAgent || "");
+  if (!text) return "Unknown device";
+  const browser = BROWSERS.find(([pattern]) => pattern.test(text))?.[1] || "Browser";
+  const platform = PLATFORMS.find(([pattern]) => pattern.test(text))?.[1];
+  return platform ? `${browser} on ${platform}` : browser;
+}
+
+function normalizeSession(row) {
+  if (!row) return null;
+  return {
+    sessionId: row.session_id,
+    handle: row.handle,
+    userId: row.user_id,
+    device: describeUserAgent(row.user_agent),
+    userAgent: row.user_agent,
+    ip: row.ip,
+    via: row.via,
+    createdAt: row.created_at,
+    lastSeenAt: row.last_seen_at,
+    revokedAt: row.revoked_at
+  };
+}
+
+function initSessionIndex(db, { maxAgeMs }) {
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS user_sessions (
+      session_id TEXT PRIMARY KEY,
+      handle TEXT NOT NULL UNIQUE,
+      user_id TEXT NOT NULL,
+      user_agent TEXT,
+      ip TEXT,
+      via TEXT,
+      created_at TEXT NOT NULL,
+      last_seen_at TEXT NOT NULL,
+      revoked_at TEXT
+    );
+    CREATE INDEX IF NOT EXISTS idx_user_sessions_user ON user_sessions (user_id, last_seen_at);
+  `);
+
+  const statements = {
+    get: db.prepare("SELECT * FROM user_sessions WHERE session_id = ?"),
+    getByHandle: db.prepare("SELECT * FROM user_sessions WHERE user_id = ? AND handle = ?"),
+    listActive: db.prepare(`
+      SELECT * FROM user_sessions
+      WHERE user_id = ? AND revoked_at IS NULL AND last_seen_at >= ?
+      ORDER BY last_seen_at DESC
+    `),
+    countActive: db.prepare(`
+      SELECT COUNT(*) AS total FROM user_sessions
+      WHERE user_id = ? AND revoked_at IS NULL AND last_seen_at >= ?
+    `),
+    insert: db.prepare(`
+      INSERT OR REPLACE INTO user_sessions (
+        session_id, handle, user_id, user_agent, ip, via, created_at, last_seen_at
+      ) VALUES (
+        @session_id, @handle, @user_id, @user_agent, @ip, @via, @created_at, @last_seen_at
+      )
+    `),
+    touch: db.prepare(`
+      UPDATE user_sessions SET last_seen_at = @now, ip = @ip
+      WHERE session_id = @session_id AND revoked_at IS NULL AND last_seen_at < @stale_before
+    `),
+    revoke: db.prepare("UPDATE user_sessions SET revoked_at = ? WHERE session_id = ? AND revoked_at IS NULL"),
+    remove: db.prepare("DELETE FROM user_sessions WHERE session_id = ?"),
+    removeForUser: db.prepare("DELETE FROM user_sessions WHERE user_id = ?"),
+    prune: db.prepare("DELETE FROM user_sessions WHERE last_seen_at < ?")
+  };
+
+  function activeSince() {
+    return new Date(Date.now() - maxAgeMs).toISOString();
+  }
+
+  function recordSession(sessionId, userId, { userAgent, ip, via } = {}) {
+    const now = new Date().toISOString();
+    statements.insert.run({
+      session_id: sessionId,
+      handle: crypto.randomUUID(),
+      user_id: String(userId),
+      user_agent: userAgent ? String(userAgent).slice(0, 512) : null,
+      ip: ip || null,
+      via: via || null,
+      created_at: now,
+      last_seen_at: now
+    });
+  }
+
+  function getSession(sessionId) {
+    return normalizeSession(statements.get.get(sessionId));
+  }
+
+  function getSessionByHandle(userId, handle) {
+    return normalizeSession(statements.getByHandle.get(String(userId), String(handle)));
+  }
+
+  function listSessions(userId) {
+    return statements.listActive.all(String(userId), activeSince()).map(normalizeSession);
+  }
+
+  function countSessions(userId) {
+    return statements.countActive.get(String(userId), activeSince()).total;
+  }
+
+  function touchSession(sessionId, ip) {
+    const now = Date.now();
+    statements.touch.run({
+      session_id: sessionId,
+      ip: ip || null,
+      now: new Date(now).toISOString(),
+      stale_before: new Date(now - TOUCH_INTERVAL_MS).toISOString()
+    });
+  }
+
+  function markRevoked(sessionId) {
+    return statements.revoke.run(new Date().toISOString(), sessionId).changes > 0;
+  }
+
+  function removeSession(sessionId) {
+    statements.remove.run(sessionId);
+  }
+
+  function removeSessionsForUser(userId) {
+    statements.removeForUser.run(String(userId));
+  }
+
+  function prune() {
+    return statements.prune.run(activeSince()).changes;
+  }
+
+  return {
+    recordSession,
+    getSession,
+    getSessionByHandle,
+    listSessions,
+    countSessions,
+    touchSession,
+    markRevoked,
+    removeSession,
+    removeSessionsForUser,
+    prune
+  };
+}
+
+module.exports = { initSessionIndex, describeUserAgent };
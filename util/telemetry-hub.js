@@ -0,0 +1,194 @@
+// Shares one upstream ATC telemetry WebSocket (`/v1/ws`) between every
+// browser on the live map. Each message is checked against the subscriber's
+// own filter (role and ownership) before it is sent, and the latest message
+// per drone is kept so a new subscriber sees the fleet right away instead of
+// waiting for the next update.
+//
+// The upstream is opened by the first subscriber and closed once nobody has
+// been subscribed for `idleCloseMs`. When it drops, subscribers are closed
+// too; their reconnect backoff reopens it, and they fall back to polling in
+// the meantime.
+
+const WebSocket = require("ws");
+
+const HEARTBEAT_INTERVAL_MS = 30 * 1000;
+// Close code for "try again later" (RFC 6455 registry).
+const CLOSE_UPSTREAM_UNAVAILABLE = 1013;
+
+function createTelemetryHub({
+  url,
+  buildHeaders = () => ({}),
+  clientOptions = {},
+  handshakeTimeoutMs = 10 * 1000,
+  idleCloseMs = 30 * 1000,
+  replayMaxAgeMs = 60 * 1000,
+  maxBufferedBytes = 1024 * 1024,
+  onTelemetry = null,
+  onHandshakeTimeout = null
+}) {
+  const subscribers = new Set();
+  const latest = new Map();
+  let upstream = null;
+  let upstreamAlive = false;
+  let state = "idle";
+  let connectedAt = null;
+  let lastError = null;
+  let messagesReceived = 0;
+  let idleTimer = null;
+
+  function deliver(subscriber, text, payload) {
+    const { socket } = subscriber;
+    if (socket.readyState !== WebSocket.OPEN || !subscriber.accepts(payload)) return;
+    // A client that cannot keep up skips updates; the next one supersedes them.
+    if (socket.bufferedAmount > maxBufferedBytes) {
+      subscriber.dropped += 1;
+      return;
+    }
+    socket.send(text);
+  }
+
+  function handleMessage(text) {
+    messagesReceived += 1;
+    let payload = null;
+    try {
+      payload = JSON.parse(text);
+    } catch (error) {
+      // Non-JSON frames are still relayed to unfiltered subscribers.
+    }
+    const droneId = payload?.drone_id ? String(payload.drone_id) : null;
+    if (droneId) {
+      latest.set(droneId, { text, payload, receivedAt: Date.now() });
+    }
+    if (onTelemetry && payload) {
+      try {
+        onTelemetry(payload);
+      } catch (error) {
+        // Observers must never break the fan-out.
+      }
+    }
+    subscribers.forEach(subscriber => deliver(subscriber, text, payload));
+  }
+
+  function connect() {
+    if (upstream) return;
+    state = "connecting";
+    const socket = new WebSocket(url, {
+      ...clientOptions,
+      headers: buildHeaders(),
+      handshakeTimeout: handshakeTimeoutMs,
+      perMessageDeflate: false
+    });
+    upstream = socket;
+    upstreamAlive = true;
+
+    socket.on("open", () => {
+      state = "open";
+      connectedAt = new Date().toISOString();
+      lastError = null;
+      console.log("[ATC WS Hub] Upstream connected");
+    });
+    socket.on("message", (data, isBinary) => {
+      if (!isBinary) handleMessage(data.toString("utf8"));
+    });
+    socket.on("pong", () => {
+      upstreamAlive = true;
+    });
+    socket.on("error", (error) => {
+      lastError = error?.message || String(error);
+      if (/handshake has timed out/i.test(lastError) && onHandshakeTimeout) onHandshakeTimeout();
+      console.error("[ATC WS Hub] Upstream error:", lastError);
+    });
+    socket.on("close", () => {
+      if (upstream !== socket) return;
+      upstream = null;
+      state = "idle";
+      connectedAt = null;
+      subscribers.forEach(({ socket: client }) => client.close(CLOSE_UPSTREAM_UNAVAILABLE, "Upstream unavailable"));
+    });
+  }
+
+  function scheduleIdleClose() {
+    clearTimeout(idleTimer);
+    idleTimer = setTimeout(() => {
+      idleTimer = null;
+      if (!subscribers.size && upstream) {
+        console.log("[ATC WS Hub] No subscribers; closing upstream");
+        upstream.close(1000);
+      }
+    }, idleCloseMs);
+    idleTimer.unref?.();
+  }
+
+  /**
+   * Starts streaming to `socket` (an open `ws` connection) every message
+   * `accepts(payload)` approves, beginning with the latest known state.
+   * Returns a function that unsubscribes; closing the socket does the same.
+   */
+  function subscribe(socket, accepts) {
+    const subscriber = { socket, accepts, alive: true, dropped: 0 };
+    subscribers.add(subscriber);
+    clearTimeout(idleTimer);
+    idleTimer = null;
+    connect();
+
+    const cutoff = Date.now() - replayMaxAgeMs;
+    latest.forEach((entry, droneId) => {
+      if (entry.receivedAt < cutoff) {
+        latest.delete(droneId);
+        return;
+      }
+      deliver(subscriber, entry.text, entry.payload);
+    });
+
+    socket.on("pong", () => {
+      subscriber.alive = true;
+    });
+    const unsubscribe = () => {
+      if (!subscribers.delete(subscriber)) return;
+      if (!subscribers.size) scheduleIdleClose();
+    };
+    socket.once("close", unsubscribe);
+    return unsubscribe;
+  }
+
+  // Drops clients and upstreams that stopped answering pings (for example a
+  // laptop that went to sleep) so they do not hold buffers indefinitely.
+  const heartbeat = setInterval(() => {
+    subscribers.forEach((subscriber) => {
+      if (!subscriber.alive) {
+        subscriber.socket.terminate();
+        return;
+      }
+      subscriber.alive = false;
+      subscriber.socket.ping();
+    });
+    if (upstream && state === "open") {
+      if (!upstreamAlive) {
+        lastError = "Upstream stopped answering pings";
+        upstream.terminate();
+        return;
+      }
+      upstreamAlive = false;
+      upstream.ping();
+    }
+  }, HEARTBEAT_INTERVAL_MS);
+  heartbeat.unref?.();
+
+  function getStatus() {
+    let dropped = 0;
+    subscribers.forEach((subscriber) => { dropped += subscriber.dropped; });
+    return {
+      state,
+      connectedAt,
+      lastError,
+      subscribers: subscribers.size,
+      trackedDrones: latest.size,
+      messagesReceived,
+      droppedForSlowClients: dropped
+    };
+  }
+
+  return { subscribe, getStatus };
+}
+
+module.exports = { createTelemetryHub };
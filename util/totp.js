@@ -0,0 +1,125 @@
+// RFC 6238 time-based one-time passwords (SHA-1, 6 digits, 30 s steps) as
+// used by common authenticator apps, plus single-use recovery codes.
+
+const crypto = require("crypto");
+
+const BASE32_ALPHABET = "ABCDEFGHIJKLMNOPQRSTUVWXYZ234567";
+const STEP_SECONDS = 30;
+const DIGITS = 6;
+// Accept one step either side of now to tolerate clock drift.
+const DRIFT_STEPS = 1;
+const RECOVERY_CODE_COUNT = 10;
+
+function base32Encode(buffer) {
+  let bits = 0;
+  let value = 0;
+  let output = "";
+  for (const byte of buffer) {
+    value = (value << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+  if (bits > 0) {
+    output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  }
+  return output;
+}
+
+function base32Decode(text) {
+  const cleaned = String(text || "").toUpperCase().replace(/[\s=-]/g, "");
+  let bits = 0;
+  let value = 0;
+  const bytes = [];
+  for (const char of cleaned) {
+    const index = BASE32_ALPHABET.indexOf(char);
+    if (index === -1) throw new Error("Invalid base32 secret");
+    value = (value << 5) | index;
+    bits += 5;
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+  return Buffer.from(bytes);
+}
+
+function generateSecret() {
+  return base32Encode(crypto.randomBytes(20));
+}
+
+function generateCode(secret, step) {
+  const counter = Buffer.alloc(8);
+  counter.writeBigUInt64BE(BigInt(step));
+  const digest = crypto.createHmac("sha1", base32Decode(secret)).update(counter).digest();
+  const offset = digest[digest.length - 1] & 15;
+  const binary = digest.readUInt32BE(offset) & 0x7fffffff;
+  return String(binary % 10 ** DIGITS).padStart(DIGITS, "0");
+}
+
+function currentStep(nowMs = Date.now()) {
+  return Math.floor(nowMs / 1000 / STEP_SECONDS);
+}
+
+/**
+ * Checks a code against the steps around now. Returns the matched step, or
+ * null. Steps at or before `lastUsedStep` are rejected so a code cannot be
+ * replayed.
+ */
+function verifyCode(secret, code, { lastUsedStep = null, nowMs = Date.now() } = {}) {
+  const cleaned = String(code || "").replace(/\s+/g, "");
+  if (!/^\d{6}$/.test(cleaned) || !secret) return null;
+  const now = currentStep(nowMs);
+  for (let step = now - DRIFT_STEPS; step <= now + DRIFT_STEPS; step += 1) {
+    if (lastUsedStep !== null && step <= lastUsedStep) continue;
+    const expected = generateCode(secret, step);
+    if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(cleaned))) return step;
+  }
+  return null;
+}
+
+function buildOtpauthUri(secret, accountName, issuer) {
+  const label = encodeURIComponent(`${issuer}:${accountName}`);
+  const params = new URLSearchParams({
+    secret,
+    issuer,
+    algorithm: "SHA1",
+    digits: String(DIGITS),
+    period: String(STEP_SECONDS)
+  });
+  return `otpauth://totp/${label}?${params}`;
+}
+
+function normalizeRecoveryCode(code) {
+  return String(code || "").toLowerCase().replace(/[^a-z0-9]/g, "");
+}
+
+function hashRecoveryCode(code) {
+  return crypto.createHash("sha256").update(normalizeRecoveryCode(code)).digest("hex");
+}
+
+// Codes look like "k7q2-m9xp-4fth"; only their hashes are stored.
+function generateRecoveryCodes(count = RECOVERY_CODE_COUNT) {
+  const alphabet = "abcdefghjkmnpqrstuvwxyz23456789";
+  return Array.from({ length: count }, () => {
+    const chars = Array.from(crypto.randomBytes(12), byte => alphabet[byte % alphabet.length]).join("");
+    return chars.match(/.{4}/g).join("-");
+  });
+}
+
+function looksLikeTotpCode(code) {
+  return /^\d{6}$/.test(String(code || "").replace(/\s+/g, ""));
+}
+
+module.exports = {
+  generateSecret,
+  generateCode,
+  currentStep,
+  verifyCode,
+  buildOtpauthUri,
+  generateRecoveryCodes,
+  hashRecoveryCode,
+  looksLikeTotpCode
+};
@@ -4,6 +4,11 @@ const Database = require("better-sqlite3");
 
 const DEFAULT_DB_PATH = path.join(__dirname, "..", "data", "users.sqlite");
 const LEGACY_JSON = "users.json";
+const DEFAULT_PREFERENCES = {
+  notifyConflicts: true,
+  notifyGeofence: true,
+  soundEnabled: false
+};
 
 function ensureDirectory(filePath) {
   fs.mkdirSync(path.dirname(filePath), { recursive: true });
@@ -20,10 +25,68 @@ function normalizeUser(row) {
     role: row.role,
     createdAt: row.created_at,
     updatedAt: row.updated_at,
-    lastLoginAt: row.last_login_at
+    lastLoginAt: row.last_login_at,
+    disabledAt: row.disabled_at || null,
+    passwordResetRequired: Boolean(row.password_reset_required),
+    sessionVersion: Number(row.session_version) || 0,
+    mfaSecret: row.mfa_secret || null,
+    mfaEnabled: Boolean(row.mfa_enabled_at),
+    mfaEnabledAt: row.mfa_enabled_at || null,
+    mfaLastStep: row.mfa_last_step ?? null
   };
 }
 
+// Columns added after the initial schema; applied to existing databases on startup.
+const USER_COLUMN_MIGRATIONS = [
+  ["disabled_at", "TEXT"],
+  ["password_reset_required", "INTEGER NOT NULL DEFAULT 0"],
+  ["session_version", "INTEGER NOT NULL DEFAULT 0"],
+  ["mfa_secret", "TEXT"],
+  ["mfa_enabled_at", "TEXT"],
+  ["mfa_last_step", "INTEGER"]
+];
+
+function migrateUserColumns(db) {
+  const existing = new Set(db.prepare("PRAGMA table_info(users)").all().map(column => column.name));
+  USER_COLUMN_MIGRATIONS.forEach(([name, definition]) => {
+    if (!existing.has(name)) {
+      db.exec(`ALTER TABLE users ADD COLUMN ${name} ${definition}`);
+    }
+  });
+}
+
+function normalizeAuditEntry(row) {
+  if (!row) return null;
+  return {
+    id: row.id,
+    createdAt: row.created_at,
+    userId: row.user_id,
+    userRole: row.user_role,
+    method: row.method,
+    path: row.path,
+    requestId: row.request_id,
+    droneId: row.drone_id,
+    flightId: row.flight_id,
+    status: row.status
+  };
+}
+
+function normalizePreferences(row) {
+  if (!row) return { ...DEFAULT_PREFERENCES };
+  return {
+    notifyConflicts: Boolean(row.notify_conflicts),
+    notifyGeofence: Boolean(row.notify_geofence),
+    soundEnabled: Boolean(row.sound_enabled)
+  };
+}
+
+function normalizeIsoTimestamp(value) {
+  if (!value) return null;
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) return null;
+  return date.toISOString();
+}
+
 function migrateLegacyJson(dbPath, db) {
   const legacyPath = path.join(path.dirname(dbPath), LEGACY_JSON);
   if (!fs.existsSync(legacyPath)) return;
@@ -101,8 +164,52 @@ function initUserStore(options = {}) {
       last_login_at TEXT
     );
     CREATE INDEX IF NOT EXISTS idx_users_role ON users(role);
+    CREATE TABLE IF NOT EXISTS audit_log (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      created_at TEXT NOT NULL,
+      user_id TEXT,
+      user_role TEXT,
+      method TEXT NOT NULL,
+      path TEXT NOT NULL,
+      request_id TEXT,
+      drone_id TEXT,
+      flight_id TEXT,
+      status INTEGER
+    );
+    CREATE INDEX IF NOT EXISTS idx_audit_log_created_at ON audit_log(created_at);
+    CREATE INDEX IF NOT EXISTS idx_audit_log_user_id ON audit_log(user_id);
+    CREATE INDEX IF NOT EXISTS idx_audit_log_drone_id ON audit_log(drone_id);
+    CREATE TABLE IF NOT EXISTS user_preferences (
+      user_id TEXT PRIMARY KEY,
+      notify_conflicts INTEGER NOT NULL,
+      notify_geofence INTEGER NOT NULL,
+      sound_enabled INTEGER NOT NULL,
+      updated_at TEXT NOT NULL
+    );
+    CREATE TABLE IF NOT EXISTS user_identities (
+      issuer TEXT NOT NULL,
+      subject TEXT NOT NULL,
+      user_id TEXT NOT NULL,
+      created_at TEXT NOT NULL,
+      last_login_at TEXT,
+      PRIMARY KEY (issuer, subject)
+    );
+    CREATE INDEX IF NOT EXISTS idx_user_identities_user_id ON user_identities(user_id);
+    CREATE TABLE IF NOT EXISTS user_recovery_codes (
+      user_id TEXT NOT NULL,
+      code_hash TEXT NOT NULL,
+      created_at TEXT NOT NULL,
+      used_at TEXT,
+      PRIMARY KEY (user_id, code_hash)
+    );
+    CREATE TABLE IF NOT EXISTS mfa_required_roles (
+      role TEXT PRIMARY KEY,
+      updated_at TEXT NOT NULL,
+      updated_by TEXT
+    );
   `);
 
+  migrateUserColumns(db);
   migrateLegacyJson(dbPath, db);
 
   const statements = {
@@ -143,15 +250,176 @@ function initUserStore(options = {}) {
       UPDATE users
       SET password_hash = @password_hash,
           password_algo = @password_algo,
+          password_reset_required = 0,
+          updated_at = @updated_at
+      WHERE id = @id
+    `),
+    listUsers: db.prepare(`
+      SELECT * FROM users
+      WHERE (@search IS NULL
+          OR id LIKE @search ESCAPE '\\'
+          OR name LIKE @search ESCAPE '\\'
+          OR email LIKE @search ESCAPE '\\')
+        AND (@role IS NULL OR role = @role)
+      ORDER BY id
+      LIMIT @limit OFFSET @offset
+    `),
+    countListedUsers: db.prepare(`
+      SELECT COUNT(1) AS count FROM users
+      WHERE (@search IS NULL
+          OR id LIKE @search ESCAPE '\\'
+          OR name LIKE @search ESCAPE '\\'
+          OR email LIKE @search ESCAPE '\\')
+        AND (@role IS NULL OR role = @role)
+    `),
+    countActiveByRole: db.prepare("SELECT COUNT(1) AS count FROM users WHERE role = ? AND disabled_at IS NULL"),
+    updateRole: db.prepare(`
+      UPDATE users
+      SET role = @role,
+          session_version = session_version + @bump,
+          updated_at = @updated_at
+      WHERE id = @id
+    `),
+    setDisabled: db.prepare(`
+      UPDATE users
+      SET disabled_at = @disabled_at,
+          session_version = session_version + @bump,
           updated_at = @updated_at
       WHERE id = @id
     `),
+    requirePasswordReset: db.prepare(`
+      UPDATE users
+      SET password_reset_required = 1,
+          session_version = session_version + 1,
+          updated_at = @updated_at
+      WHERE id = @id
+    `),
+    invalidateSessions: db.prepare(`
+      UPDATE users
+      SET session_version = session_version + 1,
+          updated_at = @updated_at
+      WHERE id = @id
+    `),
+    enableMfa: db.prepare(`
+      UPDATE users
+      SET mfa_secret = @secret,
+          mfa_enabled_at = @enabled_at,
+          mfa_last_step = @step,
+          updated_at = @enabled_at
+      WHERE id = @id
+    `),
+    disableMfa: db.prepare(`
+      UPDATE users
+      SET mfa_secret = NULL, mfa_enabled_at = NULL, mfa_last_step = NULL, updated_at = ?
+      WHERE id = ?
+    `),
+    // Conditional so two concurrent logins cannot both use the same code.
+    recordMfaStep: db.prepare(`
+      UPDATE users SET mfa_last_step = @step
+      WHERE id = @id AND (mfa_last_step IS NULL OR mfa_last_step < @step)
+    `),
+    insertRecoveryCode: db.prepare(`
+      INSERT INTO user_recovery_codes (user_id, code_hash, created_at, used_at)
+      VALUES (?, ?, ?, NULL)
+    `),
+    deleteRecoveryCodes: db.prepare("DELETE FROM user_recovery_codes WHERE user_id = ?"),
+    useRecoveryCode: db.prepare(`
+      UPDATE user_recovery_codes SET used_at = ?
+      WHERE user_id = ? AND code_hash = ? AND used_at IS NULL
+    `),
+    countRecoveryCodes: db.prepare(`
+      SELECT COUNT(1) AS count FROM user_recovery_codes
+      WHERE user_id = ? AND used_at IS NULL
+    `),
+    listMfaRequiredRoles: db.prepare("SELECT role FROM mfa_required_roles ORDER BY role"),
+    clearMfaRequiredRoles: db.prepare("DELETE FROM mfa_required_roles"),
+    insertMfaRequiredRole: db.prepare(`
+      INSERT INTO mfa_required_roles (role, updated_at, updated_by) VALUES (?, ?, ?)
+    `),
     deleteUser: db.prepare("DELETE FROM users WHERE id = ?"),
+    getPreferences: db.prepare("SELECT * FROM user_preferences WHERE user_id = ?"),
+    upsertPreferences: db.prepare(`
+      INSERT INTO user_preferences (
+        user_id,
+        notify_conflicts,
+        notify_geofence,
+        sound_enabled,
+        updated_at
+      ) VALUES (
+        @user_id,
+        @notify_conflicts,
+        @notify_geofence,
+        @sound_enabled,
+        @updated_at
+      )
+      ON CONFLICT(user_id) DO UPDATE SET
+        notify_conflicts = excluded.notify_conflicts,
+        notify_geofence = excluded.notify_geofence,
+        sound_enabled = excluded.sound_enabled,
+        updated_at = excluded.updated_at
+    `),
+    deletePreferences: db.prepare("DELETE FROM user_preferences WHERE user_id = ?"),
     touchLogin: db.prepare(`
       UPDATE users
       SET last_login_at = @last_login_at,
           updated_at = @updated_at
       WHERE id = @id
+    `),
+    insertAudit: db.prepare(`
+      INSERT INTO audit_log (
+        created_at,
+        user_id,
+        user_role,
+        method,
+        path,
+        request_id,
+        drone_id,
+        flight_id,
+        status
+      ) VALUES (
+        @created_at,
+        @user_id,
+        @user_role,
+        @method,
+        @path,
+        @request_id,
+        @drone_id,
+        @flight_id,
+        @status
+      )
+    `),
+    listAudit: db.prepare(`
+      SELECT * FROM audit_log
+      WHERE (@user_id IS NULL OR user_id = @user_id)
+        AND (@drone_id IS NULL OR drone_id = @drone_id)
+        AND (@from IS NULL OR created_at >= @from)
+        AND (@to IS NULL OR created_at <= @to)
+      ORDER BY created_at DESC, id DESC
+      LIMIT @limit OFFSET @offset
+    `),
+    getIdentityUser: db.prepare(`
+      SELECT users.* FROM user_identities
+      JOIN users ON users.id = user_identities.user_id
+      WHERE user_identities.issuer = ? AND user_identities.subject = ?
+    `),
+    linkIdentity: db.prepare(`
+      INSERT INTO user_identities (issuer, subject, user_id, created_at, last_login_at)
+      VALUES (@issuer, @subject, @user_id, @created_at, @created_at)
+      ON CONFLICT(issuer, subject) DO UPDATE SET
+        user_id = excluded.user_id,
+        last_login_at = excluded.last_login_at
+    `),
+    touchIdentity: db.prepare(`
+      UPDATE user_identities SET last_login_at = ?
+      WHERE issuer = ? AND subject = ?
+    `),
+    deleteIdentities: db.prepare("DELETE FROM user_identities WHERE user_id = ?"),
+    countAudit: db.prepare(`
+      SELECT COUNT(1) AS count FROM audit_log
+      WHERE (@user_id IS NULL OR user_id = @user_id)
+        AND (@drone_id IS NULL OR drone_id = @drone_id)
+        AND (@from IS NULL OR created_at >= @from)
+        AND (@to IS NULL OR created_at <= @to)
     `)
   };
 
@@ -206,8 +474,139 @@ function initUserStore(options = {}) {
     });
   }
 
+  function escapeLike(value) {
+    return value.replace(/[\\%_]/g, match => `\\${match}`);
+  }
+
+  function buildUserFilter({ search, role } = {}) {
+    const term = typeof search === "string" ? search.trim() : "";
+    return {
+      search: term ? `%${escapeLike(term)}%` : null,
+      role: role || null
+    };
+  }
+
+  function listUsers(filters = {}) {
+    const limit = Math.min(Math.max(Math.trunc(Number(filters.limit)) || 50, 1), 500);
+    const offset = Math.max(Math.trunc(Number(filters.offset)) || 0, 0);
+    const params = buildUserFilter(filters);
+    const rows = statements.listUsers.all({ ...params, limit, offset });
+    const total = statements.countListedUsers.get(params)?.count || 0;
+    return {
+      total: Number(total) || 0,
+      limit,
+      offset,
+      users: rows.map(normalizeUser)
+    };
+  }
+
+  function countActiveUsersWithRole(role) {
+    return Number(statements.countActiveByRole.get(role)?.count) || 0;
+  }
+
+  // Changing the role with `invalidateSessions` bumps the session version so
+  // existing sessions for the user stop being accepted.
+  function updateRole(id, role, { invalidateSessions = false } = {}) {
+    statements.updateRole.run({
+      id,
+      role,
+      bump: invalidateSessions ? 1 : 0,
+      updated_at: new Date().toISOString()
+    });
+    return getUserById(id);
+  }
+
+  function setDisabled(id, disabled) {
+    const timestamp = new Date().toISOString();
+    statements.setDisabled.run({
+      id,
+      disabled_at: disabled ? timestamp : null,
+      bump: disabled ? 1 : 0,
+      updated_at: timestamp
+    });
+    return getUserById(id);
+  }
+
+  function requirePasswordReset(id) {
+    statements.requirePasswordReset.run({ id, updated_at: new Date().toISOString() });
+    return getUserById(id);
+  }
+
+  // Signs the user out everywhere, including sessions the session index never saw.
+  function invalidateSessions(id) {
+    statements.invalidateSessions.run({ id, updated_at: new Date().toISOString() });
+    return getUserById(id);
+  }
+
   function deleteUser(id) {
     statements.deleteUser.run(id);
+    statements.deletePreferences.run(id);
+    statements.deleteIdentities.run(id);
+    statements.deleteRecoveryCodes.run(id);
+  }
+
+  function storeRecoveryCodes(id, codeHashes, timestamp) {
+    statements.deleteRecoveryCodes.run(id);
+    codeHashes.forEach(hash => statements.insertRecoveryCode.run(id, hash, timestamp));
+  }
+
+  // `step` is the TOTP step of the confirming code, so it cannot be reused to log in.
+  const enableMfa = db.transaction((id, secret, step, codeHashes) => {
+    const timestamp = new Date().toISOString();
+    statements.enableMfa.run({ id, secret, step, enabled_at: timestamp });
+    storeRecoveryCodes(id, codeHashes, timestamp);
+    return getUserById(id);
+  });
+
+  const disableMfa = db.transaction((id) => {
+    statements.disableMfa.run(new Date().toISOString(), id);
+    statements.deleteRecoveryCodes.run(id);
+    return getUserById(id);
+  });
+
+  const replaceRecoveryCodes = db.transaction((id, codeHashes) => {
+    storeRecoveryCodes(id, codeHashes, new Date().toISOString());
+  });
+
+  function recordMfaStep(id, step) {
+    return statements.recordMfaStep.run({ id, step }).changes > 0;
+  }
+
+  function consumeRecoveryCode(id, codeHash) {
+    return statements.useRecoveryCode.run(new Date().toISOString(), id, codeHash).changes > 0;
+  }
+
+  function countRecoveryCodes(id) {
+    return Number(statements.countRecoveryCodes.get(id)?.count) || 0;
+  }
+
+  function getMfaRequiredRoles() {
+    return statements.listMfaRequiredRoles.all().map(row => row.role);
+  }
+
+  const setMfaRequiredRoles = db.transaction((roles, updatedBy = null) => {
+    const timestamp = new Date().toISOString();
+    statements.clearMfaRequiredRoles.run();
+    [...new Set(roles)].forEach(role => statements.insertMfaRequiredRole.run(role, timestamp, updatedBy));
+    return getMfaRequiredRoles();
+  });
+
+  // External (OIDC) identities are keyed by issuer + subject, never by email.
+  function getUserByIdentity(issuer, subject) {
+    return normalizeUser(statements.getIdentityUser.get(String(issuer), String(subject)));
+  }
+
+  function linkIdentity(issuer, subject, userId) {
+    statements.linkIdentity.run({
+      issuer: String(issuer),
+      subject: String(subject),
+      user_id: userId,
+      created_at: new Date().toISOString()
+    });
+  }
+
+  function touchIdentity(issuer, subject) {
+    statements.touchIdentity.run(new Date().toISOString(), String(issuer), String(subject));
   }
 
   function touchLogin(id) {
@@ -219,6 +618,65 @@ function initUserStore(options = {}) {
     });
   }
 
+  function getPreferences(userId) {
+    return normalizePreferences(statements.getPreferences.get(userId));
+  }
+
+  function updatePreferences(userId, updates = {}) {
+    const current = getPreferences(userId);
+    const next = { ...current };
+    Object.keys(DEFAULT_PREFERENCES).forEach((key) => {
+      if (typeof updates[key] === "boolean") {
+        next[key] = updates[key];
+      }
+    });
+    statements.upsertPreferences.run({
+      user_id: userId,
+      notify_conflicts: next.notifyConflicts ? 1 : 0,
+      notify_geofence: next.notifyGeofence ? 1 : 0,
+      sound_enabled: next.soundEnabled ? 1 : 0,
+      updated_at: new Date().toISOString()
+    });
+    return getPreferences(userId);
+  }
+
+  function recordAudit({ userId, userRole, method, path: requestPath, requestId, droneId, flightId, status }) {
+    statements.insertAudit.run({
+      created_at: new Date().toISOString(),
+      user_id: userId || null,
+      user_role: userRole || null,
+      method,
+      path: requestPath,
+      request_id: requestId || null,
+      drone_id: droneId || null,
+      flight_id: flightId || null,
+      status: Number.isFinite(status) ? status : null
+    });
+  }
+
+  function buildAuditFilter({ userId, droneId, from, to } = {}) {
+    return {
+      user_id: userId || null,
+      drone_id: droneId || null,
+      from: normalizeIsoTimestamp(from),
+      to: normalizeIsoTimestamp(to)
+    };
+  }
+
+  function listAudit(filters = {}) {
+    const limit = Math.min(Math.max(Math.trunc(Number(filters.limit)) || 100, 1), 10000);
+    const offset = Math.max(Math.trunc(Number(filters.offset)) || 0, 0);
+    const params = buildAuditFilter(filters);
+    const rows = statements.listAudit.all({ ...params, limit, offset });
+    const total = statements.countAudit.get(params)?.count || 0;
+    return {
+      total: Number(total) || 0,
+      limit,
+      offset,
+      entries: rows.map(normalizeAuditEntry)
+    };
+  }
+
   function ensureDefaults(hashPassword, passwordAlgo, seedUsers = []) {
     const defaults = Array.isArray(seedUsers) ? seedUsers : [];
 
@@ -237,6 +695,7 @@ function initUserStore(options = {}) {
   }
 
   return {
+    db,
     dbPath,
     getUserById,
     getUserByEmail,
@@ -244,8 +703,29 @@ function initUserStore(options = {}) {
     createUser,
     updateProfile,
     updatePassword,
+    listUsers,
+    countActiveUsersWithRole,
+    updateRole,
+    setDisabled,
+    requirePasswordReset,
+    invalidateSessions,
     deleteUser,
+    getUserByIdentity,
+    linkIdentity,
+    touchIdentity,
+    enableMfa,
+    disableMfa,
+    recordMfaStep,
+    replaceRecoveryCodes,
+    consumeRecoveryCode,
+    countRecoveryCodes,
+    getMfaRequiredRoles,
+    setMfaRequiredRoles,
     touchLogin,
+    getPreferences,
+    updatePreferences,
+    recordAudit,
+    listAudit,
     ensureDefaults
   };
 }